@@ -0,0 +1,14 @@
+/**
+ * Extensiones de PostgreSQL necesarias
+ * uuid-ossp proporciona uuid_generate_v4(), que se usa en consultas SQL directas
+ * (por ejemplo al añadir participantes a un chat).
+ */
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.query('CREATE EXTENSION IF NOT EXISTS "uuid-ossp"');
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.query('DROP EXTENSION IF EXISTS "uuid-ossp"');
+  }
+};
@@ -0,0 +1,543 @@
+/**
+ * Esquema inicial
+ *
+ * Crea todas las tablas del modelo de datos. Las bases de datos creadas antes con
+ * sequelize.sync() ya tienen parte de las tablas pero les faltan las columnas añadidas
+ * después (sync no modifica tablas existentes): en ese caso se añaden solo las columnas
+ * e índices que falten y se rellenan los datos derivados.
+ */
+
+// Vector de búsqueda de los trabajos (igual que en src/models/job.model.js al crear esta migración)
+const SEARCH_VECTOR_SQL = `
+  setweight(to_tsvector('spanish', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('spanish', coalesce("category", '')), 'A') ||
+  setweight(to_tsvector('spanish', coalesce(array_to_string("skills", ' '), '')), 'B') ||
+  setweight(to_tsvector('spanish', coalesce("description", '')), 'C')
+`;
+
+const defineSchema = (DataTypes) => {
+  const id = () => ({
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true,
+    allowNull: false
+  });
+
+  const date = (allowNull = true) => ({ type: DataTypes.DATE, allowNull });
+
+  const timestamps = ({ updatedAt = true } = {}) => ({
+    createdAt: date(false),
+    ...(updatedAt ? { updatedAt: date(false) } : {})
+  });
+
+  const ref = (table, { allowNull = false, onDelete = 'NO ACTION', primaryKey = false } = {}) => ({
+    type: DataTypes.UUID,
+    allowNull,
+    primaryKey,
+    references: { model: table, key: 'id' },
+    onUpdate: 'CASCADE',
+    onDelete
+  });
+
+  const hidden = () => ({
+    hiddenAt: date(),
+    hiddenReason: { type: DataTypes.TEXT, allowNull: true }
+  });
+
+  // Tablas en orden de creación (respetando las claves foráneas)
+  return [
+    {
+      table: 'Users',
+      columns: {
+        id: id(),
+        name: { type: DataTypes.STRING, allowNull: false },
+        email: { type: DataTypes.STRING, allowNull: false, unique: true },
+        password: { type: DataTypes.STRING, allowNull: false },
+        role: { type: DataTypes.STRING, defaultValue: 'client' },
+        bio: { type: DataTypes.TEXT, defaultValue: '' },
+        skills: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
+        photoURL: { type: DataTypes.STRING, defaultValue: '' },
+        hourlyRate: { type: DataTypes.FLOAT, defaultValue: 0 },
+        isOnline: { type: DataTypes.BOOLEAN, defaultValue: false },
+        lastSeen: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+        emailVerified: { type: DataTypes.BOOLEAN, defaultValue: false },
+        emailVerifiedAt: date(),
+        passwordChangedAt: date(),
+        status: { type: DataTypes.ENUM('active', 'suspended', 'banned'), defaultValue: 'active' },
+        suspendedUntil: date(),
+        moderationReason: { type: DataTypes.TEXT, allowNull: true },
+        ...hidden(),
+        notificationPreferences: { type: DataTypes.JSONB, defaultValue: {} },
+        ...timestamps()
+      }
+    },
+    {
+      table: 'Jobs',
+      columns: {
+        id: id(),
+        title: { type: DataTypes.STRING, allowNull: false },
+        description: { type: DataTypes.TEXT, allowNull: false },
+        budget: { type: DataTypes.FLOAT, allowNull: false },
+        category: { type: DataTypes.STRING, allowNull: false },
+        skills: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
+        status: {
+          type: DataTypes.ENUM('open', 'in-progress', 'completed', 'assigned', 'cancelled'),
+          defaultValue: 'open'
+        },
+        userId: ref('Users'),
+        assignedFreelancerId: ref('Users', { allowNull: true, onDelete: 'SET NULL' }),
+        searchVector: { type: DataTypes.TSVECTOR, allowNull: true },
+        ...hidden(),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'jobs_search_vector', fields: ['searchVector'], using: 'gin' },
+        { name: 'jobs_status_created_at', fields: ['status', 'createdAt'] },
+        { name: 'jobs_category', fields: ['category'] }
+      ]
+    },
+    {
+      table: 'Comments',
+      columns: {
+        id: id(),
+        content: { type: DataTypes.TEXT, allowNull: false },
+        jobId: ref('Jobs'),
+        userId: ref('Users'),
+        ...hidden(),
+        ...timestamps()
+      }
+    },
+    {
+      table: 'Replies',
+      columns: {
+        id: id(),
+        content: { type: DataTypes.TEXT, allowNull: false },
+        ...hidden(),
+        userId: ref('Users', { allowNull: true, onDelete: 'SET NULL' }),
+        commentId: ref('Comments', { allowNull: true, onDelete: 'SET NULL' }),
+        ...timestamps()
+      }
+    },
+    {
+      table: 'Chats',
+      columns: {
+        id: id(),
+        name: { type: DataTypes.STRING, defaultValue: '' },
+        isGroup: { type: DataTypes.BOOLEAN, defaultValue: false },
+        lastMessageAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+        ...timestamps()
+      }
+    },
+    {
+      table: 'Messages',
+      columns: {
+        id: id(),
+        content: { type: DataTypes.TEXT, allowNull: false },
+        editedAt: date(),
+        deletedAt: date(),
+        ...hidden(),
+        chatId: ref('Chats', { onDelete: 'CASCADE' }),
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'messages_updated_at_id', fields: ['updatedAt', 'id'] }
+      ]
+    },
+    {
+      table: 'ChatParticipants',
+      columns: {
+        id: id(),
+        chatId: ref('Chats', { onDelete: 'CASCADE' }),
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        lastReadMessageId: ref('Messages', { allowNull: true, onDelete: 'SET NULL' }),
+        lastReadAt: date(),
+        ...timestamps()
+      }
+    },
+    {
+      table: 'Proposals',
+      columns: {
+        id: id(),
+        coverLetter: { type: DataTypes.TEXT, allowNull: false },
+        amount: { type: DataTypes.FLOAT, allowNull: false },
+        deliveryDays: { type: DataTypes.INTEGER, allowNull: false },
+        status: {
+          type: DataTypes.ENUM('pending', 'accepted', 'rejected', 'withdrawn'),
+          defaultValue: 'pending'
+        },
+        jobId: ref('Jobs'),
+        userId: ref('Users'),
+        ...timestamps()
+      }
+    },
+    {
+      table: 'JobStatusHistories',
+      columns: {
+        id: id(),
+        fromStatus: { type: DataTypes.STRING, allowNull: false },
+        toStatus: { type: DataTypes.STRING, allowNull: false },
+        reason: { type: DataTypes.TEXT, allowNull: true },
+        jobId: ref('Jobs'),
+        changedById: ref('Users'),
+        ...timestamps({ updatedAt: false })
+      }
+    },
+    {
+      table: 'Milestones',
+      columns: {
+        id: id(),
+        title: { type: DataTypes.STRING, allowNull: false },
+        description: { type: DataTypes.TEXT, defaultValue: '' },
+        amount: { type: DataTypes.FLOAT, allowNull: false },
+        dueDate: date(),
+        status: {
+          type: DataTypes.ENUM('pending', 'funded', 'submitted', 'approved', 'released'),
+          defaultValue: 'pending'
+        },
+        fundedAt: date(),
+        submittedAt: date(),
+        approvedAt: date(),
+        releasedAt: date(),
+        jobId: ref('Jobs'),
+        ...timestamps()
+      }
+    },
+    {
+      table: 'LedgerEntries',
+      columns: {
+        id: id(),
+        transactionId: { type: DataTypes.UUID, allowNull: false },
+        account: {
+          type: DataTypes.ENUM('client_payments', 'escrow', 'freelancer_earnings'),
+          allowNull: false
+        },
+        direction: { type: DataTypes.ENUM('debit', 'credit'), allowNull: false },
+        amount: { type: DataTypes.FLOAT, allowNull: false },
+        description: { type: DataTypes.STRING, defaultValue: '' },
+        providerReference: { type: DataTypes.STRING, allowNull: true },
+        userId: ref('Users'),
+        jobId: ref('Jobs'),
+        milestoneId: ref('Milestones', { allowNull: true, onDelete: 'SET NULL' }),
+        ...timestamps({ updatedAt: false })
+      }
+    },
+    {
+      table: 'Reviews',
+      columns: {
+        id: id(),
+        rating: { type: DataTypes.INTEGER, allowNull: false },
+        comment: { type: DataTypes.TEXT, defaultValue: '' },
+        jobId: ref('Jobs'),
+        reviewerId: ref('Users'),
+        revieweeId: ref('Users'),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'reviews_job_id_reviewer_id', unique: true, fields: ['jobId', 'reviewerId'] },
+        { name: 'reviews_reviewee_id', fields: ['revieweeId'] }
+      ]
+    },
+    {
+      table: 'MessageEdits',
+      columns: {
+        id: id(),
+        previousContent: { type: DataTypes.TEXT, allowNull: false },
+        messageId: ref('Messages', { onDelete: 'CASCADE' }),
+        ...timestamps({ updatedAt: false })
+      }
+    },
+    {
+      table: 'MessageReactions',
+      columns: {
+        id: id(),
+        emoji: { type: DataTypes.STRING(32), allowNull: false },
+        messageId: ref('Messages', { onDelete: 'CASCADE' }),
+        userId: ref('Users'),
+        ...timestamps({ updatedAt: false })
+      },
+      indexes: [
+        {
+          name: 'message_reactions_message_id_user_id_emoji',
+          unique: true,
+          fields: ['messageId', 'userId', 'emoji']
+        }
+      ]
+    },
+    {
+      table: 'Attachments',
+      columns: {
+        id: id(),
+        fileName: { type: DataTypes.STRING, allowNull: false },
+        mimeType: { type: DataTypes.STRING, allowNull: false },
+        size: { type: DataTypes.INTEGER, allowNull: false },
+        storageKey: { type: DataTypes.STRING, allowNull: false },
+        thumbnailKey: { type: DataTypes.STRING, allowNull: true },
+        width: { type: DataTypes.INTEGER, allowNull: true },
+        height: { type: DataTypes.INTEGER, allowNull: true },
+        messageId: ref('Messages', { onDelete: 'CASCADE' }),
+        chatId: ref('Chats'),
+        userId: ref('Users'),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'attachments_message_id', fields: ['messageId'] }
+      ]
+    },
+    {
+      table: 'Sessions',
+      columns: {
+        id: id(),
+        refreshTokenHash: { type: DataTypes.STRING(64), allowNull: false },
+        userAgent: { type: DataTypes.STRING(512), defaultValue: '' },
+        ipAddress: { type: DataTypes.STRING(64), defaultValue: '' },
+        lastUsedAt: { type: DataTypes.DATE, defaultValue: DataTypes.NOW },
+        expiresAt: date(false),
+        revokedAt: date(),
+        revokedReason: { type: DataTypes.STRING, allowNull: true },
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'sessions_user_id', fields: ['userId'] }
+      ]
+    },
+    {
+      table: 'UserTokens',
+      columns: {
+        id: id(),
+        type: { type: DataTypes.ENUM('email_verification', 'password_reset'), allowNull: false },
+        tokenHash: { type: DataTypes.STRING(64), allowNull: false, unique: true },
+        expiresAt: date(false),
+        usedAt: date(),
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        ...timestamps({ updatedAt: false })
+      },
+      indexes: [
+        { name: 'user_tokens_user_id_type', fields: ['userId', 'type'] }
+      ]
+    },
+    {
+      table: 'AuditLogs',
+      columns: {
+        id: id(),
+        action: { type: DataTypes.STRING, allowNull: false },
+        targetType: { type: DataTypes.STRING, allowNull: false },
+        targetId: { type: DataTypes.UUID, allowNull: false },
+        reason: { type: DataTypes.TEXT, defaultValue: '' },
+        metadata: { type: DataTypes.JSONB, defaultValue: {} },
+        actorId: ref('Users', { allowNull: true, onDelete: 'SET NULL' }),
+        ...timestamps({ updatedAt: false })
+      },
+      indexes: [
+        { name: 'audit_logs_target_type_target_id', fields: ['targetType', 'targetId'] },
+        { name: 'audit_logs_actor_id', fields: ['actorId'] },
+        { name: 'audit_logs_created_at', fields: ['createdAt'] }
+      ]
+    },
+    {
+      table: 'Reports',
+      columns: {
+        id: id(),
+        targetType: {
+          type: DataTypes.ENUM('job', 'comment', 'reply', 'message', 'user'),
+          allowNull: false
+        },
+        targetId: { type: DataTypes.UUID, allowNull: false },
+        reason: { type: DataTypes.STRING, allowNull: false },
+        details: { type: DataTypes.TEXT, defaultValue: '' },
+        status: { type: DataTypes.ENUM('pending', 'resolved', 'dismissed'), defaultValue: 'pending' },
+        resolvedAt: date(),
+        reporterId: ref('Users'),
+        resolvedById: ref('Users', { allowNull: true, onDelete: 'SET NULL' }),
+        ...timestamps()
+      },
+      indexes: [
+        {
+          name: 'reports_reporter_id_target_type_target_id',
+          unique: true,
+          fields: ['reporterId', 'targetType', 'targetId']
+        },
+        { name: 'reports_target_type_target_id', fields: ['targetType', 'targetId'] },
+        { name: 'reports_status_created_at', fields: ['status', 'createdAt'] }
+      ]
+    },
+    {
+      table: 'Notifications',
+      columns: {
+        id: id(),
+        type: { type: DataTypes.STRING, allowNull: false },
+        data: { type: DataTypes.JSONB, defaultValue: {} },
+        readAt: date(),
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        actorId: ref('Users', { allowNull: true, onDelete: 'SET NULL' }),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'notifications_user_id_created_at', fields: ['userId', 'createdAt'] },
+        { name: 'notifications_user_id_read_at', fields: ['userId', 'readAt'] }
+      ]
+    },
+    {
+      table: 'SavedSearches',
+      columns: {
+        id: id(),
+        name: { type: DataTypes.STRING(100), allowNull: false },
+        search: { type: DataTypes.TEXT, allowNull: false, defaultValue: '' },
+        category: { type: DataTypes.STRING, allowNull: true },
+        skills: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
+        budgetMin: { type: DataTypes.FLOAT, allowNull: true },
+        budgetMax: { type: DataTypes.FLOAT, allowNull: true },
+        alertFrequency: {
+          type: DataTypes.ENUM('instant', 'daily', 'off'),
+          allowNull: false,
+          defaultValue: 'instant'
+        },
+        lastDigestAt: date(),
+        userId: ref('Users', { onDelete: 'CASCADE' }),
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'saved_searches_user_id', fields: ['userId'] },
+        { name: 'saved_searches_alert_frequency', fields: ['alertFrequency'] }
+      ]
+    },
+    {
+      table: 'SavedSearchMatches',
+      columns: {
+        id: id(),
+        savedSearchId: ref('SavedSearches', { onDelete: 'CASCADE' }),
+        jobId: ref('Jobs', { onDelete: 'CASCADE' }),
+        notifiedAt: date(),
+        ...timestamps()
+      },
+      indexes: [
+        {
+          name: 'saved_search_matches_saved_search_id_job_id',
+          unique: true,
+          fields: ['savedSearchId', 'jobId']
+        },
+        { name: 'saved_search_matches_saved_search_id_notified_at', fields: ['savedSearchId', 'notifiedAt'] }
+      ]
+    },
+    {
+      table: 'Categories',
+      columns: {
+        id: id(),
+        name: { type: DataTypes.STRING, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+        aliases: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'categories_aliases', fields: ['aliases'], using: 'gin' }
+      ]
+    },
+    {
+      table: 'Skills',
+      columns: {
+        id: id(),
+        name: { type: DataTypes.STRING, allowNull: false },
+        slug: { type: DataTypes.STRING, allowNull: false, unique: true },
+        aliases: { type: DataTypes.ARRAY(DataTypes.STRING), defaultValue: [] },
+        ...timestamps()
+      },
+      indexes: [
+        { name: 'skills_aliases', fields: ['aliases'], using: 'gin' }
+      ]
+    },
+    // Tablas intermedias de likes y trabajos guardados
+    {
+      table: 'JobLikes',
+      columns: {
+        ...timestamps(),
+        JobId: ref('Jobs', { onDelete: 'CASCADE', primaryKey: true }),
+        UserId: ref('Users', { onDelete: 'CASCADE', primaryKey: true })
+      }
+    },
+    {
+      table: 'SavedJobs',
+      columns: {
+        ...timestamps(),
+        JobId: ref('Jobs', { onDelete: 'CASCADE', primaryKey: true }),
+        UserId: ref('Users', { onDelete: 'CASCADE', primaryKey: true })
+      }
+    }
+  ];
+};
+
+// Tipos ENUM que crea PostgreSQL para las columnas anteriores
+const ENUM_TYPES = [
+  'enum_Users_status',
+  'enum_Jobs_status',
+  'enum_Proposals_status',
+  'enum_Milestones_status',
+  'enum_LedgerEntries_account',
+  'enum_LedgerEntries_direction',
+  'enum_UserTokens_type',
+  'enum_Reports_targetType',
+  'enum_Reports_status',
+  'enum_SavedSearches_alertFrequency'
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    const schema = defineSchema(Sequelize.DataTypes);
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const existingTables = (await queryInterface.showAllTables({ transaction }))
+        .map(table => (typeof table === 'string' ? table : table.tableName));
+      const addedColumns = {};
+
+      for (const { table, columns, indexes = [] } of schema) {
+        if (!existingTables.includes(table)) {
+          await queryInterface.createTable(table, columns, { transaction });
+        } else {
+          // Tabla creada por sync(): añadir las columnas que falten
+          const current = await queryInterface.describeTable(table, { transaction });
+          addedColumns[table] = [];
+          for (const [column, definition] of Object.entries(columns)) {
+            if (!current[column]) {
+              await queryInterface.addColumn(table, column, definition, { transaction });
+              addedColumns[table].push(column);
+            }
+          }
+        }
+
+        const currentIndexes = (await queryInterface.showIndex(table, { transaction })).map(index => index.name);
+        for (const index of indexes) {
+          if (!currentIndexes.includes(index.name)) {
+            await queryInterface.addIndex(table, { ...index, transaction });
+          }
+        }
+      }
+
+      // Las cuentas anteriores a la verificación de email se consideran verificadas
+      if ((addedColumns.Users || []).includes('emailVerified')) {
+        await queryInterface.sequelize.query(
+          'UPDATE "Users" SET "emailVerified" = true, "emailVerifiedAt" = "createdAt"',
+          { transaction }
+        );
+      }
+
+      // Rellenar el vector de búsqueda de los trabajos que no lo tengan
+      await queryInterface.sequelize.query(
+        `UPDATE "Jobs" SET "searchVector" = ${SEARCH_VECTOR_SQL} WHERE "searchVector" IS NULL`,
+        { transaction }
+      );
+    });
+  },
+
+  async down(queryInterface) {
+    const tables = defineSchema(require('sequelize').DataTypes).map(({ table }) => table).reverse();
+
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const table of tables) {
+        await queryInterface.sequelize.query(`DROP TABLE IF EXISTS "${table}" CASCADE`, { transaction });
+      }
+      for (const type of ENUM_TYPES) {
+        await queryInterface.sequelize.query(`DROP TYPE IF EXISTS "${type}"`, { transaction });
+      }
+    });
+  }
+};
@@ -0,0 +1,47 @@
+/**
+ * Índices de chats
+ *
+ * ChatParticipants(chatId, userId) pasa a ser único: antes se podía añadir dos veces al
+ * mismo participante, así que se eliminan los duplicados conservando el más antiguo.
+ * Se añaden también los índices para listar los chats de un usuario y los mensajes de
+ * un chat en orden cronológico.
+ */
+const INDEXES = [
+  {
+    table: 'ChatParticipants',
+    name: 'chat_participants_chat_id_user_id',
+    unique: true,
+    fields: ['chatId', 'userId']
+  },
+  { table: 'ChatParticipants', name: 'chat_participants_user_id', fields: ['userId'] },
+  { table: 'Messages', name: 'messages_chat_id_created_at_id', fields: ['chatId', 'createdAt', 'id'] }
+];
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await queryInterface.sequelize.query(`
+        DELETE FROM "ChatParticipants" AS cp
+        USING "ChatParticipants" AS older
+        WHERE cp."chatId" = older."chatId"
+          AND cp."userId" = older."userId"
+          AND (cp."createdAt", cp.id) > (older."createdAt", older.id)
+      `, { transaction });
+
+      for (const { table, ...index } of INDEXES) {
+        const current = (await queryInterface.showIndex(table, { transaction })).map(item => item.name);
+        if (!current.includes(index.name)) {
+          await queryInterface.addIndex(table, { ...index, transaction });
+        }
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const { table, name } of INDEXES) {
+        await queryInterface.removeIndex(table, name, { transaction });
+      }
+    });
+  }
+};
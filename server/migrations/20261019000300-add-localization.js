@@ -0,0 +1,46 @@
+/**
+ * Idioma de los usuarios y mensajes del sistema traducibles
+ *
+ * Users.locale guarda el idioma preferido (null: se usa Accept-Language).
+ * Messages.systemKey y Messages.systemParams identifican los mensajes del sistema
+ * ("Un usuario ha abandonado el chat") para mostrarlos en el idioma de quien los lee;
+ * los que ya existían se reconocen por su texto.
+ */
+const LEGACY_SYSTEM_MESSAGES = {
+  participant_added: 'Un nuevo participante ha sido añadido al chat',
+  participant_left: 'Un usuario ha abandonado el chat'
+};
+
+const COLUMNS = [
+  { table: 'Users', name: 'locale', definition: (Sequelize) => ({ type: Sequelize.STRING(5), allowNull: true }) },
+  { table: 'Messages', name: 'systemKey', definition: (Sequelize) => ({ type: Sequelize.STRING(50), allowNull: true }) },
+  { table: 'Messages', name: 'systemParams', definition: (Sequelize) => ({ type: Sequelize.JSONB, allowNull: true }) }
+];
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const { table, name, definition } of COLUMNS) {
+        const current = await queryInterface.describeTable(table, { transaction });
+        if (!current[name]) {
+          await queryInterface.addColumn(table, name, definition(Sequelize), { transaction });
+        }
+      }
+
+      for (const [key, content] of Object.entries(LEGACY_SYSTEM_MESSAGES)) {
+        await queryInterface.sequelize.query(`
+          UPDATE "Messages" SET "systemKey" = :key, "systemParams" = '{}'::jsonb
+          WHERE content = :content AND "systemKey" IS NULL
+        `, { replacements: { key, content }, transaction });
+      }
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      for (const { table, name } of [...COLUMNS].reverse()) {
+        await queryInterface.removeColumn(table, name, { transaction });
+      }
+    });
+  }
+};
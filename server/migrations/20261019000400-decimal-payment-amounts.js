@@ -0,0 +1,30 @@
+/**
+ * Importes de pagos en DECIMAL
+ *
+ * Milestones.amount y LedgerEntries.amount eran FLOAT, que no representa los céntimos
+ * de forma exacta; pasan a DECIMAL(12, 2) redondeando los valores existentes.
+ */
+const TABLES = ['Milestones', 'LedgerEntries'];
+
+const changeAmountType = async (queryInterface, type, transaction) => {
+  for (const table of TABLES) {
+    await queryInterface.sequelize.query(
+      `ALTER TABLE "${table}" ALTER COLUMN amount TYPE ${type} USING ROUND(amount::numeric, 2)::${type}`,
+      { transaction }
+    );
+  }
+};
+
+module.exports = {
+  async up(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await changeAmountType(queryInterface, 'DECIMAL(12, 2)', transaction);
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      await changeAmountType(queryInterface, 'DOUBLE PRECISION', transaction);
+    });
+  }
+};
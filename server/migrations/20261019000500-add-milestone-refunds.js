@@ -0,0 +1,20 @@
+/**
+ * Reembolso de hitos al cancelar un trabajo
+ *
+ * Milestones.status admite 'refunded' y Milestones.refundedAt guarda cuándo se devolvió el depósito.
+ * ALTER TYPE ... ADD VALUE no se puede deshacer: down solo elimina la columna.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.query(`ALTER TYPE "enum_Milestones_status" ADD VALUE IF NOT EXISTS 'refunded'`);
+
+    const current = await queryInterface.describeTable('Milestones');
+    if (!current.refundedAt) {
+      await queryInterface.addColumn('Milestones', 'refundedAt', { type: Sequelize.DATE, allowNull: true });
+    }
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Milestones', 'refundedAt');
+  }
+};
@@ -0,0 +1,34 @@
+/**
+ * Freelancer al que se paga cada hito
+ *
+ * Milestones.freelancerId guarda el freelancer asignado cuando se fondeó el hito; la liberación
+ * le paga a él aunque el trabajo se haya reasignado. Los hitos ya fondeados toman el
+ * freelancer asignado actualmente a su trabajo.
+ */
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.sequelize.transaction(async (transaction) => {
+      const current = await queryInterface.describeTable('Milestones');
+      if (!current.freelancerId) {
+        await queryInterface.addColumn('Milestones', 'freelancerId', {
+          type: Sequelize.UUID,
+          allowNull: true,
+          references: { model: 'Users', key: 'id' },
+          onUpdate: 'CASCADE',
+          onDelete: 'NO ACTION'
+        }, { transaction });
+      }
+
+      await queryInterface.sequelize.query(`
+        UPDATE "Milestones" m
+        SET "freelancerId" = j."assignedFreelancerId"
+        FROM "Jobs" j
+        WHERE j.id = m."jobId" AND m.status <> 'pending' AND m."freelancerId" IS NULL
+      `, { transaction });
+    });
+  },
+
+  async down(queryInterface) {
+    await queryInterface.removeColumn('Milestones', 'freelancerId');
+  }
+};
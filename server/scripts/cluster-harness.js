@@ -0,0 +1,194 @@
+/**
+ * Prueba de escalado horizontal con dos instancias del servidor
+ *
+ * Arranca dos instancias en puertos distintos contra el mismo Redis y la misma base de datos,
+ * conecta un cliente de Socket.IO a cada una y comprueba que los mensajes y los cambios de
+ * presencia llegan de una instancia a la otra. Antes de arrancarlas ejecuta las migraciones
+ * pendientes, porque el servidor no arranca con la base de datos desactualizada.
+ *
+ * Uso: REDIS_URL=redis://localhost:6379 npm run test:cluster
+ */
+const path = require('path');
+const { spawn } = require('child_process');
+const { io: connect } = require('socket.io-client');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { sequelize } = require('../src/config/database');
+const { migrateUp } = require('../src/services/migration.service');
+
+const REDIS_URL = process.env.REDIS_URL || 'redis://localhost:6379';
+const PORTS = [
+  parseInt(process.env.HARNESS_PORT_A, 10) || 5101,
+  parseInt(process.env.HARNESS_PORT_B, 10) || 5102
+];
+const TIMEOUT = 10000;
+
+const servers = [];
+const sockets = [];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const startInstance = (port) => new Promise((resolve, reject) => {
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'src', 'index.js')], {
+    env: {
+      ...process.env,
+      PORT: String(port),
+      REDIS_URL,
+      NODE_ID: `harness-${port}`,
+      EMAIL_VERIFICATION_REQUIRED: 'false'
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  servers.push(child);
+
+  const timer = setTimeout(() => reject(new Error(`La instancia del puerto ${port} no arrancó a tiempo`)), TIMEOUT * 3);
+
+  child.stdout.on('data', (data) => {
+    if (data.toString().includes(`Servidor iniciado en el puerto ${port}`)) {
+      clearTimeout(timer);
+      resolve(child);
+    }
+  });
+  child.stderr.on('data', (data) => process.stderr.write(`[${port}] ${data}`));
+  child.on('exit', (code) => {
+    clearTimeout(timer);
+    reject(new Error(`La instancia del puerto ${port} terminó con código ${code}`));
+  });
+});
+
+const api = async (port, method, url, token, body) => {
+  const response = await fetch(`http://localhost:${port}/api${url}`, {
+    method,
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {})
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error(`${method} ${url} respondió ${response.status}: ${data.message}`);
+  }
+  return data;
+};
+
+const registerUser = (port, label) => api(port, 'POST', '/auth/register', null, {
+  name: `Harness ${label}`,
+  email: `harness-${label}-${Date.now()}@example.com`,
+  password: 'harness-password'
+});
+
+const connectSocket = (port, token) => new Promise((resolve, reject) => {
+  const socket = connect(`http://localhost:${port}`, { auth: { token }, transports: ['websocket'] });
+  sockets.push(socket);
+  socket.once('connect', () => resolve(socket));
+  socket.once('connect_error', reject);
+});
+
+const waitFor = (socket, event, predicate = () => true) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => {
+    socket.off(event, handler);
+    reject(new Error(`No se recibió el evento ${event}`));
+  }, TIMEOUT);
+
+  function handler(payload) {
+    if (!predicate(payload)) return;
+    clearTimeout(timer);
+    socket.off(event, handler);
+    resolve(payload);
+  }
+
+  socket.on(event, handler);
+});
+
+const check = async (description, fn) => {
+  await fn();
+  console.log(`✓ ${description}`);
+};
+
+const run = async () => {
+  await migrateUp();
+  await sequelize.close();
+
+  console.log(`Arrancando instancias en los puertos ${PORTS.join(' y ')} (Redis: ${REDIS_URL})`);
+  await Promise.all(PORTS.map(startInstance));
+
+  const [portA, portB] = PORTS;
+  const alice = await registerUser(portA, 'a');
+  const bob = await registerUser(portB, 'b');
+
+  const { chat } = await api(portA, 'POST', '/chats', alice.token, { participantIds: [bob.user.id] });
+
+  const bobSocket = await connectSocket(portB, bob.token);
+  bobSocket.emit('join_chat', { chatId: chat.id });
+
+  let aliceSocket;
+  await check('La conexión en la instancia A se notifica en la instancia B', async () => {
+    const online = waitFor(bobSocket, 'user_status_change', s => s.userId === alice.user.id && s.isOnline);
+    aliceSocket = await connectSocket(portA, alice.token);
+    aliceSocket.emit('join_chat', { chatId: chat.id });
+    await online;
+  });
+
+  // Dar tiempo a que ambos sockets se unan a la sala del chat
+  await sleep(500);
+
+  await check('Un mensaje enviado por socket en A llega a B', async () => {
+    const received = waitFor(bobSocket, 'new_message', m => m.content === 'hola desde A');
+    aliceSocket.emit('send_message', { chatId: chat.id, content: 'hola desde A' });
+    await received;
+  });
+
+  await check('Un mensaje enviado por REST a B llega a A', async () => {
+    const received = waitFor(aliceSocket, 'new_message', m => m.content === 'hola desde B');
+    await api(portB, 'POST', `/chats/${chat.id}/messages`, bob.token, { content: 'hola desde B' });
+    await received;
+  });
+
+  let bobSecondSocket;
+  await check('Un segundo socket en B mantiene a Bob conectado al cerrar el primero', async () => {
+    bobSecondSocket = await connectSocket(portB, bob.token);
+    let wentOffline = false;
+    const listener = (s) => {
+      if (s.userId === bob.user.id && !s.isOnline) wentOffline = true;
+    };
+    aliceSocket.on('user_status_change', listener);
+    bobSocket.disconnect();
+    await sleep(1000);
+    aliceSocket.off('user_status_change', listener);
+    if (wentOffline) {
+      throw new Error('Bob aparece desconectado aunque sigue teniendo un socket abierto');
+    }
+  });
+
+  await check('La desconexión en A se notifica en B', async () => {
+    const offline = waitFor(bobSecondSocket, 'user_status_change', s => s.userId === alice.user.id && !s.isOnline);
+    aliceSocket.disconnect();
+    await offline;
+  });
+};
+
+const cleanup = async () => {
+  sockets.forEach(socket => socket.disconnect());
+  for (const child of servers) {
+    if (child.exitCode === null) {
+      child.removeAllListeners('exit');
+      const exited = new Promise(resolve => child.once('exit', resolve));
+      child.kill('SIGTERM');
+      await Promise.race([exited, sleep(5000)]);
+      if (child.exitCode === null) child.kill('SIGKILL');
+    }
+  }
+};
+
+run()
+  .then(async () => {
+    await cleanup();
+    console.log('Prueba de clúster completada correctamente.');
+    process.exit(0);
+  })
+  .catch(async (error) => {
+    console.error('Prueba de clúster fallida:', error.message);
+    await cleanup();
+    process.exit(1);
+  });
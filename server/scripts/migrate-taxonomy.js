@@ -0,0 +1,137 @@
+/**
+ * Migrar las categorías y habilidades escritas libremente a sus nombres canónicos
+ *
+ * Crea la taxonomía por defecto y recorre trabajos, perfiles y búsquedas guardadas
+ * sustituyendo cada valor por su nombre canónico ("ReactJS" → "React"). Las habilidades
+ * desconocidas se crean como nuevas; las categorías desconocidas también, para no perder
+ * datos, y se listan al final para que se revisen (y se añadan como alias en
+ * src/config/taxonomy.js si corresponde).
+ *
+ * Todo se hace en una transacción. Con --dry-run se muestra el resultado sin guardar nada.
+ *
+ * Uso: npm run taxonomy:migrate -- [--dry-run]
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { Op } = require('sequelize');
+const { Job, User, SavedSearch, Category, sequelize } = require('../src/models');
+const { slugify, normalizeSkills, normalizeCategory, syncDefaultTaxonomy } = require('../src/services/taxonomy.service');
+
+const BATCH_SIZE = 500;
+const dryRun = process.argv.includes('--dry-run');
+
+const sameList = (a = [], b = []) => a.length === b.length && a.every((item, index) => item === b[index]);
+
+/**
+ * Recorrer una tabla por lotes ordenados por id
+ */
+const eachBatch = async (model, attributes, transaction, handler) => {
+  let lastId = null;
+  for (;;) {
+    const rows = await model.findAll({
+      where: lastId ? { id: { [Op.gt]: lastId } } : {},
+      attributes,
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE,
+      transaction
+    });
+    if (rows.length === 0) return;
+
+    for (const row of rows) {
+      await handler(row);
+    }
+    lastId = rows[rows.length - 1].id;
+  }
+};
+
+/**
+ * Nombre canónico de una categoría; las desconocidas se crean
+ */
+const resolveCategory = async (value, transaction, createdCategories) => {
+  const { category } = await normalizeCategory(value, { transaction });
+  if (category) return category;
+
+  const name = String(value).trim();
+  const [created, isNew] = await Category.findOrCreate({
+    where: { slug: slugify(name) },
+    defaults: { name },
+    transaction
+  });
+  if (isNew) createdCategories.push(created.name);
+  return created.name;
+};
+
+const run = async () => {
+  await syncDefaultTaxonomy();
+
+  const t = await sequelize.transaction();
+  const stats = { jobs: 0, users: 0, savedSearches: 0 };
+  const createdCategories = [];
+
+  try {
+    await eachBatch(Job, ['id', 'category', 'skills'], t, async (job) => {
+      const category = job.category ? await resolveCategory(job.category, t, createdCategories) : job.category;
+      const { skills } = await normalizeSkills(job.skills || [], { transaction: t });
+
+      if (category !== job.category || !sameList(skills, job.skills)) {
+        job.category = category;
+        job.skills = skills;
+        // El hook afterSave recalcula el vector de búsqueda
+        await job.save({ transaction: t, fields: ['category', 'skills'] });
+        stats.jobs++;
+      }
+    });
+
+    await eachBatch(User, ['id', 'skills'], t, async (user) => {
+      const { skills } = await normalizeSkills(user.skills || [], { transaction: t });
+
+      if (!sameList(skills, user.skills)) {
+        user.skills = skills;
+        await user.save({ transaction: t, fields: ['skills'] });
+        stats.users++;
+      }
+    });
+
+    // Las búsquedas guardadas comparan las habilidades en minúsculas
+    await eachBatch(SavedSearch, ['id', 'category', 'skills'], t, async (savedSearch) => {
+      const category = savedSearch.category
+        ? await resolveCategory(savedSearch.category, t, createdCategories)
+        : savedSearch.category;
+      const { skills } = await normalizeSkills(savedSearch.skills || [], { transaction: t, create: false });
+      const lowerSkills = skills.map(skill => skill.toLowerCase());
+
+      if (category !== savedSearch.category || !sameList(lowerSkills, savedSearch.skills)) {
+        savedSearch.category = category;
+        savedSearch.skills = lowerSkills;
+        await savedSearch.save({ transaction: t, fields: ['category', 'skills'] });
+        stats.savedSearches++;
+      }
+    });
+
+    if (dryRun) {
+      await t.rollback();
+    } else {
+      await t.commit();
+    }
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+
+  console.log(dryRun ? 'Simulación (no se ha guardado ningún cambio):' : 'Migración completada:');
+  console.log(`  Trabajos actualizados: ${stats.jobs}`);
+  console.log(`  Perfiles actualizados: ${stats.users}`);
+  console.log(`  Búsquedas guardadas actualizadas: ${stats.savedSearches}`);
+  if (createdCategories.length > 0) {
+    console.log(`  Categorías nuevas (revisar): ${createdCategories.join(', ')}`);
+  }
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Error al migrar la taxonomía:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
@@ -0,0 +1,58 @@
+/**
+ * Ejecutar o revertir las migraciones de la base de datos (carpeta migrations/)
+ *
+ * Uso:
+ *   npm run migrate                          Ejecutar las migraciones pendientes
+ *   npm run migrate:down -- [--steps=N]      Revertir las últimas N migraciones (1 por defecto)
+ *   npm run migrate:status                   Ver migraciones ejecutadas y pendientes
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { sequelize } = require('../src/config/database');
+const { getMigrationStatus, migrateUp, migrateDown } = require('../src/services/migration.service');
+
+const [command = 'up', ...args] = process.argv.slice(2);
+
+const readOption = (name, fallback) => {
+  const arg = args.find(item => item.startsWith(`--${name}=`));
+  return arg ? arg.split('=')[1] : fallback;
+};
+
+const run = async () => {
+  if (command === 'status') {
+    const { executed, pending } = await getMigrationStatus();
+    executed.forEach(name => console.log(`  [x] ${name}`));
+    pending.forEach(name => console.log(`  [ ] ${name}`));
+    console.log(`${executed.length} ejecutadas, ${pending.length} pendientes`);
+    return;
+  }
+
+  if (command === 'up') {
+    const executed = await migrateUp();
+    console.log(executed.length > 0
+      ? `${executed.length} migraciones ejecutadas`
+      : 'La base de datos está actualizada');
+    return;
+  }
+
+  if (command === 'down') {
+    const steps = parseInt(readOption('steps', '1'), 10);
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw new Error('--steps debe ser un número entero mayor que 0');
+    }
+    const reverted = await migrateDown({ steps });
+    console.log(`${reverted.length} migraciones revertidas`);
+    return;
+  }
+
+  throw new Error(`Comando desconocido: ${command} (usa up, down o status)`);
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Error en las migraciones:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
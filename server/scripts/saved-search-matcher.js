@@ -0,0 +1,45 @@
+/**
+ * Ejecutar manualmente el proceso de alertas de búsquedas guardadas
+ *
+ * Busca coincidencias para los trabajos publicados en las últimas horas (las que ya existen
+ * se ignoran) y envía los resúmenes diarios pendientes. Las notificaciones se guardan en la
+ * base de datos; al no haber Socket.IO no se envían en tiempo real.
+ *
+ * Uso: npm run saved-searches:match -- [--hours=24] [--skip-digest] [--force-digest]
+ *   --hours         Antigüedad máxima de los trabajos a procesar (24 por defecto)
+ *   --skip-digest   No enviar los resúmenes diarios
+ *   --force-digest  Enviar los resúmenes aunque no hayan pasado 24 horas desde el anterior
+ */
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const { sequelize } = require('../src/models');
+const { matchRecentJobs, sendDigests } = require('../src/services/saved-search.service');
+
+const getOption = (name) => {
+  const arg = process.argv.find(item => item === `--${name}` || item.startsWith(`--${name}=`));
+  if (!arg) return null;
+  return arg.includes('=') ? arg.split('=')[1] : true;
+};
+
+const run = async () => {
+  const hours = parseFloat(getOption('hours')) || 24;
+  const since = new Date(Date.now() - hours * 60 * 60 * 1000);
+
+  const totals = await matchRecentJobs(null, since);
+  console.log(`Trabajos procesados desde ${since.toISOString()}: ${totals.jobs}`);
+  console.log(`Coincidencias nuevas: ${totals.matched} (alertas inmediatas: ${totals.notified})`);
+
+  if (!getOption('skip-digest')) {
+    const sent = await sendDigests(null, { force: Boolean(getOption('force-digest')) });
+    console.log(`Resúmenes diarios enviados: ${sent}`);
+  }
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Error al procesar las búsquedas guardadas:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
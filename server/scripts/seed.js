@@ -0,0 +1,44 @@
+/**
+ * Cargar los datos de demostración (carpeta seeders/)
+ *
+ * Cada seeder exporta up(models, { transaction }) y devuelve un resumen de lo que ha hecho.
+ * Se ejecutan en orden y cada uno en su propia transacción; deben poder ejecutarse varias
+ * veces sin duplicar datos. Requiere la base de datos migrada y la taxonomía por defecto,
+ * que se crea aquí si falta.
+ *
+ * Uso: npm run seed
+ */
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+const models = require('../src/models');
+const { getMigrationStatus } = require('../src/services/migration.service');
+const { syncDefaultTaxonomy } = require('../src/services/taxonomy.service');
+
+const SEEDERS_DIR = path.join(__dirname, '..', 'seeders');
+const { sequelize } = models;
+
+const run = async () => {
+  const { pending } = await getMigrationStatus();
+  if (pending.length > 0) {
+    throw new Error('Hay migraciones pendientes: ejecuta npm run migrate primero');
+  }
+
+  await syncDefaultTaxonomy();
+
+  const files = fs.readdirSync(SEEDERS_DIR).filter(file => file.endsWith('.js')).sort();
+  for (const file of files) {
+    const seeder = require(path.join(SEEDERS_DIR, file));
+    const summary = await sequelize.transaction(transaction => seeder.up(models, { transaction }));
+    console.log(`${file}: ${summary}`);
+  }
+};
+
+run()
+  .then(() => sequelize.close())
+  .catch(async (error) => {
+    console.error('Error al cargar los datos de demostración:', error);
+    await sequelize.close();
+    process.exitCode = 1;
+  });
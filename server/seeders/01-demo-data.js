@@ -0,0 +1,142 @@
+/**
+ * Datos de demostración: un cliente, dos freelancers y un administrador, algunos trabajos
+ * con propuestas y un chat entre el cliente y un freelancer.
+ *
+ * Todos los usuarios tienen el email verificado y la contraseña SEED_PASSWORD (demo1234
+ * por defecto). Se usan los modelos para que se apliquen los hooks (hash de la contraseña
+ * y vector de búsqueda de los trabajos).
+ */
+const DEMO_PASSWORD = process.env.SEED_PASSWORD || 'demo1234';
+
+const USERS = [
+  {
+    key: 'client',
+    name: 'Clara Cliente',
+    email: 'cliente@demo.workflowconnect.dev',
+    role: 'client',
+    bio: 'Responsable de producto en una tienda online.'
+  },
+  {
+    key: 'developer',
+    name: 'Diego Desarrollador',
+    email: 'freelancer@demo.workflowconnect.dev',
+    role: 'freelancer',
+    bio: 'Desarrollador full stack especializado en React y Node.js.',
+    skills: ['JavaScript', 'React', 'Node.js', 'TypeScript'],
+    hourlyRate: 35
+  },
+  {
+    key: 'designer',
+    name: 'Diana Diseñadora',
+    email: 'disenadora@demo.workflowconnect.dev',
+    role: 'freelancer',
+    bio: 'Diseño de interfaces e identidad visual.',
+    skills: ['Figma', 'Photoshop', 'Illustrator'],
+    hourlyRate: 28
+  },
+  {
+    key: 'admin',
+    name: 'Admin Demo',
+    email: 'admin@demo.workflowconnect.dev',
+    role: 'admin'
+  }
+];
+
+const JOBS = [
+  {
+    key: 'shop',
+    title: 'Migrar tienda online a React',
+    description: 'Necesitamos rehacer el frontal de nuestra tienda con React y conectarlo a la API existente en Node.js.',
+    budget: 2500,
+    category: 'Desarrollo Web',
+    skills: ['React', 'Node.js', 'JavaScript'],
+    owner: 'client'
+  },
+  {
+    key: 'logo',
+    title: 'Rediseño de logotipo e identidad visual',
+    description: 'Buscamos un logotipo nuevo y una guía de estilo básica para la marca.',
+    budget: 600,
+    category: 'Diseño Gráfico',
+    skills: ['Illustrator', 'Figma'],
+    owner: 'client'
+  },
+  {
+    key: 'seo',
+    title: 'Auditoría SEO del blog',
+    description: 'Revisión técnica y de contenidos del blog con propuestas de mejora.',
+    budget: 400,
+    category: 'Marketing Digital',
+    skills: ['SEO', 'Marketing de contenidos'],
+    owner: 'client'
+  }
+];
+
+const MESSAGES = [
+  { from: 'client', content: 'Hola Diego, he visto tu propuesta para la tienda. ¿Tienes disponibilidad este mes?' },
+  { from: 'developer', content: '¡Hola Clara! Sí, podría empezar la semana que viene.' },
+  { from: 'client', content: 'Perfecto, te paso la documentación de la API.' }
+];
+
+module.exports = {
+  async up({ User, Job, Proposal, Chat, ChatParticipant, Message }, { transaction }) {
+    const existing = await User.count({ where: { email: USERS.map(user => user.email) }, transaction });
+    if (existing > 0) {
+      return 'Los datos de demostración ya existen';
+    }
+
+    const users = {};
+    for (const { key, ...data } of USERS) {
+      users[key] = await User.create({
+        ...data,
+        password: DEMO_PASSWORD,
+        emailVerified: true,
+        emailVerifiedAt: new Date()
+      }, { transaction });
+    }
+
+    const jobs = {};
+    for (const { key, owner, ...data } of JOBS) {
+      jobs[key] = await Job.create({ ...data, userId: users[owner].id }, { transaction });
+    }
+
+    await Proposal.bulkCreate([
+      {
+        jobId: jobs.shop.id,
+        userId: users.developer.id,
+        coverLetter: 'He migrado varias tiendas a React; puedo entregarla por fases.',
+        amount: 2300,
+        deliveryDays: 30
+      },
+      {
+        jobId: jobs.logo.id,
+        userId: users.designer.id,
+        coverLetter: 'Te propongo tres conceptos iniciales y dos rondas de cambios.',
+        amount: 550,
+        deliveryDays: 10
+      }
+    ], { transaction });
+
+    const chat = await Chat.create({ name: '', isGroup: false }, { transaction });
+    await ChatParticipant.bulkCreate([
+      { chatId: chat.id, userId: users.client.id },
+      { chatId: chat.id, userId: users.developer.id }
+    ], { transaction });
+
+    // Mensajes con un minuto de diferencia para que el orden sea estable
+    const start = Date.now() - MESSAGES.length * 60 * 1000;
+    for (const [index, { from, content }] of MESSAGES.entries()) {
+      const createdAt = new Date(start + index * 60 * 1000);
+      await Message.create({
+        chatId: chat.id,
+        userId: users[from].id,
+        content,
+        createdAt,
+        updatedAt: createdAt
+      }, { transaction, silent: true });
+    }
+    await chat.update({ lastMessageAt: new Date() }, { transaction });
+
+    return `${USERS.length} usuarios, ${JOBS.length} trabajos y 1 chat creados`;
+  }
+};
@@ -0,0 +1,63 @@
+// Roles de usuario
+const ROLES = ['client', 'freelancer', 'admin'];
+
+// Roles que se pueden elegir libremente al registrarse
+// (el rol admin requiere ADMIN_INVITE_CODE)
+const SELF_ASSIGNABLE_ROLES = ['client', 'freelancer'];
+
+const ALL = ROLES;
+
+/**
+ * Matriz de permisos: qué roles pueden realizar cada acción
+ * La propiedad (dueño del trabajo, freelancer asignado, participante del chat)
+ * se sigue comprobando en cada controlador.
+ */
+const PERMISSIONS = {
+  // Trabajos
+  'jobs:create': ['client'],
+  'jobs:manage': ['client'],
+  'jobs:transition': ['client', 'freelancer'],
+  'jobs:interact': ALL,
+  'jobs:recommendations': ['freelancer'],
+
+  // Propuestas
+  'proposals:submit': ['freelancer'],
+  'proposals:read': ['client', 'freelancer'],
+  'proposals:decide': ['client'],
+
+  // Hitos, pagos y valoraciones
+  'milestones:read': ['client', 'freelancer'],
+  'milestones:manage': ['client'],
+  'milestones:submit': ['freelancer'],
+  'reviews:create': ['client', 'freelancer'],
+
+  // Chats
+  'chats:use': ALL,
+
+  // Denuncias
+  'reports:create': ALL,
+
+  // Usuarios
+  'profile:update': ALL,
+  'users:manage': ['admin']
+};
+
+/**
+ * Comprobar si un rol tiene un permiso
+ */
+const hasPermission = (role, permission) => {
+  const roles = PERMISSIONS[permission];
+
+  if (!roles) {
+    throw new Error(`Permiso desconocido: ${permission}`);
+  }
+
+  return roles.includes(role);
+};
+
+module.exports = {
+  ROLES,
+  SELF_ASSIGNABLE_ROLES,
+  PERMISSIONS,
+  hasPermission
+};
@@ -0,0 +1,53 @@
+require('dotenv').config();
+
+/**
+ * Límites de peticiones
+ *
+ * Cada límite cuenta los intentos en una ventana fija de `windowMs`, por IP (`ip`) y por usuario
+ * autenticado (`user`); se rechaza cuando se supera cualquiera de los dos. Un máximo de 0
+ * desactiva ese contador. Se configuran con RATE_LIMIT_<NOMBRE>_WINDOW (segundos),
+ * RATE_LIMIT_<NOMBRE>_IP y RATE_LIMIT_<NOMBRE>_USER, por ejemplo RATE_LIMIT_MESSAGES_USER=30.
+ */
+const readInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+const defineLimit = (name, { window, ip, user }) => {
+  const prefix = `RATE_LIMIT_${name.toUpperCase()}`;
+  return {
+    windowMs: readInt(`${prefix}_WINDOW`, window) * 1000,
+    ip: readInt(`${prefix}_IP`, ip),
+    user: readInt(`${prefix}_USER`, user)
+  };
+};
+
+const RATE_LIMITS = {
+  // Registro, inicio de sesión y recuperación de contraseña (aún no hay usuario)
+  auth: defineLimit('auth', { window: 15 * 60, ip: 20, user: 0 }),
+  // Comentarios y respuestas en los trabajos
+  comments: defineLimit('comments', { window: 60, ip: 30, user: 10 }),
+  // Mensajes de chat (REST, adjuntos y Socket.io comparten el contador)
+  messages: defineLimit('messages', { window: 60, ip: 120, user: 60 }),
+  // Evento typing de Socket.io (al superarlo se descarta sin avisar)
+  typing: defineLimit('typing', { window: 10, ip: 0, user: 20 }),
+  // Búsqueda de trabajos y usuarios
+  search: defineLimit('search', { window: 60, ip: 60, user: 60 })
+};
+
+// Bloqueo de la cuenta tras LOGIN_MAX_ATTEMPTS inicios de sesión fallidos seguidos
+// en LOGIN_ATTEMPT_WINDOW segundos; dura LOGIN_LOCKOUT_DURATION segundos (0 lo desactiva)
+const LOGIN_LOCKOUT = {
+  maxAttempts: readInt('LOGIN_MAX_ATTEMPTS', 5),
+  windowMs: readInt('LOGIN_ATTEMPT_WINDOW', 15 * 60) * 1000,
+  durationMs: readInt('LOGIN_LOCKOUT_DURATION', 15 * 60) * 1000
+};
+
+// RATE_LIMIT_ENABLED=false desactiva todos los límites y el bloqueo (por ejemplo, en pruebas de carga)
+const isRateLimitEnabled = () => process.env.RATE_LIMIT_ENABLED !== 'false';
+
+module.exports = {
+  RATE_LIMITS,
+  LOGIN_LOCKOUT,
+  isRateLimitEnabled
+};
@@ -0,0 +1,25 @@
+const { createClient } = require('redis');
+require('dotenv').config();
+
+// Sin REDIS_URL el servidor funciona en modo de una sola instancia
+const isRedisEnabled = () => Boolean(process.env.REDIS_URL);
+
+/**
+ * Crear y conectar un cliente de Redis
+ */
+const createRedisClient = async (name = 'default') => {
+  const client = createClient({ url: process.env.REDIS_URL });
+
+  client.on('error', (error) => {
+    console.error(`Error en el cliente de Redis (${name}):`, error);
+  });
+
+  await client.connect();
+
+  return client;
+};
+
+module.exports = {
+  isRedisEnabled,
+  createRedisClient
+};
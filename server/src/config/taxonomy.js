@@ -0,0 +1,81 @@
+// Categorías y habilidades canónicas que se crean al arrancar el servidor
+// Los alias son otras formas de escribir el mismo valor. Al normalizar se ignoran mayúsculas,
+// tildes, espacios y signos de puntuación, por lo que "ReactJS" y "React JS" ya equivalen a
+// "React.js" sin necesidad de añadirlos.
+// Para añadir un alias basta con añadirlo aquí: los alias se fusionan con los existentes.
+
+const DEFAULT_CATEGORIES = [
+  { name: 'Desarrollo Web', aliases: ['Web', 'Web Development', 'Programación web'] },
+  { name: 'Diseño Gráfico', aliases: ['Diseño', 'Graphic Design'] },
+  { name: 'Marketing Digital', aliases: ['Marketing', 'Digital Marketing', 'Marketing online'] },
+  { name: 'Redacción', aliases: ['Copywriting', 'Writing', 'Redacción de contenidos'] },
+  { name: 'Traducción', aliases: ['Translation', 'Traducciones'] },
+  { name: 'Administración', aliases: ['Admin', 'Asistencia virtual'] },
+  { name: 'Contabilidad', aliases: ['Accounting', 'Finanzas'] },
+  { name: 'Video y Animación', aliases: ['Vídeo y Animación', 'Video', 'Animación', 'Video & Animation'] },
+  { name: 'Música y Audio', aliases: ['Música', 'Audio', 'Music & Audio'] },
+  { name: 'Programación', aliases: ['Desarrollo', 'Programming', 'Software', 'Desarrollo de software'] },
+  { name: 'Análisis de Datos', aliases: ['Datos', 'Data', 'Data Analysis'] },
+  { name: 'Otro', aliases: ['Otros', 'Other', 'Varios'] }
+];
+
+const DEFAULT_SKILLS = [
+  { name: 'HTML', aliases: ['HTML5'] },
+  { name: 'CSS', aliases: ['CSS3'] },
+  { name: 'JavaScript', aliases: ['JS', 'ECMAScript', 'ES6'] },
+  { name: 'TypeScript', aliases: ['TS'] },
+  { name: 'React', aliases: ['React.js'] },
+  { name: 'Angular', aliases: ['AngularJS'] },
+  { name: 'Vue.js', aliases: ['Vue'] },
+  { name: 'Node.js', aliases: ['Node'] },
+  { name: 'Python', aliases: ['Python3'] },
+  { name: 'PHP', aliases: [] },
+  { name: 'WordPress', aliases: ['WP'] },
+  { name: 'Shopify', aliases: [] },
+  { name: 'SEO', aliases: ['Posicionamiento web'] },
+  { name: 'SEM', aliases: [] },
+  { name: 'Photoshop', aliases: ['Adobe Photoshop'] },
+  { name: 'Illustrator', aliases: ['Adobe Illustrator'] },
+  { name: 'Adobe XD', aliases: ['XD'] },
+  { name: 'Figma', aliases: [] },
+  { name: 'Copywriting', aliases: [] },
+  { name: 'Marketing de contenidos', aliases: ['Content Marketing'] },
+  { name: 'Redes sociales', aliases: ['Social Media', 'Community Manager'] },
+  { name: 'Email marketing', aliases: ['Emailing'] },
+  { name: 'PPC', aliases: ['Pay per click'] },
+  { name: 'Traducción', aliases: ['Translation'] },
+  { name: 'Corrección de textos', aliases: ['Proofreading', 'Corrección'] },
+  { name: 'Gestión de proyectos', aliases: ['Project Management'] },
+  { name: 'Excel', aliases: ['Microsoft Excel', 'MS Excel'] },
+  { name: 'Word', aliases: ['Microsoft Word', 'MS Word'] },
+  { name: 'PowerPoint', aliases: ['Microsoft PowerPoint', 'MS PowerPoint'] },
+  { name: 'Contabilidad', aliases: ['Accounting'] },
+  { name: 'Impuestos', aliases: ['Taxes', 'Fiscalidad'] },
+  { name: 'After Effects', aliases: ['Adobe After Effects', 'AE'] },
+  { name: 'Premiere Pro', aliases: ['Adobe Premiere', 'Adobe Premiere Pro', 'Premiere'] },
+  { name: 'Animación 3D', aliases: ['3D Animation', '3D'] },
+  { name: 'Unity', aliases: ['Unity3D'] },
+  { name: 'Producción musical', aliases: ['Music Production'] },
+  { name: 'Mezcla de audio', aliases: ['Audio Mixing', 'Mezcla'] },
+  { name: 'Java', aliases: [] },
+  { name: 'C#', aliases: [] },
+  { name: 'Swift', aliases: [] },
+  { name: 'Kotlin', aliases: [] },
+  { name: 'Flutter', aliases: [] },
+  { name: 'React Native', aliases: ['RN'] },
+  { name: 'SQL', aliases: [] },
+  { name: 'MongoDB', aliases: ['Mongo'] },
+  { name: 'Firebase', aliases: [] },
+  { name: 'AWS', aliases: ['Amazon Web Services'] },
+  { name: 'Azure', aliases: ['Microsoft Azure'] },
+  { name: 'Google Cloud', aliases: ['GCP', 'Google Cloud Platform'] },
+  { name: 'Data Science', aliases: ['Ciencia de datos'] },
+  { name: 'Machine Learning', aliases: ['ML', 'Aprendizaje automático'] },
+  { name: 'Tableau', aliases: [] },
+  { name: 'Power BI', aliases: [] }
+];
+
+module.exports = {
+  DEFAULT_CATEGORIES,
+  DEFAULT_SKILLS
+};
@@ -0,0 +1,370 @@
+const { User, Job, Comment, Reply, Message, Report, AuditLog, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { CONTENT_MODELS, recordAudit, setContentHidden, emitContentVisibility } = require('../services/moderation.service');
+const { closeTargetReports } = require('../services/report.service');
+const { revokeSessions, disconnectSessionSockets } = require('../services/session.service');
+const { removeJob } = require('../services/job.service');
+const { BadRequestError, NotFoundError, fromServiceError } = require('../utils/errors');
+
+const parsePagination = (query) => {
+  const page = parseInt(query.page, 10) || 1;
+  const limit = Math.min(parseInt(query.limit, 10) || 20, 100);
+  return { page, limit, offset: (page - 1) * limit };
+};
+
+/**
+ * Resumen de un contenido moderado para el log de auditoría
+ */
+const summarizeContent = (content) => ({
+  userId: content.userId || null,
+  name: content.name,
+  title: content.title,
+  content: content.content
+});
+
+/**
+ * Listar usuarios (filtros: query, role, status)
+ */
+exports.listUsers = async (req, res, next) => {
+  try {
+    const { query, role, status } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const where = {};
+    if (query) {
+      where[Op.or] = [
+        { name: { [Op.iLike]: `%${query}%` } },
+        { email: { [Op.iLike]: `%${query}%` } }
+      ];
+    }
+    if (role) where.role = role;
+    if (status) where.status = status;
+
+    const { count, rows } = await User.findAndCountAll({
+      where,
+      attributes: { exclude: ['password'] },
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      users: rows,
+      total: count,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cambiar el estado de moderación de una cuenta (suspender, bloquear o reactivar)
+ * Al suspender o bloquear se cierran todas sus sesiones y sockets.
+ */
+const changeUserStatus = (status, action) => async (req, res, next) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const { userId } = req.params;
+    const { reason = '', until } = req.body;
+
+    if (userId === req.user.id) {
+      await t.rollback();
+      return next(new BadRequestError('No puedes moderar tu propia cuenta'));
+    }
+
+    const user = await User.findByPk(userId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!user) {
+      await t.rollback();
+      return next(new NotFoundError('Usuario no encontrado'));
+    }
+
+    if (user.role === 'admin' && status !== 'active') {
+      await t.rollback();
+      return next(new BadRequestError('No se puede suspender ni bloquear a un administrador'));
+    }
+
+    let suspendedUntil = null;
+    if (status === 'suspended' && until) {
+      suspendedUntil = new Date(until);
+      if (isNaN(suspendedUntil.getTime()) || suspendedUntil <= new Date()) {
+        await t.rollback();
+        return next(new BadRequestError('La fecha de fin de la suspensión debe ser futura'));
+      }
+    }
+
+    const previousStatus = user.status;
+    user.status = status;
+    user.suspendedUntil = suspendedUntil;
+    user.moderationReason = status === 'active' ? null : reason;
+    await user.save({ transaction: t });
+
+    await recordAudit({
+      actorId: req.user.id,
+      action,
+      targetType: 'user',
+      targetId: user.id,
+      reason,
+      metadata: { previousStatus, suspendedUntil }
+    }, t);
+
+    await t.commit();
+
+    if (status !== 'active') {
+      const revokedIds = await revokeSessions(user.id, { reason: action });
+      disconnectSessionSockets(req.app.get('io'), revokedIds);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: 'Estado de la cuenta actualizado correctamente',
+      user: user.toJSON()
+    });
+
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    return next(error);
+  }
+};
+
+exports.suspendUser = changeUserStatus('suspended', 'user.suspend');
+exports.banUser = changeUserStatus('banned', 'user.ban');
+exports.reinstateUser = changeUserStatus('active', 'user.reinstate');
+
+/**
+ * Ocultar o volver a mostrar un trabajo, comentario, respuesta, mensaje o perfil
+ */
+const changeContentVisibility = (hidden) => async (req, res, next) => {
+  try {
+    const { contentType, contentId } = req.params;
+    const { reason = '' } = req.body;
+    const { model, targetType, notFound } = CONTENT_MODELS[contentType];
+
+    const content = await model.findByPk(contentId);
+    if (!content) {
+      return next(new NotFoundError(notFound));
+    }
+
+    await setContentHidden(content, hidden, reason);
+    emitContentVisibility(req.app.get('io'), targetType, content);
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: `${targetType}.${hidden ? 'hide' : 'unhide'}`,
+      targetType,
+      targetId: content.id,
+      reason,
+      metadata: summarizeContent(content)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: hidden ? 'Contenido ocultado correctamente' : 'Contenido visible de nuevo',
+      [targetType]: content
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.hideContent = changeContentVisibility(true);
+exports.unhideContent = changeContentVisibility(false);
+
+/**
+ * Eliminar un trabajo, comentario o respuesta
+ */
+exports.deleteContent = async (req, res, next) => {
+  try {
+    const { contentType, contentId } = req.params;
+    const { reason = '' } = req.body;
+    const { model, targetType, notFound } = CONTENT_MODELS[contentType];
+
+    const content = await model.findByPk(contentId);
+    if (!content) {
+      return next(new NotFoundError(notFound));
+    }
+
+    const metadata = summarizeContent(content);
+
+    if (targetType === 'job') {
+      const { error } = await removeJob(content);
+      if (error) {
+        return next(fromServiceError(error));
+      }
+    } else if (targetType === 'comment') {
+      await Reply.destroy({ where: { commentId: content.id } });
+      await content.destroy();
+    } else {
+      await content.destroy();
+    }
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: `${targetType}.delete`,
+      targetType,
+      targetId: contentId,
+      reason,
+      metadata
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: 'Contenido eliminado correctamente'
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Modelos y atributos para mostrar el objetivo de cada denuncia
+const REPORT_TARGETS = {
+  job: { model: Job, attributes: ['id', 'title', 'userId', 'hiddenAt'] },
+  comment: { model: Comment, attributes: ['id', 'content', 'jobId', 'userId', 'hiddenAt'] },
+  reply: { model: Reply, attributes: ['id', 'content', 'commentId', 'userId', 'hiddenAt'] },
+  message: { model: Message, attributes: ['id', 'content', 'chatId', 'userId', 'deletedAt', 'hiddenAt'] },
+  user: { model: User, attributes: ['id', 'name', 'email', 'role', 'status', 'hiddenAt'] }
+};
+
+/**
+ * Ver el contenido denunciado (filtros: status, targetType)
+ */
+exports.listReports = async (req, res, next) => {
+  try {
+    const { status = 'pending', targetType } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const where = {};
+    if (status !== 'all') where.status = status;
+    if (targetType) where.targetType = targetType;
+
+    const { count, rows } = await Report.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'reporter', attributes: ['id', 'name', 'photoURL'] },
+        { model: User, as: 'resolvedBy', attributes: ['id', 'name'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    // Cargar los objetivos de cada tipo con una sola consulta
+    const targets = {};
+    for (const [type, { model, attributes }] of Object.entries(REPORT_TARGETS)) {
+      const ids = rows.filter(report => report.targetType === type).map(report => report.targetId);
+      if (ids.length === 0) continue;
+
+      const items = await model.findAll({ where: { id: ids }, attributes });
+      for (const item of items) {
+        targets[`${type}:${item.id}`] = item;
+      }
+    }
+
+    return res.status(200).json({
+      success: true,
+      reports: rows.map(report => ({
+        ...report.toJSON(),
+        target: targets[`${report.targetType}:${report.targetId}`] || null
+      })),
+      total: count,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cerrar una denuncia (resolved o dismissed) junto con las demás pendientes del mismo objetivo
+ * Al descartarlas, el contenido ocultado automáticamente vuelve a mostrarse.
+ */
+exports.resolveReport = async (req, res, next) => {
+  try {
+    const { reportId } = req.params;
+    const { status, reason = '' } = req.body;
+
+    if (!['resolved', 'dismissed'].includes(status)) {
+      return next(new BadRequestError('Estado no válido. Usa resolved o dismissed'));
+    }
+
+    const report = await Report.findByPk(reportId);
+    if (!report) {
+      return next(new NotFoundError('Denuncia no encontrada'));
+    }
+
+    // Cerrar todas las denuncias pendientes del mismo objetivo
+    const { closed, unhidden } = await closeTargetReports({
+      targetType: report.targetType,
+      targetId: report.targetId,
+      status,
+      actorId: req.user.id
+    }, req.app.get('io'));
+
+    await recordAudit({
+      actorId: req.user.id,
+      action: `report.${status === 'resolved' ? 'resolve' : 'dismiss'}`,
+      targetType: 'report',
+      targetId: report.id,
+      reason,
+      metadata: { targetType: report.targetType, targetId: report.targetId, closed, unhidden }
+    });
+
+    await report.reload();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Denuncia actualizada correctamente',
+      report,
+      closed,
+      unhidden
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Consultar el log de auditoría (filtros: actorId, action, targetType, targetId)
+ */
+exports.listAuditLogs = async (req, res, next) => {
+  try {
+    const { actorId, action, targetType, targetId } = req.query;
+    const { page, limit, offset } = parsePagination(req.query);
+
+    const where = {};
+    if (actorId) where.actorId = actorId;
+    if (action) where.action = action;
+    if (targetType) where.targetType = targetType;
+    if (targetId) where.targetId = targetId;
+
+    const { count, rows } = await AuditLog.findAndCountAll({
+      where,
+      include: [
+        { model: User, as: 'actor', attributes: ['id', 'name', 'email'] }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset
+    });
+
+    return res.status(200).json({
+      success: true,
+      logs: rows,
+      total: count,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
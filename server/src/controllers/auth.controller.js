@@ -1,75 +1,122 @@
 
-const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const sessionService = require('../services/session.service');
+const accountService = require('../services/account.service');
+const { SELF_ASSIGNABLE_ROLES } = require('../config/permissions');
+const { getAccountRestriction } = require('../services/moderation.service');
+const { getLoginLock, recordLoginFailure, clearLoginFailures } = require('../services/rate-limit.service');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, TooManyRequestsError, fromServiceError } = require('../utils/errors');
+const { resolveLocale } = require('../utils/i18n');
+
+// Un fallo del correo no debe impedir la operación principal
+const sendMailSafely = async (send, user) => {
+  try {
+    await send(user);
+  } catch (error) {
+    console.error(`Error al enviar correo a ${user.email}:`, error);
+  }
+};
+
+// Respuesta para un email bloqueado por demasiados inicios de sesión fallidos
+const accountLockedError = ({ retryAfter }) => new TooManyRequestsError(
+  'Demasiados intentos fallidos. Inténtalo de nuevo en {minutes} minutos',
+  { code: 'ACCOUNT_LOCKED', params: { minutes: Math.ceil(retryAfter / 60) }, details: { retryAfter } }
+);
 
 /**
  * Registrar un nuevo usuario
  */
-exports.register = async (req, res) => {
+exports.register = async (req, res, next) => {
   try {
-    const { name, email, password } = req.body;
+    const { name, email, password, role = 'client', adminInviteCode, locale = null } = req.body;
+    
+    // Validar el rol elegido; el rol admin requiere el código de invitación
+    if (role === 'admin') {
+      if (!process.env.ADMIN_INVITE_CODE || adminInviteCode !== process.env.ADMIN_INVITE_CODE) {
+        return next(new ForbiddenError('No puedes registrarte como administrador'));
+      }
+    } else if (!SELF_ASSIGNABLE_ROLES.includes(role)) {
+      return next(new BadRequestError('Rol no válido. Roles disponibles: {roles}', {
+        params: { roles: SELF_ASSIGNABLE_ROLES.join(', ') }
+      }));
+    }
+    
+    const invalidPassword = accountService.validatePassword(password);
+    if (invalidPassword) {
+      return next(fromServiceError(invalidPassword));
+    }
     
     // Verificar si el email ya está en uso
     const existingUser = await User.findOne({ where: { email } });
     if (existingUser) {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'El correo electrónico ya está registrado' 
-      });
+      return next(new BadRequestError('El correo electrónico ya está registrado'));
     }
     
     // Crear nuevo usuario
     const user = await User.create({
       name,
       email,
-      password
+      password,
+      role,
+      locale
     });
+    req.locale = resolveLocale(user, req.locale);
     
-    // Generar token JWT
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRATION
-    });
+    // La cuenta queda pendiente de verificar el email
+    await sendMailSafely(accountService.sendVerificationEmail, user);
+    
+    // Crear la sesión con token de acceso y token de actualización
+    const { session, token, refreshToken } = await sessionService.createSession(user.id, req);
     
     return res.status(201).json({
       success: true,
       message: 'Usuario registrado correctamente',
       user: user.toJSON(),
-      token
+      token,
+      refreshToken,
+      sessionId: session.id
     });
     
   } catch (error) {
-    console.error('Error en registro:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al registrar usuario',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Iniciar sesión
  */
-exports.login = async (req, res) => {
+exports.login = async (req, res, next) => {
   try {
     const { email, password } = req.body;
     
-    // Buscar usuario por email
-    const user = await User.findOne({ where: { email } });
-    if (!user) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales incorrectas'
-      });
+    // Tras varios intentos fallidos el email queda bloqueado un tiempo, aunque la contraseña sea correcta
+    const lock = await getLoginLock(email);
+    if (lock) {
+      res.set('Retry-After', String(lock.retryAfter));
+      return next(accountLockedError(lock));
     }
     
-    // Verificar contraseña
-    const isPasswordValid = await user.comparePassword(password);
+    // Buscar usuario por email y verificar contraseña
+    const user = await User.findOne({ where: { email } });
+    const isPasswordValid = user ? await user.comparePassword(password) : false;
     if (!isPasswordValid) {
-      return res.status(401).json({
-        success: false,
-        message: 'Credenciales incorrectas'
-      });
+      const newLock = await recordLoginFailure(email);
+      if (newLock) {
+        res.set('Retry-After', String(newLock.retryAfter));
+        return next(accountLockedError(newLock));
+      }
+      return next(new UnauthorizedError('Credenciales incorrectas'));
+    }
+    
+    await clearLoginFailures(email);
+    
+    // A partir de aquí se responde en el idioma elegido por el usuario
+    req.locale = resolveLocale(user, req.locale);
+    
+    // Las cuentas suspendidas o bloqueadas no pueden iniciar sesión
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return next(fromServiceError(restriction));
     }
     
     // Actualizar estado de conexión
@@ -77,35 +124,63 @@ exports.login = async (req, res) => {
     user.lastSeen = new Date();
     await user.save();
     
-    // Generar token JWT
-    const token = jwt.sign({ id: user.id }, process.env.JWT_SECRET, {
-      expiresIn: process.env.JWT_EXPIRATION
-    });
+    // Crear la sesión con token de acceso y token de actualización
+    const { session, token, refreshToken } = await sessionService.createSession(user.id, req);
     
     return res.status(200).json({
       success: true,
       message: 'Inicio de sesión exitoso',
       user: user.toJSON(),
-      token
+      token,
+      refreshToken,
+      sessionId: session.id
     });
     
   } catch (error) {
-    console.error('Error en inicio de sesión:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al iniciar sesión',
-      error: error.message
+    return next(error);
+  }
+};
+
+/**
+ * Renovar el token de acceso con un token de actualización (rotativo)
+ */
+exports.refresh = async (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    const result = await sessionService.rotateRefreshToken(refreshToken, req);
+    
+    if (result.error) {
+      // Si se ha detectado la reutilización del token, cerrar los sockets de la sesión
+      if (result.revokedSessionId) {
+        sessionService.disconnectSessionSockets(req.app.get('io'), [result.revokedSessionId]);
+      }
+      return next(fromServiceError(result.error));
+    }
+    
+    return res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      sessionId: result.session.id
     });
+    
+  } catch (error) {
+    return next(error);
   }
 };
 
 /**
- * Cerrar sesión
+ * Cerrar sesión (revoca la sesión actual)
  */
-exports.logout = async (req, res) => {
+exports.logout = async (req, res, next) => {
   try {
     const userId = req.user.id;
     
+    // Revocar la sesión y desconectar sus sockets
+    const revokedIds = await sessionService.revokeSessions(userId, { sessionIds: [req.sessionId] });
+    sessionService.disconnectSessionSockets(req.app.get('io'), revokedIds);
+    
     // Actualizar estado de conexión
     await User.update(
       { isOnline: false, lastSeen: new Date() },
@@ -118,34 +193,223 @@ exports.logout = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al cerrar sesión:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al cerrar sesión',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Verificar token (para mantener sesión)
  */
-exports.verifySession = async (req, res) => {
+exports.verifySession = async (req, res, next) => {
   try {
     // El middleware verifyToken ya verificó el token y añadió el usuario al request
-    const user = req.user;
+    return res.status(200).json({
+      success: true,
+      user: req.user,
+      sessionId: req.sessionId
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Listar las sesiones activas del usuario (dispositivos)
+ */
+exports.getSessions = async (req, res, next) => {
+  try {
+    const sessions = await sessionService.listUserSessions(req.user.id);
+    
+    return res.status(200).json({
+      success: true,
+      sessions: sessions.map(session => ({
+        ...session.toJSON(),
+        current: session.id === req.sessionId
+      }))
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revocar una sesión concreta del usuario
+ */
+exports.revokeSession = async (req, res, next) => {
+  try {
+    const { sessionId } = req.params;
+    
+    const revokedIds = await sessionService.revokeSessions(req.user.id, { sessionIds: [sessionId] });
+    
+    if (revokedIds.length === 0) {
+      return next(new NotFoundError('Sesión no encontrada'));
+    }
+    
+    sessionService.disconnectSessionSockets(req.app.get('io'), revokedIds);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Sesión revocada correctamente'
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Revocar todas las sesiones del usuario salvo la actual
+ */
+exports.revokeOtherSessions = async (req, res, next) => {
+  try {
+    const revokedIds = await sessionService.revokeSessions(req.user.id, { exceptSessionId: req.sessionId });
+    sessionService.disconnectSessionSockets(req.app.get('io'), revokedIds);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Sesiones revocadas correctamente',
+      revoked: revokedIds.length
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Verificar el email con el token recibido por correo
+ */
+exports.verifyEmail = async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    const { user, error } = await accountService.verifyEmail(token);
+    if (error) {
+      return next(fromServiceError(error));
+    }
     
     return res.status(200).json({
       success: true,
+      message: 'Correo electrónico verificado correctamente',
       user: user.toJSON()
     });
     
   } catch (error) {
-    console.error('Error al verificar sesión:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al verificar sesión',
-      error: error.message
+    return next(error);
+  }
+};
+
+/**
+ * Reenviar el correo de verificación al usuario autenticado
+ */
+exports.resendVerification = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id);
+    
+    if (user.emailVerified) {
+      return next(new BadRequestError('El correo electrónico ya está verificado'));
+    }
+    
+    await accountService.sendVerificationEmail(user);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Correo de verificación enviado'
     });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Solicitar el restablecimiento de la contraseña
+ * La respuesta es la misma exista o no la cuenta, para no revelar qué emails están registrados.
+ */
+exports.forgotPassword = async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    const user = typeof email === 'string' ? await User.findOne({ where: { email } }) : null;
+    if (user) {
+      await sendMailSafely(accountService.sendPasswordResetEmail, user);
+    }
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Si el correo está registrado, recibirás un enlace para restablecer la contraseña'
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Restablecer la contraseña con el token recibido por correo
+ * Cierra todas las sesiones abiertas del usuario.
+ */
+exports.resetPassword = async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    const { user, error } = await accountService.resetPassword(token, password);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+    
+    const revokedIds = await sessionService.revokeSessions(user.id, { reason: 'password_reset' });
+    sessionService.disconnectSessionSockets(req.app.get('io'), revokedIds);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Contraseña restablecida correctamente. Inicia sesión con la nueva contraseña'
+    });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cambiar la contraseña del usuario autenticado
+ * Se revocan el resto de sesiones; la sesión actual sigue abierta.
+ */
+exports.changePassword = async (req, res, next) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    
+    const user = await User.findByPk(req.user.id);
+    
+    const isPasswordValid = await user.comparePassword(currentPassword || '');
+    if (!isPasswordValid) {
+      return next(new UnauthorizedError('La contraseña actual no es correcta'));
+    }
+    
+    const invalidPassword = accountService.validatePassword(newPassword);
+    if (invalidPassword) {
+      return next(fromServiceError(invalidPassword));
+    }
+    
+    user.password = newPassword;
+    user.passwordChangedAt = new Date();
+    await user.save();
+    
+    const revokedIds = await sessionService.revokeSessions(user.id, {
+      exceptSessionId: req.sessionId,
+      reason: 'password_change'
+    });
+    sessionService.disconnectSessionSockets(req.app.get('io'), revokedIds);
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Contraseña cambiada correctamente',
+      revokedSessions: revokedIds.length
+    });
+    
+  } catch (error) {
+    return next(error);
   }
 };
@@ -1,8 +1,42 @@
-const { Chat, User, Message, ChatParticipant, sequelize } = require('../models');
+const { Chat, User, Message, ChatParticipant, Attachment, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const { encodeCursor, decodeCursor, cursorTimestampSql } = require('../utils/cursor');
+const { markChatRead, getUnreadCounts, emitMessagesRead } = require('../services/read-receipt.service');
+const messageService = require('../services/message.service');
+const attachmentService = require('../services/attachment.service');
+const { getStorage } = require('../services/storage.service');
+const { notify, userRoom } = require('../services/notification.service');
+const { applyPresence } = require('../services/presence.service');
+const { BadRequestError, UnauthorizedError, ForbiddenError, NotFoundError, fromServiceError } = require('../utils/errors');
+
+// Estado de edición/borrado de un mensaje, sus reacciones agrupadas por emoji y sus adjuntos
+// Contenido de un mensaje (vacío si está oculto por moderación)
+const MESSAGE_CONTENT_SQL = `CASE WHEN m."hiddenAt" IS NULL THEN m.content ELSE '' END AS content`;
+
+const MESSAGE_STATE_SQL = `m."editedAt", m."deletedAt", m."hiddenAt", m."systemKey", m."systemParams",
+             (SELECT COALESCE(json_agg(json_build_object('emoji', g.emoji, 'count', g.count, 'userIds', g."userIds") ORDER BY g."firstAt"), '[]'::json)
+              FROM (
+                SELECT r.emoji, COUNT(*)::int AS count, json_agg(r."userId" ORDER BY r."createdAt") AS "userIds", MIN(r."createdAt") AS "firstAt"
+                FROM "MessageReactions" AS r
+                WHERE r."messageId" = m.id
+                GROUP BY r.emoji
+              ) AS g) as reactions,
+             (SELECT COALESCE(json_agg(json_build_object(
+                'id', a.id, 'fileName', a."fileName", 'mimeType', a."mimeType", 'size', a.size,
+                'width', a.width, 'height', a.height,
+                'url', '/api/chats/' || a."chatId" || '/attachments/' || a.id,
+                'thumbnailUrl', CASE WHEN a."thumbnailKey" IS NULL THEN NULL
+                  ELSE '/api/chats/' || a."chatId" || '/attachments/' || a.id || '/thumbnail' END
+              ) ORDER BY a."createdAt"), '[]'::json)
+              FROM "Attachments" AS a
+              WHERE a."messageId" = m.id AND m."hiddenAt" IS NULL) as attachments`;
+
+// Orden de la bandeja de entrada (los chats sin mensajes usan su fecha de creación)
+const INBOX_SORT_SQL = 'COALESCE(c."lastMessageAt", c."createdAt")';
+const INBOX_PAGE_LIMIT = 20;
 
 // Crear un nuevo chat
-exports.createChat = async (req, res) => {
+exports.createChat = async (req, res, next) => {
   const t = await sequelize.transaction();
   
   try {
@@ -12,7 +46,7 @@ exports.createChat = async (req, res) => {
     if (!req.user || !req.user.id) {
       console.error("Error: Usuario no autenticado o sin ID", req.user);
       await t.rollback();
-      return res.status(401).json({ success: false, message: 'No autenticado' });
+      return next(new UnauthorizedError('No autenticado'));
     }
     
     const currentUserId = req.user.id;
@@ -20,7 +54,7 @@ exports.createChat = async (req, res) => {
     
     if (!Array.isArray(participantIds) || participantIds.length < 1) {
       await t.rollback();
-      return res.status(400).json({ success: false, message: 'Se requiere al menos un participante' });
+      return next(new BadRequestError('Se requiere al menos un participante'));
     }
 
     // Asegurar que el usuario actual está incluido
@@ -33,7 +67,7 @@ exports.createChat = async (req, res) => {
     // Si es un chat privado, verificar si ya existe uno entre estos usuarios
     if (!isGroup && allParticipantIds.length === 2) {
       try {
-        const [existingChats] = await sequelize.query(`
+        const existingChats = await sequelize.query(`
           SELECT c.id FROM "Chats" c
           WHERE c."isGroup" = false
           AND (
@@ -86,10 +120,15 @@ exports.createChat = async (req, res) => {
           });
           
           await t.commit();
+          await applyPresence(existingChat.participants);
           console.log("Chat existente recuperado:", existingChatId);
+          const chatJson = existingChat.toJSON();
           return res.status(200).json({ 
             success: true, 
-            chat: existingChat,
+            chat: {
+              ...chatJson,
+              messages: (chatJson.messages || []).map(message => messageService.localizeMessage(message, req.locale))
+            },
             message: 'Chat existente recuperado' 
           });
         }
@@ -146,6 +185,7 @@ exports.createChat = async (req, res) => {
     });
     
     await t.commit();
+    await applyPresence(chatWithParticipants.participants);
     console.log("Chat creado y cargado con éxito:", newChat.id);
     
     return res.status(201).json({ 
@@ -154,119 +194,117 @@ exports.createChat = async (req, res) => {
       message: 'Chat creado correctamente' 
     });
   } catch (error) {
-    await t.rollback();
-    console.error('Error al crear chat:', error);
-    return res.status(500).json({ success: false, message: 'Error al crear chat', error: error.message });
+    if (!t.finished) await t.rollback();
+    return next(error);
   }
 };
 
-// Obtener todos los chats del usuario
-exports.getChats = async (req, res) => {
+// Bandeja de entrada: chats del usuario ordenados por el último mensaje, con paginación por cursor
+// Cada chat incluye su último mensaje, los mensajes sin leer y los participantes con su presencia
+exports.getChats = async (req, res, next) => {
   try {
-    // Check if req.user exists, otherwise return error
-    if (!req.user || !req.user.id) {
-      console.error("Error: Usuario no autenticado o sin ID en getChats", req.user);
-      return res.status(401).json({ success: false, message: 'No autenticado' });
+    const userId = req.user.id;
+    const limit = Math.min(parseInt(req.query.limit, 10) || INBOX_PAGE_LIMIT, 50);
+    
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+      return next(new BadRequestError('Cursor de paginación no válido'));
     }
     
-    const userId = req.user.id;
-    console.log("Obteniendo chats para usuario:", userId);
+    const cursorSql = cursor
+      ? `AND (${INBOX_SORT_SQL}, c.id) < (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))`
+      : '';
     
-    // Obtener chats del usuario y sus participantes usando Sequelize directamente
-    const userChats = await Chat.findAll({
-      include: [
-        {
-          model: User,
-          as: 'participants',
-          attributes: ['id', 'name', 'photoURL', 'isOnline', 'lastSeen']
-        },
-        {
-          model: Message,
-          as: 'messages',
-          limit: 20,
-          order: [['createdAt', 'DESC']],
-          include: [
-            {
-              model: User,
-              as: 'user',
-              attributes: ['id', 'name', 'photoURL']
-            }
-          ]
-        }
-      ],
-      order: [['lastMessageAt', 'DESC']],
-      include: [
-        {
-          model: User,
-          as: 'participants',
-          attributes: ['id', 'name', 'photoURL', 'isOnline', 'lastSeen'],
-          through: {
-            attributes: []
-          }
-        },
-        {
-          model: Message,
-          as: 'messages',
-          separate: true,
-          limit: 20,
-          order: [['createdAt', 'DESC']],
-          include: [
-            {
-              model: User,
-              as: 'user',
-              attributes: ['id', 'name', 'photoURL']
-            }
-          ]
-        }
-      ]
+    // Chats del usuario (uno extra para saber si hay más) con su último mensaje
+    const chats = await sequelize.query(`
+      SELECT c.id, c.name, c."isGroup", ${INBOX_SORT_SQL} AS "lastMessageAt", c."createdAt",
+             ${cursorTimestampSql(INBOX_SORT_SQL)} AS "cursorTs",
+             lm.id AS "lastMessage.id", lm.content AS "lastMessage.content",
+             lm."userId" AS "lastMessage.senderId", lm."createdAt" AS "lastMessage.timestamp",
+             lm."editedAt" AS "lastMessage.editedAt", lm."deletedAt" AS "lastMessage.deletedAt",
+             lm."hiddenAt" AS "lastMessage.hiddenAt", lm."systemKey" AS "lastMessage.systemKey",
+             lm."systemParams" AS "lastMessage.systemParams",
+             u.id AS "lastMessage.user.id", u.name AS "lastMessage.user.name",
+             u."photoURL" AS "lastMessage.user.photoURL"
+      FROM "ChatParticipants" AS me
+      JOIN "Chats" AS c ON c.id = me."chatId"
+      LEFT JOIN LATERAL (
+        SELECT m.id, ${MESSAGE_CONTENT_SQL}, m."userId", m."createdAt", m."editedAt", m."deletedAt", m."hiddenAt",
+               m."systemKey", m."systemParams"
+        FROM "Messages" AS m
+        WHERE m."chatId" = c.id
+        ORDER BY m."createdAt" DESC, m.id DESC
+        LIMIT 1
+      ) AS lm ON true
+      LEFT JOIN "Users" AS u ON u.id = lm."userId"
+      WHERE me."userId" = :userId ${cursorSql}
+      ORDER BY ${INBOX_SORT_SQL} DESC, c.id DESC
+      LIMIT :limit
+    `, {
+      replacements: {
+        userId,
+        limit: limit + 1,
+        cursorTs: cursor ? cursor.v : null,
+        cursorId: cursor ? cursor.id : null
+      },
+      type: sequelize.QueryTypes.SELECT,
+      nest: true
     });
     
-    console.log(`Se encontraron ${userChats.length} chats para el usuario ${userId}`);
+    const hasMore = chats.length > limit;
+    const page = hasMore ? chats.slice(0, limit) : chats;
+    const chatIds = page.map(chat => chat.id);
     
-    // Procesar los chats para el formato adecuado
-    const chatsWithDetails = userChats.map(chat => {
-      const messages = chat.messages || [];
-      const sortedMessages = [...messages].sort((a, b) => 
-        new Date(b.createdAt).getTime() - new Date(a.createdAt).getTime()
-      );
-      
-      // Obtener el último mensaje
-      const lastMessage = sortedMessages.length > 0 ? sortedMessages[0] : null;
-      
-      return {
-        id: chat.id,
-        name: chat.name,
-        isGroup: chat.isGroup,
-        lastMessageAt: chat.lastMessageAt,
-        participants: chat.participants,
-        messages: sortedMessages.map(msg => ({
-          id: msg.id,
-          content: msg.content,
-          senderId: msg.userId,
-          read: msg.read,
-          timestamp: msg.createdAt,
-          user: msg.user
-        })),
-        lastMessage: lastMessage ? {
-          id: lastMessage.id,
-          content: lastMessage.content,
-          senderId: lastMessage.userId,
-          read: lastMessage.read,
-          timestamp: lastMessage.createdAt,
-          user: lastMessage.user
-        } : null
-      };
-    });
-    
-    return res.status(200).json({ success: true, chats: chatsWithDetails });
+    // Participantes y mensajes sin leer de los chats de la página
+    const participants = chatIds.length > 0 ? await sequelize.query(`
+      SELECT cp."chatId", u.id, u.name, u."photoURL", u."isOnline", u."lastSeen",
+             cp."lastReadMessageId", cp."lastReadAt"
+      FROM "ChatParticipants" AS cp
+      JOIN "Users" AS u ON u.id = cp."userId"
+      WHERE cp."chatId" IN (:chatIds)
+      ORDER BY cp."createdAt"
+    `, {
+      replacements: { chatIds },
+      type: sequelize.QueryTypes.SELECT
+    }) : [];
+    await applyPresence(participants);
+    const unreadCounts = await getUnreadCounts(userId, chatIds);
+    
+    const participantsByChat = participants.reduce((acc, { chatId, ...participant }) => {
+      (acc[chatId] = acc[chatId] || []).push(participant);
+      return acc;
+    }, {});
+    
+    const last = page[page.length - 1];
+    
+    return res.status(200).json({
+      success: true,
+      chats: page.map(({ cursorTs, lastMessage, ...chat }) => {
+        const chatParticipants = participantsByChat[chat.id] || [];
+        // En los chats privados, el otro participante con su estado de conexión
+        const otherParticipant = chat.isGroup
+          ? null
+          : chatParticipants.find(participant => participant.id !== userId) || null;
+        
+        return {
+          ...chat,
+          participants: chatParticipants,
+          otherParticipant,
+          lastMessage: lastMessage.id ? messageService.localizeMessage(lastMessage, req.locale) : null,
+          unreadCount: unreadCounts[chat.id] || 0
+        };
+      }),
+      nextCursor: hasMore ? encodeCursor(last.cursorTs, last.id) : null,
+      hasMore,
+      limit
+    });
   } catch (error) {
-    console.error('Error al obtener chats:', error);
-    return res.status(500).json({ success: false, message: 'Error al obtener chats', error: error.message });
+    return next(error);
   }
 };
 
 // Obtener un chat específico
-exports.getChat = async (req, res) => {
+exports.getChat = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const userId = req.user.id;
@@ -281,7 +319,7 @@ exports.getChat = async (req, res) => {
     });
     
     if (!isParticipant) {
-      return res.status(403).json({ success: false, message: 'No tienes acceso a este chat' });
+      return next(new ForbiddenError('No tienes acceso a este chat'));
     }
     
     // Obtener detalles del chat
@@ -293,12 +331,13 @@ exports.getChat = async (req, res) => {
     });
     
     if (!chatDetails) {
-      return res.status(404).json({ success: false, message: 'Chat no encontrado' });
+      return next(new NotFoundError('Chat no encontrado'));
     }
     
     // Obtener participantes
-    const [participants] = await sequelize.query(`
-      SELECT u.id, u.name, u."photoURL", u."isOnline", u."lastSeen"
+    const participants = await sequelize.query(`
+      SELECT u.id, u.name, u."photoURL", u."isOnline", u."lastSeen",
+             cp."lastReadMessageId", cp."lastReadAt"
       FROM "Users" AS u
       JOIN "ChatParticipants" AS cp ON u.id = cp."userId"
       WHERE cp."chatId" = :chatId
@@ -306,10 +345,12 @@ exports.getChat = async (req, res) => {
       replacements: { chatId },
       type: sequelize.QueryTypes.SELECT
     });
+    await applyPresence(participants);
     
     // Obtener mensajes
-    const [messages] = await sequelize.query(`
-      SELECT m.id, m.content, m."userId" as "senderId", m.read, m."createdAt" as timestamp,
+    const messages = await sequelize.query(`
+      SELECT m.id, ${MESSAGE_CONTENT_SQL}, m."userId" as "senderId", m."createdAt" as timestamp,
+             ${MESSAGE_STATE_SQL},
              u.id as "user.id", u.name as "user.name", u."photoURL" as "user.photoURL"
       FROM "Messages" AS m
       LEFT JOIN "Users" AS u ON m."userId" = u.id
@@ -322,40 +363,29 @@ exports.getChat = async (req, res) => {
       nest: true
     });
     
-    // Marcar mensajes como leídos
-    await sequelize.query(`
-      UPDATE "Messages"
-      SET read = true
-      WHERE "chatId" = :chatId AND "userId" != :userId AND read = false
-    `, {
-      replacements: { chatId, userId },
-      type: sequelize.QueryTypes.UPDATE
-    });
+    // Marcar el chat como leído hasta el último mensaje
+    const readState = await markChatRead(chatId, userId);
+    emitMessagesRead(req.app.get('io'), readState);
     
     const chatWithDetails = {
       ...chatDetails,
       participants,
-      messages: messages.reverse()
+      messages: messages.reverse().map(message => messageService.localizeMessage(message, req.locale))
     };
     
     return res.status(200).json({ success: true, chat: chatWithDetails });
   } catch (error) {
-    console.error('Error al obtener chat:', error);
-    return res.status(500).json({ success: false, message: 'Error al obtener chat', error: error.message });
+    return next(error);
   }
 };
 
 // Enviar un mensaje
-exports.sendMessage = async (req, res) => {
+exports.sendMessage = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const { content } = req.body;
     const userId = req.user.id;
     
-    if (!content || content.trim() === '') {
-      return res.status(400).json({ success: false, message: 'El contenido del mensaje no puede estar vacío' });
-    }
-    
     // Verificar que el chat existe
     const [chatExists] = await sequelize.query(`
       SELECT 1 FROM "Chats" WHERE id = :chatId
@@ -365,7 +395,7 @@ exports.sendMessage = async (req, res) => {
     });
     
     if (!chatExists) {
-      return res.status(404).json({ success: false, message: 'Chat no encontrado' });
+      return next(new NotFoundError('Chat no encontrado'));
     }
     
     // Verificar que el usuario pertenece al chat
@@ -378,13 +408,13 @@ exports.sendMessage = async (req, res) => {
     });
     
     if (!isParticipant) {
-      return res.status(403).json({ success: false, message: 'No tienes acceso a este chat' });
+      return next(new ForbiddenError('No tienes acceso a este chat'));
     }
     
     // Crear el mensaje
     const [messageId] = await sequelize.query(`
-      INSERT INTO "Messages" (id, content, "chatId", "userId", read, "createdAt", "updatedAt")
-      VALUES (uuid_generate_v4(), :content, :chatId, :userId, false, NOW(), NOW())
+      INSERT INTO "Messages" (id, content, "chatId", "userId", "createdAt", "updatedAt")
+      VALUES (uuid_generate_v4(), :content, :chatId, :userId, NOW(), NOW())
       RETURNING id
     `, {
       replacements: { content, chatId, userId },
@@ -401,9 +431,13 @@ exports.sendMessage = async (req, res) => {
       type: sequelize.QueryTypes.UPDATE
     });
     
+    // El remitente ha leído el chat hasta su propio mensaje
+    await markChatRead(chatId, userId, messageId[0].id);
+    
     // Obtener el mensaje con datos del usuario
     const [message] = await sequelize.query(`
-      SELECT m.id, m.content, m."userId" as "senderId", m.read, m."createdAt" as timestamp,
+      SELECT m.id, ${MESSAGE_CONTENT_SQL}, m."userId" as "senderId", m."createdAt" as timestamp,
+             ${MESSAGE_STATE_SQL},
              u.id as "user.id", u.name as "user.name", u."photoURL" as "user.photoURL"
       FROM "Messages" AS m
       LEFT JOIN "Users" AS u ON m."userId" = u.id
@@ -414,19 +448,33 @@ exports.sendMessage = async (req, res) => {
       nest: true
     });
     
+    // Emitir el mensaje a los participantes conectados, igual que al enviarlo por Socket.io
+    const io = req.app.get('io');
+    if (io) {
+      const messageWithUser = await Message.findByPk(messageId[0].id, {
+        include: [
+          {
+            model: User,
+            as: 'user',
+            attributes: ['id', 'name', 'photoURL']
+          }
+        ]
+      });
+      io.to(`chat:${chatId}`).emit('new_message', messageWithUser);
+    }
+    
     return res.status(201).json({ 
       success: true, 
       chatMessage: message,
       message: 'Mensaje enviado correctamente' 
     });
   } catch (error) {
-    console.error('Error al enviar mensaje:', error);
-    return res.status(500).json({ success: false, message: 'Error al enviar mensaje', error: error.message });
+    return next(error);
   }
 };
 
 // Añadir un participante a un chat
-exports.addParticipant = async (req, res) => {
+exports.addParticipant = async (req, res, next) => {
   const t = await sequelize.transaction();
   
   try {
@@ -445,7 +493,7 @@ exports.addParticipant = async (req, res) => {
     
     if (!chat) {
       await t.rollback();
-      return res.status(404).json({ success: false, message: 'Chat no encontrado' });
+      return next(new NotFoundError('Chat no encontrado'));
     }
     
     // Verificar que el usuario actual pertenece al chat
@@ -460,7 +508,7 @@ exports.addParticipant = async (req, res) => {
     
     if (!isParticipant) {
       await t.rollback();
-      return res.status(403).json({ success: false, message: 'No tienes acceso a este chat' });
+      return next(new ForbiddenError('No tienes acceso a este chat'));
     }
     
     // Verificar que el usuario a añadir existe
@@ -474,7 +522,7 @@ exports.addParticipant = async (req, res) => {
     
     if (!userExists) {
       await t.rollback();
-      return res.status(404).json({ success: false, message: 'Usuario no encontrado' });
+      return next(new NotFoundError('Usuario no encontrado'));
     }
     
     // Verificar si el usuario ya es participante
@@ -489,7 +537,7 @@ exports.addParticipant = async (req, res) => {
     
     if (alreadyParticipant) {
       await t.rollback();
-      return res.status(400).json({ success: false, message: 'El usuario ya es participante del chat' });
+      return next(new BadRequestError('El usuario ya es participante del chat'));
     }
     
     // Añadir participante
@@ -502,19 +550,12 @@ exports.addParticipant = async (req, res) => {
       transaction: t
     });
     
-    // Crear mensaje del sistema
-    await sequelize.query(`
-      INSERT INTO "Messages" (id, content, "chatId", "userId", read, "createdAt", "updatedAt")
-      VALUES (uuid_generate_v4(), :content, :chatId, :currentUserId, true, NOW(), NOW())
-    `, {
-      replacements: { 
-        content: `Un nuevo participante ha sido añadido al chat`,
-        chatId, 
-        currentUserId
-      },
-      type: sequelize.QueryTypes.INSERT,
-      transaction: t
-    });
+    // Crear mensaje del sistema (se muestra en el idioma de cada participante)
+    await Message.create({
+      ...messageService.buildSystemMessage('participant_added'),
+      chatId,
+      userId: currentUserId
+    }, { transaction: t });
     
     // Actualizar lastMessageAt del chat
     await sequelize.query(`
@@ -529,19 +570,30 @@ exports.addParticipant = async (req, res) => {
     
     await t.commit();
     
+    // Unir los sockets del nuevo participante a la sala y notificarle
+    const io = req.app.get('io');
+    if (io) {
+      io.in(userRoom(userId)).socketsJoin(`chat:${chatId}`);
+    }
+    await notify(io, {
+      userId,
+      actorId: currentUserId,
+      type: 'chat_added',
+      data: { chatId, chatName: chat.name }
+    });
+    
     return res.status(200).json({ 
       success: true,
       message: 'Participante añadido correctamente'
     });
   } catch (error) {
-    await t.rollback();
-    console.error('Error al añadir participante:', error);
-    return res.status(500).json({ success: false, message: 'Error al añadir participante', error: error.message });
+    if (!t.finished) await t.rollback();
+    return next(error);
   }
 };
 
 // Abandonar un chat
-exports.leaveChat = async (req, res) => {
+exports.leaveChat = async (req, res, next) => {
   const t = await sequelize.transaction();
   
   try {
@@ -559,7 +611,7 @@ exports.leaveChat = async (req, res) => {
     
     if (!chat) {
       await t.rollback();
-      return res.status(404).json({ success: false, message: 'Chat no encontrado' });
+      return next(new NotFoundError('Chat no encontrado'));
     }
     
     // Verificar que el usuario es participante
@@ -574,7 +626,7 @@ exports.leaveChat = async (req, res) => {
     
     if (!isParticipant) {
       await t.rollback();
-      return res.status(400).json({ success: false, message: 'No eres participante de este chat' });
+      return next(new BadRequestError('No eres participante de este chat'));
     }
     
     // Eliminar participante
@@ -588,7 +640,7 @@ exports.leaveChat = async (req, res) => {
     });
     
     // Verificar si quedan participantes
-    const [[{ count }]] = await sequelize.query(`
+    const [{ count }] = await sequelize.query(`
       SELECT COUNT(*) as count FROM "ChatParticipants" 
       WHERE "chatId" = :chatId
     `, {
@@ -598,7 +650,11 @@ exports.leaveChat = async (req, res) => {
     });
     
     // Si no quedan participantes, eliminar el chat
+    let orphanAttachments = [];
     if (parseInt(count) === 0) {
+      // Los adjuntos se eliminan en cascada con los mensajes; sus archivos, tras confirmar
+      orphanAttachments = await Attachment.findAll({ where: { chatId }, transaction: t });
+      
       await sequelize.query(`
         DELETE FROM "Messages" WHERE "chatId" = :chatId
       `, {
@@ -616,18 +672,11 @@ exports.leaveChat = async (req, res) => {
       });
     } else {
       // Si quedan participantes, crear mensaje del sistema
-      await sequelize.query(`
-        INSERT INTO "Messages" (id, content, "chatId", "userId", read, "createdAt", "updatedAt")
-        VALUES (uuid_generate_v4(), :content, :chatId, :userId, true, NOW(), NOW())
-      `, {
-        replacements: { 
-          content: `Un usuario ha abandonado el chat`,
-          chatId, 
-          userId
-        },
-        type: sequelize.QueryTypes.INSERT,
-        transaction: t
-      });
+      await Message.create({
+        ...messageService.buildSystemMessage('participant_left'),
+        chatId,
+        userId
+      }, { transaction: t });
       
       // Actualizar lastMessageAt del chat
       await sequelize.query(`
@@ -643,25 +692,47 @@ exports.leaveChat = async (req, res) => {
     
     await t.commit();
     
+    // Sacar los sockets del usuario de la sala para que deje de recibir sus eventos
+    const io = req.app.get('io');
+    if (io) {
+      io.in(userRoom(userId)).socketsLeave(`chat:${chatId}`);
+    }
+    
+    if (orphanAttachments.length > 0) {
+      await attachmentService.removeStoredFiles(orphanAttachments).catch((error) => {
+        console.error('Error al eliminar archivos del chat:', error);
+      });
+    }
+    
     return res.status(200).json({ 
       success: true,
       message: 'Has abandonado el chat correctamente'
     });
   } catch (error) {
-    await t.rollback();
-    console.error('Error al abandonar chat:', error);
-    return res.status(500).json({ success: false, message: 'Error al abandonar chat', error: error.message });
+    if (!t.finished) await t.rollback();
+    return next(error);
   }
 };
 
-// Obtener mensajes de un chat
-exports.getChatMessages = async (req, res) => {
+const MESSAGE_PAGE_LIMIT = 50;
+const SYNC_LIMIT = 500;
+
+// Obtener mensajes de un chat con paginación por cursor (before / after)
+exports.getChatMessages = async (req, res, next) => {
   try {
     const { chatId } = req.params;
     const userId = req.user.id;
-    const { page = 1, limit = 50 } = req.query;
+    const { before, after } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || MESSAGE_PAGE_LIMIT, 100);
     
-    const offset = (page - 1) * limit;
+    if (before && after) {
+      return next(new BadRequestError('Usa before o after, no ambos'));
+    }
+    
+    const cursor = before || after ? decodeCursor(before || after) : null;
+    if ((before || after) && !cursor) {
+      return next(new BadRequestError('Cursor de paginación no válido'));
+    }
     
     // Verificar que el usuario pertenece al chat
     const [isParticipant] = await sequelize.query(`
@@ -673,42 +744,385 @@ exports.getChatMessages = async (req, res) => {
     });
     
     if (!isParticipant) {
-      return res.status(403).json({ success: false, message: 'No tienes acceso a este chat' });
+      return next(new ForbiddenError('No tienes acceso a este chat'));
     }
     
-    // Obtener mensajes
-    const [messages] = await sequelize.query(`
-      SELECT m.id, m.content, m."userId" as "senderId", m.read, m."createdAt" as timestamp,
+    // Sin cursor o con before se recorre hacia atrás; con after, hacia delante
+    const direction = after ? 'ASC' : 'DESC';
+    let cursorSql = '';
+    if (cursor) {
+      const operator = after ? '>' : '<';
+      cursorSql = `AND (m."createdAt", m.id) ${operator} (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))`;
+    }
+    
+    // Obtener mensajes (uno extra para saber si hay más)
+    const messages = await sequelize.query(`
+      SELECT m.id, ${MESSAGE_CONTENT_SQL}, m."userId" as "senderId", m."createdAt" as timestamp,
+             ${MESSAGE_STATE_SQL},
+             ${cursorTimestampSql('m."createdAt"')} as "cursorTs",
              u.id as "user.id", u.name as "user.name", u."photoURL" as "user.photoURL"
       FROM "Messages" AS m
       LEFT JOIN "Users" AS u ON m."userId" = u.id
-      WHERE m."chatId" = :chatId
-      ORDER BY m."createdAt" DESC
-      LIMIT :limit OFFSET :offset
+      WHERE m."chatId" = :chatId ${cursorSql}
+      ORDER BY m."createdAt" ${direction}, m.id ${direction}
+      LIMIT :limit
     `, {
-      replacements: { chatId, limit, offset },
+      replacements: {
+        chatId,
+        limit: limit + 1,
+        cursorTs: cursor ? cursor.v : null,
+        cursorId: cursor ? cursor.id : null
+      },
       type: sequelize.QueryTypes.SELECT,
       nest: true
     });
     
-    // Marcar mensajes como leídos
-    await sequelize.query(`
-      UPDATE "Messages"
-      SET read = true
-      WHERE "chatId" = :chatId AND "userId" != :userId AND read = false
-    `, {
-      replacements: { chatId, userId },
-      type: sequelize.QueryTypes.UPDATE
-    });
+    const hasMore = messages.length > limit;
+    const page = hasMore ? messages.slice(0, limit) : messages;
+    
+    // Devolver siempre en orden cronológico
+    if (direction === 'DESC') {
+      page.reverse();
+    }
+    
+    const oldest = page[0];
+    const newest = page[page.length - 1];
+    
+    // Marcar como leído hasta el mensaje más reciente devuelto (salvo al cargar mensajes antiguos)
+    if (!before && newest) {
+      const readState = await markChatRead(chatId, userId, newest.id);
+      emitMessagesRead(req.app.get('io'), readState);
+    }
     
     return res.status(200).json({ 
       success: true, 
-      messages: messages.reverse(),
-      page,
+      messages: page.map(({ cursorTs, ...message }) => messageService.localizeMessage(message, req.locale)),
+      // Cursor para cargar mensajes anteriores (before) y posteriores (after)
+      prevCursor: oldest ? encodeCursor(oldest.cursorTs, oldest.id) : null,
+      nextCursor: newest ? encodeCursor(newest.cursorTs, newest.id) : (cursor ? encodeCursor(cursor.v, cursor.id) : null),
+      hasMoreBefore: after ? null : hasMore,
+      hasMoreAfter: after ? hasMore : (before ? null : false),
       limit
     });
   } catch (error) {
-    console.error('Error al obtener mensajes:', error);
-    return res.status(500).json({ success: false, message: 'Error al obtener mensajes', error: error.message });
+    return next(error);
+  }
+};
+
+// Sincronizar cambios de mensajes en todos los chats del usuario desde un cursor
+exports.syncMessages = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { since } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || SYNC_LIMIT, 1000);
+    
+    const cursor = since ? decodeCursor(since) : null;
+    if (since && !cursor) {
+      return next(new BadRequestError('Cursor de sincronización no válido'));
+    }
+    
+    // Sin cursor solo se devuelve la posición actual para empezar a sincronizar
+    if (!cursor) {
+      const [latest] = await sequelize.query(`
+        SELECT m.id, ${cursorTimestampSql('m."updatedAt"')} as "cursorTs"
+        FROM "Messages" AS m
+        JOIN "ChatParticipants" AS cp ON cp."chatId" = m."chatId" AND cp."userId" = :userId
+        ORDER BY m."updatedAt" DESC, m.id DESC
+        LIMIT 1
+      `, {
+        replacements: { userId },
+        type: sequelize.QueryTypes.SELECT
+      });
+      
+      return res.status(200).json({
+        success: true,
+        messages: [],
+        cursor: latest ? encodeCursor(latest.cursorTs, latest.id) : encodeCursor(new Date().toISOString(), '00000000-0000-0000-0000-000000000000'),
+        hasMore: false
+      });
+    }
+    
+    // Cualquier alta o modificación actualiza "updatedAt", así que basta con recorrerlo en orden
+    const changes = await sequelize.query(`
+      SELECT m.id, m."chatId", ${MESSAGE_CONTENT_SQL}, m."userId" as "senderId",
+             m."createdAt" as timestamp, m."updatedAt",
+             ${MESSAGE_STATE_SQL},
+             ${cursorTimestampSql('m."updatedAt"')} as "cursorTs",
+             u.id as "user.id", u.name as "user.name", u."photoURL" as "user.photoURL"
+      FROM "Messages" AS m
+      JOIN "ChatParticipants" AS cp ON cp."chatId" = m."chatId" AND cp."userId" = :userId
+      LEFT JOIN "Users" AS u ON m."userId" = u.id
+      WHERE (m."updatedAt", m.id) > (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))
+      ORDER BY m."updatedAt" ASC, m.id ASC
+      LIMIT :limit
+    `, {
+      replacements: { userId, cursorTs: cursor.v, cursorId: cursor.id, limit: limit + 1 },
+      type: sequelize.QueryTypes.SELECT,
+      nest: true
+    });
+    
+    const hasMore = changes.length > limit;
+    const page = hasMore ? changes.slice(0, limit) : changes;
+    const last = page[page.length - 1];
+    
+    return res.status(200).json({
+      success: true,
+      messages: page.map(({ cursorTs, ...message }) => messageService.localizeMessage(message, req.locale)),
+      cursor: last ? encodeCursor(last.cursorTs, last.id) : since,
+      hasMore
+    });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Editar un mensaje propio
+exports.editMessage = async (req, res, next) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { content } = req.body;
+    const userId = req.user.id;
+    
+    const { message, error } = await messageService.editMessage(chatId, messageId, userId, content);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat:${chatId}`).emit('message_edited', {
+        chatId,
+        messageId: message.id,
+        content: message.content,
+        editedAt: message.editedAt
+      });
+    }
+    
+    return res.status(200).json({ success: true, chatMessage: message, message: 'Mensaje editado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Eliminar un mensaje propio (borrado lógico)
+exports.deleteMessage = async (req, res, next) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const userId = req.user.id;
+    
+    const { message, error } = await messageService.deleteMessage(chatId, messageId, userId);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat:${chatId}`).emit('message_deleted', {
+        chatId,
+        messageId: message.id,
+        deletedAt: message.deletedAt
+      });
+    }
+    
+    return res.status(200).json({ success: true, message: 'Mensaje eliminado correctamente' });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Obtener el historial de ediciones de un mensaje
+exports.getMessageEdits = async (req, res, next) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const userId = req.user.id;
+    
+    const [isParticipant] = await sequelize.query(`
+      SELECT 1 FROM "ChatParticipants" 
+      WHERE "chatId" = :chatId AND "userId" = :userId
+    `, {
+      replacements: { chatId, userId },
+      type: sequelize.QueryTypes.SELECT
+    });
+    
+    if (!isParticipant) {
+      return next(new ForbiddenError('No tienes acceso a este chat'));
+    }
+    
+    // Las versiones anteriores de un mensaje eliminado u oculto por moderación no se muestran
+    const edits = await sequelize.query(`
+      SELECT e.id, e."previousContent", e."createdAt" as "editedAt"
+      FROM "MessageEdits" AS e
+      JOIN "Messages" AS m ON m.id = e."messageId"
+      WHERE e."messageId" = :messageId AND m."chatId" = :chatId
+        AND m."deletedAt" IS NULL AND m."hiddenAt" IS NULL
+      ORDER BY e."createdAt" ASC
+    `, {
+      replacements: { chatId, messageId },
+      type: sequelize.QueryTypes.SELECT
+    });
+    
+    return res.status(200).json({ success: true, edits });
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Añadir o quitar una reacción a un mensaje
+exports.toggleReaction = async (req, res, next) => {
+  try {
+    const { chatId, messageId } = req.params;
+    const { emoji } = req.body;
+    const userId = req.user.id;
+    
+    const { added, reactions, error } = await messageService.toggleReaction(chatId, messageId, userId, emoji);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat:${chatId}`).emit('message_reaction', { chatId, messageId, userId, emoji, added, reactions });
+    }
+    
+    return res.status(200).json({ success: true, added, reactions });
+  } catch (error) {
+    return next(error);
   }
 };
+
+// Subir archivos adjuntos a un chat (crea un mensaje con los adjuntos)
+exports.uploadAttachments = async (req, res, next) => {
+  const storedAttachments = [];
+  const t = await sequelize.transaction();
+  
+  try {
+    const { chatId } = req.params;
+    const { content = '' } = req.body;
+    const userId = req.user.id;
+    const files = req.files || [];
+    
+    if (files.length === 0) {
+      await t.rollback();
+      return next(new BadRequestError('No se ha subido ningún archivo'));
+    }
+    
+    // Verificar que el usuario pertenece al chat
+    const isParticipant = await ChatParticipant.findOne({
+      where: { chatId, userId },
+      transaction: t
+    });
+    
+    if (!isParticipant) {
+      await t.rollback();
+      return next(new ForbiddenError('No tienes acceso a este chat'));
+    }
+    
+    const message = await Message.create({
+      content,
+      chatId,
+      userId
+    }, { transaction: t });
+    
+    for (const file of files) {
+      const attachment = await attachmentService.storeAttachment({
+        file,
+        chatId,
+        messageId: message.id,
+        userId
+      }, t);
+      storedAttachments.push(attachment);
+    }
+    
+    await Chat.update({ lastMessageAt: new Date() }, { where: { id: chatId }, transaction: t });
+    
+    await t.commit();
+    
+    // El remitente ha leído el chat hasta su propio mensaje
+    await markChatRead(chatId, userId, message.id);
+    
+    const messageWithUser = await Message.findByPk(message.id, {
+      include: [
+        {
+          model: User,
+          as: 'user',
+          attributes: ['id', 'name', 'photoURL']
+        }
+      ]
+    });
+    
+    const chatMessage = {
+      ...messageWithUser.toJSON(),
+      attachments: storedAttachments.map(attachmentService.toAttachmentResponse)
+    };
+    
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`chat:${chatId}`).emit('new_message', chatMessage);
+    }
+    
+    return res.status(201).json({
+      success: true,
+      chatMessage,
+      message: 'Archivos enviados correctamente'
+    });
+  } catch (error) {
+    if (!t.finished) {
+      await t.rollback();
+      // Si falla la transacción, eliminar los archivos ya guardados
+      await attachmentService.removeStoredFiles(storedAttachments).catch(() => {});
+    }
+    return next(error);
+  }
+};
+
+// Enviar un adjunto (o su miniatura) verificando que el usuario participa en el chat
+const sendAttachmentFile = (variant) => async (req, res, next) => {
+  try {
+    const { chatId, attachmentId } = req.params;
+    const userId = req.user.id;
+    
+    const isParticipant = await ChatParticipant.findOne({ where: { chatId, userId } });
+    if (!isParticipant) {
+      return next(new ForbiddenError('No tienes acceso a este chat'));
+    }
+    
+    const attachment = await Attachment.findOne({
+      where: { id: attachmentId, chatId },
+      include: [{ model: Message, as: 'message', attributes: ['hiddenAt'] }]
+    });
+    // Los adjuntos de mensajes ocultos por moderación no se pueden descargar
+    if (!attachment || attachment.message?.hiddenAt) {
+      return next(new NotFoundError('Archivo no encontrado'));
+    }
+    
+    const key = variant === 'thumbnail' ? attachment.thumbnailKey : attachment.storageKey;
+    const storage = getStorage();
+    
+    if (!key || !(await storage.exists(key))) {
+      return next(new NotFoundError('Archivo no encontrado'));
+    }
+    
+    res.set('X-Content-Type-Options', 'nosniff');
+    res.set('Cache-Control', 'private, max-age=3600');
+    
+    if (variant === 'thumbnail') {
+      res.type('image/webp');
+    } else {
+      res.type(attachment.mimeType);
+      res.attachment(attachment.fileName);
+    }
+    
+    const stream = storage.createReadStream(key);
+    // Los errores de lectura llegan al middleware de errores (que cierra la respuesta si ya empezó)
+    stream.on('error', next);
+    stream.pipe(res);
+  } catch (error) {
+    return next(error);
+  }
+};
+
+// Descargar un archivo adjunto
+exports.downloadAttachment = sendAttachmentFile('original');
+
+// Obtener la miniatura de una imagen adjunta
+exports.downloadAttachmentThumbnail = sendAttachmentFile('thumbnail');
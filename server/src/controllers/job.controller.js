@@ -1,30 +1,39 @@
-const { Job, User, Comment, Reply } = require('../models');
-const { Op } = require('sequelize');
+const { Job, User, Comment, Reply, JobStatusHistory, sequelize } = require('../models');
+const { getAllowedTransitions, validateTransition, applyTransition } = require('../services/job-status.service');
+const { parseSearchParams, searchJobs, loadSearchResults } = require('../services/job-search.service');
+const { removeJob } = require('../services/job.service');
+const {
+  SETTLEMENT_JOB_STATUSES,
+  getMilestonesTotal,
+  checkMilestonesBudget,
+  settleEscrowedMilestones,
+  checkNoEscrowedMilestones
+} = require('../services/milestone.service');
+const { notify } = require('../services/notification.service');
+const { matchJob } = require('../services/saved-search.service');
+const { recommendJobs, suggestFreelancers } = require('../services/recommendation.service');
+const { normalizeCategory, normalizeSkills } = require('../services/taxonomy.service');
+const { BadRequestError, ForbiddenError, NotFoundError, fromServiceError } = require('../utils/errors');
 
 /**
  * Crear un nuevo trabajo
  */
-exports.createJob = async (req, res) => {
+exports.createJob = async (req, res, next) => {
   try {
     const { title, description, budget, category, skills } = req.body;
     const userId = req.user.id;
     
     console.log('Creating job with data:', { title, description, budget, category, skills, userId });
     
-    // Verificar que el usuario es un cliente
-    if (req.user.role !== 'client') {
-      return res.status(403).json({
-        success: false,
-        message: 'Solo los clientes pueden publicar trabajos'
-      });
+    // Normalizar la categoría y las habilidades a sus nombres canónicos
+    const normalizedCategory = await normalizeCategory(category);
+    if (normalizedCategory.error) {
+      return next(fromServiceError(normalizedCategory.error));
     }
     
-    // Validar datos requeridos
-    if (!title || !description || !budget || !category) {
-      return res.status(400).json({
-        success: false,
-        message: 'Faltan campos requeridos (título, descripción, presupuesto, categoría)'
-      });
+    const normalizedSkills = await normalizeSkills(Array.isArray(skills) ? skills : []);
+    if (normalizedSkills.error) {
+      return next(fromServiceError(normalizedSkills.error));
     }
     
     // Crear el trabajo
@@ -32,13 +41,17 @@ exports.createJob = async (req, res) => {
       title,
       description,
       budget: parseFloat(budget),
-      category,
-      skills: Array.isArray(skills) ? skills : [],
+      category: normalizedCategory.category,
+      skills: normalizedSkills.skills,
       userId
     });
     
     console.log('Job created successfully:', job.id);
     
+    // Avisar a los usuarios con búsquedas guardadas que coinciden, sin retrasar la respuesta
+    matchJob(req.app.get('io'), job.id)
+      .catch(error => console.error('Error al buscar coincidencias con búsquedas guardadas:', error));
+    
     // Cargar el trabajo con información del usuario
     const jobWithUser = await Job.findByPk(job.id, {
       include: [
@@ -57,81 +70,46 @@ exports.createJob = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al crear trabajo:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al crear trabajo',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Obtener todos los trabajos con filtros
+ * Búsqueda de texto completo con ranking, facetas y paginación por cursor
  */
-exports.getAllJobs = async (req, res) => {
+exports.getAllJobs = async (req, res, next) => {
   try {
-    const { category, search, status } = req.query;
-    const query = {
-      include: [
-        {
-          model: User,
-          as: 'user',
-          attributes: ['id', 'name', 'photoURL']
-        },
-        {
-          model: User,
-          as: 'likedBy',
-          attributes: ['id'],
-          through: { attributes: [] }
-        }
-      ],
-      order: [['createdAt', 'DESC']],
-      where: {}
-    };
-    
-    // Filtrar por categoría
-    if (category) {
-      query.where.category = category;
-    }
+    const params = parseSearchParams(req.query);
     
-    // Filtrar por estado
-    if (status) {
-      query.where.status = status;
+    if (req.query.cursor && !params.cursor) {
+      return next(new BadRequestError('Cursor de paginación no válido'));
     }
     
-    // Buscar por título o descripción
-    if (search) {
-      query.where = {
-        ...query.where,
-        [Op.or]: [
-          { title: { [Op.iLike]: `%${search}%` } },
-          { description: { [Op.iLike]: `%${search}%` } }
-        ]
-      };
+    const { ids, ranks, nextCursor, total, facets, error } = await searchJobs(params);
+    if (error) {
+      return next(fromServiceError(error));
     }
     
-    const jobs = await Job.findAll(query);
+    const sortedJobs = await loadSearchResults(params, { ids, ranks });
     
     return res.status(200).json({
       success: true,
-      jobs
+      jobs: sortedJobs,
+      nextCursor,
+      total,
+      facets
     });
     
   } catch (error) {
-    console.error('Error al obtener trabajos:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener trabajos',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Obtener un trabajo por ID
  */
-exports.getJobById = async (req, res) => {
+exports.getJobById = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     
@@ -144,6 +122,11 @@ exports.getJobById = async (req, res) => {
           as: 'user',
           attributes: ['id', 'name', 'photoURL']
         },
+        {
+          model: User,
+          as: 'assignedFreelancer',
+          attributes: ['id', 'name', 'photoURL']
+        },
         {
           model: User,
           as: 'likedBy',
@@ -153,6 +136,8 @@ exports.getJobById = async (req, res) => {
         {
           model: Comment,
           as: 'comments',
+          where: { hiddenAt: null },
+          required: false,
           include: [
             {
               model: User,
@@ -162,6 +147,8 @@ exports.getJobById = async (req, res) => {
             {
               model: Reply,
               as: 'replies',
+              where: { hiddenAt: null },
+              required: false,
               include: [
                 {
                   model: User,
@@ -172,16 +159,26 @@ exports.getJobById = async (req, res) => {
             }
           ],
           order: [['createdAt', 'DESC']]
+        },
+        {
+          model: JobStatusHistory,
+          as: 'statusHistory',
+          include: [
+            {
+              model: User,
+              as: 'changedBy',
+              attributes: ['id', 'name', 'photoURL']
+            }
+          ]
         }
-      ]
+      ],
+      order: [[{ model: JobStatusHistory, as: 'statusHistory' }, 'createdAt', 'ASC']]
     });
     
-    if (!job) {
+    // Los trabajos ocultos por moderación no se muestran
+    if (!job || job.hiddenAt) {
       console.log(`Trabajo con ID ${jobId} no encontrado`);
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     console.log(`Trabajo encontrado: ${job.title}, Comentarios: ${job.comments ? job.comments.length : 0}`);
@@ -192,19 +189,14 @@ exports.getJobById = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al obtener trabajo por ID:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener trabajo',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Actualizar un trabajo
  */
-exports.updateJob = async (req, res) => {
+exports.updateJob = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     const { title, description, budget, category, skills, status } = req.body;
@@ -213,29 +205,76 @@ exports.updateJob = async (req, res) => {
     const job = await Job.findByPk(jobId);
     
     if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     // Verificar que el usuario es el propietario
     if (job.userId !== userId) {
-      return res.status(403).json({
-        success: false,
-        message: 'No tienes permiso para editar este trabajo'
-      });
+      return next(new ForbiddenError('No tienes permiso para editar este trabajo'));
+    }
+    
+    // Los cambios de estado pasan por la máquina de estados
+    if (status && status !== job.status) {
+      const transitionError = validateTransition(job, status, userId);
+      if (transitionError) {
+        return next(fromServiceError(transitionError));
+      }
+    }
+    
+    // El presupuesto no puede quedar por debajo de la suma de los hitos
+    if (budget) {
+      const budgetError = checkMilestonesBudget(await getMilestonesTotal(job.id), budget);
+      if (budgetError) {
+        return next(fromServiceError(budgetError));
+      }
+    }
+    
+    // Normalizar la categoría y las habilidades a sus nombres canónicos
+    let normalizedCategory = null;
+    if (category) {
+      normalizedCategory = await normalizeCategory(category);
+      if (normalizedCategory.error) {
+        return next(fromServiceError(normalizedCategory.error));
+      }
+    }
+    
+    let normalizedSkills = null;
+    if (skills) {
+      normalizedSkills = await normalizeSkills(skills);
+      if (normalizedSkills.error) {
+        return next(fromServiceError(normalizedSkills.error));
+      }
     }
     
     // Actualizar campos
     if (title) job.title = title;
     if (description) job.description = description;
     if (budget) job.budget = budget;
-    if (category) job.category = category;
-    if (skills) job.skills = skills;
-    if (status) job.status = status;
+    if (normalizedCategory) job.category = normalizedCategory.category;
+    if (normalizedSkills) job.skills = normalizedSkills.skills;
+    
+    // Antes de reabrir o cancelar se liquidan los hitos con fondos en depósito
+    const settlesMilestones = SETTLEMENT_JOB_STATUSES.includes(status) && status !== job.status;
+    if (settlesMilestones) {
+      await settleEscrowedMilestones(job);
+    }
     
-    await job.save();
+    const t = await sequelize.transaction();
+    try {
+      await job.save({ transaction: t });
+      if (status && status !== job.status) {
+        const escrowError = settlesMilestones ? await checkNoEscrowedMilestones(job.id, t) : null;
+        if (escrowError) {
+          await t.rollback();
+          return next(fromServiceError(escrowError));
+        }
+        await applyTransition(job, status, userId, { transaction: t });
+      }
+      await t.commit();
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
     
     // Cargar el trabajo actualizado con información del usuario
     const updatedJob = await Job.findByPk(jobId, {
@@ -255,19 +294,101 @@ exports.updateJob = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al actualizar trabajo:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al actualizar trabajo',
-      error: error.message
+    return next(error);
+  }
+};
+
+/**
+ * Obtener los cambios de estado disponibles para el usuario actual
+ */
+exports.getJobTransitions = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+    
+    const job = await Job.findByPk(jobId);
+    
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+    
+    return res.status(200).json({
+      success: true,
+      status: job.status,
+      transitions: getAllowedTransitions(job, userId)
     });
+    
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Cambiar el estado de un trabajo
+ * Al reabrirlo o cancelarlo, los hitos aprobados se pagan al freelancer y los fondeados se reembolsan al cliente.
+ */
+exports.transitionJob = async (req, res, next) => {
+  const { jobId } = req.params;
+  const { status, reason } = req.body;
+  const userId = req.user.id;
+  
+  // Los pagos se hacen antes de la transacción que cambia el estado (ver milestone.service)
+  if (SETTLEMENT_JOB_STATUSES.includes(status)) {
+    try {
+      const job = await Job.findByPk(jobId);
+      if (job && !validateTransition(job, status, userId)) {
+        await settleEscrowedMilestones(job);
+      }
+    } catch (error) {
+      return next(error);
+    }
+  }
+  
+  const t = await sequelize.transaction();
+  
+  try {
+    const job = await Job.findByPk(jobId, { transaction: t, lock: t.LOCK.UPDATE });
+    
+    if (!job) {
+      await t.rollback();
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+    
+    const transitionError = validateTransition(job, status, userId);
+    if (transitionError) {
+      await t.rollback();
+      return next(fromServiceError(transitionError));
+    }
+    
+    if (SETTLEMENT_JOB_STATUSES.includes(status)) {
+      const escrowError = await checkNoEscrowedMilestones(job.id, t);
+      if (escrowError) {
+        await t.rollback();
+        return next(fromServiceError(escrowError));
+      }
+    }
+    
+    const history = await applyTransition(job, status, userId, { reason, transaction: t });
+    
+    await t.commit();
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Estado del trabajo actualizado correctamente',
+      job,
+      history
+    });
+    
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    return next(error);
   }
 };
 
 /**
  * Eliminar un trabajo
  */
-exports.deleteJob = async (req, res) => {
+exports.deleteJob = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     const userId = req.user.id;
@@ -278,34 +399,20 @@ exports.deleteJob = async (req, res) => {
     
     if (!job) {
       console.log(`Trabajo con ID ${jobId} no encontrado`);
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     // Verificar que el usuario es el propietario
     if (job.userId !== userId) {
       console.log(`Usuario ${userId} no tiene permiso para eliminar trabajo ${jobId} (propietario: ${job.userId})`);
-      return res.status(403).json({
-        success: false,
-        message: 'No tienes permiso para eliminar este trabajo'
-      });
+      return next(new ForbiddenError('No tienes permiso para eliminar este trabajo'));
     }
     
-    // Eliminar comentarios y respuestas relacionados primero
-    const comments = await Comment.findAll({ where: { jobId } });
-    for (const comment of comments) {
-      await Reply.destroy({ where: { commentId: comment.id } });
+    // Eliminar el trabajo y su contenido relacionado
+    const { error } = await removeJob(job);
+    if (error) {
+      return next(fromServiceError(error));
     }
-    await Comment.destroy({ where: { jobId } });
-    
-    // Eliminar relaciones con usuarios (likes, guardados)
-    await job.setLikedBy([]);
-    await job.setSavedBy([]);
-    
-    // Finalmente eliminar el trabajo
-    await job.destroy();
     console.log(`Trabajo ${jobId} eliminado correctamente`);
     
     return res.status(200).json({
@@ -314,19 +421,14 @@ exports.deleteJob = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al eliminar trabajo:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al eliminar trabajo',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Añadir un comentario a un trabajo
  */
-exports.addComment = async (req, res) => {
+exports.addComment = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     const { content } = req.body;
@@ -334,11 +436,8 @@ exports.addComment = async (req, res) => {
     
     // Verificar que el trabajo existe
     const job = await Job.findByPk(jobId);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+    if (!job || job.hiddenAt) {
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     // Crear comentario
@@ -359,6 +458,14 @@ exports.addComment = async (req, res) => {
       ]
     });
     
+    // Notificar al dueño del trabajo
+    await notify(req.app.get('io'), {
+      userId: job.userId,
+      actorId: userId,
+      type: 'job_comment',
+      data: { jobId: job.id, jobTitle: job.title, commentId: comment.id }
+    });
+    
     return res.status(201).json({
       success: true,
       message: 'Comentario añadido correctamente',
@@ -366,19 +473,14 @@ exports.addComment = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al añadir comentario:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al añadir comentario',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Añadir una respuesta a un comentario
  */
-exports.addReply = async (req, res) => {
+exports.addReply = async (req, res, next) => {
   try {
     const { commentId } = req.params;
     const { content } = req.body;
@@ -386,11 +488,8 @@ exports.addReply = async (req, res) => {
     
     // Verificar que el comentario existe
     const comment = await Comment.findByPk(commentId);
-    if (!comment) {
-      return res.status(404).json({
-        success: false,
-        message: 'Comentario no encontrado'
-      });
+    if (!comment || comment.hiddenAt) {
+      return next(new NotFoundError('Comentario no encontrado'));
     }
     
     // Crear respuesta
@@ -411,6 +510,15 @@ exports.addReply = async (req, res) => {
       ]
     });
     
+    // Notificar al autor del comentario
+    const job = await Job.findByPk(comment.jobId, { attributes: ['id', 'title'] });
+    await notify(req.app.get('io'), {
+      userId: comment.userId,
+      actorId: userId,
+      type: 'comment_reply',
+      data: { jobId: comment.jobId, jobTitle: job ? job.title : '', commentId: comment.id, replyId: reply.id }
+    });
+    
     return res.status(201).json({
       success: true,
       message: 'Respuesta añadida correctamente',
@@ -418,19 +526,14 @@ exports.addReply = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al añadir respuesta:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al añadir respuesta',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Toggle like para un trabajo
  */
-exports.toggleJobLike = async (req, res) => {
+exports.toggleJobLike = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     const userId = req.user.id;
@@ -438,12 +541,9 @@ exports.toggleJobLike = async (req, res) => {
     console.log(`Toggling like for job ${jobId} by user ${userId}`);
     
     const job = await Job.findByPk(jobId);
-    if (!job) {
+    if (!job || job.hiddenAt) {
       console.log(`Job with ID ${jobId} not found`);
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     // Verificar si el usuario ya ha dado like
@@ -460,6 +560,13 @@ exports.toggleJobLike = async (req, res) => {
       // Añadir like
       await job.addLikedBy(userId);
       console.log(`Like added to job ${jobId} by user ${userId}`);
+      
+      await notify(req.app.get('io'), {
+        userId: job.userId,
+        actorId: userId,
+        type: 'job_like',
+        data: { jobId: job.id, jobTitle: job.title }
+      });
     }
     
     return res.status(200).json({
@@ -468,29 +575,21 @@ exports.toggleJobLike = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al gestionar like:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al gestionar like',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Toggle guardar trabajo
  */
-exports.toggleSavedJob = async (req, res) => {
+exports.toggleSavedJob = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     const userId = req.user.id;
     
     const job = await Job.findByPk(jobId);
-    if (!job) {
-      return res.status(404).json({
-        success: false,
-        message: 'Trabajo no encontrado'
-      });
+    if (!job || job.hiddenAt) {
+      return next(new NotFoundError('Trabajo no encontrado'));
     }
     
     // Verificar si el usuario ya ha guardado el trabajo
@@ -511,19 +610,14 @@ exports.toggleSavedJob = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al gestionar trabajo guardado:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al gestionar trabajo guardado',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Obtener trabajos guardados por el usuario
  */
-exports.getSavedJobs = async (req, res) => {
+exports.getSavedJobs = async (req, res, next) => {
   try {
     const userId = req.user.id;
     
@@ -544,26 +638,79 @@ exports.getSavedJobs = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al obtener trabajos guardados:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener trabajos guardados',
-      error: error.message
+    return next(error);
+  }
+};
+
+/**
+ * Obtener trabajos recomendados para el freelancer actual
+ * Cada trabajo incluye `recommendation` con la puntuación total y la de cada criterio
+ */
+exports.getRecommendedJobs = async (req, res, next) => {
+  try {
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const recommendations = await recommendJobs(req.user.id, { limit, offset: (page - 1) * limit });
+    const byJobId = new Map(recommendations.map(({ jobId, ...recommendation }) => [jobId, recommendation]));
+
+    const jobs = await loadSearchResults({}, { ids: [...byJobId.keys()], ranks: {} });
+
+    return res.status(200).json({
+      success: true,
+      jobs: jobs.map(job => ({ ...job.toJSON(), recommendation: byJobId.get(job.id) })),
+      page,
+      limit
     });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener freelancers sugeridos para un trabajo (solo el dueño del trabajo)
+ */
+exports.getSuggestedFreelancers = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 50);
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    if (job.userId !== req.user.id) {
+      return next(new ForbiddenError('No tienes permiso para ver sugerencias de este trabajo'));
+    }
+
+    const freelancers = await suggestFreelancers(job, { limit, offset: (page - 1) * limit });
+
+    return res.status(200).json({
+      success: true,
+      freelancers,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
   }
 };
 
 /**
  * Obtener comentarios de un trabajo
  */
-exports.getJobComments = async (req, res) => {
+exports.getJobComments = async (req, res, next) => {
   try {
     const { jobId } = req.params;
     
     console.log(`Obteniendo comentarios para el trabajo ${jobId}`);
     
     const comments = await Comment.findAll({
-      where: { jobId },
+      where: { jobId, hiddenAt: null },
       include: [
         {
           model: User,
@@ -573,6 +720,8 @@ exports.getJobComments = async (req, res) => {
         {
           model: Reply,
           as: 'replies',
+          where: { hiddenAt: null },
+          required: false,
           include: [
             {
               model: User,
@@ -593,11 +742,6 @@ exports.getJobComments = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al obtener comentarios:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener comentarios',
-      error: error.message
-    });
+    return next(error);
   }
 };
@@ -0,0 +1,349 @@
+const { Job, Milestone, LedgerEntry, sequelize } = require('../models');
+const { getPaymentProvider } = require('../services/payment.service');
+const { recordFunding, getUserBalances } = require('../services/ledger.service');
+const {
+  ACTIVE_JOB_STATUSES,
+  roundAmount,
+  getMilestonesTotal,
+  checkJobAcceptsMilestones,
+  checkMilestonesBudget,
+  checkMilestonePayee,
+  releaseMilestone
+} = require('../services/milestone.service');
+const { BadRequestError, ForbiddenError, NotFoundError, fromServiceError } = require('../utils/errors');
+
+/**
+ * Cargar el trabajo y el hito indicados en la ruta
+ * Devuelve { job, milestone } o { error: { status, message } }
+ */
+const loadMilestone = async (jobId, milestoneId, transaction) => {
+  const job = await Job.findByPk(jobId, { transaction });
+  if (!job) {
+    return { error: { status: 404, message: 'Trabajo no encontrado' } };
+  }
+
+  const milestone = await Milestone.findOne({
+    where: { id: milestoneId, jobId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+  if (!milestone) {
+    return { error: { status: 404, message: 'Hito no encontrado' } };
+  }
+
+  return { job, milestone };
+};
+
+/**
+ * Obtener los hitos de un trabajo
+ */
+exports.getJobMilestones = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    // Solo el cliente y el freelancer asignado pueden ver los hitos
+    if (job.userId !== userId && job.assignedFreelancerId !== userId) {
+      return next(new ForbiddenError('No tienes acceso a los hitos de este trabajo'));
+    }
+
+    const milestones = await Milestone.findAll({
+      where: { jobId },
+      order: [['dueDate', 'ASC'], ['createdAt', 'ASC']]
+    });
+
+    const totalAmount = roundAmount(milestones.reduce((sum, milestone) => sum + milestone.amount, 0));
+
+    return res.status(200).json({
+      success: true,
+      milestones,
+      budget: job.budget,
+      totalAmount
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Crear un hito en un trabajo asignado
+ */
+exports.createMilestone = async (req, res, next) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const { jobId } = req.params;
+    const { title, description, amount, dueDate } = req.body;
+    const userId = req.user.id;
+
+    const parsedAmount = parseFloat(amount);
+    if (isNaN(parsedAmount) || parsedAmount <= 0) {
+      await t.rollback();
+      return next(new BadRequestError('El monto del hito debe ser mayor que cero'));
+    }
+
+    const job = await Job.findByPk(jobId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!job) {
+      await t.rollback();
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    // Verificar que el usuario es el propietario
+    if (job.userId !== userId) {
+      await t.rollback();
+      return next(new ForbiddenError('No tienes permiso para crear hitos en este trabajo'));
+    }
+
+    if (!ACTIVE_JOB_STATUSES.includes(job.status)) {
+      await t.rollback();
+      return next(new BadRequestError('Solo se pueden crear hitos en trabajos asignados'));
+    }
+
+    // La suma de los hitos no puede superar el presupuesto del trabajo
+    const currentTotal = await getMilestonesTotal(jobId, t);
+    const budgetError = checkMilestonesBudget(currentTotal + parsedAmount, job.budget);
+    if (budgetError) {
+      await t.rollback();
+      return next(fromServiceError(budgetError));
+    }
+
+    const milestone = await Milestone.create({
+      title,
+      description: description || '',
+      amount: roundAmount(parsedAmount),
+      dueDate: dueDate || null,
+      jobId
+    }, { transaction: t });
+
+    await t.commit();
+
+    return res.status(201).json({
+      success: true,
+      message: 'Hito creado correctamente',
+      milestone
+    });
+
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    return next(error);
+  }
+};
+
+/**
+ * Fondear un hito (el cliente deposita el importe en garantía)
+ * El cobro se hace fuera de la transacción; la clave de idempotencia evita cobrar dos veces
+ * si se repite la petición o llegan dos a la vez.
+ */
+exports.fundMilestone = async (req, res, next) => {
+  try {
+    const { jobId, milestoneId } = req.params;
+    const userId = req.user.id;
+
+    const { job, milestone, error } = await loadMilestone(jobId, milestoneId);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    if (job.userId !== userId) {
+      return next(new ForbiddenError('Solo el cliente puede fondear los hitos'));
+    }
+
+    const jobError = checkJobAcceptsMilestones(job);
+    if (jobError) {
+      return next(fromServiceError(jobError));
+    }
+
+    if (milestone.status !== 'pending') {
+      return next(new BadRequestError('El hito ya ha sido fondeado'));
+    }
+
+    const charge = await getPaymentProvider().charge({
+      amount: milestone.amount,
+      userId,
+      reference: milestone.id,
+      idempotencyKey: `milestone:${milestone.id}:fund`
+    });
+
+    const t = await sequelize.transaction();
+    try {
+      const locked = await Milestone.findByPk(milestone.id, { transaction: t, lock: t.LOCK.UPDATE });
+
+      // Otra petición con el mismo cobro ya lo ha registrado
+      if (locked.status !== 'pending') {
+        await t.rollback();
+        return next(new BadRequestError('El hito ya ha sido fondeado'));
+      }
+
+      // El importe queda reservado para el freelancer asignado en este momento
+      locked.status = 'funded';
+      locked.fundedAt = new Date();
+      locked.freelancerId = job.assignedFreelancerId;
+      await locked.save({ transaction: t });
+
+      await recordFunding(locked, job, charge.id, t);
+
+      await t.commit();
+
+      return res.status(200).json({
+        success: true,
+        message: 'Hito fondeado correctamente',
+        milestone: locked
+      });
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Entregar un hito (el freelancer lo envía para revisión)
+ */
+exports.submitMilestone = async (req, res, next) => {
+  try {
+    const { jobId, milestoneId } = req.params;
+    const userId = req.user.id;
+
+    const { job, milestone, error } = await loadMilestone(jobId, milestoneId);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    if (job.assignedFreelancerId !== userId) {
+      return next(new ForbiddenError('Solo el freelancer asignado puede entregar los hitos'));
+    }
+
+    const jobError = checkJobAcceptsMilestones(job);
+    if (jobError) {
+      return next(fromServiceError(jobError));
+    }
+
+    if (milestone.status !== 'funded') {
+      return next(new BadRequestError('Solo se pueden entregar hitos fondeados'));
+    }
+
+    const payeeError = checkMilestonePayee(milestone, job);
+    if (payeeError) {
+      return next(fromServiceError(payeeError));
+    }
+
+    milestone.status = 'submitted';
+    milestone.submittedAt = new Date();
+    await milestone.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Hito entregado correctamente',
+      milestone
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Aprobar un hito y liberar el importe al freelancer
+ *
+ * La aprobación se guarda antes de llamar al proveedor de pagos ('approved') y la liberación
+ * se registra después ('released'). Si el pago falla, el hito queda aprobado y se puede
+ * volver a llamar a este endpoint para reintentar la liberación.
+ */
+exports.approveMilestone = async (req, res, next) => {
+  try {
+    const { jobId, milestoneId } = req.params;
+    const userId = req.user.id;
+
+    const t = await sequelize.transaction();
+    let job;
+    let milestone;
+    try {
+      const loaded = await loadMilestone(jobId, milestoneId, t);
+      if (loaded.error) {
+        await t.rollback();
+        return next(fromServiceError(loaded.error));
+      }
+      ({ job, milestone } = loaded);
+
+      if (job.userId !== userId) {
+        await t.rollback();
+        return next(new ForbiddenError('Solo el cliente puede aprobar los hitos'));
+      }
+
+      const jobError = checkJobAcceptsMilestones(job);
+      if (jobError) {
+        await t.rollback();
+        return next(fromServiceError(jobError));
+      }
+
+      if (!['submitted', 'approved'].includes(milestone.status)) {
+        await t.rollback();
+        return next(new BadRequestError('Solo se pueden aprobar hitos entregados'));
+      }
+
+      // No se libera a un freelancer distinto de aquel para el que se fondeó
+      const payeeError = checkMilestonePayee(milestone, job);
+      if (payeeError) {
+        await t.rollback();
+        return next(fromServiceError(payeeError));
+      }
+
+      if (milestone.status === 'submitted') {
+        milestone.status = 'approved';
+        milestone.approvedAt = new Date();
+        await milestone.save({ transaction: t });
+      }
+
+      await t.commit();
+    } catch (error) {
+      if (!t.finished) await t.rollback();
+      throw error;
+    }
+
+    // Si otra petición ya ha registrado la liberación no se vuelve a anotar
+    const released = await releaseMilestone(milestone, job);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Hito aprobado y pago liberado correctamente',
+      milestone: released
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener el saldo y los movimientos contables del usuario actual
+ */
+exports.getMyLedger = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const balances = await getUserBalances(userId);
+    const entries = await LedgerEntry.findAll({
+      where: { userId },
+      order: [['createdAt', 'DESC']],
+      limit: 100
+    });
+
+    return res.status(200).json({
+      success: true,
+      balances,
+      entries
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
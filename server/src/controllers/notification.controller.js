@@ -0,0 +1,164 @@
+const { Notification, User } = require('../models');
+const notificationService = require('../services/notification.service');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Usuario que provocó la notificación, tal como se devuelve en los listados
+const actorInclude = {
+  model: User,
+  as: 'actor',
+  attributes: ['id', 'name', 'photoURL']
+};
+
+/**
+ * Obtener las notificaciones del usuario (más recientes primero)
+ * Query: page, limit, unreadOnly=true
+ */
+exports.getNotifications = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const where = { userId };
+    if (req.query.unreadOnly === 'true') {
+      where.readAt = null;
+    }
+
+    const { count, rows } = await Notification.findAndCountAll({
+      where,
+      include: [actorInclude],
+      order: [['createdAt', 'DESC'], ['id', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      notifications: rows.map(notification => notificationService.formatNotification(notification, req.locale)),
+      total: count,
+      unreadCount: await notificationService.getUnreadCount(userId),
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener el número de notificaciones sin leer
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    return res.status(200).json({
+      success: true,
+      unreadCount: await notificationService.getUnreadCount(req.user.id)
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Marcar una notificación como leída
+ */
+exports.markAsRead = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user.id;
+
+    const notification = await Notification.findOne({ where: { id: notificationId, userId }, include: [actorInclude] });
+    if (!notification) {
+      return next(new NotFoundError('Notificación no encontrada'));
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+      await notificationService.emitUnreadCount(req.app.get('io'), userId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      notification: notificationService.formatNotification(notification, req.locale)
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Marcar todas las notificaciones como leídas
+ */
+exports.markAllAsRead = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const [updated] = await Notification.update(
+      { readAt: new Date() },
+      { where: { userId, readAt: null } }
+    );
+
+    if (updated > 0) {
+      await notificationService.emitUnreadCount(req.app.get('io'), userId);
+    }
+
+    return res.status(200).json({
+      success: true,
+      updated
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener las preferencias de notificación del usuario
+ */
+exports.getPreferences = async (req, res, next) => {
+  try {
+    const user = await User.findByPk(req.user.id, { attributes: ['id', 'notificationPreferences'] });
+
+    return res.status(200).json({
+      success: true,
+      preferences: notificationService.getPreferences(user)
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Actualizar las preferencias de notificación ({ tipo: true|false })
+ */
+exports.updatePreferences = async (req, res, next) => {
+  try {
+    const changes = req.body.preferences || {};
+    const types = Object.keys(notificationService.NOTIFICATION_TYPES);
+
+    const invalid = Object.keys(changes).filter(type => !types.includes(type) || typeof changes[type] !== 'boolean');
+    if (invalid.length > 0) {
+      return next(new BadRequestError('Preferencias no válidas: {invalid}. Tipos disponibles: {types}', {
+        params: { invalid: invalid.join(', '), types: types.join(', ') }
+      }));
+    }
+
+    const user = await User.findByPk(req.user.id);
+    user.notificationPreferences = { ...(user.notificationPreferences || {}), ...changes };
+    await user.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Preferencias actualizadas correctamente',
+      preferences: notificationService.getPreferences(user)
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
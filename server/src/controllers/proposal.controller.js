@@ -0,0 +1,268 @@
+const { Job, User, Proposal, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { applyTransition } = require('../services/job-status.service');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Enviar una propuesta a un trabajo
+ */
+exports.submitProposal = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { coverLetter, amount, deliveryDays } = req.body;
+    const userId = req.user.id;
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    // El propietario no puede postularse a su propio trabajo
+    if (job.userId === userId) {
+      return next(new ForbiddenError('No puedes enviar propuestas a tu propio trabajo'));
+    }
+
+    if (job.status !== 'open') {
+      return next(new BadRequestError('El trabajo no está abierto a propuestas'));
+    }
+
+    // Solo se permite una propuesta activa por freelancer y trabajo
+    const existingProposal = await Proposal.findOne({
+      where: {
+        jobId,
+        userId,
+        status: { [Op.in]: ['pending', 'accepted'] }
+      }
+    });
+
+    if (existingProposal) {
+      return next(new BadRequestError('Ya has enviado una propuesta para este trabajo'));
+    }
+
+    const proposal = await Proposal.create({
+      coverLetter,
+      amount: parseFloat(amount),
+      deliveryDays: parseInt(deliveryDays, 10),
+      jobId,
+      userId
+    });
+
+    // Cargar la propuesta con información del freelancer
+    const proposalWithUser = await Proposal.findByPk(proposal.id, {
+      include: [
+        {
+          model: User,
+          as: 'freelancer',
+          attributes: ['id', 'name', 'photoURL']
+        }
+      ]
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Propuesta enviada correctamente',
+      proposal: proposalWithUser
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener las propuestas de un trabajo
+ * El propietario ve todas, el freelancer solo las suyas
+ */
+exports.getJobProposals = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const userId = req.user.id;
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    const where = { jobId };
+    if (job.userId !== userId) {
+      where.userId = userId;
+    }
+
+    const proposals = await Proposal.findAll({
+      where,
+      include: [
+        {
+          model: User,
+          as: 'freelancer',
+          attributes: ['id', 'name', 'photoURL', 'hourlyRate']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      proposals
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Retirar una propuesta (solo su autor y mientras esté pendiente)
+ */
+exports.withdrawProposal = async (req, res, next) => {
+  try {
+    const { jobId, proposalId } = req.params;
+    const userId = req.user.id;
+
+    const proposal = await Proposal.findOne({ where: { id: proposalId, jobId } });
+    if (!proposal) {
+      return next(new NotFoundError('Propuesta no encontrada'));
+    }
+
+    if (proposal.userId !== userId) {
+      return next(new ForbiddenError('No tienes permiso para retirar esta propuesta'));
+    }
+
+    if (proposal.status !== 'pending') {
+      return next(new BadRequestError('Solo se pueden retirar propuestas pendientes'));
+    }
+
+    proposal.status = 'withdrawn';
+    await proposal.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Propuesta retirada correctamente',
+      proposal
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Aceptar una propuesta
+ * Asigna el trabajo al freelancer y rechaza el resto de propuestas pendientes
+ */
+exports.acceptProposal = async (req, res, next) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const { jobId, proposalId } = req.params;
+    const userId = req.user.id;
+
+    const job = await Job.findByPk(jobId, { transaction: t, lock: t.LOCK.UPDATE });
+    if (!job) {
+      await t.rollback();
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    // Verificar que el usuario es el propietario
+    if (job.userId !== userId) {
+      await t.rollback();
+      return next(new ForbiddenError('No tienes permiso para gestionar las propuestas de este trabajo'));
+    }
+
+    if (job.status !== 'open') {
+      await t.rollback();
+      return next(new BadRequestError('El trabajo no está abierto a propuestas'));
+    }
+
+    const proposal = await Proposal.findOne({
+      where: { id: proposalId, jobId },
+      transaction: t
+    });
+
+    if (!proposal) {
+      await t.rollback();
+      return next(new NotFoundError('Propuesta no encontrada'));
+    }
+
+    if (proposal.status !== 'pending') {
+      await t.rollback();
+      return next(new BadRequestError('Solo se pueden aceptar propuestas pendientes'));
+    }
+
+    proposal.status = 'accepted';
+    await proposal.save({ transaction: t });
+
+    // Rechazar el resto de propuestas pendientes
+    await Proposal.update(
+      { status: 'rejected' },
+      {
+        where: {
+          jobId,
+          id: { [Op.ne]: proposal.id },
+          status: 'pending'
+        },
+        transaction: t
+      }
+    );
+
+    // Asignar el trabajo al freelancer
+    job.assignedFreelancerId = proposal.userId;
+    await applyTransition(job, 'assigned', userId, {
+      reason: 'Propuesta aceptada',
+      transaction: t
+    });
+
+    await t.commit();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Propuesta aceptada correctamente',
+      proposal,
+      job
+    });
+
+  } catch (error) {
+    if (!t.finished) await t.rollback();
+    return next(error);
+  }
+};
+
+/**
+ * Rechazar una propuesta
+ */
+exports.rejectProposal = async (req, res, next) => {
+  try {
+    const { jobId, proposalId } = req.params;
+    const userId = req.user.id;
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    // Verificar que el usuario es el propietario
+    if (job.userId !== userId) {
+      return next(new ForbiddenError('No tienes permiso para gestionar las propuestas de este trabajo'));
+    }
+
+    const proposal = await Proposal.findOne({ where: { id: proposalId, jobId } });
+    if (!proposal) {
+      return next(new NotFoundError('Propuesta no encontrada'));
+    }
+
+    if (proposal.status !== 'pending') {
+      return next(new BadRequestError('Solo se pueden rechazar propuestas pendientes'));
+    }
+
+    proposal.status = 'rejected';
+    await proposal.save();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Propuesta rechazada correctamente',
+      proposal
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -0,0 +1,50 @@
+const { Report } = require('../models');
+const reportService = require('../services/report.service');
+const { fromServiceError } = require('../utils/errors');
+
+/**
+ * Denunciar un trabajo, comentario, respuesta, mensaje o usuario
+ */
+exports.createReport = async (req, res, next) => {
+  try {
+    const { targetType, targetId, reason, details } = req.body;
+
+    const { report, error } = await reportService.createReport({
+      reporterId: req.user.id,
+      targetType,
+      targetId,
+      reason,
+      details
+    }, req.app.get('io'));
+
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: 'Denuncia enviada correctamente. La revisaremos lo antes posible',
+      report: {
+        id: report.id,
+        targetType: report.targetType,
+        targetId: report.targetId,
+        reason: report.reason,
+        status: report.status,
+        createdAt: report.createdAt
+      }
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener los motivos de denuncia disponibles
+ */
+exports.getReportReasons = async (req, res, next) => {
+  return res.status(200).json({
+    success: true,
+    reasons: Report.REASONS
+  });
+};
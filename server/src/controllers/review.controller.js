@@ -0,0 +1,148 @@
+const { Job, User, Review } = require('../models');
+const { BadRequestError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+/**
+ * Valorar al otro participante de un trabajo completado
+ * El cliente valora al freelancer asignado y viceversa, una sola vez por trabajo
+ */
+exports.createReview = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { rating, comment } = req.body;
+    const userId = req.user.id;
+
+    const parsedRating = parseInt(rating, 10);
+    if (isNaN(parsedRating) || parsedRating < 1 || parsedRating > 5) {
+      return next(new BadRequestError('La valoración debe ser un número entre 1 y 5'));
+    }
+
+    const job = await Job.findByPk(jobId);
+    if (!job) {
+      return next(new NotFoundError('Trabajo no encontrado'));
+    }
+
+    if (job.status !== 'completed') {
+      return next(new BadRequestError('Solo se pueden valorar trabajos completados'));
+    }
+
+    // Determinar a quién se valora según quién escribe
+    let revieweeId = null;
+    if (job.userId === userId) {
+      revieweeId = job.assignedFreelancerId;
+    } else if (job.assignedFreelancerId === userId) {
+      revieweeId = job.userId;
+    }
+
+    if (!revieweeId) {
+      return next(new ForbiddenError('Solo el cliente y el freelancer asignado pueden valorar este trabajo'));
+    }
+
+    const existingReview = await Review.findOne({ where: { jobId, reviewerId: userId } });
+    if (existingReview) {
+      return next(new BadRequestError('Ya has valorado este trabajo'));
+    }
+
+    const review = await Review.create({
+      rating: parsedRating,
+      comment: comment || '',
+      jobId,
+      reviewerId: userId,
+      revieweeId
+    });
+
+    // Cargar la valoración con información del autor
+    const reviewWithUser = await Review.findByPk(review.id, {
+      include: [
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'name', 'photoURL']
+        }
+      ]
+    });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Valoración añadida correctamente',
+      review: reviewWithUser
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener las valoraciones de un trabajo
+ */
+exports.getJobReviews = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const reviews = await Review.findAll({
+      where: { jobId },
+      include: [
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'name', 'photoURL']
+        },
+        {
+          model: User,
+          as: 'reviewee',
+          attributes: ['id', 'name', 'photoURL']
+        }
+      ],
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      reviews
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Obtener las valoraciones recibidas por un usuario
+ */
+exports.getUserReviews = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const page = parseInt(req.query.page, 10) || 1;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const { count, rows } = await Review.findAndCountAll({
+      where: { revieweeId: userId },
+      include: [
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'name', 'photoURL']
+        },
+        {
+          model: Job,
+          as: 'job',
+          attributes: ['id', 'title']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit,
+      offset: (page - 1) * limit
+    });
+
+    return res.status(200).json({
+      success: true,
+      reviews: rows,
+      total: count,
+      page,
+      limit
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
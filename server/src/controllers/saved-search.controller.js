@@ -0,0 +1,160 @@
+const { SavedSearch, sequelize } = require('../models');
+const savedSearchService = require('../services/saved-search.service');
+const { searchJobs, loadSearchResults } = require('../services/job-search.service');
+const { BadRequestError, NotFoundError, fromServiceError } = require('../utils/errors');
+
+/**
+ * Buscar una búsqueda guardada del usuario actual
+ */
+const findOwnSavedSearch = (req) => SavedSearch.findOne({
+  where: { id: req.params.savedSearchId, userId: req.user.id }
+});
+
+/**
+ * Obtener las búsquedas guardadas del usuario (incluye los trabajos pendientes del resumen)
+ */
+exports.getSavedSearches = async (req, res, next) => {
+  try {
+    const savedSearches = await SavedSearch.findAll({
+      where: { userId: req.user.id },
+      attributes: {
+        include: [
+          [
+            sequelize.literal(`(
+              SELECT COUNT(*)::int FROM "SavedSearchMatches" AS m
+              WHERE m."savedSearchId" = "SavedSearch".id AND m."notifiedAt" IS NULL
+            )`),
+            'pendingMatches'
+          ]
+        ]
+      },
+      order: [['createdAt', 'DESC']]
+    });
+
+    return res.status(200).json({
+      success: true,
+      savedSearches
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Guardar una búsqueda (name, search, category, skills, budgetMin, budgetMax, alertFrequency)
+ */
+exports.createSavedSearch = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+
+    const count = await SavedSearch.count({ where: { userId } });
+    if (count >= savedSearchService.MAX_SAVED_SEARCHES) {
+      return next(new BadRequestError('Solo puedes guardar {max} búsquedas', {
+        params: { max: savedSearchService.MAX_SAVED_SEARCHES }
+      }));
+    }
+
+    const { values, error } = await savedSearchService.normalizeSavedSearch(req.body);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    const savedSearch = await SavedSearch.create({ ...values, userId });
+
+    return res.status(201).json({
+      success: true,
+      message: 'Búsqueda guardada correctamente',
+      savedSearch
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Actualizar los filtros, el nombre o la frecuencia de alertas de una búsqueda guardada
+ */
+exports.updateSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+    if (!savedSearch) {
+      return next(new NotFoundError('Búsqueda guardada no encontrada'));
+    }
+
+    const { values, error } = await savedSearchService.normalizeSavedSearch(req.body, savedSearch.toJSON());
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    await savedSearch.update(values);
+
+    return res.status(200).json({
+      success: true,
+      message: 'Búsqueda actualizada correctamente',
+      savedSearch
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Eliminar una búsqueda guardada
+ */
+exports.deleteSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+    if (!savedSearch) {
+      return next(new NotFoundError('Búsqueda guardada no encontrada'));
+    }
+
+    await savedSearch.destroy();
+
+    return res.status(200).json({
+      success: true,
+      message: 'Búsqueda eliminada correctamente'
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+/**
+ * Ejecutar una búsqueda guardada (trabajos abiertos; admite sort, limit y cursor)
+ */
+exports.runSavedSearch = async (req, res, next) => {
+  try {
+    const savedSearch = await findOwnSavedSearch(req);
+    if (!savedSearch) {
+      return next(new NotFoundError('Búsqueda guardada no encontrada'));
+    }
+
+    const params = savedSearchService.toSearchParams(savedSearch, req.query);
+    if (req.query.cursor && !params.cursor) {
+      return next(new BadRequestError('Cursor de paginación no válido'));
+    }
+
+    const { ids, ranks, nextCursor, total, facets, error } = await searchJobs(params);
+    if (error) {
+      return next(fromServiceError(error));
+    }
+
+    const jobs = await loadSearchResults(params, { ids, ranks });
+
+    return res.status(200).json({
+      success: true,
+      savedSearch,
+      jobs,
+      nextCursor,
+      total,
+      facets
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
@@ -1,42 +1,131 @@
 const { User, Chat, Message, ChatParticipant, sequelize } = require('../models');
 const jwt = require('jsonwebtoken');
-const { Op } = require('sequelize');
+const { markChatRead, emitMessagesRead } = require('../services/read-receipt.service');
+const messageService = require('../services/message.service');
+const { getPresence, HEARTBEAT_INTERVAL } = require('../services/presence.service');
+const { getActiveSession } = require('../services/session.service');
+const { getAccountRestriction } = require('../services/moderation.service');
+const { userRoom } = require('../services/notification.service');
+const { consume } = require('../services/rate-limit.service');
+const { validatePayload } = require('../middleware/validate');
+const { negotiateLocale, resolveLocale } = require('../utils/i18n');
+const { socket: socketPayloads } = require('../validators/chat.validators');
+const {
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  TooManyRequestsError,
+  fromServiceError,
+  toErrorResponse,
+  emitSocketError
+} = require('../utils/errors');
+
+// Validar el payload de un evento; si no es válido se emite 'error' con los errores por campo
+const readPayload = async (socket, event, data) => {
+  const { values, error } = await validatePayload(socketPayloads[event], data, socket.data.locale);
+  if (error) {
+    emitSocketError(socket, error, event);
+    return null;
+  }
+  return values;
+};
+
+// Contar un evento para el límite indicado (mismos contadores que las rutas REST)
+const consumeEvent = (socket, name) => consume(name, {
+  ip: socket.handshake.address,
+  userId: socket.user?.id
+});
+
+// Rechazar la conexión: el cliente recibe connect_error con el mensaje y data = { code, message }
+const rejectConnection = (socket, next, error) => {
+  const { body: { success, ...payload } } = toErrorResponse(error, socket.data.locale);
+  const connectError = new Error(payload.message);
+  connectError.data = payload;
+  next(connectError);
+};
+
+// Marcar a un usuario como desconectado y notificarlo a todos
+const setUserOffline = async (io, userId) => {
+  const lastSeen = new Date();
+  
+  await User.update(
+    { isOnline: false, lastSeen },
+    { where: { id: userId } }
+  );
+  
+  io.emit('user_status_change', {
+    userId,
+    isOnline: false,
+    lastSeen
+  });
+};
 
 const initSocket = (io) => {
-  // Mapeo de usuarios a sus sockets
-  const userSockets = new Map();
+  // La presencia (sockets abiertos por usuario) se guarda en el servicio de presencia,
+  // compartido entre instancias cuando se usa Redis
+  
+  // Limpiar periódicamente los sockets de instancias caídas
+  const sweeper = setInterval(async () => {
+    try {
+      const offlineUsers = await getPresence().sweepDeadNodes();
+      for (const userId of offlineUsers) {
+        await setUserOffline(io, userId);
+      }
+    } catch (error) {
+      console.error('Error al limpiar la presencia de instancias caídas:', error);
+    }
+  }, HEARTBEAT_INTERVAL);
+  sweeper.unref();
   
   // Middleware para autenticación de sockets
   io.use(async (socket, next) => {
     try {
+      // Idioma de los mensajes del socket (errores y notificaciones); se guarda en socket.data
+      // para que esté disponible desde cualquier instancia
+      socket.data.locale = negotiateLocale(socket.handshake.headers['accept-language']);
+      
       const token = socket.handshake.auth.token;
       
       if (!token) {
-        return next(new Error('No se proporcionó token de autenticación'));
+        return rejectConnection(socket, next, new UnauthorizedError('No se proporcionó token de autenticación', { code: 'TOKEN_MISSING' }));
       }
       
       try {
         // Verificar token
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         
+        // Rechazar tokens de sesiones revocadas
+        const session = await getActiveSession(decoded.sid, decoded.id);
+        if (!session) {
+          return rejectConnection(socket, next, new UnauthorizedError('La sesión ha sido revocada o ha expirado', { code: 'SESSION_REVOKED' }));
+        }
+        
         // Buscar usuario en la base de datos
         const user = await User.findByPk(decoded.id);
         
         if (!user) {
-          return next(new Error('Usuario no encontrado'));
+          return rejectConnection(socket, next, new NotFoundError('Usuario no encontrado'));
+        }
+        
+        // Rechazar cuentas suspendidas o bloqueadas
+        const restriction = getAccountRestriction(user);
+        if (restriction) {
+          return rejectConnection(socket, next, fromServiceError(restriction));
         }
         
         // Guardar usuario en el socket
         socket.user = user;
+        socket.sessionId = session.id;
+        socket.data.locale = resolveLocale(user, socket.data.locale);
         next();
         
       } catch (error) {
-        return next(new Error('Token inválido o expirado'));
+        return rejectConnection(socket, next, new UnauthorizedError('Token inválido o expirado', { code: 'TOKEN_INVALID' }));
       }
       
     } catch (error) {
       console.error('Error en middleware de autenticación de socket:', error);
-      next(new Error('Error interno del servidor'));
+      rejectConnection(socket, next, error);
     }
   });
   
@@ -51,11 +140,14 @@ const initSocket = (io) => {
         { where: { id: user.id } }
       );
       
-      // Añadir socket a la colección de sockets del usuario
-      if (!userSockets.has(user.id)) {
-        userSockets.set(user.id, new Set());
-      }
-      userSockets.get(user.id).add(socket.id);
+      // Sala de la sesión, para desconectar el socket si se revoca
+      socket.join(`session:${socket.sessionId}`);
+      
+      // Sala personal del usuario, para las notificaciones
+      socket.join(userRoom(user.id));
+      
+      // Añadir socket a la presencia del usuario
+      await getPresence().addSocket(user.id, socket.id);
       
       // Enviar estado online a todos
       io.emit('user_status_change', {
@@ -86,12 +178,20 @@ const initSocket = (io) => {
       // Manejar envío de mensajes
       socket.on('send_message', async (data) => {
         try {
-          const { chatId, content } = data;
+          const limited = await consumeEvent(socket, 'messages');
+          if (limited) {
+            emitSocketError(socket, new TooManyRequestsError(undefined, { details: { retryAfter: limited.retryAfter } }), 'send_message');
+            return;
+          }
+
+          const payload = await readPayload(socket, 'send_message', data);
+          if (!payload) return;
+          const { chatId, content } = payload;
           
           // Verificar que el chat existe
           const chat = await Chat.findByPk(chatId);
           if (!chat) {
-            socket.emit('error', { message: 'Chat no encontrado' });
+            emitSocketError(socket, new NotFoundError('Chat no encontrado'), 'send_message');
             return;
           }
           
@@ -101,7 +201,7 @@ const initSocket = (io) => {
           });
           
           if (!isParticipant) {
-            socket.emit('error', { message: 'No tienes acceso a este chat' });
+            emitSocketError(socket, new ForbiddenError('No tienes acceso a este chat'), 'send_message');
             return;
           }
           
@@ -116,6 +216,9 @@ const initSocket = (io) => {
           chat.lastMessageAt = new Date();
           await chat.save();
           
+          // El remitente ha leído el chat hasta su propio mensaje
+          await markChatRead(chatId, user.id, message.id);
+          
           // Cargar mensaje con información del usuario
           const messageWithUser = await Message.findByPk(message.id, {
             include: [
@@ -131,14 +234,94 @@ const initSocket = (io) => {
           io.to(`chat:${chatId}`).emit('new_message', messageWithUser);
           
         } catch (error) {
-          console.error('Error al enviar mensaje via socket:', error);
-          socket.emit('error', { message: 'Error al enviar mensaje' });
+          emitSocketError(socket, error, 'send_message');
+        }
+      });
+      
+      // Manejar edición de mensajes
+      socket.on('edit_message', async (data) => {
+        try {
+          const payload = await readPayload(socket, 'edit_message', data);
+          if (!payload) return;
+          const { chatId, messageId, content } = payload;
+          
+          const { message, error } = await messageService.editMessage(chatId, messageId, user.id, content);
+          if (error) {
+            emitSocketError(socket, fromServiceError(error), 'edit_message');
+            return;
+          }
+          
+          io.to(`chat:${chatId}`).emit('message_edited', {
+            chatId,
+            messageId: message.id,
+            content: message.content,
+            editedAt: message.editedAt
+          });
+          
+        } catch (error) {
+          emitSocketError(socket, error, 'edit_message');
+        }
+      });
+      
+      // Manejar eliminación de mensajes
+      socket.on('delete_message', async (data) => {
+        try {
+          const payload = await readPayload(socket, 'delete_message', data);
+          if (!payload) return;
+          const { chatId, messageId } = payload;
+          
+          const { message, error } = await messageService.deleteMessage(chatId, messageId, user.id);
+          if (error) {
+            emitSocketError(socket, fromServiceError(error), 'delete_message');
+            return;
+          }
+          
+          io.to(`chat:${chatId}`).emit('message_deleted', {
+            chatId,
+            messageId: message.id,
+            deletedAt: message.deletedAt
+          });
+          
+        } catch (error) {
+          emitSocketError(socket, error, 'delete_message');
+        }
+      });
+      
+      // Manejar reacciones a mensajes
+      socket.on('toggle_reaction', async (data) => {
+        try {
+          const payload = await readPayload(socket, 'toggle_reaction', data);
+          if (!payload) return;
+          const { chatId, messageId, emoji } = payload;
+          
+          const { added, reactions, error } = await messageService.toggleReaction(chatId, messageId, user.id, emoji);
+          if (error) {
+            emitSocketError(socket, fromServiceError(error), 'toggle_reaction');
+            return;
+          }
+          
+          io.to(`chat:${chatId}`).emit('message_reaction', {
+            chatId,
+            messageId,
+            userId: user.id,
+            emoji,
+            added,
+            reactions
+          });
+          
+        } catch (error) {
+          emitSocketError(socket, error, 'toggle_reaction');
         }
       });
       
       // Manejar escritura
-      socket.on('typing', (data) => {
-        const { chatId } = data;
+      socket.on('typing', async (data) => {
+        // Los eventos de escritura por encima del límite se descartan sin avisar
+        if (await consumeEvent(socket, 'typing')) return;
+
+        const payload = await readPayload(socket, 'typing', data);
+        if (!payload) return;
+        const { chatId } = payload;
         
         // Emitir evento de escritura a todos los participantes excepto el remitente
         socket.to(`chat:${chatId}`).emit('user_typing', {
@@ -148,29 +331,27 @@ const initSocket = (io) => {
         });
       });
       
-      // Manejar lectura de mensajes
+      // Manejar lectura de mensajes (hasta messageId o hasta el último mensaje)
       socket.on('mark_read', async (data) => {
         try {
-          const { chatId } = data;
-          
-          // Marcar mensajes como leídos
-          await Message.update(
-            { read: true },
-            {
-              where: {
-                chatId,
-                userId: { [Op.ne]: user.id },
-                read: false
-              }
-            }
-          );
+          const payload = await readPayload(socket, 'mark_read', data);
+          if (!payload) return;
+          const { chatId, messageId } = payload;
           
-          // Notificar a los demás usuarios
-          socket.to(`chat:${chatId}`).emit('messages_read', {
-            chatId,
-            userId: user.id
+          // Verificar que el usuario es participante
+          const isParticipant = await ChatParticipant.findOne({
+            where: { chatId, userId: user.id }
           });
           
+          if (!isParticipant) {
+            emitSocketError(socket, new ForbiddenError('No tienes acceso a este chat'), 'mark_read');
+            return;
+          }
+          
+          // Actualizar el estado de lectura del usuario y notificar al chat
+          const readState = await markChatRead(chatId, user.id, messageId || null);
+          emitMessagesRead(io, readState);
+          
         } catch (error) {
           console.error('Error al marcar mensajes como leídos:', error);
         }
@@ -179,12 +360,14 @@ const initSocket = (io) => {
       // Manejar unirse a un chat
       socket.on('join_chat', async (data) => {
         try {
-          const { chatId } = data;
+          const payload = await readPayload(socket, 'join_chat', data);
+          if (!payload) return;
+          const { chatId } = payload;
           
           // Verificar que el chat existe
           const chat = await Chat.findByPk(chatId);
           if (!chat) {
-            socket.emit('error', { message: 'Chat no encontrado' });
+            emitSocketError(socket, new NotFoundError('Chat no encontrado'), 'join_chat');
             return;
           }
           
@@ -198,7 +381,7 @@ const initSocket = (io) => {
           });
           
           if (!isParticipant) {
-            socket.emit('error', { message: 'No tienes acceso a este chat' });
+            emitSocketError(socket, new ForbiddenError('No tienes acceso a este chat'), 'join_chat');
             return;
           }
           
@@ -206,8 +389,7 @@ const initSocket = (io) => {
           socket.join(`chat:${chatId}`);
           
         } catch (error) {
-          console.error('Error al unirse al chat:', error);
-          socket.emit('error', { message: 'Error al unirse al chat' });
+          emitSocketError(socket, error, 'join_chat');
         }
       });
       
@@ -215,27 +397,16 @@ const initSocket = (io) => {
       socket.on('disconnect', async () => {
         console.log(`Usuario desconectado: ${user.name} (${user.id})`);
         
-        // Eliminar socket de la colección
-        if (userSockets.has(user.id)) {
-          userSockets.get(user.id).delete(socket.id);
-          
-          // Si no quedan sockets para este usuario, actualizar estado a offline
-          if (userSockets.get(user.id).size === 0) {
-            userSockets.delete(user.id);
-            
-            // Actualizar estado de conexión del usuario
-            await User.update(
-              { isOnline: false, lastSeen: new Date() },
-              { where: { id: user.id } }
-            );
-            
-            // Enviar estado offline a todos
-            io.emit('user_status_change', {
-              userId: user.id,
-              isOnline: false,
-              lastSeen: new Date()
-            });
+        try {
+          // Eliminar socket de la presencia
+          const remaining = await getPresence().removeSocket(user.id, socket.id);
+          
+          // Si no quedan sockets para este usuario en ninguna instancia, actualizar estado a offline
+          if (remaining === 0) {
+            await setUserOffline(io, user.id);
           }
+        } catch (error) {
+          console.error('Error al actualizar la presencia del usuario:', error);
         }
       });
       
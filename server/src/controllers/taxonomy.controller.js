@@ -0,0 +1,26 @@
+const { Category, Skill } = require('../models');
+const { autocomplete } = require('../services/taxonomy.service');
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+/**
+ * Autocompletar categorías o habilidades (query, limit)
+ */
+const autocompleteHandler = (model, key, label) => async (req, res, next) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+    const items = await autocomplete(model, req.query.query, limit);
+
+    return res.status(200).json({
+      success: true,
+      [key]: items
+    });
+
+  } catch (error) {
+    return next(error);
+  }
+};
+
+exports.getCategories = autocompleteHandler(Category, 'categories', 'categorías');
+exports.getSkills = autocompleteHandler(Skill, 'skills', 'habilidades');
@@ -1,41 +1,50 @@
 
-const { User, Job } = require('../models');
+const { User, Job, Review, sequelize } = require('../models');
+const { Op } = require('sequelize');
+const { ROLES } = require('../config/permissions');
+const { normalizeSkills } = require('../services/taxonomy.service');
+const { recordAudit } = require('../services/moderation.service');
 const fs = require('fs').promises;
 const path = require('path');
+const { BadRequestError, NotFoundError, fromServiceError } = require('../utils/errors');
+const { negotiateLocale, resolveLocale } = require('../utils/i18n');
+
+// Subconsultas con la valoración media y el número de valoraciones de cada usuario
+const AVERAGE_RATING_SQL = '(SELECT COALESCE(AVG(r.rating), 0) FROM "Reviews" AS r WHERE r."revieweeId" = "User"."id")';
+const REVIEW_COUNT_SQL = '(SELECT COUNT(*) FROM "Reviews" AS r WHERE r."revieweeId" = "User"."id")';
 
 /**
  * Obtener información del usuario actual
  */
-exports.getCurrentUser = async (req, res) => {
+exports.getCurrentUser = async (req, res, next) => {
   try {
     // El usuario ya está en req.user gracias al middleware de autenticación
     return res.status(200).json({
       success: true,
-      user: req.user.toJSON()
+      user: req.user
     });
   } catch (error) {
-    console.error('Error al obtener usuario actual:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener información del usuario',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Obtener perfil de un usuario por ID
  */
-exports.getUserById = async (req, res) => {
+exports.getUserById = async (req, res, next) => {
   try {
     const { userId } = req.params;
     
-    const user = await User.findByPk(userId, {
-      attributes: { exclude: ['password'] },
+    // Los perfiles ocultos por moderación no se muestran
+    const user = await User.findOne({
+      where: { id: userId, hiddenAt: null },
+      attributes: User.PUBLIC_ATTRIBUTES,
       include: [
         {
           model: Job,
           as: 'jobs',
+          where: { hiddenAt: null },
+          required: false,
           limit: 5,
           order: [['createdAt', 'DESC']]
         }
@@ -43,51 +52,82 @@ exports.getUserById = async (req, res) => {
     });
     
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
+      return next(new NotFoundError('Usuario no encontrado'));
     }
     
+    // Valoraciones recibidas
+    const [ratingStats] = await Review.findAll({
+      attributes: [
+        [sequelize.fn('AVG', sequelize.col('rating')), 'averageRating'],
+        [sequelize.fn('COUNT', sequelize.col('id')), 'reviewCount']
+      ],
+      where: { revieweeId: userId },
+      raw: true
+    });
+    
+    const recentReviews = await Review.findAll({
+      where: { revieweeId: userId },
+      include: [
+        {
+          model: User,
+          as: 'reviewer',
+          attributes: ['id', 'name', 'photoURL']
+        }
+      ],
+      order: [['createdAt', 'DESC']],
+      limit: 5
+    });
+    
     return res.status(200).json({
       success: true,
-      user
+      user: {
+        ...user.toJSON(),
+        averageRating: ratingStats.averageRating ? parseFloat(parseFloat(ratingStats.averageRating).toFixed(2)) : 0,
+        reviewCount: parseInt(ratingStats.reviewCount, 10) || 0,
+        recentReviews
+      }
     });
     
   } catch (error) {
-    console.error('Error al obtener usuario por ID:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al obtener información del usuario',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Actualizar perfil de usuario
  */
-exports.updateProfile = async (req, res) => {
+exports.updateProfile = async (req, res, next) => {
   try {
     const userId = req.user.id;
-    const { name, bio, skills, hourlyRate } = req.body;
+    const { name, bio, skills, hourlyRate, locale } = req.body;
     
     const user = await User.findByPk(userId);
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
+      return next(new NotFoundError('Usuario no encontrado'));
+    }
+    
+    // Normalizar las habilidades a sus nombres canónicos
+    if (skills) {
+      const { skills: normalizedSkills, error } = await normalizeSkills(skills);
+      if (error) {
+        return next(fromServiceError(error));
+      }
+      user.skills = normalizedSkills;
     }
     
     // Actualizar campos
     if (name) user.name = name;
     if (bio !== undefined) user.bio = bio;
-    if (skills) user.skills = skills;
     if (hourlyRate !== undefined) user.hourlyRate = hourlyRate;
+    if (locale !== undefined) user.locale = locale;
     
     await user.save();
     
+    // Responder ya en el nuevo idioma (o en el de Accept-Language si se ha quitado la preferencia)
+    if (locale !== undefined) {
+      req.locale = resolveLocale(user, negotiateLocale(req.headers['accept-language']));
+    }
+    
     return res.status(200).json({
       success: true,
       message: 'Perfil actualizado correctamente',
@@ -95,25 +135,17 @@ exports.updateProfile = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al actualizar perfil:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al actualizar perfil',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Subir foto de perfil
  */
-exports.uploadProfilePhoto = async (req, res) => {
+exports.uploadProfilePhoto = async (req, res, next) => {
   try {
     if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'No se ha subido ninguna imagen'
-      });
+      return next(new BadRequestError('No se ha subido ninguna imagen'));
     }
     
     const userId = req.user.id;
@@ -144,35 +176,32 @@ exports.uploadProfilePhoto = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al subir foto de perfil:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al subir foto de perfil',
-      error: error.message
-    });
+    return next(error);
   }
 };
 
 /**
  * Buscar usuarios (para añadir a chats o ver perfiles)
  */
-exports.searchUsers = async (req, res) => {
+exports.searchUsers = async (req, res, next) => {
   try {
-    const { query, role } = req.query;
+    const { query, role, minRating, sort } = req.query;
     const searchQuery = {
-      attributes: { exclude: ['password'] },
-      where: {}
+      attributes: [
+        ...User.PUBLIC_ATTRIBUTES,
+        [sequelize.literal(AVERAGE_RATING_SQL), 'averageRating'],
+        [sequelize.literal(REVIEW_COUNT_SQL), 'reviewCount']
+      ],
+      // Los perfiles ocultos por moderación no aparecen en las búsquedas
+      where: { hiddenAt: null }
     };
     
     // Añadir filtro por nombre o email si hay query
     if (query) {
-      const { Op } = require('sequelize');
-      searchQuery.where = {
-        [Op.or]: [
-          { name: { [Op.iLike]: `%${query}%` } },
-          { email: { [Op.iLike]: `%${query}%` } }
-        ]
-      };
+      searchQuery.where[Op.or] = [
+        { name: { [Op.iLike]: `%${query}%` } },
+        { email: { [Op.iLike]: `%${query}%` } }
+      ];
     }
     
     // Añadir filtro por rol si se especifica
@@ -180,6 +209,26 @@ exports.searchUsers = async (req, res) => {
       searchQuery.where.role = role;
     }
     
+    // Añadir filtro por valoración mínima
+    const parsedMinRating = parseFloat(minRating);
+    if (!isNaN(parsedMinRating)) {
+      searchQuery.where[Op.and] = [
+        sequelize.where(sequelize.literal(AVERAGE_RATING_SQL), Op.gte, parsedMinRating)
+      ];
+    }
+    
+    // Ordenar resultados
+    if (sort === 'rating') {
+      searchQuery.order = [
+        [sequelize.literal('"averageRating"'), 'DESC'],
+        [sequelize.literal('"reviewCount"'), 'DESC']
+      ];
+    } else if (sort === 'reviews') {
+      searchQuery.order = [[sequelize.literal('"reviewCount"'), 'DESC']];
+    } else if (sort === 'name') {
+      searchQuery.order = [['name', 'ASC']];
+    }
+    
     const users = await User.findAll(searchQuery);
     
     return res.status(200).json({
@@ -188,11 +237,50 @@ exports.searchUsers = async (req, res) => {
     });
     
   } catch (error) {
-    console.error('Error al buscar usuarios:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error al buscar usuarios',
-      error: error.message
+    return next(error);
+  }
+};
+
+/**
+ * Cambiar el rol de un usuario (solo administradores)
+ */
+exports.updateUserRole = async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const { role } = req.body;
+    
+    if (!ROLES.includes(role)) {
+      return next(new BadRequestError('Rol no válido. Roles disponibles: {roles}', { params: { roles: ROLES.join(', ') } }));
+    }
+    
+    if (userId === req.user.id) {
+      return next(new BadRequestError('No puedes cambiar tu propio rol'));
+    }
+    
+    const user = await User.findByPk(userId);
+    if (!user) {
+      return next(new NotFoundError('Usuario no encontrado'));
+    }
+    
+    const previousRole = user.role;
+    user.role = role;
+    await user.save();
+    
+    await recordAudit({
+      actorId: req.user.id,
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: user.id,
+      metadata: { previousRole, role }
     });
+    
+    return res.status(200).json({
+      success: true,
+      message: 'Rol actualizado correctamente',
+      user: user.toJSON()
+    });
+    
+  } catch (error) {
+    return next(error);
   }
 };
@@ -3,9 +3,15 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const { Server } = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const dotenv = require('dotenv');
-const { sequelize, testConnection } = require('./config/database');
+const { testConnection } = require('./config/database');
+const { isRedisEnabled, createRedisClient } = require('./config/redis');
+const { usePresenceStore, NODE_ID } = require('./services/presence.service');
+const { useRateLimitStore } = require('./services/rate-limit.service');
 const { verifyToken } = require('./middleware/auth');
+const { localize } = require('./middleware/locale');
+const { notFoundHandler, errorHandler } = require('./middleware/error-handler');
 require('./models'); // Esto carga todos los modelos
 
 // Cargar variables de entorno
@@ -15,8 +21,16 @@ dotenv.config();
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Detrás de un proxy inverso, TRUST_PROXY indica cuántos saltos son de confianza para que
+// req.ip (y con ello los límites de peticiones por IP) use la IP real del cliente
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || process.env.TRUST_PROXY === 'true');
+}
+
 // Middlewares
 app.use(cors()); 
+// El idioma se negocia antes de leer el cuerpo, para traducir también sus errores
+app.use(localize);
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
 
@@ -25,6 +39,11 @@ const authRoutes = require('./routes/auth.routes');
 const userRoutes = require('./routes/user.routes');
 const jobRoutes = require('./routes/job.routes');
 const chatRoutes = require('./routes/chat.routes');
+const adminRoutes = require('./routes/admin.routes');
+const reportRoutes = require('./routes/report.routes');
+const notificationRoutes = require('./routes/notification.routes');
+const savedSearchRoutes = require('./routes/saved-search.routes');
+const taxonomyRoutes = require('./routes/taxonomy.routes');
 
 // Definir rutas
 app.use('/api/auth', authRoutes);
@@ -32,12 +51,21 @@ app.use('/api/users', userRoutes);
 app.use('/api/jobs', jobRoutes);
 // Para las rutas de chat aplicamos el middleware de autenticación a nivel de router
 app.use('/api/chats', chatRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/taxonomy', taxonomyRoutes);
 
 // Ruta de prueba
 app.get('/api/test', (req, res) => {
   res.json({ message: 'API funcionando correctamente' });
 });
 
+// Rutas inexistentes y errores (siempre después de las rutas)
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
 // Crear el servidor HTTP
 const server = http.createServer(app);
 
@@ -49,10 +77,46 @@ const io = new Server(server, {
   }
 });
 
+// Permitir a los controladores REST emitir eventos de Socket.IO
+app.set('io', io);
+
 // Importar controladores de Socket.IO
 const { initSocket } = require('./controllers/socket.controller');
 initSocket(io);
 
+// Con REDIS_URL los eventos, la presencia y los límites de peticiones se comparten entre varias instancias
+const setupRedis = async () => {
+  const pubClient = await createRedisClient('pub');
+  const subClient = pubClient.duplicate();
+  subClient.on('error', (error) => console.error('Error en el cliente de Redis (sub):', error));
+  await subClient.connect();
+  io.adapter(createAdapter(pubClient, subClient));
+
+  const presenceClient = await createRedisClient('presence');
+  const presence = usePresenceStore(presenceClient);
+
+  // Límites de peticiones y bloqueos de inicio de sesión compartidos entre instancias
+  useRateLimitStore(await createRedisClient('rate-limit'));
+
+  // Retirar la presencia de esta instancia al apagarse
+  const shutdown = async () => {
+    try {
+      await presence.stop();
+    } finally {
+      process.exit(0);
+    }
+  };
+  process.once('SIGINT', shutdown);
+  process.once('SIGTERM', shutdown);
+
+  console.log(`Adaptador de Redis configurado para Socket.IO (instancia ${NODE_ID}).`);
+};
+
+// Tareas de arranque y periódicas
+const { getMigrationStatus, migrateUp } = require('./services/migration.service');
+const { syncDefaultTaxonomy } = require('./services/taxonomy.service');
+const { startDigestScheduler } = require('./services/saved-search.service');
+
 // Iniciar servidor
 const startServer = async () => {
   try {
@@ -60,10 +124,28 @@ const startServer = async () => {
     const isConnected = await testConnection();
     
     if (isConnected) {
-      // Sincronizar modelos con la base de datos
-      // Cambiamos a force:false para mantener datos existentes
-      await sequelize.sync({ force: false });
-      console.log('Modelos sincronizados con la base de datos.');
+      // Comprobar que el esquema está al día (o migrarlo si DB_MIGRATE_ON_START=true)
+      if (process.env.DB_MIGRATE_ON_START === 'true') {
+        await migrateUp();
+      } else {
+        const { pending } = await getMigrationStatus();
+        if (pending.length > 0) {
+          console.error(`Hay ${pending.length} migraciones pendientes: ${pending.join(', ')}`);
+          console.error('Ejecuta npm run migrate antes de iniciar el servidor.');
+          process.exit(1);
+        }
+      }
+      console.log('Esquema de la base de datos actualizado.');
+      
+      // Categorías y habilidades por defecto
+      await syncDefaultTaxonomy();
+      
+      if (isRedisEnabled()) {
+        await setupRedis();
+      }
+      
+      // Resúmenes diarios de las búsquedas guardadas
+      startDigestScheduler(io);
       
       // Iniciar el servidor HTTP
       server.listen(PORT, () => {
@@ -0,0 +1,263 @@
+/**
+ * Catálogo en inglés
+ * La clave es el texto en español tal como aparece en el código (ver src/utils/i18n.js).
+ */
+module.exports = {
+  // Errores genéricos
+  'Petición no válida': 'Invalid request',
+  'Datos de la petición no válidos': 'Invalid request data',
+  'No autenticado': 'Not authenticated',
+  'No tienes permiso para realizar esta acción': 'You do not have permission to perform this action',
+  'Recurso no encontrado': 'Resource not found',
+  'El recurso ya existe': 'The resource already exists',
+  'Demasiadas peticiones, inténtalo más tarde': 'Too many requests, please try again later',
+  'Ruta no encontrada: {method} {url}': 'Route not found: {method} {url}',
+  'El cuerpo de la petición no es un JSON válido': 'The request body is not valid JSON',
+  'El cuerpo de la petición es demasiado grande': 'The request body is too large',
+  'Error al procesar los archivos': 'Error processing the files',
+  'Error interno del servidor': 'Internal server error',
+  'API funcionando correctamente': 'API running correctly',
+  'Cursor de paginación no válido': 'Invalid pagination cursor',
+  'Identificador no válido': 'Invalid identifier',
+
+  // Autenticación y sesiones
+  'No se proporcionó token de autenticación': 'No authentication token provided',
+  'La sesión ha sido revocada o ha expirado': 'The session has been revoked or has expired',
+  'Token inválido': 'Invalid token',
+  'Token expirado': 'Token expired',
+  'Token inválido o expirado': 'Invalid or expired token',
+  'Token de actualización inválido': 'Invalid refresh token',
+  'Se ha reutilizado un token de actualización; la sesión ha sido revocada': 'A refresh token was reused; the session has been revoked',
+  'Debes verificar tu correo electrónico para realizar esta acción': 'You must verify your email address to perform this action',
+  'No puedes registrarte como administrador': 'You cannot register as an administrator',
+  'Rol no válido. Roles disponibles: {roles}': 'Invalid role. Available roles: {roles}',
+  'El correo electrónico ya está registrado': 'The email address is already registered',
+  'Usuario registrado correctamente': 'User registered successfully',
+  'Credenciales incorrectas': 'Invalid credentials',
+  'Demasiados intentos fallidos. Inténtalo de nuevo en {minutes} minutos': 'Too many failed attempts. Try again in {minutes} minutes',
+  'Inicio de sesión exitoso': 'Logged in successfully',
+  'Sesión cerrada correctamente': 'Logged out successfully',
+  'Sesión no encontrada': 'Session not found',
+  'Sesión revocada correctamente': 'Session revoked successfully',
+  'Sesiones revocadas correctamente': 'Sessions revoked successfully',
+  'Correo electrónico verificado correctamente': 'Email address verified successfully',
+  'El correo electrónico ya está verificado': 'The email address is already verified',
+  'Correo de verificación enviado': 'Verification email sent',
+  'Si el correo está registrado, recibirás un enlace para restablecer la contraseña':
+    'If the email address is registered, you will receive a link to reset your password',
+  'Contraseña restablecida correctamente. Inicia sesión con la nueva contraseña':
+    'Password reset successfully. Log in with your new password',
+  'La contraseña actual no es correcta': 'The current password is incorrect',
+  'Contraseña cambiada correctamente': 'Password changed successfully',
+  'La contraseña debe tener al menos {min} caracteres': 'The password must be at least {min} characters long',
+  'El enlace de verificación no es válido o ha caducado': 'The verification link is invalid or has expired',
+  'El enlace para restablecer la contraseña no es válido o ha caducado': 'The password reset link is invalid or has expired',
+  'Tu cuenta ha sido bloqueada': 'Your account has been banned',
+  'Tu cuenta está suspendida': 'Your account is suspended',
+  'Tu cuenta está suspendida hasta el {until}': 'Your account is suspended until {until}',
+
+  // Usuarios
+  'Usuario no encontrado': 'User not found',
+  'Perfil actualizado correctamente': 'Profile updated successfully',
+  'No se ha subido ninguna imagen': 'No image was uploaded',
+  'Solo se permiten imágenes (jpeg, jpg, png, gif)': 'Only images are allowed (jpeg, jpg, png, gif)',
+  'Foto de perfil actualizada correctamente': 'Profile photo updated successfully',
+  'No puedes cambiar tu propio rol': 'You cannot change your own role',
+  'Rol actualizado correctamente': 'Role updated successfully',
+
+  // Trabajos, comentarios y valoraciones
+  'Trabajo creado correctamente': 'Job created successfully',
+  'Trabajo no encontrado': 'Job not found',
+  'No tienes permiso para editar este trabajo': 'You do not have permission to edit this job',
+  'Trabajo actualizado correctamente': 'Job updated successfully',
+  'Estado del trabajo actualizado correctamente': 'Job status updated successfully',
+  'No tienes permiso para eliminar este trabajo': 'You do not have permission to delete this job',
+  'Trabajo eliminado correctamente': 'Job deleted successfully',
+  'No se puede eliminar un trabajo con pagos registrados': 'A job with recorded payments cannot be deleted',
+  'No tienes permiso para ver sugerencias de este trabajo': 'You do not have permission to see suggestions for this job',
+  'Estado no válido': 'Invalid status',
+  'No tienes permiso para cambiar el estado de este trabajo': 'You do not have permission to change the status of this job',
+  "No se puede pasar de '{from}' a '{to}'": "Cannot change from '{from}' to '{to}'",
+  'No tienes permiso para realizar este cambio de estado': 'You do not have permission to make this status change',
+  'Acepta una propuesta para asignar el trabajo': 'Accept a proposal to assign the job',
+  'Comentario añadido correctamente': 'Comment added successfully',
+  'Comentario no encontrado': 'Comment not found',
+  'Respuesta añadida correctamente': 'Reply added successfully',
+  'Respuesta no encontrada': 'Reply not found',
+  'La valoración debe ser un número entre 1 y 5': 'The rating must be a number between 1 and 5',
+  'Solo se pueden valorar trabajos completados': 'Only completed jobs can be reviewed',
+  'Solo el cliente y el freelancer asignado pueden valorar este trabajo': 'Only the client and the assigned freelancer can review this job',
+  'Ya has valorado este trabajo': 'You have already reviewed this job',
+  'Valoración añadida correctamente': 'Review added successfully',
+
+  // Propuestas
+  'No puedes enviar propuestas a tu propio trabajo': 'You cannot send proposals to your own job',
+  'El trabajo no está abierto a propuestas': 'The job is not open to proposals',
+  'Ya has enviado una propuesta para este trabajo': 'You have already sent a proposal for this job',
+  'Propuesta enviada correctamente': 'Proposal sent successfully',
+  'Propuesta no encontrada': 'Proposal not found',
+  'No tienes permiso para retirar esta propuesta': 'You do not have permission to withdraw this proposal',
+  'Solo se pueden retirar propuestas pendientes': 'Only pending proposals can be withdrawn',
+  'Propuesta retirada correctamente': 'Proposal withdrawn successfully',
+  'No tienes permiso para gestionar las propuestas de este trabajo': 'You do not have permission to manage the proposals for this job',
+  'Solo se pueden aceptar propuestas pendientes': 'Only pending proposals can be accepted',
+  'Propuesta aceptada correctamente': 'Proposal accepted successfully',
+  'Solo se pueden rechazar propuestas pendientes': 'Only pending proposals can be rejected',
+  'Propuesta rechazada correctamente': 'Proposal rejected successfully',
+
+  // Hitos y pagos
+  'Hito no encontrado': 'Milestone not found',
+  'No tienes acceso a los hitos de este trabajo': 'You do not have access to the milestones of this job',
+  'El monto del hito debe ser mayor que cero': 'The milestone amount must be greater than zero',
+  'No tienes permiso para crear hitos en este trabajo': 'You do not have permission to create milestones for this job',
+  'Solo se pueden crear hitos en trabajos asignados': 'Milestones can only be created for assigned jobs',
+  "No se pueden gestionar hitos de un trabajo en estado '{status}'": "Milestones cannot be managed on a job with status '{status}'",
+  'El trabajo tiene hitos con fondos en depósito; inténtalo de nuevo': 'The job has milestones with funds in escrow; please try again',
+  'La suma de los hitos ({total}) supera el presupuesto del trabajo ({budget})':
+    'The milestones total ({total}) exceeds the job budget ({budget})',
+  'Hito creado correctamente': 'Milestone created successfully',
+  'Solo el cliente puede fondear los hitos': 'Only the client can fund milestones',
+  'El hito ya ha sido fondeado': 'The milestone has already been funded',
+  'Hito fondeado correctamente': 'Milestone funded successfully',
+  'Solo el freelancer asignado puede entregar los hitos': 'Only the assigned freelancer can deliver milestones',
+  'Solo se pueden entregar hitos fondeados': 'Only funded milestones can be delivered',
+  'Hito entregado correctamente': 'Milestone delivered successfully',
+  'Solo el cliente puede aprobar los hitos': 'Only the client can approve milestones',
+  'Solo se pueden aprobar hitos entregados': 'Only delivered milestones can be approved',
+  'Hito aprobado y pago liberado correctamente': 'Milestone approved and payment released successfully',
+
+  // Chats y mensajes
+  'Se requiere al menos un participante': 'At least one participant is required',
+  'Chat existente recuperado': 'Existing chat retrieved',
+  'Chat creado correctamente': 'Chat created successfully',
+  'Chat no encontrado': 'Chat not found',
+  'No tienes acceso a este chat': 'You do not have access to this chat',
+  'Mensaje enviado correctamente': 'Message sent successfully',
+  'El usuario ya es participante del chat': 'The user is already a participant in the chat',
+  'Participante añadido correctamente': 'Participant added successfully',
+  'No eres participante de este chat': 'You are not a participant in this chat',
+  'Has abandonado el chat correctamente': 'You have left the chat',
+  'Usa before o after, no ambos': 'Use before or after, not both',
+  'Cursor de sincronización no válido': 'Invalid sync cursor',
+  'Mensaje no encontrado': 'Message not found',
+  'Mensaje editado correctamente': 'Message edited successfully',
+  'Mensaje eliminado correctamente': 'Message deleted successfully',
+  'El contenido del mensaje no puede estar vacío': 'The message content cannot be empty',
+  'Solo puedes editar tus propios mensajes': 'You can only edit your own messages',
+  'No se puede editar un mensaje eliminado': 'A deleted message cannot be edited',
+  'No se puede editar un mensaje del sistema': 'A system message cannot be edited',
+  'Solo puedes eliminar tus propios mensajes': 'You can only delete your own messages',
+  'Reacción no válida': 'Invalid reaction',
+  'No se puede reaccionar a un mensaje eliminado': 'You cannot react to a deleted message',
+  'No se ha subido ningún archivo': 'No file was uploaded',
+  'Archivos enviados correctamente': 'Files sent successfully',
+  'Archivo no encontrado': 'File not found',
+  'El archivo supera el tamaño máximo de {size}MB': 'The file exceeds the maximum size of {size}MB',
+  'Solo se pueden subir {max} archivos a la vez': 'Only {max} files can be uploaded at once',
+  'Tipo de archivo no permitido': 'File type not allowed',
+
+  // Mensajes del sistema de los chats
+  'Un nuevo participante ha sido añadido al chat': 'A new participant has been added to the chat',
+  'Un usuario ha abandonado el chat': 'A user has left the chat',
+
+  // Notificaciones
+  'Notificación no encontrada': 'Notification not found',
+  'Preferencias no válidas: {invalid}. Tipos disponibles: {types}': 'Invalid preferences: {invalid}. Available types: {types}',
+  'Preferencias actualizadas correctamente': 'Preferences updated successfully',
+  'Alguien': 'Someone',
+  '{Actor} ha comentado en tu trabajo "{jobTitle}"': '{Actor} commented on your job "{jobTitle}"',
+  '{Actor} ha respondido a tu comentario en "{jobTitle}"': '{Actor} replied to your comment on "{jobTitle}"',
+  'A {actor} le gusta tu trabajo "{jobTitle}"': '{Actor} likes your job "{jobTitle}"',
+  '{Actor} te ha añadido al chat "{chatName}"': '{Actor} added you to the chat "{chatName}"',
+  '{Actor} te ha añadido a un chat': '{Actor} added you to a chat',
+  'Nuevo trabajo para tu búsqueda "{searchName}": "{jobTitle}"': 'New job for your search "{searchName}": "{jobTitle}"',
+  '1 trabajo nuevo para tu búsqueda "{searchName}"': '1 new job for your search "{searchName}"',
+  '{count} trabajos nuevos para tu búsqueda "{searchName}"': '{count} new jobs for your search "{searchName}"',
+
+  // Búsquedas guardadas y taxonomía
+  'Solo puedes guardar {max} búsquedas': 'You can only save {max} searches',
+  'Búsqueda guardada correctamente': 'Search saved successfully',
+  'Búsqueda guardada no encontrada': 'Saved search not found',
+  'Búsqueda actualizada correctamente': 'Search updated successfully',
+  'Búsqueda eliminada correctamente': 'Search deleted successfully',
+  'El rango de presupuesto debe ser numérico': 'The budget range must be numeric',
+  'El presupuesto mínimo no puede ser mayor que el máximo': 'The minimum budget cannot be greater than the maximum',
+  'Frecuencia no válida. Usa {frequencies}': 'Invalid frequency. Use {frequencies}',
+  'La búsqueda debe tener al menos un filtro': 'The search must have at least one filter',
+  'No se pueden indicar más de {max} habilidades': 'No more than {max} skills can be specified',
+  'Habilidad demasiado larga: {skill}...': 'Skill too long: {skill}...',
+  'Categoría no válida. Consulta GET /api/taxonomy/categories': 'Invalid category. See GET /api/taxonomy/categories',
+
+  // Denuncias y moderación
+  'Tipo de contenido no válido': 'Invalid content type',
+  'No puedes denunciar tu propio contenido': 'You cannot report your own content',
+  'Motivo no válido. Motivos disponibles: {reasons}': 'Invalid reason. Available reasons: {reasons}',
+  'Has enviado demasiadas denuncias. Inténtalo más tarde': 'You have sent too many reports. Please try again later',
+  'Ya has denunciado este contenido': 'You have already reported this content',
+  'Denuncia enviada correctamente. La revisaremos lo antes posible': 'Report sent successfully. We will review it as soon as possible',
+  'No puedes moderar tu propia cuenta': 'You cannot moderate your own account',
+  'No se puede suspender ni bloquear a un administrador': 'An administrator cannot be suspended or banned',
+  'La fecha de fin de la suspensión debe ser futura': 'The suspension end date must be in the future',
+  'Estado de la cuenta actualizado correctamente': 'Account status updated successfully',
+  'Contenido eliminado correctamente': 'Content removed successfully',
+  'Estado no válido. Usa resolved o dismissed': 'Invalid status. Use resolved or dismissed',
+  'Denuncia no encontrada': 'Report not found',
+  'Denuncia actualizada correctamente': 'Report updated successfully',
+
+  // Validación de campos
+  'Se requiere {label}': '{Label} is required',
+  '{Label} debe ser un texto': '{Label} must be a string',
+  '{Label} no puede superar los {max} caracteres': '{Label} cannot exceed {max} characters',
+  '{Label} debe ser un número mayor que cero': '{Label} must be a number greater than zero',
+  '{Label} debe ser un número mayor o igual que cero': '{Label} must be a number greater than or equal to zero',
+  '{Label} no es válido': '{Label} is not valid',
+  'Las habilidades deben ser una lista de textos': 'Skills must be a list of strings',
+  'La página debe ser un número entero mayor que 0': 'The page must be an integer greater than 0',
+  'El límite debe ser un número entero mayor que 0': 'The limit must be an integer greater than 0',
+  'Idioma no válido. Idiomas disponibles: {locales}': 'Invalid language. Available languages: {locales}',
+  'El correo electrónico es obligatorio': 'The email address is required',
+  'El correo electrónico no es válido': 'The email address is not valid',
+  'El correo electrónico es demasiado largo': 'The email address is too long',
+  'La contraseña es obligatoria': 'The password is required',
+  'La contraseña debe tener entre {min} y {max} caracteres': 'The password must be between {min} and {max} characters long',
+  'La contraseña actual es obligatoria': 'The current password is required',
+  'El código de invitación no es válido': 'The invitation code is not valid',
+  'Se requiere el token de actualización': 'The refresh token is required',
+  'Se requiere el token de verificación': 'The verification token is required',
+  'Se requiere el token de restablecimiento': 'The reset token is required',
+  'Rol no válido (freelancer o client)': 'Invalid role (freelancer or client)',
+  'La valoración mínima debe estar entre 0 y 5': 'The minimum rating must be between 0 and 5',
+  'Orden no válido (rating, reviews o name)': 'Invalid sort (rating, reviews or name)',
+  'La tarifa por hora debe ser un número mayor o igual que cero': 'The hourly rate must be a number greater than or equal to zero',
+  'Estado no válido. Estados disponibles: {statuses}': 'Invalid status. Available statuses: {statuses}',
+  'Orden no válido. Opciones: {sorts}': 'Invalid sort. Options: {sorts}',
+  'El plazo de entrega debe ser un número de días entre 1 y 365': 'The delivery time must be a number of days between 1 and 365',
+  'La fecha límite debe tener formato ISO 8601 (AAAA-MM-DD)': 'The due date must use the ISO 8601 format (YYYY-MM-DD)',
+  'Se requiere un emoji': 'An emoji is required',
+  'Emoji no válido': 'Invalid emoji',
+  'Se requiere entre 1 y {max} participantes': 'Between 1 and {max} participants are required',
+  'isGroup debe ser true o false': 'isGroup must be true or false',
+
+  // Nombres de los campos
+  'El nombre': 'The name',
+  'La biografía': 'The bio',
+  'El texto de búsqueda': 'The search text',
+  'La categoría': 'The category',
+  'El presupuesto': 'The budget',
+  'El presupuesto mínimo': 'The minimum budget',
+  'El presupuesto máximo': 'The maximum budget',
+  'El título': 'The title',
+  'La descripción': 'The description',
+  'El motivo': 'The reason',
+  'El comentario': 'The comment',
+  'La respuesta': 'The reply',
+  'La carta de presentación': 'The cover letter',
+  'El monto': 'The amount',
+  'El monto del hito': 'The milestone amount',
+  'El participante': 'The participant',
+  'El nombre del chat': 'The chat name',
+  'El mensaje': 'The message',
+  'El usuario': 'The user',
+  'El chat': 'The chat',
+  'El objetivo': 'The target'
+};
@@ -0,0 +1,263 @@
+/**
+ * Catálogo en portugués
+ * La clave es el texto en español tal como aparece en el código (ver src/utils/i18n.js).
+ */
+module.exports = {
+  // Errores genéricos
+  'Petición no válida': 'Requisição inválida',
+  'Datos de la petición no válidos': 'Dados da requisição inválidos',
+  'No autenticado': 'Não autenticado',
+  'No tienes permiso para realizar esta acción': 'Você não tem permissão para realizar esta ação',
+  'Recurso no encontrado': 'Recurso não encontrado',
+  'El recurso ya existe': 'O recurso já existe',
+  'Demasiadas peticiones, inténtalo más tarde': 'Muitas requisições, tente novamente mais tarde',
+  'Ruta no encontrada: {method} {url}': 'Rota não encontrada: {method} {url}',
+  'El cuerpo de la petición no es un JSON válido': 'O corpo da requisição não é um JSON válido',
+  'El cuerpo de la petición es demasiado grande': 'O corpo da requisição é grande demais',
+  'Error al procesar los archivos': 'Erro ao processar os arquivos',
+  'Error interno del servidor': 'Erro interno do servidor',
+  'API funcionando correctamente': 'API funcionando corretamente',
+  'Cursor de paginación no válido': 'Cursor de paginação inválido',
+  'Identificador no válido': 'Identificador inválido',
+
+  // Autenticación y sesiones
+  'No se proporcionó token de autenticación': 'Nenhum token de autenticação foi fornecido',
+  'La sesión ha sido revocada o ha expirado': 'A sessão foi revogada ou expirou',
+  'Token inválido': 'Token inválido',
+  'Token expirado': 'Token expirado',
+  'Token inválido o expirado': 'Token inválido ou expirado',
+  'Token de actualización inválido': 'Token de atualização inválido',
+  'Se ha reutilizado un token de actualización; la sesión ha sido revocada': 'Um token de atualização foi reutilizado; a sessão foi revogada',
+  'Debes verificar tu correo electrónico para realizar esta acción': 'Você precisa verificar seu e-mail para realizar esta ação',
+  'No puedes registrarte como administrador': 'Você não pode se cadastrar como administrador',
+  'Rol no válido. Roles disponibles: {roles}': 'Função inválida. Funções disponíveis: {roles}',
+  'El correo electrónico ya está registrado': 'O e-mail já está cadastrado',
+  'Usuario registrado correctamente': 'Usuário cadastrado com sucesso',
+  'Credenciales incorrectas': 'Credenciais incorretas',
+  'Demasiados intentos fallidos. Inténtalo de nuevo en {minutes} minutos': 'Muitas tentativas sem sucesso. Tente novamente em {minutes} minutos',
+  'Inicio de sesión exitoso': 'Login realizado com sucesso',
+  'Sesión cerrada correctamente': 'Sessão encerrada com sucesso',
+  'Sesión no encontrada': 'Sessão não encontrada',
+  'Sesión revocada correctamente': 'Sessão revogada com sucesso',
+  'Sesiones revocadas correctamente': 'Sessões revogadas com sucesso',
+  'Correo electrónico verificado correctamente': 'E-mail verificado com sucesso',
+  'El correo electrónico ya está verificado': 'O e-mail já está verificado',
+  'Correo de verificación enviado': 'E-mail de verificação enviado',
+  'Si el correo está registrado, recibirás un enlace para restablecer la contraseña':
+    'Se o e-mail estiver cadastrado, você receberá um link para redefinir a senha',
+  'Contraseña restablecida correctamente. Inicia sesión con la nueva contraseña':
+    'Senha redefinida com sucesso. Faça login com a nova senha',
+  'La contraseña actual no es correcta': 'A senha atual está incorreta',
+  'Contraseña cambiada correctamente': 'Senha alterada com sucesso',
+  'La contraseña debe tener al menos {min} caracteres': 'A senha deve ter pelo menos {min} caracteres',
+  'El enlace de verificación no es válido o ha caducado': 'O link de verificação é inválido ou expirou',
+  'El enlace para restablecer la contraseña no es válido o ha caducado': 'O link para redefinir a senha é inválido ou expirou',
+  'Tu cuenta ha sido bloqueada': 'Sua conta foi bloqueada',
+  'Tu cuenta está suspendida': 'Sua conta está suspensa',
+  'Tu cuenta está suspendida hasta el {until}': 'Sua conta está suspensa até {until}',
+
+  // Usuarios
+  'Usuario no encontrado': 'Usuário não encontrado',
+  'Perfil actualizado correctamente': 'Perfil atualizado com sucesso',
+  'No se ha subido ninguna imagen': 'Nenhuma imagem foi enviada',
+  'Solo se permiten imágenes (jpeg, jpg, png, gif)': 'Apenas imagens são permitidas (jpeg, jpg, png, gif)',
+  'Foto de perfil actualizada correctamente': 'Foto de perfil atualizada com sucesso',
+  'No puedes cambiar tu propio rol': 'Você não pode alterar sua própria função',
+  'Rol actualizado correctamente': 'Função atualizada com sucesso',
+
+  // Trabajos, comentarios y valoraciones
+  'Trabajo creado correctamente': 'Trabalho criado com sucesso',
+  'Trabajo no encontrado': 'Trabalho não encontrado',
+  'No tienes permiso para editar este trabajo': 'Você não tem permissão para editar este trabalho',
+  'Trabajo actualizado correctamente': 'Trabalho atualizado com sucesso',
+  'Estado del trabajo actualizado correctamente': 'Status do trabalho atualizado com sucesso',
+  'No tienes permiso para eliminar este trabajo': 'Você não tem permissão para excluir este trabalho',
+  'Trabajo eliminado correctamente': 'Trabalho excluído com sucesso',
+  'No se puede eliminar un trabajo con pagos registrados': 'Não é possível excluir um trabalho com pagamentos registrados',
+  'No tienes permiso para ver sugerencias de este trabajo': 'Você não tem permissão para ver sugestões deste trabalho',
+  'Estado no válido': 'Status inválido',
+  'No tienes permiso para cambiar el estado de este trabajo': 'Você não tem permissão para alterar o status deste trabalho',
+  "No se puede pasar de '{from}' a '{to}'": "Não é possível passar de '{from}' para '{to}'",
+  'No tienes permiso para realizar este cambio de estado': 'Você não tem permissão para fazer esta mudança de status',
+  'Acepta una propuesta para asignar el trabajo': 'Aceite uma proposta para atribuir o trabalho',
+  'Comentario añadido correctamente': 'Comentário adicionado com sucesso',
+  'Comentario no encontrado': 'Comentário não encontrado',
+  'Respuesta añadida correctamente': 'Resposta adicionada com sucesso',
+  'Respuesta no encontrada': 'Resposta não encontrada',
+  'La valoración debe ser un número entre 1 y 5': 'A avaliação deve ser um número entre 1 e 5',
+  'Solo se pueden valorar trabajos completados': 'Apenas trabalhos concluídos podem ser avaliados',
+  'Solo el cliente y el freelancer asignado pueden valorar este trabajo': 'Apenas o cliente e o freelancer atribuído podem avaliar este trabalho',
+  'Ya has valorado este trabajo': 'Você já avaliou este trabalho',
+  'Valoración añadida correctamente': 'Avaliação adicionada com sucesso',
+
+  // Propuestas
+  'No puedes enviar propuestas a tu propio trabajo': 'Você não pode enviar propostas para o seu próprio trabalho',
+  'El trabajo no está abierto a propuestas': 'O trabalho não está aberto a propostas',
+  'Ya has enviado una propuesta para este trabajo': 'Você já enviou uma proposta para este trabalho',
+  'Propuesta enviada correctamente': 'Proposta enviada com sucesso',
+  'Propuesta no encontrada': 'Proposta não encontrada',
+  'No tienes permiso para retirar esta propuesta': 'Você não tem permissão para retirar esta proposta',
+  'Solo se pueden retirar propuestas pendientes': 'Apenas propostas pendentes podem ser retiradas',
+  'Propuesta retirada correctamente': 'Proposta retirada com sucesso',
+  'No tienes permiso para gestionar las propuestas de este trabajo': 'Você não tem permissão para gerenciar as propostas deste trabalho',
+  'Solo se pueden aceptar propuestas pendientes': 'Apenas propostas pendentes podem ser aceitas',
+  'Propuesta aceptada correctamente': 'Proposta aceita com sucesso',
+  'Solo se pueden rechazar propuestas pendientes': 'Apenas propostas pendentes podem ser recusadas',
+  'Propuesta rechazada correctamente': 'Proposta recusada com sucesso',
+
+  // Hitos y pagos
+  'Hito no encontrado': 'Marco não encontrado',
+  'No tienes acceso a los hitos de este trabajo': 'Você não tem acesso aos marcos deste trabalho',
+  'El monto del hito debe ser mayor que cero': 'O valor do marco deve ser maior que zero',
+  'No tienes permiso para crear hitos en este trabajo': 'Você não tem permissão para criar marcos neste trabalho',
+  'Solo se pueden crear hitos en trabajos asignados': 'Só é possível criar marcos em trabalhos atribuídos',
+  "No se pueden gestionar hitos de un trabajo en estado '{status}'": "Não é possível gerenciar marcos de um trabalho com status '{status}'",
+  'El trabajo tiene hitos con fondos en depósito; inténtalo de nuevo': 'O trabalho tem marcos com fundos em garantia; tente novamente',
+  'La suma de los hitos ({total}) supera el presupuesto del trabajo ({budget})':
+    'A soma dos marcos ({total}) excede o orçamento do trabalho ({budget})',
+  'Hito creado correctamente': 'Marco criado com sucesso',
+  'Solo el cliente puede fondear los hitos': 'Apenas o cliente pode financiar os marcos',
+  'El hito ya ha sido fondeado': 'O marco já foi financiado',
+  'Hito fondeado correctamente': 'Marco financiado com sucesso',
+  'Solo el freelancer asignado puede entregar los hitos': 'Apenas o freelancer atribuído pode entregar os marcos',
+  'Solo se pueden entregar hitos fondeados': 'Apenas marcos financiados podem ser entregues',
+  'Hito entregado correctamente': 'Marco entregue com sucesso',
+  'Solo el cliente puede aprobar los hitos': 'Apenas o cliente pode aprovar os marcos',
+  'Solo se pueden aprobar hitos entregados': 'Apenas marcos entregues podem ser aprovados',
+  'Hito aprobado y pago liberado correctamente': 'Marco aprovado e pagamento liberado com sucesso',
+
+  // Chats y mensajes
+  'Se requiere al menos un participante': 'É necessário pelo menos um participante',
+  'Chat existente recuperado': 'Chat existente recuperado',
+  'Chat creado correctamente': 'Chat criado com sucesso',
+  'Chat no encontrado': 'Chat não encontrado',
+  'No tienes acceso a este chat': 'Você não tem acesso a este chat',
+  'Mensaje enviado correctamente': 'Mensagem enviada com sucesso',
+  'El usuario ya es participante del chat': 'O usuário já participa do chat',
+  'Participante añadido correctamente': 'Participante adicionado com sucesso',
+  'No eres participante de este chat': 'Você não participa deste chat',
+  'Has abandonado el chat correctamente': 'Você saiu do chat',
+  'Usa before o after, no ambos': 'Use before ou after, não ambos',
+  'Cursor de sincronización no válido': 'Cursor de sincronização inválido',
+  'Mensaje no encontrado': 'Mensagem não encontrada',
+  'Mensaje editado correctamente': 'Mensagem editada com sucesso',
+  'Mensaje eliminado correctamente': 'Mensagem excluída com sucesso',
+  'El contenido del mensaje no puede estar vacío': 'O conteúdo da mensagem não pode ficar vazio',
+  'Solo puedes editar tus propios mensajes': 'Você só pode editar suas próprias mensagens',
+  'No se puede editar un mensaje eliminado': 'Não é possível editar uma mensagem excluída',
+  'No se puede editar un mensaje del sistema': 'Não é possível editar uma mensagem do sistema',
+  'Solo puedes eliminar tus propios mensajes': 'Você só pode excluir suas próprias mensagens',
+  'Reacción no válida': 'Reação inválida',
+  'No se puede reaccionar a un mensaje eliminado': 'Não é possível reagir a uma mensagem excluída',
+  'No se ha subido ningún archivo': 'Nenhum arquivo foi enviado',
+  'Archivos enviados correctamente': 'Arquivos enviados com sucesso',
+  'Archivo no encontrado': 'Arquivo não encontrado',
+  'El archivo supera el tamaño máximo de {size}MB': 'O arquivo excede o tamanho máximo de {size}MB',
+  'Solo se pueden subir {max} archivos a la vez': 'Só é possível enviar {max} arquivos de cada vez',
+  'Tipo de archivo no permitido': 'Tipo de arquivo não permitido',
+
+  // Mensajes del sistema de los chats
+  'Un nuevo participante ha sido añadido al chat': 'Um novo participante foi adicionado ao chat',
+  'Un usuario ha abandonado el chat': 'Um usuário saiu do chat',
+
+  // Notificaciones
+  'Notificación no encontrada': 'Notificação não encontrada',
+  'Preferencias no válidas: {invalid}. Tipos disponibles: {types}': 'Preferências inválidas: {invalid}. Tipos disponíveis: {types}',
+  'Preferencias actualizadas correctamente': 'Preferências atualizadas com sucesso',
+  'Alguien': 'Alguém',
+  '{Actor} ha comentado en tu trabajo "{jobTitle}"': '{Actor} comentou no seu trabalho "{jobTitle}"',
+  '{Actor} ha respondido a tu comentario en "{jobTitle}"': '{Actor} respondeu ao seu comentário em "{jobTitle}"',
+  'A {actor} le gusta tu trabajo "{jobTitle}"': '{Actor} curtiu seu trabalho "{jobTitle}"',
+  '{Actor} te ha añadido al chat "{chatName}"': '{Actor} adicionou você ao chat "{chatName}"',
+  '{Actor} te ha añadido a un chat': '{Actor} adicionou você a um chat',
+  'Nuevo trabajo para tu búsqueda "{searchName}": "{jobTitle}"': 'Novo trabalho para sua busca "{searchName}": "{jobTitle}"',
+  '1 trabajo nuevo para tu búsqueda "{searchName}"': '1 trabalho novo para sua busca "{searchName}"',
+  '{count} trabajos nuevos para tu búsqueda "{searchName}"': '{count} trabalhos novos para sua busca "{searchName}"',
+
+  // Búsquedas guardadas y taxonomía
+  'Solo puedes guardar {max} búsquedas': 'Você só pode salvar {max} buscas',
+  'Búsqueda guardada correctamente': 'Busca salva com sucesso',
+  'Búsqueda guardada no encontrada': 'Busca salva não encontrada',
+  'Búsqueda actualizada correctamente': 'Busca atualizada com sucesso',
+  'Búsqueda eliminada correctamente': 'Busca excluída com sucesso',
+  'El rango de presupuesto debe ser numérico': 'A faixa de orçamento deve ser numérica',
+  'El presupuesto mínimo no puede ser mayor que el máximo': 'O orçamento mínimo não pode ser maior que o máximo',
+  'Frecuencia no válida. Usa {frequencies}': 'Frequência inválida. Use {frequencies}',
+  'La búsqueda debe tener al menos un filtro': 'A busca deve ter pelo menos um filtro',
+  'No se pueden indicar más de {max} habilidades': 'Não é possível indicar mais de {max} habilidades',
+  'Habilidad demasiado larga: {skill}...': 'Habilidade longa demais: {skill}...',
+  'Categoría no válida. Consulta GET /api/taxonomy/categories': 'Categoria inválida. Consulte GET /api/taxonomy/categories',
+
+  // Denuncias y moderación
+  'Tipo de contenido no válido': 'Tipo de conteúdo inválido',
+  'No puedes denunciar tu propio contenido': 'Você não pode denunciar seu próprio conteúdo',
+  'Motivo no válido. Motivos disponibles: {reasons}': 'Motivo inválido. Motivos disponíveis: {reasons}',
+  'Has enviado demasiadas denuncias. Inténtalo más tarde': 'Você enviou denúncias demais. Tente novamente mais tarde',
+  'Ya has denunciado este contenido': 'Você já denunciou este conteúdo',
+  'Denuncia enviada correctamente. La revisaremos lo antes posible': 'Denúncia enviada com sucesso. Vamos analisá-la o quanto antes',
+  'No puedes moderar tu propia cuenta': 'Você não pode moderar sua própria conta',
+  'No se puede suspender ni bloquear a un administrador': 'Não é possível suspender nem bloquear um administrador',
+  'La fecha de fin de la suspensión debe ser futura': 'A data de término da suspensão deve ser futura',
+  'Estado de la cuenta actualizado correctamente': 'Status da conta atualizado com sucesso',
+  'Contenido eliminado correctamente': 'Conteúdo removido com sucesso',
+  'Estado no válido. Usa resolved o dismissed': 'Status inválido. Use resolved ou dismissed',
+  'Denuncia no encontrada': 'Denúncia não encontrada',
+  'Denuncia actualizada correctamente': 'Denúncia atualizada com sucesso',
+
+  // Validación de campos
+  'Se requiere {label}': 'Informe {label}',
+  '{Label} debe ser un texto': '{Label} deve ser um texto',
+  '{Label} no puede superar los {max} caracteres': '{Label} não pode passar de {max} caracteres',
+  '{Label} debe ser un número mayor que cero': '{Label} deve ser um número maior que zero',
+  '{Label} debe ser un número mayor o igual que cero': '{Label} deve ser um número maior ou igual a zero',
+  '{Label} no es válido': '{Label} não tem um formato válido',
+  'Las habilidades deben ser una lista de textos': 'As habilidades devem ser uma lista de textos',
+  'La página debe ser un número entero mayor que 0': 'A página deve ser um número inteiro maior que 0',
+  'El límite debe ser un número entero mayor que 0': 'O limite deve ser um número inteiro maior que 0',
+  'Idioma no válido. Idiomas disponibles: {locales}': 'Idioma inválido. Idiomas disponíveis: {locales}',
+  'El correo electrónico es obligatorio': 'O e-mail é obrigatório',
+  'El correo electrónico no es válido': 'O e-mail é inválido',
+  'El correo electrónico es demasiado largo': 'O e-mail é longo demais',
+  'La contraseña es obligatoria': 'A senha é obrigatória',
+  'La contraseña debe tener entre {min} y {max} caracteres': 'A senha deve ter entre {min} e {max} caracteres',
+  'La contraseña actual es obligatoria': 'A senha atual é obrigatória',
+  'El código de invitación no es válido': 'O código de convite é inválido',
+  'Se requiere el token de actualización': 'Informe o token de atualização',
+  'Se requiere el token de verificación': 'Informe o token de verificação',
+  'Se requiere el token de restablecimiento': 'Informe o token de redefinição',
+  'Rol no válido (freelancer o client)': 'Função inválida (freelancer ou client)',
+  'La valoración mínima debe estar entre 0 y 5': 'A avaliação mínima deve estar entre 0 e 5',
+  'Orden no válido (rating, reviews o name)': 'Ordenação inválida (rating, reviews ou name)',
+  'La tarifa por hora debe ser un número mayor o igual que cero': 'O valor por hora deve ser um número maior ou igual a zero',
+  'Estado no válido. Estados disponibles: {statuses}': 'Status inválido. Status disponíveis: {statuses}',
+  'Orden no válido. Opciones: {sorts}': 'Ordenação inválida. Opções: {sorts}',
+  'El plazo de entrega debe ser un número de días entre 1 y 365': 'O prazo de entrega deve ser um número de dias entre 1 e 365',
+  'La fecha límite debe tener formato ISO 8601 (AAAA-MM-DD)': 'A data limite deve estar no formato ISO 8601 (AAAA-MM-DD)',
+  'Se requiere un emoji': 'Informe um emoji',
+  'Emoji no válido': 'Emoji inválido',
+  'Se requiere entre 1 y {max} participantes': 'São necessários entre 1 e {max} participantes',
+  'isGroup debe ser true o false': 'isGroup deve ser true ou false',
+
+  // Nombres de los campos
+  'El nombre': 'O nome',
+  'La biografía': 'A biografia',
+  'El texto de búsqueda': 'O texto da busca',
+  'La categoría': 'A categoria',
+  'El presupuesto': 'O orçamento',
+  'El presupuesto mínimo': 'O orçamento mínimo',
+  'El presupuesto máximo': 'O orçamento máximo',
+  'El título': 'O título',
+  'La descripción': 'A descrição',
+  'El motivo': 'O motivo',
+  'El comentario': 'O comentário',
+  'La respuesta': 'A resposta',
+  'La carta de presentación': 'A carta de apresentação',
+  'El monto': 'O valor',
+  'El monto del hito': 'O valor do marco',
+  'El participante': 'O participante',
+  'El nombre del chat': 'O nome do chat',
+  'El mensaje': 'A mensagem',
+  'El usuario': 'O usuário',
+  'El chat': 'O chat',
+  'El objetivo': 'O alvo'
+};
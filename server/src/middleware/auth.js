@@ -1,6 +1,11 @@
 
 const jwt = require('jsonwebtoken');
 const { User } = require('../models');
+const { getActiveSession } = require('../services/session.service');
+const { PERMISSIONS, hasPermission } = require('../config/permissions');
+const { getAccountRestriction } = require('../services/moderation.service');
+const { UnauthorizedError, ForbiddenError, NotFoundError, fromServiceError } = require('../utils/errors');
+const { resolveLocale } = require('../utils/i18n');
 
 exports.verifyToken = async (req, res, next) => {
   try {
@@ -8,49 +13,90 @@ exports.verifyToken = async (req, res, next) => {
     const token = req.headers['authorization']?.split(' ')[1];
     
     if (!token) {
-      return res.status(401).json({
-        success: false,
-        message: 'No se proporcionó token de autenticación'
-      });
+      return next(new UnauthorizedError('No se proporcionó token de autenticación', { code: 'TOKEN_MISSING' }));
     }
     
     // Verificar el token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     
+    // El token debe pertenecer a una sesión activa (no revocada)
+    const session = await getActiveSession(decoded.sid, decoded.id);
+    
+    if (!session) {
+      return next(new UnauthorizedError('La sesión ha sido revocada o ha expirado', { code: 'SESSION_REVOKED' }));
+    }
+    
     // Buscar el usuario en la base de datos
     const user = await User.findByPk(decoded.id);
     
     if (!user) {
-      return res.status(404).json({
-        success: false,
-        message: 'Usuario no encontrado'
-      });
+      return next(new NotFoundError('Usuario no encontrado'));
+    }
+    
+    // Rechazar cuentas suspendidas o bloqueadas
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      return next(fromServiceError(restriction));
     }
     
     // Guardar el usuario en el request para uso posterior
     req.user = user.toJSON(); // Convertir a JSON plano para evitar problemas con Sequelize
-    console.log("Usuario autenticado:", req.user.id); // Log para debug
+    req.sessionId = session.id;
+    // El idioma elegido por el usuario tiene prioridad sobre Accept-Language
+    req.locale = resolveLocale(req.user, req.locale);
     next();
   } catch (error) {
-    console.error('Error de autenticación:', error);
-    
     if (error.name === 'JsonWebTokenError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token inválido'
-      });
+      return next(new UnauthorizedError('Token inválido', { code: 'TOKEN_INVALID' }));
     }
     
     if (error.name === 'TokenExpiredError') {
-      return res.status(401).json({
-        success: false,
-        message: 'Token expirado'
-      });
+      return next(new UnauthorizedError('Token expirado', { code: 'TOKEN_EXPIRED' }));
     }
     
-    return res.status(500).json({
-      success: false,
-      message: 'Error interno del servidor'
-    });
+    return next(error);
+  }
+};
+
+/**
+ * Exigir que el usuario autenticado haya verificado su email
+ * Se desactiva con EMAIL_VERIFICATION_REQUIRED=false
+ */
+exports.requireVerifiedEmail = (req, res, next) => {
+  if (process.env.EMAIL_VERIFICATION_REQUIRED === 'false' || req.user?.emailVerified) {
+    return next();
   }
+  
+  return next(new ForbiddenError('Debes verificar tu correo electrónico para realizar esta acción', { code: 'EMAIL_NOT_VERIFIED' }));
+};
+
+/**
+ * Exigir que el usuario autenticado tenga uno de los roles indicados
+ * Uso: router.put('/ruta', verifyToken, requireRole('admin'), controlador)
+ */
+exports.requireRole = (...roles) => (req, res, next) => {
+  if (req.user && roles.includes(req.user.role)) {
+    return next();
+  }
+  
+  return next(new ForbiddenError());
+};
+
+/**
+ * Exigir que el rol del usuario autenticado tenga un permiso de la matriz (config/permissions.js)
+ * Uso: router.post('/ruta', verifyToken, requirePermission('jobs:create'), controlador)
+ */
+exports.requirePermission = (permission) => {
+  // Un permiso mal escrito es un error de programación: fallar al cargar las rutas
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Permiso desconocido: ${permission}`);
+  }
+  
+  return (req, res, next) => {
+    if (req.user && hasPermission(req.user.role, permission)) {
+      return next();
+    }
+    
+    return next(new ForbiddenError());
+  };
 };
@@ -0,0 +1,32 @@
+const { NotFoundError, toErrorResponse } = require('../utils/errors');
+
+/**
+ * Rutas de la API que no existen
+ */
+exports.notFoundHandler = (req, res, next) => {
+  next(new NotFoundError('Ruta no encontrada: {method} {url}', {
+    code: 'ROUTE_NOT_FOUND',
+    params: { method: req.method, url: req.originalUrl }
+  }));
+};
+
+/**
+ * Middleware de errores: convierte cualquier error en { success: false, code, message }
+ * El mensaje se traduce al idioma de la petición (middleware localize).
+ * Los errores internos (5xx) se registran y su detalle solo se devuelve con NODE_ENV=development.
+ * Express lo reconoce como middleware de errores por tener cuatro parámetros.
+ */
+exports.errorHandler = (error, req, res, next) => {
+  const { status, body } = toErrorResponse(error, req.locale);
+
+  if (status >= 500) {
+    console.error(`Error en ${req.method} ${req.originalUrl}:`, error);
+  }
+
+  // Si la respuesta ya había empezado, Express se encarga de cerrar la conexión
+  if (res.headersSent) {
+    return next(error);
+  }
+
+  return res.status(status).json(body);
+};
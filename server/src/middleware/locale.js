@@ -0,0 +1,24 @@
+const { negotiateLocale, translate } = require('../utils/i18n');
+
+/**
+ * Idioma de la petición
+ * Se negocia con Accept-Language; verifyToken lo sustituye por la preferencia del usuario
+ * (User.locale) si la tiene. El `message` de las respuestas JSON se traduce a ese idioma,
+ * de modo que los controladores pueden seguir respondiendo con el texto en español.
+ */
+exports.localize = (req, res, next) => {
+  req.locale = negotiateLocale(req.headers['accept-language']);
+
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    res.set('Content-Language', req.locale);
+    res.vary('Accept-Language');
+
+    if (body && typeof body.message === 'string') {
+      return json({ ...body, message: translate(req.locale, body.message) });
+    }
+    return json(body);
+  };
+
+  next();
+};
@@ -0,0 +1,15 @@
+const { consume } = require('../services/rate-limit.service');
+const { TooManyRequestsError } = require('../utils/errors');
+
+/**
+ * Limitar las peticiones de una ruta (ver src/config/rate-limits.js)
+ * Cuenta por IP y, si va después de verifyToken, también por usuario.
+ * Al superar el límite responde 429 TOO_MANY_REQUESTS con la cabecera Retry-After.
+ */
+exports.rateLimit = (name) => async (req, res, next) => {
+  const limited = await consume(name, { ip: req.ip, userId: req.user?.id });
+  if (!limited) return next();
+
+  res.set('Retry-After', String(limited.retryAfter));
+  next(new TooManyRequestsError(undefined, { details: { retryAfter: limited.retryAfter } }));
+};
@@ -0,0 +1,48 @@
+const { checkSchema, validationResult } = require('express-validator');
+const { ValidationError } = require('../utils/errors');
+const { DEFAULT_LOCALE, translate } = require('../utils/i18n');
+
+/**
+ * Convertir el resultado de express-validator en una lista de errores por campo
+ * Solo se devuelve el primer error de cada campo: [{ field, location, message }]
+ * Los mensajes de los esquemas son textos o mensajes de i18n.message; se traducen aquí.
+ */
+const formatErrors = (result, locale) => result.array({ onlyFirstError: true }).map(error => ({
+  field: error.path,
+  location: error.location,
+  message: translate(locale, error.msg)
+}));
+
+/**
+ * Validar la petición con un esquema de express-validator (ver src/validators)
+ * Los campos se sanean en el propio req (por ejemplo, budget pasa a ser un número).
+ * Si hay errores pasa un ValidationError (400, code VALIDATION_ERROR) con los errores por campo.
+ */
+exports.validate = (schema) => [
+  checkSchema(schema),
+  (req, res, next) => {
+    const result = validationResult(req);
+    if (result.isEmpty()) {
+      return next();
+    }
+
+    return next(new ValidationError(undefined, formatErrors(result, req.locale)));
+  }
+];
+
+/**
+ * Validar el payload de un evento de Socket.io con un esquema cuyos campos están en `body`
+ * Devuelve { values } con los datos saneados o { error } con un ValidationError
+ */
+exports.validatePayload = async (schema, payload, locale = DEFAULT_LOCALE) => {
+  const req = { body: payload && typeof payload === 'object' && !Array.isArray(payload) ? { ...payload } : {} };
+
+  await checkSchema(schema, ['body']).run(req);
+
+  const result = validationResult(req);
+  if (!result.isEmpty()) {
+    return { error: new ValidationError(undefined, formatErrors(result, locale)) };
+  }
+
+  return { values: req.body };
+};
@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Attachment = sequelize.define('Attachment', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  fileName: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  mimeType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  size: {
+    type: DataTypes.INTEGER,
+    allowNull: false
+  },
+  storageKey: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  thumbnailKey: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  width: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  height: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  chatId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Chats',
+      key: 'id'
+    }
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  tableName: 'Attachments',
+  indexes: [
+    { fields: ['messageId'] }
+  ]
+});
+
+module.exports = Attachment;
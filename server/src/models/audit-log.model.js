@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Registro de las acciones de moderación (quién, qué, sobre qué y por qué)
+const AuditLog = sequelize.define('AuditLog', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  action: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  targetType: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    defaultValue: ''
+  },
+  // Datos adicionales de la acción (p. ej. estado anterior)
+  metadata: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Nulo en las acciones automáticas del sistema
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'AuditLogs',
+  indexes: [
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['actorId'] },
+    { fields: ['createdAt'] }
+  ]
+});
+
+module.exports = AuditLog;
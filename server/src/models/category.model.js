@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Categoría de trabajo con nombre canónico, slug y alias
+const Category = sequelize.define('Category', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  slug: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // Otras formas de escribir la categoría, guardadas como slugs
+  aliases: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  }
+}, {
+  timestamps: true,
+  tableName: 'Categories',
+  indexes: [
+    { fields: ['aliases'], using: 'gin' }
+  ]
+});
+
+module.exports = Category;
@@ -23,10 +23,28 @@ const ChatParticipant = sequelize.define('ChatParticipant', {
       model: 'Users',
       key: 'id'
     }
+  },
+  // Estado de lectura de cada participante
+  lastReadMessageId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Messages',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  lastReadAt: {
+    type: DataTypes.DATE,
+    allowNull: true
   }
 }, {
   timestamps: true,
-  tableName: 'ChatParticipants'
+  tableName: 'ChatParticipants',
+  indexes: [
+    { unique: true, fields: ['chatId', 'userId'] },
+    { fields: ['userId'] }
+  ]
 });
 
 module.exports = ChatParticipant;
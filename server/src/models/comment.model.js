@@ -19,6 +19,15 @@ const Comment = sequelize.define('Comment', {
   userId: {
     type: DataTypes.UUID,
     allowNull: false
+  },
+  // Moderación: el contenido oculto no se muestra públicamente
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   timestamps: true
@@ -6,12 +6,31 @@ const Reply = require('./reply.model');
 const Chat = require('./chat.model');
 const Message = require('./message.model');
 const ChatParticipant = require('./chat-participant.model');
+const Proposal = require('./proposal.model');
+const JobStatusHistory = require('./job-status-history.model');
+const Milestone = require('./milestone.model');
+const LedgerEntry = require('./ledger-entry.model');
+const Review = require('./review.model');
+const MessageEdit = require('./message-edit.model');
+const MessageReaction = require('./message-reaction.model');
+const Attachment = require('./attachment.model');
+const Session = require('./session.model');
+const UserToken = require('./user-token.model');
+const AuditLog = require('./audit-log.model');
+const Report = require('./report.model');
+const Notification = require('./notification.model');
+const SavedSearch = require('./saved-search.model');
+const SavedSearchMatch = require('./saved-search-match.model');
+const Category = require('./category.model');
+const Skill = require('./skill.model');
 const { sequelize } = require('../config/database');
 
 // Definir relaciones entre modelos
 // Relaciones de trabajo
 Job.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 User.hasMany(Job, { foreignKey: 'userId', as: 'jobs' });
+Job.belongsTo(User, { foreignKey: 'assignedFreelancerId', as: 'assignedFreelancer' });
+User.hasMany(Job, { foreignKey: 'assignedFreelancerId', as: 'assignedJobs' });
 
 // Relaciones de comentarios
 Comment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
@@ -25,13 +44,41 @@ Reply.belongsTo(Comment, { foreignKey: 'commentId', as: 'comment' });
 User.hasMany(Reply, { foreignKey: 'userId', as: 'replies' });
 Comment.hasMany(Reply, { foreignKey: 'commentId', as: 'replies' });
 
+// Relaciones de propuestas
+Proposal.belongsTo(User, { foreignKey: 'userId', as: 'freelancer' });
+Proposal.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+User.hasMany(Proposal, { foreignKey: 'userId', as: 'proposals' });
+Job.hasMany(Proposal, { foreignKey: 'jobId', as: 'proposals' });
+
+// Historial de estados de trabajos
+JobStatusHistory.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+JobStatusHistory.belongsTo(User, { foreignKey: 'changedById', as: 'changedBy' });
+Job.hasMany(JobStatusHistory, { foreignKey: 'jobId', as: 'statusHistory' });
+
+// Hitos y libro contable
+Milestone.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+Milestone.belongsTo(User, { foreignKey: 'freelancerId', as: 'freelancer' });
+Job.hasMany(Milestone, { foreignKey: 'jobId', as: 'milestones' });
+LedgerEntry.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+LedgerEntry.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+LedgerEntry.belongsTo(Milestone, { foreignKey: 'milestoneId', as: 'milestone' });
+Milestone.hasMany(LedgerEntry, { foreignKey: 'milestoneId', as: 'ledgerEntries' });
+
+// Valoraciones entre cliente y freelancer
+Review.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+Review.belongsTo(User, { foreignKey: 'reviewerId', as: 'reviewer' });
+Review.belongsTo(User, { foreignKey: 'revieweeId', as: 'reviewee' });
+Job.hasMany(Review, { foreignKey: 'jobId', as: 'reviews' });
+User.hasMany(Review, { foreignKey: 'revieweeId', as: 'receivedReviews' });
+User.hasMany(Review, { foreignKey: 'reviewerId', as: 'writtenReviews' });
+
 // Usuarios que han dado like a trabajos (relación muchos a muchos)
 Job.belongsToMany(User, { through: 'JobLikes', as: 'likedBy' });
 User.belongsToMany(Job, { through: 'JobLikes', as: 'likedJobs' });
 
 // Usuarios que han guardado trabajos (relación muchos a muchos)
 Job.belongsToMany(User, { through: 'SavedJobs', as: 'savedBy' });
-User.belongsToMany(User, { through: 'SavedJobs', as: 'savedJobs' });
+User.belongsToMany(Job, { through: 'SavedJobs', as: 'savedJobs' });
 
 // Relaciones de chat
 Chat.belongsToMany(User, { 
@@ -56,6 +103,43 @@ Message.belongsTo(Chat, { foreignKey: 'chatId', as: 'chat' });
 User.hasMany(Message, { foreignKey: 'userId', as: 'messages' });
 Message.belongsTo(User, { foreignKey: 'userId', as: 'user' });
 
+// Ediciones y reacciones de mensajes
+Message.hasMany(MessageEdit, { foreignKey: 'messageId', as: 'edits' });
+MessageEdit.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+Message.hasMany(MessageReaction, { foreignKey: 'messageId', as: 'reactions' });
+MessageReaction.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+MessageReaction.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Archivos adjuntos de mensajes
+Message.hasMany(Attachment, { foreignKey: 'messageId', as: 'attachments' });
+Attachment.belongsTo(Message, { foreignKey: 'messageId', as: 'message' });
+Attachment.belongsTo(Chat, { foreignKey: 'chatId', as: 'chat' });
+Attachment.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+
+// Sesiones (dispositivos) de cada usuario
+Session.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(Session, { foreignKey: 'userId', as: 'sessions' });
+UserToken.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(UserToken, { foreignKey: 'userId', as: 'tokens' });
+
+// Moderación
+AuditLog.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+Report.belongsTo(User, { foreignKey: 'reporterId', as: 'reporter' });
+Report.belongsTo(User, { foreignKey: 'resolvedById', as: 'resolvedBy' });
+User.hasMany(Report, { foreignKey: 'reporterId', as: 'reports' });
+
+// Notificaciones
+Notification.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+Notification.belongsTo(User, { foreignKey: 'actorId', as: 'actor' });
+User.hasMany(Notification, { foreignKey: 'userId', as: 'notifications' });
+
+// Búsquedas guardadas y sus coincidencias
+SavedSearch.belongsTo(User, { foreignKey: 'userId', as: 'user' });
+User.hasMany(SavedSearch, { foreignKey: 'userId', as: 'savedSearches' });
+SavedSearch.hasMany(SavedSearchMatch, { foreignKey: 'savedSearchId', as: 'matches' });
+SavedSearchMatch.belongsTo(SavedSearch, { foreignKey: 'savedSearchId', as: 'savedSearch' });
+SavedSearchMatch.belongsTo(Job, { foreignKey: 'jobId', as: 'job' });
+
 module.exports = {
   sequelize,
   User,
@@ -64,5 +148,22 @@ module.exports = {
   Reply,
   Chat,
   Message,
-  ChatParticipant
+  ChatParticipant,
+  Proposal,
+  JobStatusHistory,
+  Milestone,
+  LedgerEntry,
+  Review,
+  MessageEdit,
+  MessageReaction,
+  Attachment,
+  Session,
+  UserToken,
+  AuditLog,
+  Report,
+  Notification,
+  SavedSearch,
+  SavedSearchMatch,
+  Category,
+  Skill
 };
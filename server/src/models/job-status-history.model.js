@@ -0,0 +1,44 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const JobStatusHistory = sequelize.define('JobStatusHistory', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  fromStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  toStatus: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Jobs',
+      key: 'id'
+    }
+  },
+  changedById: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'JobStatusHistories'
+});
+
+module.exports = JobStatusHistory;
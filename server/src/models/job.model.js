@@ -2,6 +2,18 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 
+// Configuración de texto completo y campos que alimentan el vector de búsqueda
+const SEARCH_LANGUAGE = 'spanish';
+const SEARCH_FIELDS = ['title', 'description', 'category', 'skills'];
+
+// Vector ponderado: título y categoría pesan más que habilidades y descripción
+const SEARCH_VECTOR_SQL = `
+  setweight(to_tsvector('${SEARCH_LANGUAGE}', coalesce("title", '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_LANGUAGE}', coalesce("category", '')), 'A') ||
+  setweight(to_tsvector('${SEARCH_LANGUAGE}', coalesce(array_to_string("skills", ' '), '')), 'B') ||
+  setweight(to_tsvector('${SEARCH_LANGUAGE}', coalesce("description", '')), 'C')
+`;
+
 const Job = sequelize.define('Job', {
   id: {
     type: DataTypes.UUID,
@@ -39,9 +51,63 @@ const Job = sequelize.define('Job', {
       model: 'Users', // Nombre de la tabla en la base de datos
       key: 'id'
     }
+  },
+  assignedFreelancerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  searchVector: {
+    type: DataTypes.TSVECTOR,
+    allowNull: true
+  },
+  // Moderación: el contenido oculto no se muestra públicamente
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  // El vector de búsqueda es interno y no se devuelve en las respuestas
+  defaultScope: {
+    attributes: { exclude: ['searchVector'] }
+  },
+  indexes: [
+    { fields: ['searchVector'], using: 'gin' },
+    { fields: ['status', 'createdAt'] },
+    { fields: ['category'] }
+  ],
+  hooks: {
+    // Recalcular el vector de búsqueda cuando cambian los campos indexados
+    afterSave: async (job, options) => {
+      if (options.fields && !SEARCH_FIELDS.some(field => options.fields.includes(field))) {
+        return;
+      }
+      await refreshSearchVector({ id: job.id }, options.transaction);
+    }
+  }
 });
 
+/**
+ * Recalcular el vector de búsqueda de los trabajos que cumplan la condición
+ * Sin condición se recalculan todos (útil para rellenar datos existentes)
+ */
+const refreshSearchVector = async (where = {}, transaction) => {
+  const whereSql = where.id ? 'WHERE id = :id' : '';
+  await sequelize.query(`UPDATE "Jobs" SET "searchVector" = ${SEARCH_VECTOR_SQL} ${whereSql}`, {
+    replacements: where,
+    transaction
+  });
+};
+
+Job.SEARCH_LANGUAGE = SEARCH_LANGUAGE;
+Job.refreshSearchVector = refreshSearchVector;
+
 module.exports = Job;
@@ -0,0 +1,74 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+/**
+ * Apunte del libro contable (partida doble)
+ * Cada movimiento genera al menos un apunte de débito y otro de crédito
+ * con el mismo transactionId y el mismo importe total.
+ */
+const LedgerEntry = sequelize.define('LedgerEntry', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  transactionId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  account: {
+    type: DataTypes.ENUM('client_payments', 'escrow', 'freelancer_earnings'),
+    allowNull: false
+  },
+  direction: {
+    type: DataTypes.ENUM('debit', 'credit'),
+    allowNull: false
+  },
+  // DECIMAL para no perder céntimos; PostgreSQL lo devuelve como texto
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  description: {
+    type: DataTypes.STRING,
+    defaultValue: ''
+  },
+  providerReference: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Jobs',
+      key: 'id'
+    }
+  },
+  milestoneId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Milestones',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'LedgerEntries'
+});
+
+module.exports = LedgerEntry;
@@ -0,0 +1,29 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MessageEdit = sequelize.define('MessageEdit', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  previousContent: {
+    type: DataTypes.TEXT,
+    allowNull: false
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'MessageEdits'
+});
+
+module.exports = MessageEdit;
@@ -0,0 +1,40 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const MessageReaction = sequelize.define('MessageReaction', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  emoji: {
+    type: DataTypes.STRING(32),
+    allowNull: false
+  },
+  messageId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Messages',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'MessageReactions',
+  indexes: [
+    { unique: true, fields: ['messageId', 'userId', 'emoji'] }
+  ]
+});
+
+module.exports = MessageReaction;
@@ -12,9 +12,33 @@ const Message = sequelize.define('Message', {
     type: DataTypes.TEXT,
     allowNull: false
   },
-  read: {
-    type: DataTypes.BOOLEAN,
-    defaultValue: false
+  editedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Borrado lógico: el mensaje se conserva vacío para que los clientes puedan sincronizarlo
+  deletedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Moderación: un mensaje oculto se devuelve vacío
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Mensajes del sistema: clave y parámetros para mostrarlos en el idioma de quien los lee
+  // (content guarda el texto en español)
+  systemKey: {
+    type: DataTypes.STRING(50),
+    allowNull: true
+  },
+  systemParams: {
+    type: DataTypes.JSONB,
+    allowNull: true
   },
   chatId: {
     type: DataTypes.UUID,
@@ -34,7 +58,12 @@ const Message = sequelize.define('Message', {
   }
 }, {
   timestamps: true,
-  tableName: 'Messages'
+  tableName: 'Messages',
+  indexes: [
+    // Paginación por cursor dentro de un chat y sincronización de cambios
+    { fields: ['chatId', 'createdAt', 'id'] },
+    { fields: ['updatedAt', 'id'] }
+  ]
 });
 
 module.exports = Message;
@@ -0,0 +1,77 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Milestone = sequelize.define('Milestone', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  title: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  description: {
+    type: DataTypes.TEXT,
+    defaultValue: ''
+  },
+  // DECIMAL para no perder céntimos; PostgreSQL lo devuelve como texto
+  amount: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false,
+    get() {
+      const value = this.getDataValue('amount');
+      return value === null || value === undefined ? value : parseFloat(value);
+    }
+  },
+  dueDate: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'funded', 'submitted', 'approved', 'released', 'refunded'),
+    defaultValue: 'pending'
+  },
+  fundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  submittedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  approvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  releasedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  refundedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Jobs',
+      key: 'id'
+    }
+  },
+  // Freelancer asignado cuando se fondeó el hito; es quien cobra al liberarlo
+  freelancerId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  tableName: 'Milestones'
+});
+
+module.exports = Milestone;
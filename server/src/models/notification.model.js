@@ -0,0 +1,52 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Notificación para un usuario; el texto se genera a partir del tipo y los datos
+const Notification = sequelize.define('Notification', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  // Datos para generar el texto y el enlace (jobId, commentId, chatId, títulos...)
+  data: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  readAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  // Usuario que ha provocado la notificación (nulo si es del sistema)
+  actorId: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  }
+}, {
+  timestamps: true,
+  tableName: 'Notifications',
+  indexes: [
+    { fields: ['userId', 'createdAt'] },
+    { fields: ['userId', 'readAt'] }
+  ]
+});
+
+module.exports = Notification;
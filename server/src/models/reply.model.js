@@ -11,6 +11,15 @@ const Reply = sequelize.define('Reply', {
   content: {
     type: DataTypes.TEXT,
     allowNull: false
+  },
+  // Moderación: el contenido oculto no se muestra públicamente
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
   }
 }, {
   timestamps: true
@@ -0,0 +1,70 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Motivos de denuncia
+const REPORT_REASONS = ['spam', 'scam', 'harassment', 'hate_speech', 'inappropriate', 'impersonation', 'other'];
+
+// Denuncia de contenido; el objetivo es polimórfico (targetType + targetId)
+const Report = sequelize.define('Report', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  targetType: {
+    type: DataTypes.ENUM('job', 'comment', 'reply', 'message', 'user'),
+    allowNull: false
+  },
+  targetId: {
+    type: DataTypes.UUID,
+    allowNull: false
+  },
+  reason: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    validate: {
+      isIn: [REPORT_REASONS]
+    }
+  },
+  details: {
+    type: DataTypes.TEXT,
+    defaultValue: ''
+  },
+  status: {
+    type: DataTypes.ENUM('pending', 'resolved', 'dismissed'),
+    defaultValue: 'pending'
+  },
+  resolvedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  reporterId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  },
+  resolvedById: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'Users',
+      key: 'id'
+    }
+  }
+}, {
+  timestamps: true,
+  tableName: 'Reports',
+  indexes: [
+    // Cada usuario solo puede denunciar una vez el mismo objetivo
+    { unique: true, fields: ['reporterId', 'targetType', 'targetId'] },
+    { fields: ['targetType', 'targetId'] },
+    { fields: ['status', 'createdAt'] }
+  ]
+});
+
+Report.REASONS = REPORT_REASONS;
+
+module.exports = Report;
@@ -0,0 +1,43 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Trabajo nuevo que coincide con una búsqueda guardada
+// notifiedAt queda vacío hasta que se incluye en una alerta o en el resumen diario.
+const SavedSearchMatch = sequelize.define('SavedSearchMatch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  savedSearchId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'SavedSearches',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  jobId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Jobs',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  notifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  }
+}, {
+  timestamps: true,
+  tableName: 'SavedSearchMatches',
+  indexes: [
+    { unique: true, fields: ['savedSearchId', 'jobId'] },
+    { fields: ['savedSearchId', 'notifiedAt'] }
+  ]
+});
+
+module.exports = SavedSearchMatch;
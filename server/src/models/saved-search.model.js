@@ -0,0 +1,71 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Frecuencia de las alertas de una búsqueda guardada
+const ALERT_FREQUENCIES = ['instant', 'daily', 'off'];
+
+// Búsqueda de trabajos guardada por un usuario, con alertas de nuevos trabajos
+const SavedSearch = sequelize.define('SavedSearch', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  // Filtros con el mismo significado que en GET /api/jobs
+  search: {
+    type: DataTypes.TEXT,
+    allowNull: false,
+    defaultValue: ''
+  },
+  category: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  // Habilidades en minúsculas; basta con que el trabajo tenga una de ellas
+  skills: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  },
+  budgetMin: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  budgetMax: {
+    type: DataTypes.FLOAT,
+    allowNull: true
+  },
+  alertFrequency: {
+    type: DataTypes.ENUM(...ALERT_FREQUENCIES),
+    allowNull: false,
+    defaultValue: 'instant'
+  },
+  // Último resumen diario enviado
+  lastDigestAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  }
+}, {
+  timestamps: true,
+  tableName: 'SavedSearches',
+  indexes: [
+    { fields: ['userId'] },
+    { fields: ['alertFrequency'] }
+  ]
+});
+
+SavedSearch.ALERT_FREQUENCIES = ALERT_FREQUENCIES;
+
+module.exports = SavedSearch;
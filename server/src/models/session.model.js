@@ -0,0 +1,56 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+const Session = sequelize.define('Session', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  // Hash del token de actualización vigente (nunca se guarda el token en claro)
+  refreshTokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false
+  },
+  userAgent: {
+    type: DataTypes.STRING(512),
+    defaultValue: ''
+  },
+  ipAddress: {
+    type: DataTypes.STRING(64),
+    defaultValue: ''
+  },
+  lastUsedAt: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  revokedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  revokedReason: {
+    type: DataTypes.STRING,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  }
+}, {
+  timestamps: true,
+  tableName: 'Sessions',
+  indexes: [
+    { fields: ['userId'] }
+  ]
+});
+
+module.exports = Session;
@@ -0,0 +1,33 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Habilidad con nombre canónico, slug y alias
+const Skill = sequelize.define('Skill', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  name: {
+    type: DataTypes.STRING,
+    allowNull: false
+  },
+  slug: {
+    type: DataTypes.STRING,
+    allowNull: false,
+    unique: true
+  },
+  // Otras formas de escribir la habilidad (React.js, ReactJS...), guardadas como slugs
+  aliases: {
+    type: DataTypes.ARRAY(DataTypes.STRING),
+    defaultValue: []
+  }
+}, {
+  timestamps: true,
+  tableName: 'Skills',
+  indexes: [
+    { fields: ['aliases'], using: 'gin' }
+  ]
+});
+
+module.exports = Skill;
@@ -0,0 +1,47 @@
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Tokens de un solo uso enviados por correo (verificación de email y restablecimiento de contraseña)
+const UserToken = sequelize.define('UserToken', {
+  id: {
+    type: DataTypes.UUID,
+    defaultValue: DataTypes.UUIDV4,
+    primaryKey: true
+  },
+  type: {
+    type: DataTypes.ENUM('email_verification', 'password_reset'),
+    allowNull: false
+  },
+  // Solo se guarda el hash del token enviado
+  tokenHash: {
+    type: DataTypes.STRING(64),
+    allowNull: false,
+    unique: true
+  },
+  expiresAt: {
+    type: DataTypes.DATE,
+    allowNull: false
+  },
+  usedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  userId: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: 'Users',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  }
+}, {
+  timestamps: true,
+  updatedAt: false,
+  tableName: 'UserTokens',
+  indexes: [
+    { fields: ['userId', 'type'] }
+  ]
+});
+
+module.exports = UserToken;
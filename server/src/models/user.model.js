@@ -2,6 +2,8 @@
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const bcrypt = require('bcrypt');
+const { SUPPORTED_LOCALES } = require('../utils/i18n');
+const { ROLES } = require('../config/permissions');
 
 const User = sequelize.define('User', {
   id: {
@@ -27,7 +29,10 @@ const User = sequelize.define('User', {
   },
   role: {
     type: DataTypes.STRING,
-    defaultValue: 'client'
+    defaultValue: 'client',
+    validate: {
+      isIn: [ROLES]
+    }
   },
   bio: {
     type: DataTypes.TEXT,
@@ -52,6 +57,53 @@ const User = sequelize.define('User', {
   lastSeen: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
+  },
+  emailVerified: {
+    type: DataTypes.BOOLEAN,
+    defaultValue: false
+  },
+  emailVerifiedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  passwordChangedAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  // Moderación de la cuenta: suspendida (temporal) o bloqueada (permanente)
+  status: {
+    type: DataTypes.ENUM('active', 'suspended', 'banned'),
+    defaultValue: 'active'
+  },
+  suspendedUntil: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  moderationReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Perfil oculto por moderación (no aparece en búsquedas ni perfiles públicos)
+  hiddenAt: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  hiddenReason: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  // Preferencias de notificación por tipo ({ job_comment: false, ... })
+  notificationPreferences: {
+    type: DataTypes.JSONB,
+    defaultValue: {}
+  },
+  // Idioma preferido de los mensajes de la API (null: se negocia con Accept-Language)
+  locale: {
+    type: DataTypes.STRING(5),
+    allowNull: true,
+    validate: {
+      isIn: [SUPPORTED_LOCALES]
+    }
   }
 }, {
   timestamps: true,
@@ -71,6 +123,13 @@ const User = sequelize.define('User', {
   }
 });
 
+// Campos del perfil público (rutas sin autenticación); el resto (moderación, verificación,
+// preferencias...) solo se devuelve al propio usuario y a los administradores
+User.PUBLIC_ATTRIBUTES = [
+  'id', 'name', 'email', 'role', 'bio', 'skills', 'photoURL', 'hourlyRate',
+  'isOnline', 'lastSeen', 'createdAt'
+];
+
 // Método para comparar contraseñas
 User.prototype.comparePassword = async function(password) {
   return await bcrypt.compare(password, this.password);
@@ -0,0 +1,29 @@
+const express = require('express');
+const router = express.Router();
+const adminController = require('../controllers/admin.controller');
+const { verifyToken, requireRole } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const adminValidators = require('../validators/admin.validators');
+
+// Todas las rutas de administración requieren el rol admin
+router.use(verifyToken, requireRole('admin'));
+
+// Usuarios
+router.get('/users', validate(adminValidators.listUsers), adminController.listUsers);
+router.post('/users/:userId/suspend', validate(adminValidators.userParams), adminController.suspendUser);
+router.post('/users/:userId/ban', validate(adminValidators.userParams), adminController.banUser);
+router.post('/users/:userId/reinstate', validate(adminValidators.userParams), adminController.reinstateUser);
+
+// Contenido (trabajos, comentarios, respuestas, mensajes y perfiles)
+router.post('/:contentType(jobs|comments|replies|messages|users)/:contentId/hide', validate(adminValidators.contentParams), adminController.hideContent);
+router.post('/:contentType(jobs|comments|replies|messages|users)/:contentId/unhide', validate(adminValidators.contentParams), adminController.unhideContent);
+router.delete('/:contentType(jobs|comments|replies)/:contentId', validate(adminValidators.contentParams), adminController.deleteContent);
+
+// Denuncias
+router.get('/reports', validate(adminValidators.listReports), adminController.listReports);
+router.put('/reports/:reportId', validate(adminValidators.reportParams), adminController.resolveReport);
+
+// Log de auditoría
+router.get('/audit-logs', validate(adminValidators.listAuditLogs), adminController.listAuditLogs);
+
+module.exports = router;
@@ -1,15 +1,26 @@
-
 const express = require('express');
 const router = express.Router();
 const authController = require('../controllers/auth.controller');
 const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const authValidators = require('../validators/auth.validators');
 
 // Rutas públicas
-router.post('/register', authController.register);
-router.post('/login', authController.login);
+router.post('/register', rateLimit('auth'), validate(authValidators.register), authController.register);
+router.post('/login', rateLimit('auth'), validate(authValidators.login), authController.login);
+router.post('/refresh', validate(authValidators.refresh), authController.refresh);
+router.post('/verify-email', rateLimit('auth'), validate(authValidators.verifyEmail), authController.verifyEmail);
+router.post('/forgot-password', rateLimit('auth'), validate(authValidators.forgotPassword), authController.forgotPassword);
+router.post('/reset-password', rateLimit('auth'), validate(authValidators.resetPassword), authController.resetPassword);
 
 // Rutas protegidas
 router.post('/logout', verifyToken, authController.logout);
 router.get('/verify', verifyToken, authController.verifySession);
+router.post('/resend-verification', verifyToken, authController.resendVerification);
+router.post('/change-password', verifyToken, validate(authValidators.changePassword), authController.changePassword);
+router.get('/sessions', verifyToken, authController.getSessions);
+router.delete('/sessions', verifyToken, authController.revokeOtherSessions);
+router.delete('/sessions/:sessionId', verifyToken, validate(authValidators.sessionParams), authController.revokeSession);
 
 module.exports = router;
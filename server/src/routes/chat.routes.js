@@ -2,18 +2,60 @@
 const express = require('express');
 const router = express.Router();
 const chatController = require('../controllers/chat.controller');
-const { verifyToken } = require('../middleware/auth');
+const { verifyToken, requireVerifiedEmail, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const chatValidators = require('../validators/chat.validators');
+const multer = require('multer');
+const { MAX_FILE_SIZE, MAX_FILES, ALLOWED_MIME_TYPES } = require('../services/attachment.service');
+const { BadRequestError } = require('../utils/errors');
+const { message } = require('../utils/i18n');
+
+// Configurar multer para adjuntos de chat (en memoria; el almacenamiento lo gestiona el servicio)
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: function(req, file, cb) {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) {
+      return cb(null, true);
+    }
+    cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+  }
+});
+
+// Convertir los errores de multer en errores 400
+const uploadAttachments = (req, res, next) => {
+  upload.array('files', MAX_FILES)(req, res, (error) => {
+    if (!error) return next();
+
+    const messages = {
+      LIMIT_FILE_SIZE: message('El archivo supera el tamaño máximo de {size}MB', { size: Math.round(MAX_FILE_SIZE / (1024 * 1024)) }),
+      LIMIT_FILE_COUNT: message('Solo se pueden subir {max} archivos a la vez', { max: MAX_FILES }),
+      LIMIT_UNEXPECTED_FILE: 'Tipo de archivo no permitido'
+    };
+
+    return next(new BadRequestError(messages[error.code] || 'Error al procesar los archivos', { code: 'UPLOAD_ERROR' }));
+  });
+};
 
 // Aplicar middleware de autenticación para todas las rutas de chat
-router.use(verifyToken);
+router.use(verifyToken, requirePermission('chats:use'));
 
 // Rutas de chat
-router.post('/', chatController.createChat);
-router.get('/', chatController.getChats);
-router.get('/:chatId', chatController.getChat);
-router.post('/:chatId/messages', chatController.sendMessage);
-router.post('/:chatId/participants', chatController.addParticipant);
-router.delete('/:chatId/leave', chatController.leaveChat);
-router.get('/:chatId/messages', chatController.getChatMessages);
+router.post('/', requireVerifiedEmail, validate(chatValidators.createChat), chatController.createChat);
+router.get('/', validate(chatValidators.getChats), chatController.getChats);
+router.get('/sync', validate(chatValidators.syncMessages), chatController.syncMessages);
+router.get('/:chatId', validate(chatValidators.chatParams), chatController.getChat);
+router.post('/:chatId/messages', rateLimit('messages'), validate(chatValidators.sendMessage), chatController.sendMessage);
+router.post('/:chatId/participants', validate(chatValidators.addParticipant), chatController.addParticipant);
+router.delete('/:chatId/leave', validate(chatValidators.chatParams), chatController.leaveChat);
+router.get('/:chatId/messages', validate(chatValidators.getChatMessages), chatController.getChatMessages);
+router.put('/:chatId/messages/:messageId', validate(chatValidators.editMessage), chatController.editMessage);
+router.delete('/:chatId/messages/:messageId', validate(chatValidators.messageParams), chatController.deleteMessage);
+router.get('/:chatId/messages/:messageId/edits', validate(chatValidators.messageParams), chatController.getMessageEdits);
+router.post('/:chatId/messages/:messageId/reactions', validate(chatValidators.toggleReaction), chatController.toggleReaction);
+router.post('/:chatId/attachments', rateLimit('messages'), uploadAttachments, validate(chatValidators.uploadAttachments), chatController.uploadAttachments);
+router.get('/:chatId/attachments/:attachmentId', validate(chatValidators.attachmentParams), chatController.downloadAttachment);
+router.get('/:chatId/attachments/:attachmentId/thumbnail', validate(chatValidators.attachmentParams), chatController.downloadAttachmentThumbnail);
 
 module.exports = router;
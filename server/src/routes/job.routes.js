@@ -2,25 +2,56 @@
 const express = require('express');
 const router = express.Router();
 const jobController = require('../controllers/job.controller');
-const { verifyToken } = require('../middleware/auth');
+const proposalController = require('../controllers/proposal.controller');
+const milestoneController = require('../controllers/milestone.controller');
+const reviewController = require('../controllers/review.controller');
+const { verifyToken, requireVerifiedEmail, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const jobValidators = require('../validators/job.validators');
 
 // Rutas públicas (lectura)
-router.get('/', jobController.getAllJobs);
-router.get('/:jobId', jobController.getJobById);
+router.get('/', rateLimit('search'), validate(jobValidators.searchJobs), jobController.getAllJobs);
+router.get('/recommended', verifyToken, requirePermission('jobs:recommendations'), validate(jobValidators.listPage), jobController.getRecommendedJobs);
+router.get('/:jobId', validate(jobValidators.jobParams), jobController.getJobById);
 
 // Rutas protegidas
-router.post('/', verifyToken, jobController.createJob);
-router.put('/:jobId', verifyToken, jobController.updateJob);
-router.delete('/:jobId', verifyToken, jobController.deleteJob);
+router.post('/', verifyToken, requirePermission('jobs:create'), requireVerifiedEmail, validate(jobValidators.createJob), jobController.createJob);
+router.put('/:jobId', verifyToken, requirePermission('jobs:manage'), validate(jobValidators.updateJob), jobController.updateJob);
+router.delete('/:jobId', verifyToken, requirePermission('jobs:manage'), validate(jobValidators.jobParams), jobController.deleteJob);
+router.get('/:jobId/suggested-freelancers', verifyToken, requirePermission('jobs:manage'), validate(jobValidators.jobPage), jobController.getSuggestedFreelancers);
+
+// Estados del trabajo
+router.get('/:jobId/transitions', verifyToken, requirePermission('jobs:transition'), validate(jobValidators.jobParams), jobController.getJobTransitions);
+router.post('/:jobId/transitions', verifyToken, requirePermission('jobs:transition'), validate(jobValidators.transitionJob), jobController.transitionJob);
 
 // Comentarios y respuestas
-router.post('/:jobId/comments', verifyToken, jobController.addComment);
-router.get('/:jobId/comments', jobController.getJobComments);
-router.post('/comments/:commentId/replies', verifyToken, jobController.addReply);
+router.post('/:jobId/comments', verifyToken, requirePermission('jobs:interact'), rateLimit('comments'), validate(jobValidators.addComment), jobController.addComment);
+router.get('/:jobId/comments', validate(jobValidators.jobParams), jobController.getJobComments);
+router.post('/comments/:commentId/replies', verifyToken, requirePermission('jobs:interact'), rateLimit('comments'), validate(jobValidators.addReply), jobController.addReply);
 
 // Likes y guardados
-router.post('/:jobId/like', verifyToken, jobController.toggleJobLike);
-router.post('/:jobId/save', verifyToken, jobController.toggleSavedJob);
-router.get('/saved/me', verifyToken, jobController.getSavedJobs);
+router.post('/:jobId/like', verifyToken, requirePermission('jobs:interact'), validate(jobValidators.jobParams), jobController.toggleJobLike);
+router.post('/:jobId/save', verifyToken, requirePermission('jobs:interact'), validate(jobValidators.jobParams), jobController.toggleSavedJob);
+router.get('/saved/me', verifyToken, requirePermission('jobs:interact'), jobController.getSavedJobs);
+router.get('/ledger/me', verifyToken, requirePermission('milestones:read'), milestoneController.getMyLedger);
+
+// Propuestas
+router.post('/:jobId/proposals', verifyToken, requirePermission('proposals:submit'), requireVerifiedEmail, validate(jobValidators.submitProposal), proposalController.submitProposal);
+router.get('/:jobId/proposals', verifyToken, requirePermission('proposals:read'), validate(jobValidators.jobParams), proposalController.getJobProposals);
+router.post('/:jobId/proposals/:proposalId/withdraw', verifyToken, requirePermission('proposals:submit'), validate(jobValidators.proposalParams), proposalController.withdrawProposal);
+router.post('/:jobId/proposals/:proposalId/accept', verifyToken, requirePermission('proposals:decide'), validate(jobValidators.proposalParams), proposalController.acceptProposal);
+router.post('/:jobId/proposals/:proposalId/reject', verifyToken, requirePermission('proposals:decide'), validate(jobValidators.proposalParams), proposalController.rejectProposal);
+
+// Hitos y pagos
+router.get('/:jobId/milestones', verifyToken, requirePermission('milestones:read'), validate(jobValidators.jobParams), milestoneController.getJobMilestones);
+router.post('/:jobId/milestones', verifyToken, requirePermission('milestones:manage'), validate(jobValidators.createMilestone), milestoneController.createMilestone);
+router.post('/:jobId/milestones/:milestoneId/fund', verifyToken, requirePermission('milestones:manage'), validate(jobValidators.milestoneParams), milestoneController.fundMilestone);
+router.post('/:jobId/milestones/:milestoneId/submit', verifyToken, requirePermission('milestones:submit'), validate(jobValidators.milestoneParams), milestoneController.submitMilestone);
+router.post('/:jobId/milestones/:milestoneId/approve', verifyToken, requirePermission('milestones:manage'), validate(jobValidators.milestoneParams), milestoneController.approveMilestone);
+
+// Valoraciones
+router.post('/:jobId/reviews', verifyToken, requirePermission('reviews:create'), validate(jobValidators.createReview), reviewController.createReview);
+router.get('/:jobId/reviews', validate(jobValidators.jobParams), reviewController.getJobReviews);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const notificationController = require('../controllers/notification.controller');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const notificationValidators = require('../validators/notification.validators');
+
+router.use(verifyToken);
+
+router.get('/', notificationController.getNotifications);
+router.get('/unread-count', notificationController.getUnreadCount);
+router.get('/preferences', notificationController.getPreferences);
+router.put('/preferences', notificationController.updatePreferences);
+router.post('/read-all', notificationController.markAllAsRead);
+router.post('/:notificationId/read', validate(notificationValidators.notificationParams), notificationController.markAsRead);
+
+module.exports = router;
@@ -0,0 +1,9 @@
+const express = require('express');
+const router = express.Router();
+const reportController = require('../controllers/report.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+
+router.get('/reasons', reportController.getReportReasons);
+router.post('/', verifyToken, requirePermission('reports:create'), reportController.createReport);
+
+module.exports = router;
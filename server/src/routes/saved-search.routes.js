@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const savedSearchController = require('../controllers/saved-search.controller');
+const { verifyToken } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const savedSearchValidators = require('../validators/saved-search.validators');
+
+router.use(verifyToken);
+
+router.get('/', savedSearchController.getSavedSearches);
+router.post('/', savedSearchController.createSavedSearch);
+router.put('/:savedSearchId', validate(savedSearchValidators.savedSearchParams), savedSearchController.updateSavedSearch);
+router.delete('/:savedSearchId', validate(savedSearchValidators.savedSearchParams), savedSearchController.deleteSavedSearch);
+router.get('/:savedSearchId/jobs', rateLimit('search'), validate(savedSearchValidators.savedSearchParams), savedSearchController.runSavedSearch);
+
+module.exports = router;
@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const taxonomyController = require('../controllers/taxonomy.controller');
+
+router.get('/categories', taxonomyController.getCategories);
+router.get('/skills', taxonomyController.getSkills);
+
+module.exports = router;
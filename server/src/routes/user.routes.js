@@ -2,9 +2,15 @@
 const express = require('express');
 const router = express.Router();
 const userController = require('../controllers/user.controller');
+const reviewController = require('../controllers/review.controller');
+const { verifyToken, requirePermission } = require('../middleware/auth');
+const { validate } = require('../middleware/validate');
+const { rateLimit } = require('../middleware/rate-limit');
+const userValidators = require('../validators/user.validators');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
+const { BadRequestError } = require('../utils/errors');
 
 // Configurar multer para subida de imágenes de perfil
 const uploadDir = path.join(__dirname, '../../uploads/profiles');
@@ -35,15 +41,19 @@ const upload = multer({
     if (mimetype && extname) {
       return cb(null, true);
     }
-    cb(new Error('Solo se permiten imágenes (jpeg, jpg, png, gif)'));
+    cb(new BadRequestError('Solo se permiten imágenes (jpeg, jpg, png, gif)', { code: 'UPLOAD_ERROR' }));
   }
 });
 
-// Rutas de usuario
-router.get('/me', userController.getCurrentUser);
-router.get('/search', userController.searchUsers);
-router.get('/:userId', userController.getUserById);
-router.put('/profile', userController.updateProfile);
-router.post('/profile/photo', upload.single('photo'), userController.uploadProfilePhoto);
+// Rutas de usuario (/me debe ir antes de /:userId)
+router.get('/me', verifyToken, userController.getCurrentUser);
+router.get('/search', rateLimit('search'), validate(userValidators.searchUsers), userController.searchUsers);
+router.get('/:userId', validate(userValidators.userParams), userController.getUserById);
+router.get('/:userId/reviews', validate(userValidators.userReviews), reviewController.getUserReviews);
+
+// Rutas protegidas
+router.put('/profile', verifyToken, requirePermission('profile:update'), validate(userValidators.updateProfile), userController.updateProfile);
+router.post('/profile/photo', verifyToken, requirePermission('profile:update'), upload.single('photo'), userController.uploadProfilePhoto);
+router.put('/:userId/role', verifyToken, requirePermission('users:manage'), validate(userValidators.updateUserRole), userController.updateUserRole);
 
 module.exports = router;
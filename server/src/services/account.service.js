@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { Op } = require('sequelize');
+const { User, UserToken, sequelize } = require('../models');
+const { sendMail } = require('./mailer.service');
+
+const MIN_PASSWORD_LENGTH = 8;
+
+// Validez de los tokens enviados por correo
+const TOKEN_TTL = {
+  email_verification: (parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS, 10) || 48) * 60 * 60 * 1000,
+  password_reset: (parseInt(process.env.PASSWORD_RESET_TTL_MINUTES, 10) || 60) * 60 * 1000
+};
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const getClientUrl = () => process.env.CLIENT_URL || 'http://localhost:8080';
+
+/**
+ * Comprobar la longitud mínima de una contraseña
+ * Devuelve null o { status, message }
+ */
+const validatePassword = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return { status: 400, message: 'La contraseña debe tener al menos {min} caracteres', params: { min: MIN_PASSWORD_LENGTH } };
+  }
+  return null;
+};
+
+/**
+ * Crear un token de un solo uso para un usuario
+ * Invalida los tokens anteriores del mismo tipo que no se hayan usado.
+ * Devuelve el token en claro (solo se guarda su hash).
+ */
+const issueToken = async (userId, type) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+
+  await UserToken.update(
+    { usedAt: new Date() },
+    { where: { userId, type, usedAt: null } }
+  );
+
+  await UserToken.create({
+    userId,
+    type,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + TOKEN_TTL[type])
+  });
+
+  return token;
+};
+
+/**
+ * Consumir un token de un solo uso
+ * Devuelve el registro del token o null si no existe, ya se usó o ha caducado
+ */
+const consumeToken = async (token, type, transaction) => {
+  if (typeof token !== 'string' || token === '') return null;
+
+  const userToken = await UserToken.findOne({
+    where: {
+      tokenHash: hashToken(token),
+      type,
+      usedAt: null,
+      expiresAt: { [Op.gt]: new Date() }
+    },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  if (!userToken) return null;
+
+  userToken.usedAt = new Date();
+  await userToken.save({ transaction });
+
+  return userToken;
+};
+
+/**
+ * Enviar el correo de verificación de email
+ */
+const sendVerificationEmail = async (user) => {
+  const token = await issueToken(user.id, 'email_verification');
+  const link = `${getClientUrl()}/verify-email?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verifica tu correo electrónico en WorkFlow Connect',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Para activar tu cuenta, verifica tu correo electrónico con el siguiente enlace:',
+      link,
+      '',
+      'Si no has creado una cuenta en WorkFlow Connect, ignora este mensaje.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Enviar el correo para restablecer la contraseña
+ */
+const sendPasswordResetEmail = async (user) => {
+  const token = await issueToken(user.id, 'password_reset');
+  const link = `${getClientUrl()}/reset-password?token=${token}`;
+
+  await sendMail({
+    to: user.email,
+    subject: 'Restablece tu contraseña de WorkFlow Connect',
+    text: [
+      `Hola ${user.name},`,
+      '',
+      'Hemos recibido una solicitud para restablecer tu contraseña. Puedes elegir una nueva con el siguiente enlace:',
+      link,
+      '',
+      'Si no has solicitado el cambio, ignora este mensaje: tu contraseña no se modificará.'
+    ].join('\n')
+  });
+};
+
+/**
+ * Verificar el email de un usuario con un token
+ * Devuelve { user } o { error: { status, message } }
+ */
+const verifyEmail = async (token) => {
+  const t = await sequelize.transaction();
+
+  try {
+    const userToken = await consumeToken(token, 'email_verification', t);
+    if (!userToken) {
+      await t.rollback();
+      return { error: { status: 400, message: 'El enlace de verificación no es válido o ha caducado' } };
+    }
+
+    const user = await User.findByPk(userToken.userId, { transaction: t });
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+      await user.save({ transaction: t });
+    }
+
+    await t.commit();
+    return { user };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Cambiar la contraseña de un usuario con un token de restablecimiento
+ * Devuelve { user } o { error: { status, message } }
+ */
+const resetPassword = async (token, password) => {
+  const invalid = validatePassword(password);
+  if (invalid) return { error: invalid };
+
+  const t = await sequelize.transaction();
+
+  try {
+    const userToken = await consumeToken(token, 'password_reset', t);
+    if (!userToken) {
+      await t.rollback();
+      return { error: { status: 400, message: 'El enlace para restablecer la contraseña no es válido o ha caducado' } };
+    }
+
+    const user = await User.findByPk(userToken.userId, { transaction: t });
+    user.password = password;
+    user.passwordChangedAt = new Date();
+    // Quien recibe el correo demuestra ser dueño de la dirección
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save({ transaction: t });
+
+    await t.commit();
+    return { user };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  verifyEmail,
+  resetPassword
+};
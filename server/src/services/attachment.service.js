@@ -0,0 +1,153 @@
+const path = require('path');
+const sharp = require('sharp');
+const { v4: uuidv4 } = require('uuid');
+const { Attachment } = require('../models');
+const { getStorage } = require('./storage.service');
+
+// Límites de subida configurables por entorno
+const MAX_FILE_SIZE = parseInt(process.env.ATTACHMENT_MAX_SIZE, 10) || 10 * 1024 * 1024; // 10MB
+const MAX_FILES = parseInt(process.env.ATTACHMENT_MAX_FILES, 10) || 5;
+
+const ALLOWED_MIME_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+];
+
+const THUMBNAIL_SIZE = 320;
+
+const isImage = (mimeType) => mimeType.startsWith('image/');
+
+/**
+ * Generar la miniatura de una imagen
+ * Devuelve { buffer, width, height } o null si la imagen no se puede procesar
+ */
+const createThumbnail = async (buffer) => {
+  try {
+    const image = sharp(buffer, { animated: false });
+    const { width, height } = await image.metadata();
+    const thumbnail = await image
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .webp()
+      .toBuffer();
+
+    return { buffer: thumbnail, width, height };
+  } catch (error) {
+    console.error('No se pudo generar la miniatura:', error);
+    return null;
+  }
+};
+
+/**
+ * Guardar un archivo subido con multer y crear su registro de adjunto
+ * Si algo falla a mitad, se eliminan los archivos que ya se habían guardado: el llamador
+ * solo conoce los adjuntos creados y no podría limpiarlos.
+ */
+const storeAttachment = async ({ file, chatId, messageId, userId }, transaction) => {
+  const storage = getStorage();
+  const id = uuidv4();
+  const ext = path.extname(file.originalname).toLowerCase();
+  const storageKey = `attachments/${chatId}/${id}${ext}`;
+  const savedKeys = [];
+
+  try {
+    await storage.save(storageKey, file.buffer);
+    savedKeys.push(storageKey);
+
+    let thumbnailKey = null;
+    let width = null;
+    let height = null;
+
+    if (isImage(file.mimetype)) {
+      const thumbnail = await createThumbnail(file.buffer);
+      if (thumbnail) {
+        thumbnailKey = `attachments/${chatId}/thumbnails/${id}.webp`;
+        await storage.save(thumbnailKey, thumbnail.buffer);
+        savedKeys.push(thumbnailKey);
+        width = thumbnail.width;
+        height = thumbnail.height;
+      }
+    }
+
+    return await Attachment.create({
+      id,
+      fileName: file.originalname,
+      mimeType: file.mimetype,
+      size: file.size,
+      storageKey,
+      thumbnailKey,
+      width,
+      height,
+      messageId,
+      chatId,
+      userId
+    }, { transaction });
+  } catch (error) {
+    for (const key of savedKeys) {
+      await storage.remove(key).catch((removeError) => {
+        console.error(`No se pudo eliminar el archivo ${key}:`, removeError);
+      });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Eliminar los archivos almacenados de una lista de adjuntos
+ */
+const removeStoredFiles = async (attachments) => {
+  const storage = getStorage();
+
+  for (const attachment of attachments) {
+    await storage.remove(attachment.storageKey);
+    if (attachment.thumbnailKey) {
+      await storage.remove(attachment.thumbnailKey);
+    }
+  }
+};
+
+/**
+ * Eliminar los adjuntos de un mensaje (registros y archivos)
+ */
+const removeMessageAttachments = async (messageId) => {
+  const attachments = await Attachment.findAll({ where: { messageId } });
+  if (attachments.length === 0) return;
+
+  await Attachment.destroy({ where: { messageId } });
+  await removeStoredFiles(attachments);
+};
+
+/**
+ * Formatear un adjunto para la respuesta (sin rutas internas)
+ */
+const toAttachmentResponse = (attachment) => ({
+  id: attachment.id,
+  fileName: attachment.fileName,
+  mimeType: attachment.mimeType,
+  size: attachment.size,
+  width: attachment.width,
+  height: attachment.height,
+  url: `/api/chats/${attachment.chatId}/attachments/${attachment.id}`,
+  thumbnailUrl: attachment.thumbnailKey
+    ? `/api/chats/${attachment.chatId}/attachments/${attachment.id}/thumbnail`
+    : null
+});
+
+module.exports = {
+  MAX_FILE_SIZE,
+  MAX_FILES,
+  ALLOWED_MIME_TYPES,
+  storeAttachment,
+  removeStoredFiles,
+  removeMessageAttachments,
+  toAttachmentResponse
+};
@@ -0,0 +1,259 @@
+const { Job, User, sequelize } = require('../models');
+const { encodeCursor, decodeCursor, cursorTimestampSql } = require('../utils/cursor');
+const { normalizeCategory, normalizeSkills } = require('./taxonomy.service');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+// Criterios de ordenación: expresión SQL, dirección, columna y tipo del valor del cursor
+// Las fechas se pasan al cursor como texto con microsegundos (createdAtCursor)
+const SORTS = {
+  relevance: { column: 'rank', expression: 'rank', direction: 'DESC', cast: 'real', cursorType: 'number' },
+  newest: { column: 'createdAtCursor', expression: 'j."createdAt"', direction: 'DESC', cast: 'timestamptz', cursorType: 'timestamp' },
+  oldest: { column: 'createdAtCursor', expression: 'j."createdAt"', direction: 'ASC', cast: 'timestamptz', cursorType: 'timestamp' },
+  budget_desc: { column: 'budget', expression: 'j.budget', direction: 'DESC', cast: 'double precision', cursorType: 'number' },
+  budget_asc: { column: 'budget', expression: 'j.budget', direction: 'ASC', cast: 'double precision', cursorType: 'number' }
+};
+
+/**
+ * Convertir un parámetro de lista (array o texto separado por comas) en un array normalizado
+ */
+const parseList = (value) => {
+  if (!value) return [];
+  const items = Array.isArray(value) ? value : String(value).split(',');
+  return [...new Set(items.map(item => String(item).trim().toLowerCase()).filter(Boolean))];
+};
+
+/**
+ * Convertir la categoría y las habilidades de los filtros a sus nombres canónicos
+ * Los trabajos guardan los nombres canónicos, así que un alias ("JS", "ReactJS") encuentra
+ * los mismos trabajos. Las categorías y habilidades desconocidas se buscan tal cual.
+ * Devuelve { filters } o { error: { status, message, params } }
+ */
+const normalizeFilters = async (filters) => {
+  const normalized = { ...filters };
+
+  if (filters.category) {
+    const { category } = await normalizeCategory(filters.category);
+    if (category) normalized.category = category;
+  }
+
+  for (const field of ['skillsAny', 'skillsAll']) {
+    if (filters[field].length === 0) continue;
+
+    const { skills, error } = await normalizeSkills(filters[field], { create: false });
+    if (error) return { error };
+    normalized[field] = parseList(skills);
+  }
+
+  return { filters: normalized };
+};
+
+/**
+ * Construir las condiciones WHERE a partir de los filtros ya normalizados
+ * `exclude` permite omitir un filtro (para calcular las facetas de ese campo)
+ */
+const buildFilters = (filters, exclude = null) => {
+  // Los trabajos ocultos por moderación no aparecen en los listados
+  const conditions = ['j."hiddenAt" IS NULL'];
+  const replacements = {};
+
+  if (filters.search) {
+    conditions.push(`j."searchVector" @@ websearch_to_tsquery('${Job.SEARCH_LANGUAGE}', :search)`);
+    replacements.search = filters.search;
+  }
+
+  if (filters.category && exclude !== 'category') {
+    conditions.push('j.category = :category');
+    replacements.category = filters.category;
+  }
+
+  if (filters.status && exclude !== 'status') {
+    conditions.push('j.status = :status');
+    replacements.status = filters.status;
+  }
+
+  if (filters.budgetMin !== null) {
+    conditions.push('j.budget >= :budgetMin');
+    replacements.budgetMin = filters.budgetMin;
+  }
+
+  if (filters.budgetMax !== null) {
+    conditions.push('j.budget <= :budgetMax');
+    replacements.budgetMax = filters.budgetMax;
+  }
+
+  // Al menos una de las habilidades
+  if (filters.skillsAny.length > 0) {
+    conditions.push(`EXISTS (
+      SELECT 1 FROM unnest(j.skills) AS s WHERE lower(s) IN (:skillsAny)
+    )`);
+    replacements.skillsAny = filters.skillsAny;
+  }
+
+  // Todas las habilidades
+  if (filters.skillsAll.length > 0) {
+    conditions.push(`(
+      SELECT COUNT(DISTINCT lower(s)) FROM unnest(j.skills) AS s WHERE lower(s) IN (:skillsAll)
+    ) = :skillsAllCount`);
+    replacements.skillsAll = filters.skillsAll;
+    replacements.skillsAllCount = filters.skillsAll.length;
+  }
+
+  return {
+    whereSql: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+    replacements
+  };
+};
+
+/**
+ * Normalizar los parámetros de búsqueda recibidos en la query
+ */
+const parseSearchParams = (query) => {
+  const search = query.search ? String(query.search).trim() : '';
+  const budgetMin = parseFloat(query.budgetMin);
+  const budgetMax = parseFloat(query.budgetMax);
+  const limit = Math.min(parseInt(query.limit, 10) || DEFAULT_LIMIT, MAX_LIMIT);
+
+  let sort = SORTS[query.sort] ? query.sort : (search ? 'relevance' : 'newest');
+  // Sin texto de búsqueda no hay relevancia que ordenar
+  if (sort === 'relevance' && !search) {
+    sort = 'newest';
+  }
+
+  return {
+    search,
+    category: query.category || null,
+    status: Job.rawAttributes.status.values.includes(query.status) ? query.status : null,
+    budgetMin: isNaN(budgetMin) ? null : budgetMin,
+    budgetMax: isNaN(budgetMax) ? null : budgetMax,
+    skillsAny: parseList(query.skillsAny || query.skills),
+    skillsAll: parseList(query.skillsAll),
+    sort,
+    limit,
+    cursor: query.cursor ? decodeCursor(query.cursor, SORTS[sort].cursorType) : null
+  };
+};
+
+/**
+ * Contar resultados agrupados por un campo, ignorando el filtro de ese mismo campo
+ */
+const getFacet = async (filters, field) => {
+  const { whereSql, replacements } = buildFilters(filters, field);
+
+  const rows = await sequelize.query(`
+    SELECT j.${field} AS value, COUNT(*)::int AS count
+    FROM "Jobs" AS j
+    ${whereSql}
+    GROUP BY j.${field}
+    ORDER BY count DESC
+  `, {
+    replacements,
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return rows;
+};
+
+/**
+ * Buscar trabajos con ranking, filtros, paginación por cursor y facetas
+ * Devuelve los IDs de la página en orden junto con el cursor siguiente, o { error }
+ */
+const searchJobs = async (searchParams) => {
+  const { filters: params, error } = await normalizeFilters(searchParams);
+  if (error) return { error };
+
+  const sort = SORTS[params.sort];
+  const { whereSql, replacements } = buildFilters(params);
+
+  const rankSql = params.search
+    ? `ts_rank(j."searchVector", websearch_to_tsquery('${Job.SEARCH_LANGUAGE}', :search))`
+    : '0::real';
+
+  // Paginación por cursor sobre (valor de ordenación, id)
+  const pageReplacements = { ...replacements, limit: params.limit + 1 };
+  let cursorSql = '';
+  if (params.cursor) {
+    const operator = sort.direction === 'DESC' ? '<' : '>';
+    cursorSql = `WHERE (${sort.expression}, id) ${operator} (CAST(:cursorValue AS ${sort.cast}), CAST(:cursorId AS uuid))`;
+    pageReplacements.cursorValue = params.cursor.v;
+    pageReplacements.cursorId = params.cursor.id;
+  }
+
+  const rows = await sequelize.query(`
+    SELECT * FROM (
+      SELECT j.id, j."createdAt", ${cursorTimestampSql('j."createdAt"')} AS "createdAtCursor",
+             j.budget, ${rankSql} AS rank
+      FROM "Jobs" AS j
+      ${whereSql}
+    ) AS j
+    ${cursorSql}
+    ORDER BY ${sort.expression} ${sort.direction}, id ${sort.direction}
+    LIMIT :limit
+  `, {
+    replacements: pageReplacements,
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const hasMore = rows.length > params.limit;
+  const page = hasMore ? rows.slice(0, params.limit) : rows;
+  const last = page[page.length - 1];
+
+  const [[{ total }], categoryFacet, statusFacet] = await Promise.all([
+    sequelize.query(`SELECT COUNT(*)::int AS total FROM "Jobs" AS j ${whereSql}`, {
+      replacements,
+      type: sequelize.QueryTypes.SELECT
+    }),
+    getFacet(params, 'category'),
+    getFacet(params, 'status')
+  ]);
+
+  return {
+    ids: page.map(row => row.id),
+    ranks: page.reduce((acc, row) => ({ ...acc, [row.id]: row.rank }), {}),
+    nextCursor: hasMore && last ? encodeCursor(last[sort.column], last.id) : null,
+    total,
+    facets: {
+      category: categoryFacet,
+      status: statusFacet
+    }
+  };
+};
+
+/**
+ * Cargar los trabajos de una página de resultados manteniendo el orden de la búsqueda
+ * Con texto de búsqueda se añade la relevancia de cada trabajo.
+ */
+const loadSearchResults = async (params, { ids, ranks }) => {
+  const jobs = await Job.findAll({
+    where: { id: ids },
+    include: [
+      {
+        model: User,
+        as: 'user',
+        attributes: ['id', 'name', 'photoURL']
+      },
+      {
+        model: User,
+        as: 'likedBy',
+        attributes: ['id'],
+        through: { attributes: [] }
+      }
+    ]
+  });
+
+  const jobsById = new Map(jobs.map(job => [job.id, job]));
+  return ids
+    .filter(id => jobsById.has(id))
+    .map(id => params.search
+      ? { ...jobsById.get(id).toJSON(), relevance: ranks[id] }
+      : jobsById.get(id));
+};
+
+module.exports = {
+  SORTS,
+  parseList,
+  parseSearchParams,
+  searchJobs,
+  loadSearchResults
+};
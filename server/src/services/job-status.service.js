@@ -0,0 +1,113 @@
+const { JobStatusHistory, Proposal } = require('../models');
+
+/**
+ * Máquina de estados de un trabajo
+ *
+ * Para cada estado se indican los estados a los que puede pasar y quién
+ * puede provocar la transición: el cliente propietario ('client') o el
+ * freelancer asignado ('freelancer').
+ */
+const TRANSITIONS = {
+  'open': {
+    'assigned': ['client'],
+    'cancelled': ['client']
+  },
+  'assigned': {
+    'in-progress': ['freelancer'],
+    'open': ['client', 'freelancer'],
+    'cancelled': ['client']
+  },
+  'in-progress': {
+    'completed': ['client'],
+    'cancelled': ['client']
+  },
+  'completed': {},
+  'cancelled': {}
+};
+
+/**
+ * Obtener el papel de un usuario respecto a un trabajo
+ */
+const getActorRole = (job, userId) => {
+  if (job.userId === userId) return 'client';
+  if (job.assignedFreelancerId && job.assignedFreelancerId === userId) return 'freelancer';
+  return null;
+};
+
+/**
+ * Obtener los estados a los que un usuario puede llevar un trabajo
+ */
+const getAllowedTransitions = (job, userId) => {
+  const actorRole = getActorRole(job, userId);
+  const transitions = TRANSITIONS[job.status] || {};
+
+  return Object.keys(transitions).filter(status => transitions[status].includes(actorRole));
+};
+
+/**
+ * Validar una transición de estado
+ * Devuelve null si es válida o un objeto { status, message, params? } con el error
+ */
+const validateTransition = (job, toStatus, userId) => {
+  if (!TRANSITIONS[toStatus]) {
+    return { status: 400, message: 'Estado no válido' };
+  }
+
+  const actorRole = getActorRole(job, userId);
+  if (!actorRole) {
+    return { status: 403, message: 'No tienes permiso para cambiar el estado de este trabajo' };
+  }
+
+  const allowedActors = (TRANSITIONS[job.status] || {})[toStatus];
+  if (!allowedActors) {
+    return { status: 400, message: "No se puede pasar de '{from}' a '{to}'", params: { from: job.status, to: toStatus } };
+  }
+
+  if (!allowedActors.includes(actorRole)) {
+    return { status: 403, message: 'No tienes permiso para realizar este cambio de estado' };
+  }
+
+  // La asignación requiere un freelancer, que se obtiene al aceptar una propuesta
+  if (toStatus === 'assigned' && !job.assignedFreelancerId) {
+    return { status: 400, message: 'Acepta una propuesta para asignar el trabajo' };
+  }
+
+  return null;
+};
+
+/**
+ * Aplicar una transición ya validada y registrarla en el historial
+ */
+const applyTransition = async (job, toStatus, userId, { reason = null, transaction } = {}) => {
+  const fromStatus = job.status;
+
+  job.status = toStatus;
+
+  // Al reabrir el trabajo se libera al freelancer asignado; su propuesta aceptada pasa a
+  // retirada para que pueda volver a presentarse y el trabajo se pueda adjudicar de nuevo
+  if (toStatus === 'open') {
+    await Proposal.update(
+      { status: 'withdrawn' },
+      { where: { jobId: job.id, status: 'accepted' }, transaction }
+    );
+    job.assignedFreelancerId = null;
+  }
+
+  await job.save({ transaction });
+
+  return JobStatusHistory.create({
+    jobId: job.id,
+    fromStatus,
+    toStatus,
+    changedById: userId,
+    reason
+  }, { transaction });
+};
+
+module.exports = {
+  TRANSITIONS,
+  getActorRole,
+  getAllowedTransitions,
+  validateTransition,
+  applyTransition
+};
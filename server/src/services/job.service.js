@@ -0,0 +1,69 @@
+const { Op } = require('sequelize');
+const {
+  Comment,
+  Reply,
+  Proposal,
+  JobStatusHistory,
+  Milestone,
+  LedgerEntry,
+  Review,
+  Report,
+  SavedSearchMatch,
+  sequelize
+} = require('../models');
+
+/**
+ * Eliminar un trabajo con todo su contenido relacionado
+ * No se pueden eliminar trabajos con pagos registrados. Todo se elimina en una transacción:
+ * si algo falla, el trabajo queda como estaba.
+ * Devuelve {} o { error: { status, message } }
+ */
+const removeJob = async (job) => sequelize.transaction(async (transaction) => {
+  const jobId = job.id;
+
+  // No se pueden eliminar trabajos con pagos registrados
+  const ledgerEntries = await LedgerEntry.count({ where: { jobId }, transaction });
+  if (ledgerEntries > 0) {
+    return { error: { status: 400, message: 'No se puede eliminar un trabajo con pagos registrados' } };
+  }
+
+  const comments = await Comment.findAll({ where: { jobId }, attributes: ['id'], transaction });
+  const commentIds = comments.map(comment => comment.id);
+  const replies = await Reply.findAll({ where: { commentId: commentIds }, attributes: ['id'], transaction });
+
+  // Las denuncias del trabajo, sus comentarios y sus respuestas se quedarían sin objetivo
+  await Report.destroy({
+    where: {
+      [Op.or]: [
+        { targetType: 'job', targetId: jobId },
+        { targetType: 'comment', targetId: commentIds },
+        { targetType: 'reply', targetId: replies.map(reply => reply.id) }
+      ]
+    },
+    transaction
+  });
+
+  // Eliminar comentarios y respuestas relacionados primero
+  await Reply.destroy({ where: { commentId: commentIds }, transaction });
+  await Comment.destroy({ where: { jobId }, transaction });
+
+  // Eliminar propuestas, historial de estados, hitos, valoraciones y coincidencias de búsquedas guardadas
+  await Proposal.destroy({ where: { jobId }, transaction });
+  await JobStatusHistory.destroy({ where: { jobId }, transaction });
+  await Milestone.destroy({ where: { jobId }, transaction });
+  await Review.destroy({ where: { jobId }, transaction });
+  await SavedSearchMatch.destroy({ where: { jobId }, transaction });
+
+  // Eliminar relaciones con usuarios (likes, guardados)
+  await job.setLikedBy([], { transaction });
+  await job.setSavedBy([], { transaction });
+
+  // Finalmente eliminar el trabajo
+  await job.destroy({ transaction });
+
+  return {};
+});
+
+module.exports = {
+  removeJob
+};
@@ -0,0 +1,92 @@
+const { v4: uuidv4 } = require('uuid');
+const { LedgerEntry, sequelize } = require('../models');
+
+/**
+ * Registrar un movimiento de partida doble
+ * El débito y el crédito comparten transactionId e importe.
+ */
+const recordTransfer = async ({ debit, credit, amount, jobId, milestoneId, description, providerReference }, transaction) => {
+  const transactionId = uuidv4();
+  const common = { transactionId, amount, jobId, milestoneId, description, providerReference };
+
+  return LedgerEntry.bulkCreate([
+    { ...common, account: debit.account, userId: debit.userId, direction: 'debit' },
+    { ...common, account: credit.account, userId: credit.userId, direction: 'credit' }
+  ], { transaction });
+};
+
+/**
+ * Fondear un hito: el pago del cliente pasa a depósito (escrow)
+ */
+const recordFunding = (milestone, job, providerReference, transaction) => recordTransfer({
+  debit: { account: 'escrow', userId: job.userId },
+  credit: { account: 'client_payments', userId: job.userId },
+  amount: milestone.amount,
+  jobId: job.id,
+  milestoneId: milestone.id,
+  description: `Fondeo del hito "${milestone.title}"`,
+  providerReference
+}, transaction);
+
+/**
+ * Liberar un hito: el depósito pasa a las ganancias del freelancer que lo tenía asignado al fondearlo
+ */
+const recordRelease = (milestone, job, providerReference, transaction) => recordTransfer({
+  debit: { account: 'freelancer_earnings', userId: milestone.freelancerId },
+  credit: { account: 'escrow', userId: job.userId },
+  amount: milestone.amount,
+  jobId: job.id,
+  milestoneId: milestone.id,
+  description: `Liberación del hito "${milestone.title}"`,
+  providerReference
+}, transaction);
+
+/**
+ * Reembolsar un hito: el depósito vuelve al cliente (anula el fondeo)
+ */
+const recordRefund = (milestone, job, providerReference, transaction) => recordTransfer({
+  debit: { account: 'client_payments', userId: job.userId },
+  credit: { account: 'escrow', userId: job.userId },
+  amount: milestone.amount,
+  jobId: job.id,
+  milestoneId: milestone.id,
+  description: `Reembolso del hito "${milestone.title}"`,
+  providerReference
+}, transaction);
+
+/**
+ * Obtener los saldos de un usuario por cuenta
+ * funded: total pagado como cliente
+ * inEscrow: importe fondeado pendiente de liberar
+ * released: total recibido como freelancer
+ */
+const getUserBalances = async (userId) => {
+  const rows = await sequelize.query(`
+    SELECT account,
+           COALESCE(SUM(CASE WHEN direction = 'debit' THEN amount ELSE -amount END), 0) AS balance
+    FROM "LedgerEntries"
+    WHERE "userId" = :userId
+    GROUP BY account
+  `, {
+    replacements: { userId },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const balances = { client_payments: 0, escrow: 0, freelancer_earnings: 0 };
+  for (const row of rows) {
+    balances[row.account] = parseFloat(row.balance);
+  }
+
+  return {
+    funded: -balances.client_payments,
+    inEscrow: balances.escrow,
+    released: balances.freelancer_earnings
+  };
+};
+
+module.exports = {
+  recordFunding,
+  recordRelease,
+  recordRefund,
+  getUserBalances
+};
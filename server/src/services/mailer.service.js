@@ -0,0 +1,82 @@
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_FROM = 'WorkFlow Connect <no-reply@workflowconnect.local>';
+
+/**
+ * Transporte de consola: muestra los correos en el log del servidor
+ */
+const createConsoleTransport = () => ({
+  name: 'console',
+
+  async send(mail) {
+    console.log([
+      '[mailer] ----------------------------------------',
+      `Para: ${mail.to}`,
+      `Asunto: ${mail.subject}`,
+      '',
+      mail.text,
+      '[mailer] ----------------------------------------'
+    ].join('\n'));
+    return { id: `console_${uuidv4()}` };
+  }
+});
+
+/**
+ * Transporte de archivo: guarda cada correo como JSON en un directorio (MAIL_OUTBOX_DIR)
+ * Útil para pruebas sin conexión: los enlaces se pueden leer del archivo generado.
+ */
+const createFileTransport = (outboxDir) => ({
+  name: 'file',
+
+  async send(mail) {
+    const id = `${Date.now()}-${uuidv4()}`;
+    await fs.promises.mkdir(outboxDir, { recursive: true });
+    await fs.promises.writeFile(
+      path.join(outboxDir, `${id}.json`),
+      JSON.stringify({ id, ...mail, sentAt: new Date().toISOString() }, null, 2)
+    );
+    return { id };
+  }
+});
+
+const transports = {
+  console: createConsoleTransport,
+  file: () => createFileTransport(process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '../../mail-outbox'))
+};
+
+let transport = null;
+
+/**
+ * Obtener el transporte de correo configurado (MAIL_TRANSPORT, por defecto 'console')
+ * Otro transporte solo necesita implementar send({ from, to, subject, text, html }).
+ */
+const getMailTransport = () => {
+  if (transport) return transport;
+
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const createTransport = transports[name];
+
+  if (!createTransport) {
+    throw new Error(`Transporte de correo desconocido: ${name}`);
+  }
+
+  transport = createTransport();
+  return transport;
+};
+
+/**
+ * Enviar un correo con el transporte configurado
+ */
+const sendMail = ({ to, subject, text, html }) => getMailTransport().send({
+  from: process.env.MAIL_FROM || DEFAULT_FROM,
+  to,
+  subject,
+  text,
+  html: html || null
+});
+
+module.exports = {
+  sendMail
+};
@@ -0,0 +1,205 @@
+const { Message, MessageEdit, MessageReaction, ChatParticipant, sequelize } = require('../models');
+const { removeMessageAttachments } = require('./attachment.service');
+const { DEFAULT_LOCALE, translate } = require('../utils/i18n');
+
+const MAX_EMOJI_LENGTH = 32;
+
+// Mensajes del sistema por clave. Se guardan con systemKey/systemParams (y el texto en español
+// en content) y se muestran en el idioma de quien los lee.
+const SYSTEM_MESSAGES = {
+  participant_added: 'Un nuevo participante ha sido añadido al chat',
+  participant_left: 'Un usuario ha abandonado el chat'
+};
+
+/**
+ * Columnas de un mensaje del sistema: { content, systemKey, systemParams }
+ */
+const buildSystemMessage = (key, params = {}) => ({
+  content: translate(DEFAULT_LOCALE, SYSTEM_MESSAGES[key], params),
+  systemKey: key,
+  systemParams: params
+});
+
+/**
+ * Mostrar un mensaje en el idioma de quien lo lee
+ * Solo cambia el texto de los mensajes del sistema; los ocultos o eliminados siguen vacíos.
+ */
+const localizeMessage = (message, locale) => {
+  if (!message || !SYSTEM_MESSAGES[message.systemKey] || message.hiddenAt || message.deletedAt) {
+    return message;
+  }
+
+  return {
+    ...message,
+    content: translate(locale, SYSTEM_MESSAGES[message.systemKey], message.systemParams || {})
+  };
+};
+
+/**
+ * Cargar un mensaje de un chat comprobando que el usuario participa en él
+ * Devuelve { message } o { error: { status, message } }
+ */
+const loadMessageForParticipant = async (chatId, messageId, userId, transaction) => {
+  const isParticipant = await ChatParticipant.findOne({
+    where: { chatId, userId },
+    transaction
+  });
+
+  if (!isParticipant) {
+    return { error: { status: 403, message: 'No tienes acceso a este chat' } };
+  }
+
+  const message = await Message.findOne({
+    where: { id: messageId, chatId },
+    transaction,
+    lock: transaction ? transaction.LOCK.UPDATE : undefined
+  });
+
+  if (!message) {
+    return { error: { status: 404, message: 'Mensaje no encontrado' } };
+  }
+
+  return { message };
+};
+
+/**
+ * Resumen de reacciones de un mensaje: [{ emoji, count, userIds }]
+ */
+const getReactionSummary = async (messageId, transaction) => {
+  const reactions = await MessageReaction.findAll({
+    where: { messageId },
+    order: [['createdAt', 'ASC']],
+    transaction
+  });
+
+  const summary = new Map();
+  for (const reaction of reactions) {
+    if (!summary.has(reaction.emoji)) {
+      summary.set(reaction.emoji, { emoji: reaction.emoji, count: 0, userIds: [] });
+    }
+    const entry = summary.get(reaction.emoji);
+    entry.count += 1;
+    entry.userIds.push(reaction.userId);
+  }
+
+  return [...summary.values()];
+};
+
+/**
+ * Editar un mensaje (solo su autor) guardando el contenido anterior en el historial
+ */
+const editMessage = async (chatId, messageId, userId, content) => {
+  if (!content || content.trim() === '') {
+    return { error: { status: 400, message: 'El contenido del mensaje no puede estar vacío' } };
+  }
+
+  const t = await sequelize.transaction();
+
+  try {
+    const { message, error } = await loadMessageForParticipant(chatId, messageId, userId, t);
+    if (error) {
+      await t.rollback();
+      return { error };
+    }
+
+    if (message.userId !== userId) {
+      await t.rollback();
+      return { error: { status: 403, message: 'Solo puedes editar tus propios mensajes' } };
+    }
+
+    if (message.deletedAt) {
+      await t.rollback();
+      return { error: { status: 400, message: 'No se puede editar un mensaje eliminado' } };
+    }
+
+    if (message.systemKey) {
+      await t.rollback();
+      return { error: { status: 400, message: 'No se puede editar un mensaje del sistema' } };
+    }
+
+    if (message.content === content) {
+      await t.rollback();
+      return { message };
+    }
+
+    await MessageEdit.create({
+      messageId: message.id,
+      previousContent: message.content
+    }, { transaction: t });
+
+    message.content = content;
+    message.editedAt = new Date();
+    await message.save({ transaction: t });
+
+    await t.commit();
+    return { message };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Eliminar un mensaje (borrado lógico, solo su autor)
+ */
+const deleteMessage = async (chatId, messageId, userId) => {
+  const { message, error } = await loadMessageForParticipant(chatId, messageId, userId);
+  if (error) return { error };
+
+  if (message.userId !== userId) {
+    return { error: { status: 403, message: 'Solo puedes eliminar tus propios mensajes' } };
+  }
+
+  if (!message.deletedAt) {
+    message.content = '';
+    message.deletedAt = new Date();
+    await message.save();
+    await removeMessageAttachments(message.id);
+  }
+
+  return { message };
+};
+
+/**
+ * Añadir o quitar una reacción de un participante a un mensaje
+ */
+const toggleReaction = async (chatId, messageId, userId, emoji) => {
+  if (!emoji || typeof emoji !== 'string' || emoji.length > MAX_EMOJI_LENGTH) {
+    return { error: { status: 400, message: 'Reacción no válida' } };
+  }
+
+  const { message, error } = await loadMessageForParticipant(chatId, messageId, userId);
+  if (error) return { error };
+
+  if (message.deletedAt) {
+    return { error: { status: 400, message: 'No se puede reaccionar a un mensaje eliminado' } };
+  }
+
+  const existing = await MessageReaction.findOne({ where: { messageId, userId, emoji } });
+  if (existing) {
+    await existing.destroy();
+  } else {
+    await MessageReaction.create({ messageId, userId, emoji });
+  }
+
+  // Actualizar updatedAt para que la sincronización recoja el cambio
+  message.changed('updatedAt', true);
+  await message.save();
+
+  return {
+    message,
+    added: !existing,
+    reactions: await getReactionSummary(messageId)
+  };
+};
+
+module.exports = {
+  MAX_EMOJI_LENGTH,
+  SYSTEM_MESSAGES,
+  buildSystemMessage,
+  localizeMessage,
+  editMessage,
+  deleteMessage,
+  toggleReaction,
+  getReactionSummary
+};
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../config/database');
+
+// Las migraciones siguen el formato de sequelize-cli: module.exports = { up(queryInterface, Sequelize), down(...) }
+const MIGRATIONS_DIR = path.join(__dirname, '..', '..', 'migrations');
+
+// Misma tabla de control que sequelize-cli, para poder usar cualquiera de los dos
+const META_TABLE = 'SequelizeMeta';
+
+const ensureMetaTable = () => sequelize.query(
+  `CREATE TABLE IF NOT EXISTS "${META_TABLE}" (name VARCHAR(255) NOT NULL PRIMARY KEY)`
+);
+
+/**
+ * Nombres de los archivos de migración en orden de ejecución
+ */
+const listMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter(file => file.endsWith('.js'))
+  .sort();
+
+/**
+ * Estado de las migraciones
+ * Devuelve { executed, pending } con los nombres de archivo
+ */
+const getMigrationStatus = async () => {
+  await ensureMetaTable();
+
+  const rows = await sequelize.query(`SELECT name FROM "${META_TABLE}" ORDER BY name`, {
+    type: sequelize.QueryTypes.SELECT
+  });
+  const executed = rows.map(row => row.name);
+
+  return {
+    executed,
+    pending: listMigrations().filter(name => !executed.includes(name))
+  };
+};
+
+const loadMigration = (name) => require(path.join(MIGRATIONS_DIR, name));
+
+/**
+ * Ejecutar las migraciones pendientes en orden
+ * Cada migración gestiona su propia transacción; si una falla se detiene el proceso
+ * y las siguientes no se ejecutan. Devuelve los nombres ejecutados.
+ */
+const migrateUp = async ({ log = console.log } = {}) => {
+  const { pending } = await getMigrationStatus();
+  const queryInterface = sequelize.getQueryInterface();
+
+  for (const name of pending) {
+    log(`Ejecutando migración ${name}...`);
+    await loadMigration(name).up(queryInterface, Sequelize);
+    await sequelize.query(`INSERT INTO "${META_TABLE}" (name) VALUES (:name)`, {
+      replacements: { name }
+    });
+  }
+
+  return pending;
+};
+
+/**
+ * Revertir las últimas `steps` migraciones ejecutadas
+ * Devuelve los nombres revertidos.
+ */
+const migrateDown = async ({ steps = 1, log = console.log } = {}) => {
+  const { executed } = await getMigrationStatus();
+  const queryInterface = sequelize.getQueryInterface();
+  const available = listMigrations();
+
+  const toRevert = executed.slice(-steps).reverse();
+  for (const name of toRevert) {
+    if (!available.includes(name)) {
+      throw new Error(`No se encuentra el archivo de la migración ${name}`);
+    }
+    log(`Revirtiendo migración ${name}...`);
+    await loadMigration(name).down(queryInterface, Sequelize);
+    await sequelize.query(`DELETE FROM "${META_TABLE}" WHERE name = :name`, {
+      replacements: { name }
+    });
+  }
+
+  return toRevert;
+};
+
+module.exports = {
+  MIGRATIONS_DIR,
+  getMigrationStatus,
+  migrateUp,
+  migrateDown
+};
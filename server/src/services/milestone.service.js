@@ -0,0 +1,160 @@
+const { Op } = require('sequelize');
+const { Milestone, sequelize } = require('../models');
+const { getPaymentProvider } = require('./payment.service');
+const { recordRelease, recordRefund } = require('./ledger.service');
+
+// Los hitos solo se gestionan en trabajos con freelancer asignado
+const ACTIVE_JOB_STATUSES = ['assigned', 'in-progress'];
+
+// Hitos cuyo importe está en depósito (fondeados y aún no liberados)
+const ESCROW_STATUSES = ['funded', 'submitted', 'approved'];
+
+// Estados del trabajo en los que ya no hay freelancer asignado: al pasar a ellos se liquidan los hitos
+const SETTLEMENT_JOB_STATUSES = ['open', 'cancelled'];
+
+/**
+ * Redondear un importe a céntimos
+ */
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Suma de los importes de los hitos de un trabajo
+ */
+const getMilestonesTotal = async (jobId, transaction) => {
+  const total = await Milestone.sum('amount', { where: { jobId }, transaction });
+  return roundAmount(parseFloat(total) || 0);
+};
+
+/**
+ * Comprobar que el trabajo admite operaciones sobre sus hitos
+ * Devuelve null o un objeto { status, message, params } con el error
+ */
+const checkJobAcceptsMilestones = (job) => {
+  if (ACTIVE_JOB_STATUSES.includes(job.status)) return null;
+  return {
+    status: 400,
+    message: "No se pueden gestionar hitos de un trabajo en estado '{status}'",
+    params: { status: job.status }
+  };
+};
+
+/**
+ * Comprobar que la suma de los hitos no supera el presupuesto del trabajo
+ * Devuelve null o un objeto { status, message, params } con el error
+ */
+const checkMilestonesBudget = (total, budget) => {
+  if (roundAmount(total) <= budget) return null;
+  return {
+    status: 400,
+    message: 'La suma de los hitos ({total}) supera el presupuesto del trabajo ({budget})',
+    params: { total: roundAmount(total), budget }
+  };
+};
+
+/**
+ * Comprobar que el hito se fondeó para el freelancer asignado ahora al trabajo
+ * Devuelve null o un objeto { status, message } con el error
+ */
+const checkMilestonePayee = (milestone, job) => {
+  if (milestone.freelancerId === job.assignedFreelancerId) return null;
+  return { status: 409, message: 'El trabajo se ha reasignado desde que se fondeó el hito' };
+};
+
+/**
+ * Mover el importe de un hito en depósito y registrarlo en el libro contable
+ * La llamada al proveedor se hace fuera de la transacción con una clave de idempotencia por
+ * hito y operación; después se bloquea el hito y solo se anota si sigue en `fromStatuses`
+ * (si otra petición ya lo ha hecho, se devuelve el hito tal como está).
+ */
+const settleMilestone = async (milestone, job, { operation, fromStatuses, toStatus, timestamp, pay, record }) => {
+  const payment = await pay({
+    amount: milestone.amount,
+    reference: milestone.id,
+    idempotencyKey: `milestone:${milestone.id}:${operation}`
+  });
+
+  return sequelize.transaction(async (transaction) => {
+    const locked = await Milestone.findByPk(milestone.id, { transaction, lock: transaction.LOCK.UPDATE });
+
+    if (fromStatuses.includes(locked.status)) {
+      locked.status = toStatus;
+      locked[timestamp] = new Date();
+      await locked.save({ transaction });
+
+      await record(locked, job, payment.id, transaction);
+    }
+
+    return locked;
+  });
+};
+
+/**
+ * Liberar el importe de un hito aprobado al freelancer para el que se fondeó
+ */
+const releaseMilestone = (milestone, job) => settleMilestone(milestone, job, {
+  operation: 'release',
+  fromStatuses: ['approved'],
+  toStatus: 'released',
+  timestamp: 'releasedAt',
+  pay: (payment) => getPaymentProvider().payout({ ...payment, userId: milestone.freelancerId }),
+  record: recordRelease
+});
+
+/**
+ * Devolver al cliente el importe de un hito fondeado que no se ha aprobado
+ */
+const refundMilestone = (milestone, job) => settleMilestone(milestone, job, {
+  operation: 'refund',
+  fromStatuses: ['funded', 'submitted'],
+  toStatus: 'refunded',
+  timestamp: 'refundedAt',
+  pay: (payment) => getPaymentProvider().refund({ ...payment, userId: job.userId }),
+  record: recordRefund
+});
+
+/**
+ * Liquidar los hitos en depósito antes de reabrir o cancelar un trabajo
+ * Los hitos aprobados se pagan al freelancer (el cliente ya aceptó el trabajo) y los
+ * fondeados o entregados se reembolsan al cliente. Los pendientes no tienen fondos.
+ */
+const settleEscrowedMilestones = async (job) => {
+  const milestones = await Milestone.findAll({
+    where: { jobId: job.id, status: { [Op.in]: ESCROW_STATUSES } }
+  });
+
+  for (const milestone of milestones) {
+    if (milestone.status === 'approved') {
+      await releaseMilestone(milestone, job);
+    } else {
+      await refundMilestone(milestone, job);
+    }
+  }
+};
+
+/**
+ * Comprobar que no quedan fondos en depósito (dentro de la transacción que reabre o cancela el trabajo)
+ * Devuelve null o un objeto { status, message } con el error
+ */
+const checkNoEscrowedMilestones = async (jobId, transaction) => {
+  const escrowed = await Milestone.count({
+    where: { jobId, status: { [Op.in]: ESCROW_STATUSES } },
+    transaction
+  });
+  if (escrowed === 0) return null;
+  return { status: 409, message: 'El trabajo tiene hitos con fondos en depósito; inténtalo de nuevo' };
+};
+
+module.exports = {
+  ACTIVE_JOB_STATUSES,
+  ESCROW_STATUSES,
+  SETTLEMENT_JOB_STATUSES,
+  roundAmount,
+  getMilestonesTotal,
+  checkJobAcceptsMilestones,
+  checkMilestonesBudget,
+  checkMilestonePayee,
+  releaseMilestone,
+  refundMilestone,
+  settleEscrowedMilestones,
+  checkNoEscrowedMilestones
+};
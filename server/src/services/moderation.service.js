@@ -0,0 +1,93 @@
+const { AuditLog, Job, Comment, Reply, Message, User } = require('../models');
+
+// Contenido moderable por tipo (como aparece en las rutas de administración)
+// ownerField indica el usuario autor del contenido
+const CONTENT_MODELS = {
+  jobs: { model: Job, targetType: 'job', ownerField: 'userId', notFound: 'Trabajo no encontrado' },
+  comments: { model: Comment, targetType: 'comment', ownerField: 'userId', notFound: 'Comentario no encontrado' },
+  replies: { model: Reply, targetType: 'reply', ownerField: 'userId', notFound: 'Respuesta no encontrada' },
+  messages: { model: Message, targetType: 'message', ownerField: 'userId', notFound: 'Mensaje no encontrado' },
+  users: { model: User, targetType: 'user', ownerField: 'id', notFound: 'Usuario no encontrado' }
+};
+
+/**
+ * Obtener la configuración de un tipo de contenido por su targetType ('job', 'comment'...)
+ */
+const getContentConfig = (targetType) =>
+  Object.values(CONTENT_MODELS).find(config => config.targetType === targetType) || null;
+
+/**
+ * Comprobar si la cuenta de un usuario está suspendida o bloqueada
+ * Una suspensión con fecha de fin pasada ya no se aplica.
+ * Devuelve null o { status, code, message, params? }
+ */
+const getAccountRestriction = (user) => {
+  if (!user || !user.status || user.status === 'active') return null;
+
+  if (user.status === 'banned') {
+    return { status: 403, code: 'ACCOUNT_BANNED', message: 'Tu cuenta ha sido bloqueada' };
+  }
+
+  if (user.status === 'suspended') {
+    if (user.suspendedUntil && new Date(user.suspendedUntil) <= new Date()) {
+      return null;
+    }
+
+    if (!user.suspendedUntil) {
+      return { status: 403, code: 'ACCOUNT_SUSPENDED', message: 'Tu cuenta está suspendida' };
+    }
+    return {
+      status: 403,
+      code: 'ACCOUNT_SUSPENDED',
+      message: 'Tu cuenta está suspendida hasta el {until}',
+      params: { until: new Date(user.suspendedUntil).toISOString().slice(0, 10) }
+    };
+  }
+
+  return null;
+};
+
+/**
+ * Registrar una acción de moderación en el log de auditoría
+ */
+const recordAudit = ({ actorId, action, targetType, targetId, reason = '', metadata = {} }, transaction) =>
+  AuditLog.create({
+    actorId,
+    action,
+    targetType,
+    targetId,
+    reason: reason || '',
+    metadata
+  }, { transaction });
+
+/**
+ * Ocultar o mostrar un contenido (trabajo, comentario, respuesta, mensaje o perfil)
+ */
+const setContentHidden = async (content, hidden, reason = null, transaction) => {
+  content.hiddenAt = hidden ? new Date() : null;
+  content.hiddenReason = hidden ? reason : null;
+  await content.save({ transaction });
+  return content;
+};
+
+/**
+ * Notificar a los participantes de un chat que un mensaje se ha ocultado o vuelve a mostrarse
+ */
+const emitContentVisibility = (io, targetType, content) => {
+  if (!io || targetType !== 'message') return;
+
+  io.to(`chat:${content.chatId}`).emit('message_hidden', {
+    chatId: content.chatId,
+    messageId: content.id,
+    hiddenAt: content.hiddenAt
+  });
+};
+
+module.exports = {
+  CONTENT_MODELS,
+  getContentConfig,
+  getAccountRestriction,
+  recordAudit,
+  setContentHidden,
+  emitContentVisibility
+};
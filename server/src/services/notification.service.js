@@ -0,0 +1,125 @@
+const { Notification, User } = require('../models');
+const { DEFAULT_LOCALE, message, translate, resolveLocale } = require('../utils/i18n');
+
+/**
+ * Tipos de notificación
+ * enabledByDefault indica si se envía cuando el usuario no ha configurado el tipo.
+ * render devuelve un mensaje traducible (i18n.message), que se traduce al idioma de quien lo recibe.
+ */
+const NOTIFICATION_TYPES = {
+  job_comment: {
+    enabledByDefault: true,
+    render: (data, actor) => message('{Actor} ha comentado en tu trabajo "{jobTitle}"', { actor, jobTitle: data.jobTitle })
+  },
+  comment_reply: {
+    enabledByDefault: true,
+    render: (data, actor) => message('{Actor} ha respondido a tu comentario en "{jobTitle}"', { actor, jobTitle: data.jobTitle })
+  },
+  job_like: {
+    enabledByDefault: true,
+    render: (data, actor) => message('A {actor} le gusta tu trabajo "{jobTitle}"', { actor, jobTitle: data.jobTitle })
+  },
+  chat_added: {
+    enabledByDefault: true,
+    render: (data, actor) => data.chatName
+      ? message('{Actor} te ha añadido al chat "{chatName}"', { actor, chatName: data.chatName })
+      : message('{Actor} te ha añadido a un chat', { actor })
+  },
+  saved_search_match: {
+    enabledByDefault: true,
+    render: (data) => message('Nuevo trabajo para tu búsqueda "{searchName}": "{jobTitle}"', {
+      searchName: data.searchName,
+      jobTitle: data.jobTitle
+    })
+  },
+  saved_search_digest: {
+    enabledByDefault: true,
+    render: (data) => data.count === 1
+      ? message('1 trabajo nuevo para tu búsqueda "{searchName}"', { searchName: data.searchName })
+      : message('{count} trabajos nuevos para tu búsqueda "{searchName}"', { count: data.count, searchName: data.searchName })
+  }
+};
+
+const userRoom = (userId) => `user:${userId}`;
+
+/**
+ * Obtener las preferencias de notificación de un usuario (con los valores por defecto)
+ */
+const getPreferences = (user) => {
+  const saved = user.notificationPreferences || {};
+
+  return Object.keys(NOTIFICATION_TYPES).reduce((acc, type) => ({
+    ...acc,
+    [type]: typeof saved[type] === 'boolean' ? saved[type] : NOTIFICATION_TYPES[type].enabledByDefault
+  }), {});
+};
+
+/**
+ * Formatear una notificación para la respuesta (añade el texto en el idioma indicado)
+ */
+const formatNotification = (notification, locale = DEFAULT_LOCALE) => {
+  const plain = notification.toJSON ? notification.toJSON() : notification;
+  const type = NOTIFICATION_TYPES[plain.type];
+  const actorName = plain.actor ? plain.actor.name : message('Alguien');
+
+  return {
+    ...plain,
+    message: type ? translate(locale, type.render(plain.data || {}, actorName)) : ''
+  };
+};
+
+/**
+ * Crear una notificación y enviarla en tiempo real a la sala del usuario
+ * Cada socket la recibe en su idioma; se devuelve en el idioma preferido del usuario.
+ * No se notifica a un usuario de sus propias acciones ni de tipos que haya desactivado.
+ * Un error al notificar no debe romper la acción principal: se registra y se devuelve null.
+ */
+const notify = async (io, { userId, actorId = null, type, data = {} }) => {
+  try {
+    if (!userId || userId === actorId) return null;
+
+    const recipient = await User.findByPk(userId, { attributes: ['id', 'notificationPreferences', 'locale'] });
+    if (!recipient || !getPreferences(recipient)[type]) return null;
+
+    const notification = await Notification.create({ userId, actorId, type, data });
+
+    const withActor = await Notification.findByPk(notification.id, {
+      include: [{ model: User, as: 'actor', attributes: ['id', 'name', 'photoURL'] }]
+    });
+
+    if (io) {
+      const sockets = await io.in(userRoom(userId)).fetchSockets();
+      for (const socket of sockets) {
+        socket.emit('notification', formatNotification(withActor, socket.data.locale));
+      }
+    }
+
+    return formatNotification(withActor, resolveLocale(recipient));
+  } catch (error) {
+    console.error(`Error al crear notificación ${type} para ${userId}:`, error);
+    return null;
+  }
+};
+
+/**
+ * Número de notificaciones sin leer de un usuario
+ */
+const getUnreadCount = (userId) => Notification.count({ where: { userId, readAt: null } });
+
+/**
+ * Enviar el número de notificaciones sin leer a la sala del usuario
+ */
+const emitUnreadCount = async (io, userId) => {
+  if (!io) return;
+  io.to(userRoom(userId)).emit('notifications_unread', { unreadCount: await getUnreadCount(userId) });
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  userRoom,
+  getPreferences,
+  formatNotification,
+  notify,
+  getUnreadCount,
+  emitUnreadCount
+};
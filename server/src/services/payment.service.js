@@ -0,0 +1,67 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Proveedor de pagos simulado para desarrollo local
+ * No mueve dinero real: solo devuelve una referencia de operación.
+ * Como un proveedor real, repetir una operación con la misma idempotencyKey
+ * devuelve la operación original en lugar de cobrar o pagar dos veces.
+ */
+const createMockProvider = () => {
+  const operations = new Map();
+
+  const once = (idempotencyKey, run) => {
+    if (idempotencyKey && operations.has(idempotencyKey)) {
+      return operations.get(idempotencyKey);
+    }
+    const operation = run();
+    if (idempotencyKey) operations.set(idempotencyKey, operation);
+    return operation;
+  };
+
+  return {
+    name: 'mock',
+
+    async charge({ amount, userId, reference, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        console.log(`[mock-payments] Cobro de ${amount} al usuario ${userId} (${reference})`);
+        return { id: `mock_ch_${uuidv4()}`, status: 'succeeded' };
+      });
+    },
+
+    async payout({ amount, userId, reference, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        console.log(`[mock-payments] Pago de ${amount} al usuario ${userId} (${reference})`);
+        return { id: `mock_po_${uuidv4()}`, status: 'succeeded' };
+      });
+    },
+
+    async refund({ amount, userId, reference, idempotencyKey }) {
+      return once(idempotencyKey, () => {
+        console.log(`[mock-payments] Reembolso de ${amount} al usuario ${userId} (${reference})`);
+        return { id: `mock_re_${uuidv4()}`, status: 'succeeded' };
+      });
+    }
+  };
+};
+
+const providers = {
+  mock: createMockProvider()
+};
+
+/**
+ * Obtener el proveedor de pagos configurado (PAYMENT_PROVIDER, por defecto 'mock')
+ */
+const getPaymentProvider = () => {
+  const name = process.env.PAYMENT_PROVIDER || 'mock';
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(`Proveedor de pagos desconocido: ${name}`);
+  }
+
+  return provider;
+};
+
+module.exports = {
+  getPaymentProvider
+};
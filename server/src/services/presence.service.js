@@ -0,0 +1,172 @@
+const os = require('os');
+const { v4: uuidv4 } = require('uuid');
+
+// Identificador de esta instancia del servidor
+const NODE_ID = process.env.NODE_ID || `${os.hostname()}-${process.pid}-${uuidv4().slice(0, 8)}`;
+
+const HEARTBEAT_INTERVAL = 10 * 1000;
+const HEARTBEAT_TTL = 30;
+
+/**
+ * Presencia en memoria (una sola instancia)
+ */
+const createMemoryPresence = () => {
+  const userSockets = new Map();
+
+  return {
+    async addSocket(userId, socketId) {
+      if (!userSockets.has(userId)) {
+        userSockets.set(userId, new Set());
+      }
+      userSockets.get(userId).add(socketId);
+      return userSockets.get(userId).size;
+    },
+
+    async removeSocket(userId, socketId) {
+      const sockets = userSockets.get(userId);
+      if (!sockets) return 0;
+
+      sockets.delete(socketId);
+      if (sockets.size === 0) {
+        userSockets.delete(userId);
+        return 0;
+      }
+      return sockets.size;
+    },
+
+    async isOnline(userId) {
+      return userSockets.has(userId);
+    },
+
+    async sweepDeadNodes() {
+      return [];
+    },
+
+    async stop() {}
+  };
+};
+
+/**
+ * Presencia compartida en Redis (varias instancias)
+ *
+ * presence:user:<userId>  -> conjunto de "<nodeId>:<socketId>" con los sockets del usuario en todo el clúster
+ * presence:node:<nodeId>  -> conjunto de "<userId>:<socketId>" abiertos en una instancia
+ * presence:heartbeat:<id> -> clave con TTL que indica que la instancia sigue viva
+ * presence:nodes          -> conjunto de instancias registradas
+ *
+ * Si una instancia cae sin cerrar sus sockets, las demás detectan que su heartbeat
+ * ha caducado y eliminan sus sockets de la presencia.
+ */
+const createRedisPresence = (client) => {
+  const userKey = (userId) => `presence:user:${userId}`;
+  const nodeKey = (nodeId) => `presence:node:${nodeId}`;
+  const heartbeatKey = (nodeId) => `presence:heartbeat:${nodeId}`;
+
+  const heartbeat = () => client.multi()
+    .set(heartbeatKey(NODE_ID), Date.now().toString(), { EX: HEARTBEAT_TTL })
+    .sAdd('presence:nodes', NODE_ID)
+    .exec();
+
+  heartbeat().catch(error => console.error('Error al registrar heartbeat de presencia:', error));
+  const timer = setInterval(() => {
+    heartbeat().catch(error => console.error('Error al registrar heartbeat de presencia:', error));
+  }, HEARTBEAT_INTERVAL);
+  timer.unref();
+
+  return {
+    async addSocket(userId, socketId) {
+      const [, , count] = await client.multi()
+        .sAdd(userKey(userId), `${NODE_ID}:${socketId}`)
+        .sAdd(nodeKey(NODE_ID), `${userId}:${socketId}`)
+        .sCard(userKey(userId))
+        .exec();
+      return count;
+    },
+
+    async removeSocket(userId, socketId) {
+      const [, , count] = await client.multi()
+        .sRem(userKey(userId), `${NODE_ID}:${socketId}`)
+        .sRem(nodeKey(NODE_ID), `${userId}:${socketId}`)
+        .sCard(userKey(userId))
+        .exec();
+      return count;
+    },
+
+    async isOnline(userId) {
+      return (await client.sCard(userKey(userId))) > 0;
+    },
+
+    /**
+     * Eliminar los sockets de instancias caídas
+     * Devuelve los IDs de usuarios que se han quedado sin sockets
+     */
+    async sweepDeadNodes() {
+      const offlineUsers = [];
+      const nodes = await client.sMembers('presence:nodes');
+
+      for (const nodeId of nodes) {
+        if (nodeId === NODE_ID || await client.exists(heartbeatKey(nodeId))) continue;
+
+        const entries = await client.sMembers(nodeKey(nodeId));
+        for (const entry of entries) {
+          const separator = entry.lastIndexOf(':');
+          const userId = entry.slice(0, separator);
+          const socketId = entry.slice(separator + 1);
+
+          await client.sRem(userKey(userId), `${nodeId}:${socketId}`);
+          if (await client.sCard(userKey(userId)) === 0) {
+            offlineUsers.push(userId);
+          }
+        }
+
+        await client.multi()
+          .del(nodeKey(nodeId))
+          .sRem('presence:nodes', nodeId)
+          .exec();
+      }
+
+      return [...new Set(offlineUsers)];
+    },
+
+    async stop() {
+      clearInterval(timer);
+      await client.multi()
+        .del(heartbeatKey(NODE_ID))
+        .sRem('presence:nodes', NODE_ID)
+        .exec();
+    }
+  };
+};
+
+let presence = createMemoryPresence();
+
+/**
+ * Usar Redis para la presencia (si no se llama, se usa la presencia en memoria)
+ */
+const usePresenceStore = (redisClient) => {
+  presence = redisClient ? createRedisPresence(redisClient) : createMemoryPresence();
+  return presence;
+};
+
+const getPresence = () => presence;
+
+/**
+ * Poner en isOnline de cada usuario su estado según la presencia
+ * La columna Users.isOnline solo se actualiza al conectar y desconectar, y se queda desfasada
+ * si una instancia cae; la presencia tiene en cuenta los sockets de todo el clúster.
+ */
+const applyPresence = async (users) => {
+  const statuses = await Promise.all(users.map(user => presence.isOnline(user.id)));
+  users.forEach((user, index) => {
+    user.isOnline = statuses[index];
+  });
+  return users;
+};
+
+module.exports = {
+  NODE_ID,
+  HEARTBEAT_INTERVAL,
+  usePresenceStore,
+  getPresence,
+  applyPresence
+};
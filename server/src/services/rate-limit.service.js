@@ -0,0 +1,186 @@
+const { RATE_LIMITS, LOGIN_LOCKOUT, isRateLimitEnabled } = require('../config/rate-limits');
+
+const SWEEP_INTERVAL = 60 * 1000;
+
+/**
+ * Contadores en memoria (una sola instancia)
+ */
+const createMemoryStore = () => {
+  const counters = new Map();
+
+  // Eliminar periódicamente los contadores caducados
+  const sweeper = setInterval(() => {
+    const now = Date.now();
+    for (const [key, counter] of counters) {
+      if (counter.resetAt <= now) counters.delete(key);
+    }
+  }, SWEEP_INTERVAL);
+  sweeper.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let counter = counters.get(key);
+      if (!counter || counter.resetAt <= now) {
+        counter = { count: 0, resetAt: now + windowMs };
+        counters.set(key, counter);
+      }
+      counter.count += 1;
+      return { count: counter.count, resetAt: counter.resetAt };
+    },
+
+    async get(key) {
+      const counter = counters.get(key);
+      return counter && counter.resetAt > Date.now() ? { ...counter } : null;
+    },
+
+    async reset(key) {
+      counters.delete(key);
+    },
+
+    async stop() {
+      clearInterval(sweeper);
+    }
+  };
+};
+
+/**
+ * Contadores compartidos en Redis (varias instancias)
+ *
+ * ratelimit:<clave> -> número de intentos, con TTL igual a lo que queda de la ventana
+ */
+const createRedisStore = (client) => {
+  const redisKey = (key) => `ratelimit:${key}`;
+
+  return {
+    async increment(key, windowMs) {
+      const [count, ttl] = await client.multi()
+        .incr(redisKey(key))
+        .pTTL(redisKey(key))
+        .exec();
+
+      // Primer intento de la ventana (o clave sin caducidad si falló una expiración anterior)
+      if (ttl < 0) {
+        await client.pExpire(redisKey(key), windowMs);
+        return { count, resetAt: Date.now() + windowMs };
+      }
+      return { count, resetAt: Date.now() + ttl };
+    },
+
+    async get(key) {
+      const [value, ttl] = await client.multi()
+        .get(redisKey(key))
+        .pTTL(redisKey(key))
+        .exec();
+      if (value === null || ttl < 0) return null;
+      return { count: parseInt(value, 10), resetAt: Date.now() + ttl };
+    },
+
+    async reset(key) {
+      await client.del(redisKey(key));
+    },
+
+    async stop() {}
+  };
+};
+
+let store = createMemoryStore();
+
+/**
+ * Usar Redis para los contadores (si no se llama, se usan contadores en memoria)
+ */
+const useRateLimitStore = (redisClient) => {
+  store.stop();
+  store = redisClient ? createRedisStore(redisClient) : createMemoryStore();
+  return store;
+};
+
+const secondsUntil = (timestamp) => Math.max(1, Math.ceil((timestamp - Date.now()) / 1000));
+
+/**
+ * Contar un intento para el límite `name` (ver src/config/rate-limits.js) por IP y por usuario
+ * Devuelve null si se permite o { retryAfter } con los segundos que hay que esperar.
+ * Si el almacén falla (por ejemplo, Redis caído) se registra el error y se permite la petición.
+ */
+const consume = async (name, { ip, userId } = {}) => {
+  const limit = RATE_LIMITS[name];
+  if (!limit || !isRateLimitEnabled()) return null;
+
+  const checks = [['ip', ip, limit.ip], ['user', userId, limit.user]]
+    .filter(([, id, max]) => id && max > 0);
+
+  try {
+    let retryAfter = 0;
+    for (const [scope, id, max] of checks) {
+      const { count, resetAt } = await store.increment(`${name}:${scope}:${id}`, limit.windowMs);
+      if (count > max) {
+        retryAfter = Math.max(retryAfter, secondsUntil(resetAt));
+      }
+    }
+    return retryAfter > 0 ? { retryAfter } : null;
+  } catch (error) {
+    console.error(`Error al comprobar el límite de peticiones ${name}:`, error);
+    return null;
+  }
+};
+
+// Los intentos de inicio de sesión se cuentan por email, exista o no la cuenta
+const loginKey = (email) => `login:${String(email || '').trim().toLowerCase()}`;
+
+const isLockoutEnabled = () => isRateLimitEnabled() && LOGIN_LOCKOUT.maxAttempts > 0;
+
+/**
+ * Comprobar si el inicio de sesión con un email está bloqueado
+ * Devuelve null o { retryAfter }
+ */
+const getLoginLock = async (email) => {
+  if (!isLockoutEnabled()) return null;
+
+  try {
+    const lock = await store.get(`${loginKey(email)}:lock`);
+    return lock ? { retryAfter: secondsUntil(lock.resetAt) } : null;
+  } catch (error) {
+    console.error('Error al comprobar el bloqueo de inicio de sesión:', error);
+    return null;
+  }
+};
+
+/**
+ * Registrar un inicio de sesión fallido
+ * Al llegar a LOGIN_LOCKOUT.maxAttempts se bloquea el email y se devuelve { retryAfter }
+ */
+const recordLoginFailure = async (email) => {
+  if (!isLockoutEnabled()) return null;
+
+  try {
+    const key = loginKey(email);
+    const { count } = await store.increment(`${key}:failures`, LOGIN_LOCKOUT.windowMs);
+    if (count < LOGIN_LOCKOUT.maxAttempts) return null;
+
+    const { resetAt } = await store.increment(`${key}:lock`, LOGIN_LOCKOUT.durationMs);
+    await store.reset(`${key}:failures`);
+    return { retryAfter: secondsUntil(resetAt) };
+  } catch (error) {
+    console.error('Error al registrar el inicio de sesión fallido:', error);
+    return null;
+  }
+};
+
+/**
+ * Olvidar los intentos fallidos tras un inicio de sesión correcto
+ */
+const clearLoginFailures = async (email) => {
+  try {
+    await store.reset(`${loginKey(email)}:failures`);
+  } catch (error) {
+    console.error('Error al limpiar los intentos de inicio de sesión:', error);
+  }
+};
+
+module.exports = {
+  useRateLimitStore,
+  consume,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures
+};
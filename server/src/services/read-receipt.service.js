@@ -0,0 +1,86 @@
+const { sequelize } = require('../models');
+
+/**
+ * Marcar un chat como leído por un participante hasta un mensaje
+ * Sin messageId se marca hasta el último mensaje del chat.
+ * El estado solo avanza: si el mensaje es anterior al último leído no se modifica.
+ * Devuelve el nuevo estado de lectura o null si no ha cambiado.
+ */
+const markChatRead = async (chatId, userId, messageId = null, transaction) => {
+  const [target] = await sequelize.query(`
+    SELECT m.id
+    FROM "Messages" AS m
+    WHERE m."chatId" = :chatId ${messageId ? 'AND m.id = :messageId' : ''}
+    ORDER BY m."createdAt" DESC, m.id DESC
+    LIMIT 1
+  `, {
+    replacements: { chatId, messageId },
+    type: sequelize.QueryTypes.SELECT,
+    transaction
+  });
+
+  if (!target) return null;
+
+  const [updated] = await sequelize.query(`
+    UPDATE "ChatParticipants" AS cp
+    SET "lastReadMessageId" = :messageId, "lastReadAt" = NOW(), "updatedAt" = NOW()
+    WHERE cp."chatId" = :chatId AND cp."userId" = :userId
+    AND NOT EXISTS (
+      SELECT 1 FROM "Messages" AS lr
+      WHERE lr.id = cp."lastReadMessageId"
+      AND (lr."createdAt", lr.id) >= (SELECT t."createdAt", t.id FROM "Messages" AS t WHERE t.id = :messageId)
+    )
+    RETURNING cp."chatId", cp."userId", cp."lastReadMessageId", cp."lastReadAt"
+  `, {
+    replacements: { chatId, userId, messageId: target.id },
+    type: sequelize.QueryTypes.SELECT,
+    transaction
+  });
+
+  return updated || null;
+};
+
+/**
+ * Obtener el número de mensajes sin leer por chat para un usuario
+ * Devuelve un objeto { [chatId]: count }
+ */
+const getUnreadCounts = async (userId, chatIds = null, transaction) => {
+  if (Array.isArray(chatIds) && chatIds.length === 0) return {};
+
+  const rows = await sequelize.query(`
+    SELECT cp."chatId", COUNT(m.id)::int AS "unreadCount"
+    FROM "ChatParticipants" AS cp
+    LEFT JOIN "Messages" AS lr ON lr.id = cp."lastReadMessageId"
+    LEFT JOIN "Messages" AS m ON m."chatId" = cp."chatId"
+      AND m."userId" != cp."userId"
+      AND (lr.id IS NULL OR (m."createdAt", m.id) > (lr."createdAt", lr.id))
+    WHERE cp."userId" = :userId ${chatIds ? 'AND cp."chatId" IN (:chatIds)' : ''}
+    GROUP BY cp."chatId"
+  `, {
+    replacements: { userId, chatIds },
+    type: sequelize.QueryTypes.SELECT,
+    transaction
+  });
+
+  return rows.reduce((acc, row) => ({ ...acc, [row.chatId]: row.unreadCount }), {});
+};
+
+/**
+ * Emitir a la sala del chat hasta qué mensaje ha leído un usuario
+ */
+const emitMessagesRead = (io, readState) => {
+  if (!io || !readState) return;
+
+  io.to(`chat:${readState.chatId}`).emit('messages_read', {
+    chatId: readState.chatId,
+    userId: readState.userId,
+    lastReadMessageId: readState.lastReadMessageId,
+    lastReadAt: readState.lastReadAt
+  });
+};
+
+module.exports = {
+  markChatRead,
+  getUnreadCounts,
+  emitMessagesRead
+};
@@ -0,0 +1,203 @@
+const { sequelize } = require('../models');
+
+// Pesos de cada criterio en la puntuación de trabajos recomendados (suman 1)
+const JOB_WEIGHTS = {
+  skills: 0.5,
+  interests: 0.2,
+  rate: 0.15,
+  recency: 0.15
+};
+
+// Pesos de cada criterio en la puntuación de freelancers sugeridos (suman 1)
+const FREELANCER_WEIGHTS = {
+  skills: 0.7,
+  rating: 0.3
+};
+
+// Horas de trabajo que el presupuesto debería cubrir a la tarifa del freelancer
+const REFERENCE_HOURS = 10;
+
+// Días en los que la puntuación por antigüedad cae a ~37% (decaimiento exponencial)
+const RECENCY_DAYS = 14;
+
+// Antigüedad máxima de los trabajos recomendados
+const MAX_JOB_AGE_DAYS = 90;
+
+// Valoración media a priori y su peso, para que pocas valoraciones no dominen el ranking
+const PRIOR_RATING = 3;
+const PRIOR_REVIEWS = 2;
+
+// Proporción de habilidades del trabajo que aparecen en una lista
+const skillOverlapSql = (listSql) => `
+  CASE WHEN cardinality(j.skills) = 0 THEN 0 ELSE (
+    SELECT COUNT(DISTINCT lower(s)) FROM unnest(j.skills) AS s WHERE lower(s) = ANY(${listSql})
+  )::float / cardinality(j.skills) END
+`;
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Trabajos abiertos recomendados para un freelancer
+ * Puntúa cada trabajo según sus habilidades, sus intereses (categorías y habilidades de los
+ * trabajos a los que ha dado like o ha guardado), si el presupuesto encaja con su tarifa
+ * por hora y la antigüedad del trabajo. Se omiten los trabajos propios y los que ya tienen
+ * una propuesta suya.
+ * Devuelve [{ jobId, score, scores: { skills, interests, rate, recency } }]
+ */
+const recommendJobs = async (userId, { limit, offset }) => {
+  const rows = await sequelize.query(`
+    WITH me AS (
+      SELECT
+        COALESCE(u."hourlyRate", 0) AS "hourlyRate",
+        ARRAY(SELECT DISTINCT lower(s) FROM unnest(u.skills) AS s) AS skills
+      FROM "Users" AS u
+      WHERE u.id = :userId
+    ),
+    interacted AS (
+      SELECT "JobId" AS "jobId" FROM "JobLikes" WHERE "UserId" = :userId
+      UNION
+      SELECT "JobId" AS "jobId" FROM "SavedJobs" WHERE "UserId" = :userId
+    ),
+    interests AS (
+      SELECT
+        ARRAY(
+          SELECT DISTINCT ij.category FROM "Jobs" AS ij
+          WHERE ij.id IN (SELECT "jobId" FROM interacted)
+        ) AS categories,
+        ARRAY(
+          SELECT DISTINCT lower(s) FROM "Jobs" AS ij, unnest(ij.skills) AS s
+          WHERE ij.id IN (SELECT "jobId" FROM interacted)
+        ) AS skills
+    ),
+    scored AS (
+      SELECT
+        j.id AS "jobId",
+        j."createdAt",
+        ${skillOverlapSql('me.skills')} AS "skillScore",
+        (CASE WHEN j.category = ANY(interests.categories) THEN 0.5 ELSE 0 END)
+          + 0.5 * ${skillOverlapSql('interests.skills')} AS "interestScore",
+        CASE WHEN me."hourlyRate" <= 0 THEN 0.5
+          ELSE LEAST(j.budget / (me."hourlyRate" * :referenceHours), 1) END AS "rateScore",
+        EXP(-EXTRACT(EPOCH FROM (NOW() - j."createdAt")) / 86400 / :recencyDays) AS "recencyScore"
+      FROM "Jobs" AS j, me, interests
+      WHERE j.status = 'open'
+        AND j."hiddenAt" IS NULL
+        AND j."userId" <> :userId
+        AND j."createdAt" >= NOW() - make_interval(days => :maxAgeDays)
+        AND NOT EXISTS (
+          SELECT 1 FROM "Proposals" AS p WHERE p."jobId" = j.id AND p."userId" = :userId
+        )
+    )
+    SELECT *,
+      :wSkills * "skillScore" + :wInterests * "interestScore"
+        + :wRate * "rateScore" + :wRecency * "recencyScore" AS score
+    FROM scored
+    ORDER BY score DESC, "createdAt" DESC, "jobId"
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements: {
+      userId,
+      limit,
+      offset,
+      referenceHours: REFERENCE_HOURS,
+      recencyDays: RECENCY_DAYS,
+      maxAgeDays: MAX_JOB_AGE_DAYS,
+      wSkills: JOB_WEIGHTS.skills,
+      wInterests: JOB_WEIGHTS.interests,
+      wRate: JOB_WEIGHTS.rate,
+      wRecency: JOB_WEIGHTS.recency
+    },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return rows.map(row => ({
+    jobId: row.jobId,
+    score: round(row.score),
+    scores: {
+      skills: round(row.skillScore),
+      interests: round(row.interestScore),
+      rate: round(row.rateScore),
+      recency: round(row.recencyScore)
+    }
+  }));
+};
+
+/**
+ * Freelancers sugeridos para un trabajo
+ * Puntúa por la proporción de habilidades del trabajo que tienen y por su valoración media
+ * (suavizada con PRIOR_RATING). Si el trabajo tiene habilidades, solo se sugieren
+ * freelancers con al menos una en común.
+ */
+const suggestFreelancers = async (job, { limit, offset }) => {
+  const rows = await sequelize.query(`
+    WITH job AS (
+      SELECT ARRAY(SELECT DISTINCT lower(s) FROM unnest(j.skills) AS s) AS skills
+      FROM "Jobs" AS j
+      WHERE j.id = :jobId
+    ),
+    candidates AS (
+      SELECT
+        u.id, u.name, u."photoURL", u.bio, u.skills, u."hourlyRate", u."isOnline",
+        ARRAY(
+          SELECT DISTINCT lower(s) FROM unnest(u.skills) AS s WHERE lower(s) = ANY(job.skills)
+        ) AS "matchedSkills",
+        cardinality(job.skills) AS "jobSkillCount",
+        COALESCE(r."averageRating", 0) AS "averageRating",
+        COALESCE(r."reviewCount", 0) AS "reviewCount",
+        EXISTS (
+          SELECT 1 FROM "Proposals" AS p WHERE p."jobId" = :jobId AND p."userId" = u.id
+        ) AS "hasProposal"
+      FROM "Users" AS u
+      CROSS JOIN job
+      LEFT JOIN (
+        SELECT "revieweeId", AVG(rating)::float AS "averageRating", COUNT(*)::int AS "reviewCount"
+        FROM "Reviews"
+        GROUP BY "revieweeId"
+      ) AS r ON r."revieweeId" = u.id
+      WHERE u.role = 'freelancer'
+        AND u.status = 'active'
+        AND u."hiddenAt" IS NULL
+        AND u.id <> :ownerId
+    ),
+    scored AS (
+      SELECT *,
+        CASE WHEN "jobSkillCount" = 0 THEN 0
+          ELSE cardinality("matchedSkills")::float / "jobSkillCount" END AS "skillScore",
+        ("averageRating" * "reviewCount" + :priorRating * :priorReviews)
+          / ("reviewCount" + :priorReviews) / 5 AS "ratingScore"
+      FROM candidates
+      WHERE "jobSkillCount" = 0 OR cardinality("matchedSkills") > 0
+    )
+    SELECT *, :wSkills * "skillScore" + :wRating * "ratingScore" AS score
+    FROM scored
+    ORDER BY score DESC, "reviewCount" DESC, id
+    LIMIT :limit OFFSET :offset
+  `, {
+    replacements: {
+      jobId: job.id,
+      ownerId: job.userId,
+      limit,
+      offset,
+      priorRating: PRIOR_RATING,
+      priorReviews: PRIOR_REVIEWS,
+      wSkills: FREELANCER_WEIGHTS.skills,
+      wRating: FREELANCER_WEIGHTS.rating
+    },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  return rows.map(({ jobSkillCount, skillScore, ratingScore, score, ...user }) => ({
+    ...user,
+    averageRating: round(user.averageRating),
+    score: round(score),
+    scores: {
+      skills: round(skillScore),
+      rating: round(ratingScore)
+    }
+  }));
+};
+
+module.exports = {
+  recommendJobs,
+  suggestFreelancers
+};
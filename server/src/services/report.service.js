@@ -0,0 +1,163 @@
+const { validate: isUuid } = require('uuid');
+const { Op } = require('sequelize');
+const { Report, ChatParticipant, sequelize } = require('../models');
+const { getContentConfig, recordAudit, setContentHidden, emitContentVisibility } = require('./moderation.service');
+
+// Número de denuncias pendientes (de usuarios distintos) a partir del cual se oculta el contenido
+const REPORT_HIDE_THRESHOLD = parseInt(process.env.REPORT_HIDE_THRESHOLD, 10) || 3;
+
+// Máximo de denuncias por usuario en la ventana de tiempo
+const REPORT_RATE_LIMIT = parseInt(process.env.REPORT_RATE_LIMIT, 10) || 10;
+const REPORT_RATE_WINDOW = 60 * 60 * 1000; // 1 hora
+
+const AUTO_HIDE_REASON = 'Oculto automáticamente por denuncias pendientes de revisión';
+
+/**
+ * Cargar el objetivo de una denuncia comprobando que el usuario puede verlo
+ * Devuelve { target, config } o { error: { status, message } }
+ */
+const loadTarget = async (targetType, targetId, reporterId) => {
+  const config = getContentConfig(targetType);
+  if (!config) {
+    return { error: { status: 400, message: 'Tipo de contenido no válido' } };
+  }
+
+  const target = isUuid(targetId || '') ? await config.model.findByPk(targetId) : null;
+  if (!target) {
+    return { error: { status: 404, message: config.notFound } };
+  }
+
+  // Los mensajes solo los pueden denunciar los participantes del chat
+  if (targetType === 'message') {
+    const isParticipant = await ChatParticipant.findOne({
+      where: { chatId: target.chatId, userId: reporterId }
+    });
+    if (!isParticipant) {
+      return { error: { status: 403, message: 'No tienes acceso a este chat' } };
+    }
+  }
+
+  if (target[config.ownerField] === reporterId) {
+    return { error: { status: 400, message: 'No puedes denunciar tu propio contenido' } };
+  }
+
+  return { target, config };
+};
+
+/**
+ * Crear una denuncia
+ * Si el objetivo alcanza REPORT_HIDE_THRESHOLD denuncias pendientes se oculta hasta su revisión.
+ * Devuelve { report, hidden } o { error: { status, message } }
+ */
+const createReport = async ({ reporterId, targetType, targetId, reason, details = '' }, io) => {
+  if (!Report.REASONS.includes(reason)) {
+    return {
+      error: {
+        status: 400,
+        message: 'Motivo no válido. Motivos disponibles: {reasons}',
+        params: { reasons: Report.REASONS.join(', ') }
+      }
+    };
+  }
+
+  // Limitar el número de denuncias por usuario
+  const recentReports = await Report.count({
+    where: {
+      reporterId,
+      createdAt: { [Op.gte]: new Date(Date.now() - REPORT_RATE_WINDOW) }
+    }
+  });
+  if (recentReports >= REPORT_RATE_LIMIT) {
+    return { error: { status: 429, message: 'Has enviado demasiadas denuncias. Inténtalo más tarde' } };
+  }
+
+  const { target, config, error } = await loadTarget(targetType, targetId, reporterId);
+  if (error) return { error };
+
+  const t = await sequelize.transaction();
+
+  try {
+    // Una sola denuncia por usuario y objetivo
+    const existing = await Report.findOne({
+      where: { reporterId, targetType, targetId },
+      transaction: t
+    });
+    if (existing) {
+      await t.rollback();
+      return { error: { status: 409, message: 'Ya has denunciado este contenido' } };
+    }
+
+    const report = await Report.create({
+      reporterId,
+      targetType,
+      targetId,
+      reason,
+      details: typeof details === 'string' ? details.slice(0, 2000) : ''
+    }, { transaction: t });
+
+    const pendingReports = await Report.count({
+      where: { targetType, targetId, status: 'pending' },
+      transaction: t
+    });
+
+    let hidden = false;
+    if (pendingReports >= REPORT_HIDE_THRESHOLD && !target.hiddenAt) {
+      await setContentHidden(target, true, AUTO_HIDE_REASON, t);
+      await recordAudit({
+        actorId: null,
+        action: `${config.targetType}.auto_hide`,
+        targetType,
+        targetId,
+        reason: AUTO_HIDE_REASON,
+        metadata: { pendingReports }
+      }, t);
+      hidden = true;
+    }
+
+    await t.commit();
+
+    if (hidden) {
+      emitContentVisibility(io, targetType, target);
+    }
+
+    return { report, hidden };
+  } catch (error) {
+    await t.rollback();
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return { error: { status: 409, message: 'Ya has denunciado este contenido' } };
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cerrar todas las denuncias pendientes de un objetivo
+ * Si se descartan y el contenido se ocultó automáticamente, vuelve a mostrarse.
+ * Devuelve { closed, unhidden }
+ */
+const closeTargetReports = async ({ targetType, targetId, status, actorId }, io) => {
+  const [closed] = await Report.update(
+    { status, resolvedById: actorId, resolvedAt: new Date() },
+    { where: { targetType, targetId, status: 'pending' } }
+  );
+
+  let unhidden = false;
+  if (status === 'dismissed') {
+    const config = getContentConfig(targetType);
+    const target = config ? await config.model.findByPk(targetId) : null;
+
+    if (target && target.hiddenAt && target.hiddenReason === AUTO_HIDE_REASON) {
+      await setContentHidden(target, false);
+      emitContentVisibility(io, targetType, target);
+      unhidden = true;
+    }
+  }
+
+  return { closed, unhidden };
+};
+
+module.exports = {
+  REPORT_HIDE_THRESHOLD,
+  createReport,
+  closeTargetReports
+};
@@ -0,0 +1,283 @@
+const { Op } = require('sequelize');
+const { Job, SavedSearch, SavedSearchMatch, sequelize } = require('../models');
+const { parseList, parseSearchParams } = require('./job-search.service');
+const { notify } = require('./notification.service');
+const { normalizeCategory, normalizeSkills } = require('./taxonomy.service');
+
+// Máximo de búsquedas guardadas por usuario
+const MAX_SAVED_SEARCHES = parseInt(process.env.SAVED_SEARCH_LIMIT, 10) || 20;
+
+// Periodo del resumen y cada cuánto se comprueba si hay resúmenes pendientes
+const DIGEST_PERIOD = 24 * 60 * 60 * 1000;
+const DIGEST_CHECK_INTERVAL = parseInt(process.env.SAVED_SEARCH_DIGEST_INTERVAL, 10) || 60 * 60 * 1000;
+
+// Trabajos que se enumeran como máximo en un resumen
+const DIGEST_MAX_JOBS = 10;
+
+/**
+ * Validar y normalizar los campos de una búsqueda guardada
+ * La categoría y las habilidades se convierten a sus nombres canónicos para que coincidan
+ * con los de los trabajos. `current` son los valores actuales al editar una búsqueda existente.
+ * Devuelve { values } o { error: { status, message } }
+ */
+const normalizeSavedSearch = async (body, current = {}) => {
+  const pick = (field) => (body[field] !== undefined ? body[field] : current[field]);
+
+  const toNumber = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) ? undefined : number;
+  };
+
+  const values = {
+    search: pick('search') ? String(pick('search')).trim() : '',
+    category: pick('category') ? String(pick('category')).trim() : null,
+    skills: parseList(pick('skills')),
+    budgetMin: toNumber(pick('budgetMin')),
+    budgetMax: toNumber(pick('budgetMax')),
+    alertFrequency: pick('alertFrequency') || 'instant'
+  };
+
+  if (values.budgetMin === undefined || values.budgetMax === undefined) {
+    return { error: { status: 400, message: 'El rango de presupuesto debe ser numérico' } };
+  }
+
+  if (values.budgetMin !== null && values.budgetMax !== null && values.budgetMin > values.budgetMax) {
+    return { error: { status: 400, message: 'El presupuesto mínimo no puede ser mayor que el máximo' } };
+  }
+
+  if (!SavedSearch.ALERT_FREQUENCIES.includes(values.alertFrequency)) {
+    return {
+      error: {
+        status: 400,
+        message: 'Frecuencia no válida. Usa {frequencies}',
+        params: { frequencies: SavedSearch.ALERT_FREQUENCIES.join(', ') }
+      }
+    };
+  }
+
+  // Una búsqueda sin filtros coincidiría con todos los trabajos
+  if (!values.search && !values.category && values.skills.length === 0 &&
+      values.budgetMin === null && values.budgetMax === null) {
+    return { error: { status: 400, message: 'La búsqueda debe tener al menos un filtro' } };
+  }
+
+  if (values.category) {
+    const { category, error } = await normalizeCategory(values.category);
+    if (error) return { error };
+    values.category = category;
+  }
+
+  if (values.skills.length > 0) {
+    const { skills, error } = await normalizeSkills(values.skills, { create: false });
+    if (error) return { error };
+    values.skills = skills.map(skill => skill.toLowerCase());
+  }
+
+  const name = pick('name') ? String(pick('name')).trim() : (values.search || values.category || values.skills.join(', '));
+  values.name = name.slice(0, 100);
+
+  return { values };
+};
+
+/**
+ * Convertir una búsqueda guardada en parámetros de búsqueda de trabajos
+ * `query` permite añadir la ordenación, el límite y el cursor de la petición.
+ */
+const toSearchParams = (savedSearch, query = {}) => parseSearchParams({
+  sort: query.sort,
+  limit: query.limit,
+  cursor: query.cursor,
+  search: savedSearch.search,
+  category: savedSearch.category,
+  skillsAny: savedSearch.skills,
+  budgetMin: savedSearch.budgetMin,
+  budgetMax: savedSearch.budgetMax,
+  status: 'open'
+});
+
+/**
+ * Enviar la alerta inmediata de un trabajo a los dueños de las búsquedas
+ */
+const sendInstantAlerts = async (io, job, savedSearchIds) => {
+  const searches = await SavedSearch.findAll({
+    where: { id: savedSearchIds, alertFrequency: 'instant' }
+  });
+
+  for (const savedSearch of searches) {
+    await notify(io, {
+      userId: savedSearch.userId,
+      actorId: job.userId,
+      type: 'saved_search_match',
+      data: {
+        savedSearchId: savedSearch.id,
+        searchName: savedSearch.name,
+        jobId: job.id,
+        jobTitle: job.title
+      }
+    });
+  }
+
+  if (searches.length > 0) {
+    await SavedSearchMatch.update(
+      { notifiedAt: new Date() },
+      { where: { jobId: job.id, savedSearchId: searches.map(savedSearch => savedSearch.id) } }
+    );
+  }
+
+  return searches.length;
+};
+
+/**
+ * Buscar las búsquedas guardadas que coinciden con un trabajo y registrar las coincidencias
+ * Las búsquedas con alertas inmediatas se notifican al momento; las diarias quedan
+ * pendientes para el resumen. Es idempotente: un trabajo solo coincide una vez con cada búsqueda.
+ * Devuelve { matched, notified }
+ */
+const matchJob = async (io, jobId) => {
+  const job = await Job.findByPk(jobId);
+  if (!job || job.hiddenAt || job.status !== 'open') {
+    return { matched: 0, notified: 0 };
+  }
+
+  const inserted = await sequelize.query(`
+    INSERT INTO "SavedSearchMatches" (id, "savedSearchId", "jobId", "createdAt", "updatedAt")
+    SELECT uuid_generate_v4(), s.id, j.id, NOW(), NOW()
+    FROM "SavedSearches" AS s
+    JOIN "Users" AS u ON u.id = s."userId"
+    JOIN "Jobs" AS j ON j.id = :jobId
+    WHERE s."alertFrequency" <> 'off'
+      AND s."userId" <> j."userId"
+      AND u.status = 'active'
+      AND (s.search = '' OR j."searchVector" @@ websearch_to_tsquery('${Job.SEARCH_LANGUAGE}', s.search))
+      AND (s.category IS NULL OR s.category = j.category)
+      AND (s."budgetMin" IS NULL OR j.budget >= s."budgetMin")
+      AND (s."budgetMax" IS NULL OR j.budget <= s."budgetMax")
+      AND (cardinality(s.skills) = 0 OR EXISTS (
+        SELECT 1 FROM unnest(j.skills) AS js WHERE lower(js) = ANY(s.skills)
+      ))
+    ON CONFLICT ("savedSearchId", "jobId") DO NOTHING
+    RETURNING "savedSearchId"
+  `, {
+    replacements: { jobId },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  const savedSearchIds = inserted.map(row => row.savedSearchId);
+  const notified = savedSearchIds.length > 0 ? await sendInstantAlerts(io, job, savedSearchIds) : 0;
+
+  return { matched: savedSearchIds.length, notified };
+};
+
+/**
+ * Buscar coincidencias para todos los trabajos publicados desde una fecha
+ * Útil para reprocesar trabajos si el servidor se detuvo antes de procesarlos.
+ */
+const matchRecentJobs = async (io, since) => {
+  const jobs = await Job.findAll({
+    where: { createdAt: { [Op.gte]: since }, status: 'open', hiddenAt: null },
+    attributes: ['id'],
+    order: [['createdAt', 'ASC']]
+  });
+
+  const totals = { jobs: jobs.length, matched: 0, notified: 0 };
+  for (const job of jobs) {
+    const { matched, notified } = await matchJob(io, job.id);
+    totals.matched += matched;
+    totals.notified += notified;
+  }
+
+  return totals;
+};
+
+/**
+ * Enviar los resúmenes diarios pendientes
+ * Cada búsqueda se reclama con una actualización condicional, de modo que varias
+ * instancias pueden ejecutar el proceso a la vez sin enviar resúmenes duplicados.
+ * Con `force` no se espera a que pasen 24 horas desde el resumen anterior.
+ * Devuelve el número de resúmenes enviados.
+ */
+const sendDigests = async (io, { force = false } = {}) => {
+  const now = new Date();
+  const cutoff = force ? now : new Date(now.getTime() - DIGEST_PERIOD);
+
+  const candidates = await sequelize.query(`
+    SELECT DISTINCT s.id
+    FROM "SavedSearches" AS s
+    JOIN "SavedSearchMatches" AS m ON m."savedSearchId" = s.id AND m."notifiedAt" IS NULL
+    WHERE s."alertFrequency" = 'daily'
+      AND (s."lastDigestAt" IS NULL OR s."lastDigestAt" <= :cutoff)
+  `, {
+    replacements: { cutoff },
+    type: sequelize.QueryTypes.SELECT
+  });
+
+  let sent = 0;
+  for (const { id } of candidates) {
+    const [claimed] = await sequelize.query(`
+      UPDATE "SavedSearches"
+      SET "lastDigestAt" = :now
+      WHERE id = :id AND ("lastDigestAt" IS NULL OR "lastDigestAt" <= :cutoff)
+      RETURNING id, name, "userId"
+    `, {
+      replacements: { id, now, cutoff },
+      type: sequelize.QueryTypes.SELECT
+    });
+    if (!claimed) continue;
+
+    const matches = await sequelize.query(`
+      SELECT m.id, j.id AS "jobId", j.title
+      FROM "SavedSearchMatches" AS m
+      JOIN "Jobs" AS j ON j.id = m."jobId"
+      WHERE m."savedSearchId" = :id AND m."notifiedAt" IS NULL
+        AND j."hiddenAt" IS NULL AND j.status = 'open'
+      ORDER BY m."createdAt" DESC
+    `, {
+      replacements: { id },
+      type: sequelize.QueryTypes.SELECT
+    });
+
+    if (matches.length > 0) {
+      await notify(io, {
+        userId: claimed.userId,
+        type: 'saved_search_digest',
+        data: {
+          savedSearchId: claimed.id,
+          searchName: claimed.name,
+          count: matches.length,
+          jobs: matches.slice(0, DIGEST_MAX_JOBS).map(match => ({ id: match.jobId, title: match.title }))
+        }
+      });
+      sent++;
+    }
+
+    // Las coincidencias con trabajos ya cerrados u ocultos también se dan por procesadas
+    await SavedSearchMatch.update(
+      { notifiedAt: now },
+      { where: { savedSearchId: id, notifiedAt: null } }
+    );
+  }
+
+  return sent;
+};
+
+/**
+ * Comprobar periódicamente los resúmenes diarios pendientes
+ */
+const startDigestScheduler = (io) => {
+  const timer = setInterval(() => {
+    sendDigests(io).catch(error => console.error('Error al enviar resúmenes de búsquedas guardadas:', error));
+  }, DIGEST_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  MAX_SAVED_SEARCHES,
+  normalizeSavedSearch,
+  toSearchParams,
+  matchJob,
+  matchRecentJobs,
+  sendDigests,
+  startDigestScheduler
+};
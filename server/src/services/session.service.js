@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { Op } = require('sequelize');
+const { validate: isUuid } = require('uuid');
+const { Session, sequelize } = require('../models');
+
+// Los tokens de acceso son de corta duración; la sesión se mantiene con el token de actualización
+const ACCESS_TOKEN_EXPIRATION = process.env.JWT_ACCESS_EXPIRATION || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || 30;
+
+// No se actualiza lastUsedAt en cada petición, como mucho una vez por minuto
+const LAST_USED_THROTTLE = 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiration = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * El token de actualización tiene la forma "<sessionId>.<secreto>"
+ * Un sessionId que no es un UUID no se llega a consultar (la columna es uuid y PostgreSQL fallaría).
+ */
+const buildRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(48).toString('base64url')}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== 'string') return null;
+
+  const separator = refreshToken.indexOf('.');
+  if (separator <= 0 || separator === refreshToken.length - 1) return null;
+
+  const sessionId = refreshToken.slice(0, separator);
+  if (!isUuid(sessionId)) return null;
+
+  return { sessionId, token: refreshToken };
+};
+
+const signAccessToken = (userId, sessionId) => jwt.sign(
+  { id: userId, sid: sessionId },
+  process.env.JWT_SECRET,
+  { expiresIn: ACCESS_TOKEN_EXPIRATION }
+);
+
+const getClientInfo = (req) => ({
+  userAgent: (req.headers['user-agent'] || '').slice(0, 512),
+  ipAddress: (req.ip || req.socket?.remoteAddress || '').slice(0, 64)
+});
+
+const isSessionActive = (session) => Boolean(session)
+  && !session.revokedAt
+  && new Date(session.expiresAt) > new Date();
+
+/**
+ * Crear una sesión nueva para un usuario (inicio de sesión o registro)
+ * Devuelve { session, token, refreshToken }
+ */
+const createSession = async (userId, req) => {
+  const id = crypto.randomUUID();
+  const refreshToken = buildRefreshToken(id);
+
+  const session = await Session.create({
+    id,
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    ...getClientInfo(req),
+    lastUsedAt: new Date(),
+    expiresAt: refreshExpiration()
+  });
+
+  return {
+    session,
+    token: signAccessToken(userId, id),
+    refreshToken
+  };
+};
+
+/**
+ * Rotar el token de actualización de una sesión
+ * Cada token solo se puede usar una vez: si se presenta un token ya rotado se considera
+ * robado y se revoca la sesión completa.
+ * Devuelve { session, token, refreshToken } o { error: { status, message }, revokedSessionId }
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) {
+    return { error: { status: 401, message: 'Token de actualización inválido' } };
+  }
+
+  const t = await sequelize.transaction();
+
+  try {
+    const session = await Session.findOne({
+      where: { id: parsed.sessionId },
+      transaction: t,
+      lock: t.LOCK.UPDATE
+    });
+
+    if (!session) {
+      await t.rollback();
+      return { error: { status: 401, message: 'Token de actualización inválido' } };
+    }
+
+    if (!isSessionActive(session)) {
+      await t.rollback();
+      return { error: { status: 401, message: 'La sesión ha sido revocada o ha expirado' } };
+    }
+
+    if (session.refreshTokenHash !== hashToken(parsed.token)) {
+      // Reutilización de un token anterior: revocar la sesión
+      session.revokedAt = new Date();
+      session.revokedReason = 'refresh_token_reuse';
+      await session.save({ transaction: t });
+      await t.commit();
+
+      return {
+        error: { status: 401, message: 'Se ha reutilizado un token de actualización; la sesión ha sido revocada' },
+        revokedSessionId: session.id
+      };
+    }
+
+    const nextRefreshToken = buildRefreshToken(session.id);
+    const { userAgent, ipAddress } = getClientInfo(req);
+
+    session.refreshTokenHash = hashToken(nextRefreshToken);
+    session.userAgent = userAgent || session.userAgent;
+    session.ipAddress = ipAddress || session.ipAddress;
+    session.lastUsedAt = new Date();
+    session.expiresAt = refreshExpiration();
+    await session.save({ transaction: t });
+
+    await t.commit();
+
+    return {
+      session,
+      token: signAccessToken(session.userId, session.id),
+      refreshToken: nextRefreshToken
+    };
+  } catch (error) {
+    await t.rollback();
+    throw error;
+  }
+};
+
+/**
+ * Obtener una sesión activa (no revocada ni expirada) de un usuario
+ * Actualiza lastUsedAt como mucho una vez por minuto
+ */
+const getActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findOne({ where: { id: sessionId, userId } });
+  if (!isSessionActive(session)) return null;
+
+  if (Date.now() - new Date(session.lastUsedAt).getTime() > LAST_USED_THROTTLE) {
+    await Session.update({ lastUsedAt: new Date() }, { where: { id: session.id } });
+  }
+
+  return session;
+};
+
+/**
+ * Listar las sesiones activas de un usuario
+ */
+const listUserSessions = (userId) => Session.findAll({
+  where: {
+    userId,
+    revokedAt: null,
+    expiresAt: { [Op.gt]: new Date() }
+  },
+  attributes: ['id', 'userAgent', 'ipAddress', 'lastUsedAt', 'expiresAt', 'createdAt'],
+  order: [['lastUsedAt', 'DESC']]
+});
+
+/**
+ * Revocar sesiones de un usuario
+ * Sin sessionIds se revocan todas (salvo exceptSessionId)
+ * Devuelve los IDs de las sesiones revocadas
+ */
+const revokeSessions = async (userId, { sessionIds = null, exceptSessionId = null, reason = 'logout' } = {}) => {
+  const where = { userId, revokedAt: null };
+
+  if (sessionIds) {
+    where.id = sessionIds;
+  }
+  if (exceptSessionId) {
+    where.id = sessionIds
+      ? sessionIds.filter(id => id !== exceptSessionId)
+      : { [Op.ne]: exceptSessionId };
+  }
+
+  const sessions = await Session.findAll({ where, attributes: ['id'] });
+  const ids = sessions.map(session => session.id);
+
+  if (ids.length > 0) {
+    await Session.update(
+      { revokedAt: new Date(), revokedReason: reason },
+      { where: { id: ids } }
+    );
+  }
+
+  return ids;
+};
+
+/**
+ * Desconectar los sockets abiertos con sesiones revocadas
+ * Cada socket se une a la sala "session:<id>" al conectarse.
+ */
+const disconnectSessionSockets = (io, sessionIds) => {
+  if (!io || !sessionIds || sessionIds.length === 0) return;
+
+  io.in(sessionIds.map(id => `session:${id}`)).disconnectSockets(true);
+};
+
+module.exports = {
+  ACCESS_TOKEN_EXPIRATION,
+  parseRefreshToken,
+  createSession,
+  rotateRefreshToken,
+  getActiveSession,
+  listUserSessions,
+  revokeSessions,
+  disconnectSessionSockets
+};
@@ -0,0 +1,78 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Almacenamiento en disco local
+ * Las claves son rutas relativas dentro del directorio base (STORAGE_LOCAL_DIR)
+ */
+const createLocalStorage = (baseDir) => {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(baseDir, key);
+    // Evitar que una clave salga del directorio base
+    if (!filePath.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Clave de almacenamiento no válida: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async save(key, buffer) {
+      const filePath = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.writeFile(filePath, buffer);
+      return key;
+    },
+
+    async exists(key) {
+      try {
+        await fs.promises.access(resolveKey(key));
+        return true;
+      } catch (error) {
+        return false;
+      }
+    },
+
+    createReadStream(key) {
+      return fs.createReadStream(resolveKey(key));
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(resolveKey(key));
+      } catch (error) {
+        // Si el archivo no existe, ignoramos el error
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+};
+
+const drivers = {
+  local: () => createLocalStorage(process.env.STORAGE_LOCAL_DIR || path.join(__dirname, '../../uploads'))
+};
+
+let storage = null;
+
+/**
+ * Obtener el almacenamiento configurado (STORAGE_DRIVER, por defecto 'local')
+ * Otro driver solo necesita implementar save, exists, createReadStream y remove.
+ */
+const getStorage = () => {
+  if (storage) return storage;
+
+  const name = process.env.STORAGE_DRIVER || 'local';
+  const createDriver = drivers[name];
+
+  if (!createDriver) {
+    throw new Error(`Driver de almacenamiento desconocido: ${name}`);
+  }
+
+  storage = createDriver();
+  return storage;
+};
+
+module.exports = {
+  getStorage
+};
@@ -0,0 +1,174 @@
+const { Category, Skill, sequelize } = require('../models');
+const { DEFAULT_CATEGORIES, DEFAULT_SKILLS } = require('../config/taxonomy');
+
+// Máximo de habilidades por trabajo o perfil y longitud máxima de una habilidad nueva
+const MAX_SKILLS = 30;
+const MAX_SKILL_LENGTH = 50;
+
+/**
+ * Convertir un nombre en slug: minúsculas, sin tildes y con guiones ("C#" → "c-sharp")
+ */
+const slugify = (value) => String(value)
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/\+/g, ' plus ')
+  .replace(/#/g, ' sharp ')
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '');
+
+/**
+ * Clave de comparación: el slug sin guiones ("React.js", "ReactJS" y "react js" → "reactjs")
+ */
+const toKey = (value) => slugify(value).replace(/-/g, '');
+
+// SQL de la clave de comparación de una columna con un slug
+const keySql = (column) => `replace(${column}, '-', '')`;
+
+/**
+ * Buscar las entradas cuyo slug o alias coincide con alguna de las claves
+ * Devuelve un Map clave → entrada
+ */
+const findByKeys = async (model, keys, transaction) => {
+  if (keys.length === 0) return new Map();
+
+  const rows = await sequelize.query(`
+    SELECT id, name, slug, aliases FROM "${model.getTableName()}"
+    WHERE ${keySql('slug')} IN (:keys)
+      OR EXISTS (SELECT 1 FROM unnest(aliases) AS a WHERE ${keySql('a')} IN (:keys))
+    ORDER BY "createdAt"
+  `, {
+    replacements: { keys },
+    type: sequelize.QueryTypes.SELECT,
+    transaction
+  });
+
+  // El nombre canónico tiene prioridad sobre los alias de otras entradas
+  const byKey = new Map();
+  for (const row of rows) {
+    for (const alias of row.aliases || []) {
+      const key = alias.replace(/-/g, '');
+      if (!byKey.has(key)) byKey.set(key, row);
+    }
+  }
+  for (const row of rows) {
+    byKey.set(row.slug.replace(/-/g, ''), row);
+  }
+
+  return byKey;
+};
+
+/**
+ * Normalizar una lista de habilidades (array o texto separado por comas) a sus nombres canónicos
+ * Las habilidades desconocidas se crean con el nombre recibido, salvo con `create: false`,
+ * en cuyo caso se devuelven tal cual.
+ * Devuelve { skills } o { error: { status, message, params } }
+ */
+const normalizeSkills = async (value, { transaction, create = true } = {}) => {
+  const items = Array.isArray(value) ? value : String(value || '').split(',');
+  const names = items
+    .filter(item => typeof item === 'string' || typeof item === 'number')
+    .map(item => String(item).trim())
+    .filter(item => toKey(item));
+
+  if (names.length > MAX_SKILLS) {
+    return { error: { status: 400, message: 'No se pueden indicar más de {max} habilidades', params: { max: MAX_SKILLS } } };
+  }
+
+  const tooLong = names.find(name => name.length > MAX_SKILL_LENGTH);
+  if (tooLong) {
+    return {
+      error: { status: 400, message: 'Habilidad demasiado larga: {skill}...', params: { skill: tooLong.slice(0, MAX_SKILL_LENGTH) } }
+    };
+  }
+
+  const byKey = await findByKeys(Skill, [...new Set(names.map(toKey))], transaction);
+
+  const skills = [];
+  for (const name of names) {
+    let skill = byKey.get(toKey(name));
+    if (!skill && !create) {
+      skill = { name };
+    } else if (!skill) {
+      [skill] = await Skill.findOrCreate({
+        where: { slug: slugify(name) },
+        defaults: { name },
+        transaction
+      });
+      byKey.set(toKey(name), skill);
+    }
+    if (!skills.includes(skill.name)) {
+      skills.push(skill.name);
+    }
+  }
+
+  return { skills };
+};
+
+/**
+ * Normalizar una categoría a su nombre canónico
+ * Solo se admiten categorías existentes.
+ * Devuelve { category } o { error: { status, message } }
+ */
+const normalizeCategory = async (value, { transaction } = {}) => {
+  const key = typeof value === 'string' ? toKey(value) : '';
+  const category = key ? (await findByKeys(Category, [key], transaction)).get(key) : null;
+
+  if (!category) {
+    return { error: { status: 400, message: 'Categoría no válida. Consulta GET /api/taxonomy/categories' } };
+  }
+
+  return { category: category.name };
+};
+
+/**
+ * Autocompletar categorías o habilidades
+ * Primero las que empiezan por el texto (en el nombre o en un alias) y después las que lo contienen.
+ */
+const autocomplete = async (model, query, limit) => {
+  const key = toKey(query || '');
+
+  return sequelize.query(`
+    SELECT id, name, slug FROM "${model.getTableName()}"
+    WHERE :key = ''
+      OR ${keySql('slug')} LIKE :contains
+      OR EXISTS (SELECT 1 FROM unnest(aliases) AS a WHERE ${keySql('a')} LIKE :prefix)
+    ORDER BY (${keySql('slug')} LIKE :prefix) DESC, length(name), name
+    LIMIT :limit
+  `, {
+    replacements: { key, prefix: `${key}%`, contains: `%${key}%`, limit },
+    type: sequelize.QueryTypes.SELECT
+  });
+};
+
+/**
+ * Crear las categorías y habilidades por defecto y fusionar sus alias con los existentes
+ */
+const syncDefaultTaxonomy = async () => {
+  for (const [model, entries] of [[Category, DEFAULT_CATEGORIES], [Skill, DEFAULT_SKILLS]]) {
+    for (const { name, aliases } of entries) {
+      const slug = slugify(name);
+      const aliasSlugs = aliases.map(slugify).filter(alias => alias && alias !== slug);
+
+      const [entry, created] = await model.findOrCreate({
+        where: { slug },
+        defaults: { name, aliases: aliasSlugs }
+      });
+
+      const merged = [...new Set([...(entry.aliases || []), ...aliasSlugs])];
+      if (!created && merged.length !== (entry.aliases || []).length) {
+        entry.aliases = merged;
+        await entry.save();
+      }
+    }
+  }
+};
+
+module.exports = {
+  slugify,
+  toKey,
+  normalizeSkills,
+  normalizeCategory,
+  autocomplete,
+  syncDefaultTaxonomy
+};
@@ -0,0 +1,52 @@
+/**
+ * Utilidades para cursores de paginación opacos
+ * Un cursor codifica en base64url el valor de ordenación (v) y el id del último elemento
+ */
+const encodeCursor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Timestamps tal como los genera cursorTimestampSql (UTC con microsegundos)
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d{1,6})?Z$/;
+
+// Comprobación del valor de ordenación según su tipo
+const VALUE_CHECKS = {
+  timestamp: (value) => typeof value === 'string' && TIMESTAMP_PATTERN.test(value) && !isNaN(Date.parse(value)),
+  number: (value) => typeof value === 'number' && Number.isFinite(value)
+};
+
+/**
+ * Decodificar un cursor; devuelve null si no es válido
+ * `valueType` ('timestamp' o 'number') es el tipo que debe tener el valor de ordenación,
+ * para que un cursor manipulado no llegue a la consulta.
+ */
+const decodeCursor = (cursor, valueType = 'timestamp') => {
+  if (typeof cursor !== 'string') return null;
+
+  try {
+    const decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (!decoded || typeof decoded !== 'object') return null;
+
+    const { v, id } = decoded;
+    const isValidValue = VALUE_CHECKS[valueType];
+    if (typeof id !== 'string' || !UUID_PATTERN.test(id) || !isValidValue || !isValidValue(v)) {
+      return null;
+    }
+    return { v, id };
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Expresión SQL que da un timestamp con precisión de microsegundos para usarlo en cursores
+ * (un Date de JavaScript solo conserva milisegundos y saltaría o repetiría filas)
+ */
+const cursorTimestampSql = (column) =>
+  `to_char(${column} AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS.US"Z"')`;
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  cursorTimestampSql
+};
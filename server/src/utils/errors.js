@@ -0,0 +1,152 @@
+const { DEFAULT_LOCALE, translate } = require('./i18n');
+
+/**
+ * Errores de la aplicación
+ *
+ * Los controladores los pasan a next() (o los lanzan dentro de un try/catch que llama a next)
+ * y el middleware de errores los convierte en la respuesta { success: false, code, message }.
+ * Los eventos de Socket.io usan emitSocketError con el mismo formato.
+ * `code` es estable y pensado para el cliente; `message` es el texto para mostrar al usuario,
+ * que se traduce al idioma de la petición (ver src/utils/i18n.js). Los valores variables del
+ * texto se pasan en `params`: new BadRequestError('Solo puedes guardar {max} búsquedas', { params: { max } })
+ * (también se admite un mensaje creado con i18n.message).
+ */
+class AppError extends Error {
+  constructor(message, { status = 500, code = 'INTERNAL_ERROR', details, params } = {}) {
+    // En los logs el mensaje aparece en español con los parámetros ya sustituidos
+    super(translate(DEFAULT_LOCALE, message, params));
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    // Información adicional que se incluye en la respuesta (por ejemplo, errores por campo)
+    this.details = details;
+    // Texto original y parámetros, para traducirlo
+    this.template = message;
+    this.params = params;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Petición no válida', options = {}) {
+    super(message, { code: 'BAD_REQUEST', ...options, status: 400 });
+  }
+}
+
+class ValidationError extends AppError {
+  constructor(message = 'Datos de la petición no válidos', errors = []) {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details: { errors } });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'No autenticado', options = {}) {
+    super(message, { code: 'UNAUTHORIZED', ...options, status: 401 });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'No tienes permiso para realizar esta acción', options = {}) {
+    super(message, { code: 'FORBIDDEN', ...options, status: 403 });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Recurso no encontrado', options = {}) {
+    super(message, { code: 'NOT_FOUND', ...options, status: 404 });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'El recurso ya existe', options = {}) {
+    super(message, { code: 'CONFLICT', ...options, status: 409 });
+  }
+}
+
+class TooManyRequestsError extends AppError {
+  constructor(message = 'Demasiadas peticiones, inténtalo más tarde', options = {}) {
+    super(message, { code: 'TOO_MANY_REQUESTS', ...options, status: 429 });
+  }
+}
+
+const ERRORS_BY_STATUS = {
+  400: BadRequestError,
+  401: UnauthorizedError,
+  403: ForbiddenError,
+  404: NotFoundError,
+  409: ConflictError,
+  429: TooManyRequestsError
+};
+
+/**
+ * Convertir el error que devuelven los servicios ({ status, message, code?, params? }) en un AppError
+ */
+const fromServiceError = ({ status, message, code, params }) => {
+  const options = { ...(code ? { code } : {}), ...(params ? { params } : {}) };
+  const ErrorClass = ERRORS_BY_STATUS[status];
+  if (!ErrorClass) {
+    return new AppError(message, { status, ...options });
+  }
+  return new ErrorClass(message, options);
+};
+
+const isDevelopment = () => process.env.NODE_ENV === 'development';
+
+/**
+ * Estado HTTP y cuerpo de la respuesta para cualquier error, con el mensaje en el idioma indicado
+ * Los errores que no son AppError se consideran internos: su mensaje solo se incluye en desarrollo.
+ */
+const toErrorResponse = (error, locale = DEFAULT_LOCALE) => {
+  let appError = error;
+
+  if (!(error instanceof AppError)) {
+    if (error && error.type === 'entity.parse.failed') {
+      appError = new BadRequestError('El cuerpo de la petición no es un JSON válido', { code: 'INVALID_JSON' });
+    } else if (error && error.type === 'entity.too.large') {
+      appError = new AppError('El cuerpo de la petición es demasiado grande', { status: 413, code: 'PAYLOAD_TOO_LARGE' });
+    } else if (error && error.name === 'MulterError') {
+      appError = new BadRequestError('Error al procesar los archivos', { code: 'UPLOAD_ERROR' });
+    } else {
+      appError = new AppError('Error interno del servidor');
+    }
+  }
+
+  const body = {
+    success: false,
+    code: appError.code,
+    message: translate(locale, appError.template, appError.params),
+    ...(appError.details || {})
+  };
+
+  if (appError.status >= 500 && isDevelopment() && error instanceof Error) {
+    body.error = error.message;
+    body.stack = error.stack;
+  }
+
+  return { status: appError.status, body };
+};
+
+/**
+ * Emitir un error a un socket con el mismo formato que las respuestas HTTP (sin `success`)
+ * `event` indica el evento que lo ha provocado. El mensaje se traduce al idioma del socket.
+ */
+const emitSocketError = (socket, error, event) => {
+  const { status, body: { success, ...payload } } = toErrorResponse(error, socket.data.locale);
+  if (status >= 500) {
+    console.error(`Error en el evento de socket ${event}:`, error);
+  }
+  socket.emit('error', { event, ...payload });
+};
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  TooManyRequestsError,
+  fromServiceError,
+  toErrorResponse,
+  emitSocketError
+};
@@ -0,0 +1,90 @@
+/**
+ * Traducción de los mensajes de la API
+ *
+ * Los textos se escriben en español en el código y ese texto es la clave del catálogo de cada
+ * idioma (src/locales). Un texto sin traducción se devuelve en español.
+ * Los parámetros se indican con {nombre}; si el parámetro es a su vez un mensaje traducible
+ * (por ejemplo, el nombre de un campo), {campo} lo pone en minúscula inicial y {Campo} en mayúscula.
+ */
+const CATALOGS = {
+  en: require('../locales/en'),
+  pt: require('../locales/pt')
+};
+
+const DEFAULT_LOCALE = 'es';
+const SUPPORTED_LOCALES = [DEFAULT_LOCALE, ...Object.keys(CATALOGS)];
+
+/**
+ * Mensaje traducible con parámetros, para traducirlo cuando se conozca el idioma
+ */
+const message = (text, params = {}) => ({ text, params });
+
+const isMessage = (value) => Boolean(value) && typeof value === 'object' && typeof value.text === 'string';
+
+const changeFirst = (value, upper) => {
+  const first = value.charAt(0);
+  return (upper ? first.toUpperCase() : first.toLowerCase()) + value.slice(1);
+};
+
+/**
+ * Traducir un texto (o un mensaje creado con message) al idioma indicado
+ */
+const translate = (locale, text, params = {}) => {
+  if (isMessage(text)) {
+    return translate(locale, text.text, { ...text.params, ...params });
+  }
+  if (typeof text !== 'string') return text;
+
+  const catalog = CATALOGS[locale] || {};
+  const template = catalog[text] || text;
+
+  return template.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    const key = changeFirst(name, false);
+    if (!(key in params)) return placeholder;
+
+    const value = params[key];
+    if (!isMessage(value)) return String(value);
+
+    const first = name.charAt(0);
+    return changeFirst(translate(locale, value), first === first.toUpperCase());
+  });
+};
+
+/**
+ * Elegir el idioma a partir de la cabecera Accept-Language ("en-US,en;q=0.9,es;q=0.8")
+ * Se usa el primero admitido por orden de preferencia; si no hay ninguno, el idioma por defecto.
+ */
+const negotiateLocale = (header) => {
+  if (typeof header !== 'string' || header.trim() === '') return DEFAULT_LOCALE;
+
+  const ranges = header.split(',')
+    .map((part, index) => {
+      const [range, ...options] = part.trim().split(';');
+      const quality = options.map(option => option.trim()).find(option => option.startsWith('q='));
+      return {
+        locale: range.trim().toLowerCase().split('-')[0],
+        q: quality ? parseFloat(quality.slice(2)) : 1,
+        index
+      };
+    })
+    .filter(range => range.locale && range.q > 0)
+    .sort((a, b) => b.q - a.q || a.index - b.index);
+
+  const match = ranges.find(range => SUPPORTED_LOCALES.includes(range.locale));
+  return match ? match.locale : DEFAULT_LOCALE;
+};
+
+/**
+ * Idioma de un usuario: su preferencia guardada o, si no tiene, el negociado
+ */
+const resolveLocale = (user, fallback = DEFAULT_LOCALE) =>
+  (user && SUPPORTED_LOCALES.includes(user.locale) ? user.locale : fallback);
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  message,
+  translate,
+  negotiateLocale,
+  resolveLocale
+};
@@ -0,0 +1,55 @@
+const { User, Report } = require('../models');
+const { ROLES } = require('../config/permissions');
+const { message } = require('../utils/i18n');
+const { fieldMessage, uuidParams } = require('./common');
+
+const USER_STATUSES = User.rawAttributes.status.values;
+// 'all' lista las denuncias de cualquier estado
+const REPORT_STATUSES = [...Report.rawAttributes.status.values, 'all'];
+const REPORT_TARGET_TYPES = Report.rawAttributes.targetType.values;
+
+// Filtro opcional por estado en la query
+const optionalStatusQuery = (statuses) => ({
+  in: ['query'],
+  optional: true,
+  isIn: {
+    options: [statuses],
+    errorMessage: message('Estado no válido. Estados disponibles: {statuses}', { statuses: statuses.join(', ') })
+  }
+});
+
+// Filtro opcional por identificador en la query
+const optionalUuidQuery = (label) => ({
+  in: ['query'],
+  optional: true,
+  isUUID: { errorMessage: fieldMessage('{Label} no es válido', label) }
+});
+
+exports.listUsers = {
+  role: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [ROLES], errorMessage: message('Rol no válido. Roles disponibles: {roles}', { roles: ROLES.join(', ') }) }
+  },
+  status: optionalStatusQuery(USER_STATUSES)
+};
+
+exports.userParams = uuidParams('userId');
+
+exports.contentParams = uuidParams('contentId');
+
+exports.listReports = {
+  status: optionalStatusQuery(REPORT_STATUSES),
+  targetType: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [REPORT_TARGET_TYPES], errorMessage: 'Tipo de contenido no válido' }
+  }
+};
+
+exports.reportParams = uuidParams('reportId');
+
+exports.listAuditLogs = {
+  actorId: optionalUuidQuery('El usuario'),
+  targetId: optionalUuidQuery('El objetivo')
+};
@@ -0,0 +1,73 @@
+const { ROLES } = require('../config/permissions');
+const { MIN_PASSWORD_LENGTH } = require('../services/account.service');
+const { message } = require('../utils/i18n');
+const { uuidParams, requiredText, localeField } = require('./common');
+
+const email = {
+  in: ['body'],
+  isString: { errorMessage: 'El correo electrónico es obligatorio', bail: true },
+  trim: true,
+  isEmail: { errorMessage: 'El correo electrónico no es válido' },
+  isLength: { options: { max: 255 }, errorMessage: 'El correo electrónico es demasiado largo' }
+};
+
+const newPassword = {
+  in: ['body'],
+  isString: { errorMessage: 'La contraseña es obligatoria', bail: true },
+  isLength: {
+    options: { min: MIN_PASSWORD_LENGTH, max: 128 },
+    errorMessage: message('La contraseña debe tener entre {min} y {max} caracteres', { min: MIN_PASSWORD_LENGTH, max: 128 })
+  }
+};
+
+const requiredString = (message) => ({
+  in: ['body'],
+  isString: { errorMessage: message, bail: true },
+  notEmpty: { errorMessage: message }
+});
+
+exports.register = {
+  name: requiredText('body', 'El nombre', 100),
+  email,
+  password: newPassword,
+  role: {
+    in: ['body'],
+    optional: true,
+    isIn: { options: [ROLES], errorMessage: message('Rol no válido. Roles disponibles: {roles}', { roles: ROLES.join(', ') }) }
+  },
+  adminInviteCode: {
+    in: ['body'],
+    optional: true,
+    isString: { errorMessage: 'El código de invitación no es válido' }
+  },
+  locale: localeField('body')
+};
+
+exports.login = {
+  email,
+  password: requiredString('La contraseña es obligatoria')
+};
+
+exports.refresh = {
+  refreshToken: requiredString('Se requiere el token de actualización')
+};
+
+exports.verifyEmail = {
+  token: requiredString('Se requiere el token de verificación')
+};
+
+exports.forgotPassword = {
+  email
+};
+
+exports.resetPassword = {
+  token: requiredString('Se requiere el token de restablecimiento'),
+  password: newPassword
+};
+
+exports.changePassword = {
+  currentPassword: requiredString('La contraseña actual es obligatoria'),
+  newPassword
+};
+
+exports.sessionParams = uuidParams('sessionId');
@@ -0,0 +1,108 @@
+const { MAX_EMOJI_LENGTH } = require('../services/message.service');
+const { message } = require('../utils/i18n');
+const { fieldMessage, uuidParams, requiredText, optionalText, cursorQuery } = require('./common');
+
+const MAX_MESSAGE_LENGTH = 5000;
+const MAX_PARTICIPANTS = 50;
+
+const uuidField = (location, label) => ({
+  in: [location],
+  isUUID: { errorMessage: fieldMessage('{Label} no es válido', label) }
+});
+
+const emoji = (location) => ({
+  in: [location],
+  isString: { errorMessage: 'Se requiere un emoji', bail: true },
+  notEmpty: { errorMessage: 'Se requiere un emoji', bail: true },
+  isLength: { options: { max: MAX_EMOJI_LENGTH }, errorMessage: 'Emoji no válido' }
+});
+
+exports.chatParams = uuidParams('chatId');
+exports.messageParams = uuidParams('chatId', 'messageId');
+exports.attachmentParams = uuidParams('chatId', 'attachmentId');
+
+exports.getChats = cursorQuery();
+exports.syncMessages = cursorQuery('since');
+
+exports.getChatMessages = {
+  ...uuidParams('chatId'),
+  ...cursorQuery('before'),
+  ...cursorQuery('after')
+};
+
+exports.createChat = {
+  participantIds: {
+    in: ['body'],
+    isArray: {
+      options: { min: 1, max: MAX_PARTICIPANTS },
+      errorMessage: message('Se requiere entre 1 y {max} participantes', { max: MAX_PARTICIPANTS })
+    }
+  },
+  'participantIds.*': uuidField('body', 'El participante'),
+  name: optionalText('body', 'El nombre del chat', 100),
+  isGroup: {
+    in: ['body'],
+    optional: true,
+    isBoolean: { errorMessage: 'isGroup debe ser true o false' },
+    toBoolean: true
+  }
+};
+
+exports.sendMessage = {
+  ...uuidParams('chatId'),
+  content: requiredText('body', 'El mensaje', MAX_MESSAGE_LENGTH)
+};
+
+exports.addParticipant = {
+  ...uuidParams('chatId'),
+  userId: uuidField('body', 'El usuario')
+};
+
+exports.editMessage = {
+  ...uuidParams('chatId', 'messageId'),
+  content: requiredText('body', 'El mensaje', MAX_MESSAGE_LENGTH)
+};
+
+exports.toggleReaction = {
+  ...uuidParams('chatId', 'messageId'),
+  emoji: emoji('body')
+};
+
+exports.uploadAttachments = {
+  ...uuidParams('chatId'),
+  content: optionalText('body', 'El mensaje', MAX_MESSAGE_LENGTH)
+};
+
+/**
+ * Payloads de los eventos de Socket.io (se validan con validatePayload)
+ */
+exports.socket = {
+  send_message: {
+    chatId: uuidField('body', 'El chat'),
+    content: requiredText('body', 'El mensaje', MAX_MESSAGE_LENGTH)
+  },
+  edit_message: {
+    chatId: uuidField('body', 'El chat'),
+    messageId: uuidField('body', 'El mensaje'),
+    content: requiredText('body', 'El mensaje', MAX_MESSAGE_LENGTH)
+  },
+  delete_message: {
+    chatId: uuidField('body', 'El chat'),
+    messageId: uuidField('body', 'El mensaje')
+  },
+  toggle_reaction: {
+    chatId: uuidField('body', 'El chat'),
+    messageId: uuidField('body', 'El mensaje'),
+    emoji: emoji('body')
+  },
+  typing: {
+    chatId: uuidField('body', 'El chat')
+  },
+  mark_read: {
+    chatId: uuidField('body', 'El chat'),
+    messageId: { ...uuidField('body', 'El mensaje'), optional: { options: { values: 'null' } } }
+  },
+  join_chat: {
+    chatId: uuidField('body', 'El chat')
+  }
+};
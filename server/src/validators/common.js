@@ -0,0 +1,116 @@
+/**
+ * Piezas comunes de los esquemas de validación (formato checkSchema de express-validator)
+ * Los mensajes con parámetros se crean con i18n.message y se traducen al formatear los errores;
+ * los nombres de los campos ("El título") también son traducibles.
+ */
+const { message, SUPPORTED_LOCALES } = require('../utils/i18n');
+
+// Mensaje sobre un campo: fieldMessage('{Label} debe ser un texto', 'El título')
+const fieldMessage = (text, label, params = {}) => message(text, { ...params, label: message(label) });
+
+/**
+ * Identificadores UUID en la ruta: uuidParams('jobId', 'proposalId')
+ */
+const uuidParams = (...names) => names.reduce((schema, name) => ({
+  ...schema,
+  [name]: {
+    in: ['params'],
+    isUUID: { errorMessage: 'Identificador no válido' }
+  }
+}), {});
+
+/**
+ * Texto obligatorio, sin espacios sobrantes y con longitud máxima
+ */
+const requiredText = (location, label, max) => ({
+  in: [location],
+  exists: { errorMessage: fieldMessage('Se requiere {label}', label), bail: true },
+  isString: { errorMessage: fieldMessage('{Label} debe ser un texto', label), bail: true },
+  trim: true,
+  notEmpty: { errorMessage: fieldMessage('Se requiere {label}', label), bail: true },
+  isLength: { options: { max }, errorMessage: fieldMessage('{Label} no puede superar los {max} caracteres', label, { max }) }
+});
+
+/**
+ * Texto opcional (puede ser vacío) con longitud máxima
+ */
+const optionalText = (location, label, max) => ({
+  in: [location],
+  optional: true,
+  isString: { errorMessage: fieldMessage('{Label} debe ser un texto', label), bail: true },
+  trim: true,
+  isLength: { options: { max }, errorMessage: fieldMessage('{Label} no puede superar los {max} caracteres', label, { max }) }
+});
+
+/**
+ * Número mayor que cero (se convierte a número)
+ */
+const positiveAmount = (location, label) => ({
+  in: [location],
+  isFloat: { options: { gt: 0 }, errorMessage: fieldMessage('{Label} debe ser un número mayor que cero', label) },
+  toFloat: true
+});
+
+/**
+ * Lista de habilidades: array de textos o texto separado por comas
+ */
+const skillList = (location) => ({
+  in: [location],
+  optional: true,
+  custom: {
+    options: (value) => (Array.isArray(value) ? value.every(item => typeof item === 'string') : typeof value === 'string'),
+    errorMessage: 'Las habilidades deben ser una lista de textos'
+  }
+});
+
+/**
+ * Idioma preferido; null vuelve a usar el de Accept-Language
+ */
+const localeField = (location) => ({
+  in: [location],
+  optional: { options: { values: 'undefined' } },
+  custom: {
+    options: (value) => value === null || SUPPORTED_LOCALES.includes(value),
+    errorMessage: message('Idioma no válido. Idiomas disponibles: {locales}', { locales: SUPPORTED_LOCALES.join(', ') })
+  }
+});
+
+/**
+ * Paginación por página (page, limit); el límite máximo lo aplica cada controlador
+ */
+const pageQuery = {
+  page: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'La página debe ser un número entero mayor que 0' }
+  },
+  limit: {
+    in: ['query'],
+    optional: true,
+    isInt: { options: { min: 1 }, errorMessage: 'El límite debe ser un número entero mayor que 0' }
+  }
+};
+
+/**
+ * Paginación por cursor (cursor opaco y limit)
+ */
+const cursorQuery = (name = 'cursor') => ({
+  [name]: {
+    in: ['query'],
+    optional: true,
+    isString: { errorMessage: 'Cursor de paginación no válido' }
+  },
+  limit: pageQuery.limit
+});
+
+module.exports = {
+  fieldMessage,
+  uuidParams,
+  requiredText,
+  optionalText,
+  positiveAmount,
+  skillList,
+  localeField,
+  pageQuery,
+  cursorQuery
+};
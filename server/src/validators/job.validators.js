@@ -0,0 +1,118 @@
+const { Job } = require('../models');
+const { SORTS } = require('../services/job-search.service');
+const { message } = require('../utils/i18n');
+const { fieldMessage, uuidParams, requiredText, optionalText, positiveAmount, skillList, pageQuery } = require('./common');
+
+const JOB_STATUSES = Job.rawAttributes.status.values;
+
+const optionalNumber = (label) => ({
+  in: ['query'],
+  optional: true,
+  isFloat: { options: { min: 0 }, errorMessage: fieldMessage('{Label} debe ser un número mayor o igual que cero', label) }
+});
+
+const status = (location, { optional = false } = {}) => ({
+  in: [location],
+  optional,
+  isIn: {
+    options: [JOB_STATUSES],
+    errorMessage: message('Estado no válido. Estados disponibles: {statuses}', { statuses: JOB_STATUSES.join(', ') })
+  }
+});
+
+exports.jobParams = uuidParams('jobId');
+exports.commentParams = uuidParams('commentId');
+exports.proposalParams = uuidParams('jobId', 'proposalId');
+exports.milestoneParams = uuidParams('jobId', 'milestoneId');
+
+exports.searchJobs = {
+  search: optionalText('query', 'El texto de búsqueda', 200),
+  category: optionalText('query', 'La categoría', 100),
+  status: status('query', { optional: true }),
+  budgetMin: optionalNumber('El presupuesto mínimo'),
+  budgetMax: optionalNumber('El presupuesto máximo'),
+  sort: {
+    in: ['query'],
+    optional: true,
+    isIn: {
+      options: [Object.keys(SORTS)],
+      errorMessage: message('Orden no válido. Opciones: {sorts}', { sorts: Object.keys(SORTS).join(', ') })
+    }
+  },
+  limit: pageQuery.limit,
+  cursor: { in: ['query'], optional: true, isString: { errorMessage: 'Cursor de paginación no válido' } }
+};
+
+exports.listPage = pageQuery;
+
+exports.jobPage = {
+  ...uuidParams('jobId'),
+  ...pageQuery
+};
+
+exports.createJob = {
+  title: requiredText('body', 'El título', 200),
+  description: requiredText('body', 'La descripción', 10000),
+  budget: positiveAmount('body', 'El presupuesto'),
+  category: requiredText('body', 'La categoría', 100),
+  skills: skillList('body')
+};
+
+exports.updateJob = {
+  ...uuidParams('jobId'),
+  title: { ...exports.createJob.title, optional: true },
+  description: { ...exports.createJob.description, optional: true },
+  budget: { ...exports.createJob.budget, optional: true },
+  category: { ...exports.createJob.category, optional: true },
+  skills: skillList('body'),
+  status: status('body', { optional: true })
+};
+
+exports.transitionJob = {
+  ...uuidParams('jobId'),
+  status: status('body'),
+  reason: optionalText('body', 'El motivo', 1000)
+};
+
+exports.addComment = {
+  ...uuidParams('jobId'),
+  content: requiredText('body', 'El comentario', 5000)
+};
+
+exports.addReply = {
+  ...uuidParams('commentId'),
+  content: requiredText('body', 'La respuesta', 5000)
+};
+
+exports.submitProposal = {
+  ...uuidParams('jobId'),
+  coverLetter: requiredText('body', 'La carta de presentación', 5000),
+  amount: positiveAmount('body', 'El monto'),
+  deliveryDays: {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 365 }, errorMessage: 'El plazo de entrega debe ser un número de días entre 1 y 365' },
+    toInt: true
+  }
+};
+
+exports.createMilestone = {
+  ...uuidParams('jobId'),
+  title: requiredText('body', 'El título', 200),
+  description: optionalText('body', 'La descripción', 5000),
+  amount: positiveAmount('body', 'El monto del hito'),
+  dueDate: {
+    in: ['body'],
+    optional: { options: { values: 'null' } },
+    isISO8601: { errorMessage: 'La fecha límite debe tener formato ISO 8601 (AAAA-MM-DD)' }
+  }
+};
+
+exports.createReview = {
+  ...uuidParams('jobId'),
+  rating: {
+    in: ['body'],
+    isInt: { options: { min: 1, max: 5 }, errorMessage: 'La valoración debe ser un número entre 1 y 5' },
+    toInt: true
+  },
+  comment: optionalText('body', 'El comentario', 2000)
+};
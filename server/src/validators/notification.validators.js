@@ -0,0 +1,3 @@
+const { uuidParams } = require('./common');
+
+exports.notificationParams = uuidParams('notificationId');
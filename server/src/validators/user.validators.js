@@ -0,0 +1,50 @@
+const { ROLES } = require('../config/permissions');
+const { message } = require('../utils/i18n');
+const { uuidParams, requiredText, optionalText, skillList, localeField, pageQuery } = require('./common');
+
+exports.userParams = uuidParams('userId');
+
+exports.searchUsers = {
+  query: optionalText('query', 'El texto de búsqueda', 100),
+  role: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['freelancer', 'client']], errorMessage: 'Rol no válido (freelancer o client)' }
+  },
+  minRating: {
+    in: ['query'],
+    optional: true,
+    isFloat: { options: { min: 0, max: 5 }, errorMessage: 'La valoración mínima debe estar entre 0 y 5' }
+  },
+  sort: {
+    in: ['query'],
+    optional: true,
+    isIn: { options: [['rating', 'reviews', 'name']], errorMessage: 'Orden no válido (rating, reviews o name)' }
+  }
+};
+
+exports.userReviews = {
+  ...uuidParams('userId'),
+  ...pageQuery
+};
+
+exports.updateProfile = {
+  name: { ...requiredText('body', 'El nombre', 100), optional: true },
+  bio: optionalText('body', 'La biografía', 2000),
+  skills: skillList('body'),
+  hourlyRate: {
+    in: ['body'],
+    optional: true,
+    isFloat: { options: { min: 0 }, errorMessage: 'La tarifa por hora debe ser un número mayor o igual que cero' },
+    toFloat: true
+  },
+  locale: localeField('body')
+};
+
+exports.updateUserRole = {
+  ...uuidParams('userId'),
+  role: {
+    in: ['body'],
+    isIn: { options: [ROLES], errorMessage: message('Rol no válido. Roles disponibles: {roles}', { roles: ROLES.join(', ') }) }
+  }
+};
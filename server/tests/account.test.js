@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session, UserToken, Job, sequelize } = require('../src/models');
+const { requireVerifiedEmail } = require('../src/middleware/auth');
+const authRoutes = require('../src/routes/auth.routes');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Salas cuyos sockets se han desconectado durante cada prueba
+const disconnected = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+app.set('io', {
+  in: (rooms) => ({ disconnectSockets: () => disconnected.push(rooms) })
+});
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildUser = (values = {}) => {
+  const user = User.build({ id: userId, name: 'Ana', email: 'ana@example.com', ...values });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Token de acceso de una sesión activa de `user`
+const authAs = (user) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: user.id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Correos mostrados por el transporte de consola
+const sentMails = () => console.log.mock.calls
+  .map(([text]) => String(text))
+  .filter(text => text.startsWith('[mailer]'));
+
+// Token incluido en el enlace del último correo enviado
+const lastMailToken = () => sentMails().pop().match(/\?token=([\w-]+)/)[1];
+
+let transaction;
+
+beforeEach(() => {
+  disconnected.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/register', () => {
+  it('crea la cuenta sin verificar y envía el enlace de verificación', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    jest.spyOn(User, 'create').mockImplementation(async (values) => buildUser(values));
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => Session.build(values));
+    jest.spyOn(UserToken, 'update').mockResolvedValue([0]);
+    const createToken = jest.spyOn(UserToken, 'create').mockResolvedValue({});
+
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: 'contraseña-segura' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.user.emailVerified).toBe(false);
+    expect(sentMails()).toHaveLength(1);
+    expect(sentMails()[0]).toContain('Para: ana@example.com');
+    expect(sentMails()[0]).toContain('http://localhost:8080/verify-email?token=');
+
+    // Solo se guarda el hash del token enviado
+    expect(createToken.mock.calls[0][0]).toMatchObject({ userId, type: 'email_verification', tokenHash: hashToken(lastMailToken()) });
+  });
+
+  it('exige una contraseña de al menos 8 caracteres', async () => {
+    const create = jest.spyOn(User, 'create');
+
+    const res = await request(app).post('/api/auth/register').send({ name: 'Ana', email: 'ana@example.com', password: 'corta' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'password', location: 'body', message: 'La contraseña debe tener entre 8 y 128 caracteres' }]);
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/verify-email', () => {
+  it('marca el email como verificado y consume el token', async () => {
+    const user = buildUser();
+    const userToken = UserToken.build({ userId, type: 'email_verification' });
+    jest.spyOn(userToken, 'save').mockResolvedValue(userToken);
+    const findToken = jest.spyOn(UserToken, 'findOne').mockResolvedValue(userToken);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 'token-del-correo' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.user.emailVerified).toBe(true);
+    expect(user.emailVerifiedAt).toBeInstanceOf(Date);
+    expect(userToken.usedAt).toBeInstanceOf(Date);
+    expect(findToken.mock.calls[0][0].where).toMatchObject({ tokenHash: hashToken('token-del-correo'), type: 'email_verification', usedAt: null });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('rechaza tokens inexistentes, usados o caducados', async () => {
+    jest.spyOn(UserToken, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/verify-email').send({ token: 'token-caducado' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('El enlace de verificación no es válido o ha caducado');
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
+
+describe('POST /api/auth/resend-verification', () => {
+  it('invalida el enlace anterior y envía uno nuevo', async () => {
+    const token = authAs(buildUser());
+    const invalidate = jest.spyOn(UserToken, 'update').mockResolvedValue([1]);
+    jest.spyOn(UserToken, 'create').mockResolvedValue({});
+
+    const res = await request(app).post('/api/auth/resend-verification').set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(invalidate.mock.calls[0][1]).toEqual({ where: { userId, type: 'email_verification', usedAt: null } });
+    expect(sentMails()).toHaveLength(1);
+  });
+
+  it('no reenvía si el email ya está verificado', async () => {
+    const res = await request(app).post('/api/auth/resend-verification').set('Authorization', authAs(buildUser({ emailVerified: true })));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('El correo electrónico ya está verificado');
+  });
+});
+
+describe('POST /api/auth/forgot-password', () => {
+  it('envía el enlace a las cuentas registradas y responde igual para las demás', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValueOnce(buildUser()).mockResolvedValueOnce(null);
+    jest.spyOn(UserToken, 'update').mockResolvedValue([0]);
+    jest.spyOn(UserToken, 'create').mockResolvedValue({});
+
+    const registered = await request(app).post('/api/auth/forgot-password').send({ email: 'ana@example.com' });
+    const unknown = await request(app).post('/api/auth/forgot-password').send({ email: 'nadie@example.com' });
+
+    expect(registered.status).toBe(200);
+    expect(unknown.body).toEqual(registered.body);
+    expect(sentMails()).toHaveLength(1);
+    expect(sentMails()[0]).toContain('/reset-password?token=');
+  });
+
+  it('responde igual aunque falle el envío del correo', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findOne').mockResolvedValue(buildUser());
+    jest.spyOn(UserToken, 'update').mockRejectedValue(new Error('conexión perdida'));
+
+    const res = await request(app).post('/api/auth/forgot-password').send({ email: 'ana@example.com' });
+
+    expect(res.status).toBe(200);
+  });
+});
+
+describe('POST /api/auth/reset-password', () => {
+  it('cambia la contraseña y cierra todas las sesiones', async () => {
+    const user = buildUser();
+    const userToken = UserToken.build({ userId, type: 'password_reset' });
+    jest.spyOn(userToken, 'save').mockResolvedValue(userToken);
+    jest.spyOn(UserToken, 'findOne').mockResolvedValue(userToken);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+    const findSessions = jest.spyOn(Session, 'findAll').mockResolvedValue([{ id: sessionId }]);
+    const revoke = jest.spyOn(Session, 'update').mockResolvedValue([1]);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token: 'token-del-correo', password: 'nueva-contraseña' });
+
+    expect(res.status).toBe(200);
+    expect(user.password).toBe('nueva-contraseña');
+    expect(user.passwordChangedAt).toBeInstanceOf(Date);
+    // Recibir el correo demuestra que el email es suyo
+    expect(user.emailVerified).toBe(true);
+    expect(findSessions.mock.calls[0][0].where).toEqual({ userId, revokedAt: null });
+    expect(revoke.mock.calls[0][0].revokedReason).toBe('password_reset');
+    expect(disconnected).toEqual([[`session:${sessionId}`]]);
+  });
+
+  it('valida la contraseña antes de consumir el token', async () => {
+    const findToken = jest.spyOn(UserToken, 'findOne');
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token: 'token-del-correo', password: 'corta' });
+
+    expect(res.status).toBe(400);
+    expect(findToken).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un token no válido', async () => {
+    jest.spyOn(UserToken, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).post('/api/auth/reset-password').send({ token: 'token-usado', password: 'nueva-contraseña' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('El enlace para restablecer la contraseña no es válido o ha caducado');
+  });
+});
+
+describe('POST /api/auth/change-password', () => {
+  it('exige la contraseña actual', async () => {
+    const user = buildUser();
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(false);
+
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', authAs(user))
+      .send({ currentPassword: 'incorrecta', newPassword: 'nueva-contraseña' });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('La contraseña actual no es correcta');
+    expect(user.save).not.toHaveBeenCalled();
+  });
+
+  it('cambia la contraseña y cierra las demás sesiones', async () => {
+    const user = buildUser();
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    const token = authAs(user);
+    const otherId = crypto.randomUUID();
+    const findSessions = jest.spyOn(Session, 'findAll').mockResolvedValue([{ id: otherId }]);
+    jest.spyOn(Session, 'update').mockResolvedValue([1]);
+
+    const res = await request(app)
+      .post('/api/auth/change-password')
+      .set('Authorization', token)
+      .send({ currentPassword: 'actual', newPassword: 'nueva-contraseña' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.revokedSessions).toBe(1);
+    expect(user.password).toBe('nueva-contraseña');
+    expect(findSessions.mock.calls[0][0].where.id).toEqual({ [Op.ne]: sessionId });
+    expect(disconnected).toEqual([[`session:${otherId}`]]);
+  });
+});
+
+describe('requireVerifiedEmail', () => {
+  it('impide publicar trabajos sin verificar el email', async () => {
+    const create = jest.spyOn(Job, 'create');
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', authAs(buildUser()))
+      .send({ title: 'Tienda online', description: 'Tienda con pasarela de pago', budget: 1000 });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Debes verificar tu correo electrónico para realizar esta acción');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('se desactiva con EMAIL_VERIFICATION_REQUIRED=false', () => {
+    const next = jest.fn();
+    process.env.EMAIL_VERIFICATION_REQUIRED = 'false';
+
+    try {
+      requireVerifiedEmail({ user: { emailVerified: false } }, {}, next);
+    } finally {
+      delete process.env.EMAIL_VERIFICATION_REQUIRED;
+    }
+
+    expect(next).toHaveBeenCalled();
+  });
+});
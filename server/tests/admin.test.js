@@ -0,0 +1,441 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const {
+  User,
+  Session,
+  Job,
+  Comment,
+  Reply,
+  Report,
+  AuditLog,
+  LedgerEntry,
+  Proposal,
+  JobStatusHistory,
+  Milestone,
+  Review,
+  SavedSearchMatch,
+  sequelize
+} = require('../src/models');
+const { getAccountRestriction } = require('../src/services/moderation.service');
+const adminRoutes = require('../src/routes/admin.routes');
+const authRoutes = require('../src/routes/auth.routes');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Salas cuyos sockets se han desconectado durante cada prueba
+const disconnected = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/admin', adminRoutes);
+app.use('/api/auth', authRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+app.set('io', {
+  in: (rooms) => ({ disconnectSockets: () => disconnected.push(rooms) })
+});
+
+const adminId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un usuario; verifyToken lo carga con la primera llamada a User.findByPk
+const authAs = (values = {}) => {
+  const user = User.build({ id: adminId, name: 'Admin', email: 'admin@example.com', role: 'admin', emailVerified: true, ...values });
+  jest.spyOn(User, 'findByPk').mockResolvedValueOnce(user);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: user.id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Usuario que devuelve la segunda llamada a User.findByPk (el objetivo de la moderación)
+const mockTarget = (values = {}) => {
+  const user = User.build({ id: crypto.randomUUID(), name: 'Luis', email: 'luis@example.com', role: 'client', ...values });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  jest.spyOn(User, 'findByPk').mockResolvedValueOnce(user);
+  return user;
+};
+
+let transaction;
+let audit;
+
+beforeEach(() => {
+  disconnected.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+    rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+  };
+  // Transacciones gestionadas (con callback) y manuales
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => (callback ? callback(transaction) : transaction));
+  audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getAccountRestriction', () => {
+  it('solo restringe las cuentas bloqueadas y las suspensiones vigentes', () => {
+    const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000);
+
+    expect(getAccountRestriction({ status: 'active' })).toBeNull();
+    expect(getAccountRestriction({ status: 'banned' })).toEqual({ status: 403, code: 'ACCOUNT_BANNED', message: 'Tu cuenta ha sido bloqueada' });
+    expect(getAccountRestriction({ status: 'suspended' })).toEqual({ status: 403, code: 'ACCOUNT_SUSPENDED', message: 'Tu cuenta está suspendida' });
+    expect(getAccountRestriction({ status: 'suspended', suspendedUntil: tomorrow })).toMatchObject({
+      message: 'Tu cuenta está suspendida hasta el {until}',
+      params: { until: tomorrow.toISOString().slice(0, 10) }
+    });
+    expect(getAccountRestriction({ status: 'suspended', suspendedUntil: new Date(Date.now() - 1000) })).toBeNull();
+  });
+});
+
+describe('moderación de cuentas', () => {
+  const moderate = (user, action, body = {}) => request(app)
+    .post(`/api/admin/users/${user.id}/${action}`)
+    .set('Authorization', authAs())
+    .send(body);
+
+  it('suspender registra la acción y cierra las sesiones del usuario', async () => {
+    const until = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
+    const token = authAs();
+    const target = mockTarget();
+    const targetSession = crypto.randomUUID();
+    jest.spyOn(Session, 'findAll').mockResolvedValue([{ id: targetSession }]);
+    const revoke = jest.spyOn(Session, 'update').mockResolvedValue([1]);
+
+    const res = await request(app)
+      .post(`/api/admin/users/${target.id}/suspend`)
+      .set('Authorization', token)
+      .send({ reason: 'Spam', until: until.toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(target).toMatchObject({ status: 'suspended', suspendedUntil: until, moderationReason: 'Spam' });
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: adminId,
+      action: 'user.suspend',
+      targetType: 'user',
+      targetId: target.id,
+      reason: 'Spam',
+      metadata: { previousStatus: 'active', suspendedUntil: until }
+    }), { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(revoke.mock.calls[0][0].revokedReason).toBe('user.suspend');
+    expect(disconnected).toEqual([[`session:${targetSession}`]]);
+  });
+
+  it('reactivar una cuenta no cierra sus sesiones', async () => {
+    const token = authAs();
+    const target = mockTarget({ status: 'banned', moderationReason: 'Fraude' });
+    const findSessions = jest.spyOn(Session, 'findAll');
+
+    const res = await request(app).post(`/api/admin/users/${target.id}/reinstate`).set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(target).toMatchObject({ status: 'active', moderationReason: null });
+    expect(audit.mock.calls[0][0].action).toBe('user.reinstate');
+    expect(findSessions).not.toHaveBeenCalled();
+  });
+
+  it('no permite moderar la propia cuenta ni a otros administradores', async () => {
+    const own = await moderate({ id: adminId }, 'ban');
+    const token = authAs();
+    const otherAdmin = mockTarget({ role: 'admin' });
+    const admin = await request(app).post(`/api/admin/users/${otherAdmin.id}/ban`).set('Authorization', token);
+
+    expect(own.status).toBe(400);
+    expect(own.body.message).toBe('No puedes moderar tu propia cuenta');
+    expect(admin.status).toBe(400);
+    expect(admin.body.message).toBe('No se puede suspender ni bloquear a un administrador');
+    expect(audit).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalledTimes(2);
+  });
+
+  it('exige que la suspensión termine en el futuro', async () => {
+    const token = authAs();
+    const target = mockTarget();
+
+    const res = await request(app)
+      .post(`/api/admin/users/${target.id}/suspend`)
+      .set('Authorization', token)
+      .send({ until: '2020-01-01' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('La fecha de fin de la suspensión debe ser futura');
+    expect(target.save).not.toHaveBeenCalled();
+  });
+
+  it('responde 404 si el usuario no existe', async () => {
+    const token = authAs();
+    jest.spyOn(User, 'findByPk').mockResolvedValueOnce(null);
+
+    const res = await request(app).post(`/api/admin/users/${crypto.randomUUID()}/ban`).set('Authorization', token);
+
+    expect(res.status).toBe(404);
+  });
+
+  it('rechaza identificadores de usuario que no son UUID', async () => {
+    const res = await request(app).post('/api/admin/users/123/ban').set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'userId', location: 'params' });
+    expect(audit).not.toHaveBeenCalled();
+  });
+
+  it('rechaza roles y estados desconocidos al listar usuarios', async () => {
+    const findUsers = jest.spyOn(User, 'findAndCountAll');
+
+    const byRole = await request(app).get('/api/admin/users?role=superuser').set('Authorization', authAs());
+    const byStatus = await request(app).get('/api/admin/users?status=deleted').set('Authorization', authAs());
+
+    expect(byRole.status).toBe(400);
+    expect(byRole.body.errors).toEqual([{ field: 'role', location: 'query', message: 'Rol no válido. Roles disponibles: client, freelancer, admin' }]);
+    expect(byStatus.status).toBe(400);
+    expect(byStatus.body.errors).toEqual([{ field: 'status', location: 'query', message: 'Estado no válido. Estados disponibles: active, suspended, banned' }]);
+    expect(findUsers).not.toHaveBeenCalled();
+  });
+
+  it('solo los administradores acceden a la moderación', async () => {
+    const res = await request(app).get('/api/admin/users').set('Authorization', authAs({ id: crypto.randomUUID(), role: 'client' }));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('cuentas restringidas', () => {
+  it('verifyToken rechaza a los usuarios bloqueados', async () => {
+    const res = await request(app)
+      .get('/api/auth/verify')
+      .set('Authorization', authAs({ id: crypto.randomUUID(), role: 'client', status: 'banned' }));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Tu cuenta ha sido bloqueada');
+  });
+
+  it('una cuenta suspendida no puede iniciar sesión', async () => {
+    const user = User.build({ email: 'luis@example.com', status: 'suspended' });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const createSession = jest.spyOn(Session, 'create');
+
+    const res = await request(app).post('/api/auth/login').send({ email: 'luis@example.com', password: 'secreto123' });
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('Tu cuenta está suspendida');
+    expect(createSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('moderación de contenido', () => {
+  it('oculta un trabajo, lo registra y deja de mostrarlo', async () => {
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Trabajo sospechoso', userId: crypto.randomUUID() });
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    jest.spyOn(Job, 'findOne').mockResolvedValue(job);
+
+    const res = await request(app)
+      .post(`/api/admin/jobs/${job.id}/hide`)
+      .set('Authorization', authAs())
+      .send({ reason: 'Estafa' });
+    const detail = await request(app).get(`/api/jobs/${job.id}`);
+
+    expect(res.status).toBe(200);
+    expect(job.hiddenAt).toBeInstanceOf(Date);
+    expect(job.hiddenReason).toBe('Estafa');
+    expect(audit.mock.calls[0][0]).toMatchObject({
+      action: 'job.hide',
+      targetType: 'job',
+      targetId: job.id,
+      metadata: { userId: job.userId, title: 'Trabajo sospechoso' }
+    });
+    expect(detail.status).toBe(404);
+  });
+
+  it('mostrar de nuevo un contenido limpia el motivo', async () => {
+    const reply = Reply.build({ id: crypto.randomUUID(), content: 'Respuesta', hiddenAt: new Date(), hiddenReason: 'Spam' });
+    jest.spyOn(reply, 'save').mockResolvedValue(reply);
+    jest.spyOn(Reply, 'findByPk').mockResolvedValue(reply);
+
+    const res = await request(app).post(`/api/admin/replies/${reply.id}/unhide`).set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(reply.hiddenAt).toBeNull();
+    expect(reply.hiddenReason).toBeNull();
+    expect(audit.mock.calls[0][0].action).toBe('reply.unhide');
+  });
+
+  it('eliminar un comentario elimina también sus respuestas', async () => {
+    const comment = Comment.build({ id: crypto.randomUUID(), content: 'Comentario ofensivo', userId: crypto.randomUUID() });
+    jest.spyOn(comment, 'destroy').mockResolvedValue();
+    jest.spyOn(Comment, 'findByPk').mockResolvedValue(comment);
+    const destroyReplies = jest.spyOn(Reply, 'destroy').mockResolvedValue(2);
+
+    const res = await request(app).delete(`/api/admin/comments/${comment.id}`).set('Authorization', authAs()).send({ reason: 'Insultos' });
+
+    expect(res.status).toBe(200);
+    expect(destroyReplies).toHaveBeenCalledWith({ where: { commentId: comment.id } });
+    expect(comment.destroy).toHaveBeenCalled();
+    expect(audit.mock.calls[0][0]).toMatchObject({ action: 'comment.delete', reason: 'Insultos', metadata: { content: 'Comentario ofensivo' } });
+  });
+
+  it('eliminar un trabajo elimina en una transacción su contenido, valoraciones, denuncias y coincidencias', async () => {
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Trabajo fraudulento' });
+    const commentId = crypto.randomUUID();
+    const replyId = crypto.randomUUID();
+    for (const method of ['destroy', 'setLikedBy', 'setSavedBy']) {
+      jest.spyOn(job, method).mockResolvedValue();
+    }
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    jest.spyOn(LedgerEntry, 'count').mockResolvedValue(0);
+    jest.spyOn(Comment, 'findAll').mockResolvedValue([Comment.build({ id: commentId })]);
+    jest.spyOn(Reply, 'findAll').mockResolvedValue([Reply.build({ id: replyId })]);
+    const destroyed = [Report, Reply, Comment, Proposal, JobStatusHistory, Milestone, Review, SavedSearchMatch]
+      .map(model => jest.spyOn(model, 'destroy').mockResolvedValue(1));
+
+    const res = await request(app).delete(`/api/admin/jobs/${job.id}`).set('Authorization', authAs()).send({ reason: 'Estafa' });
+
+    expect(res.status).toBe(200);
+    const [reports, replies, comments, ...byJob] = destroyed.map(destroy => destroy.mock.calls[0][0]);
+    expect(reports.where[Op.or]).toEqual([
+      { targetType: 'job', targetId: job.id },
+      { targetType: 'comment', targetId: [commentId] },
+      { targetType: 'reply', targetId: [replyId] }
+    ]);
+    expect(replies.where).toEqual({ commentId: [commentId] });
+    expect(comments.where).toEqual({ jobId: job.id });
+    for (const options of byJob) {
+      expect(options).toEqual({ where: { jobId: job.id }, transaction });
+    }
+    for (const options of [reports, replies, comments]) {
+      expect(options.transaction).toBe(transaction);
+    }
+    expect(job.destroy).toHaveBeenCalledWith({ transaction });
+    expect(audit.mock.calls[0][0]).toMatchObject({ action: 'job.delete', reason: 'Estafa' });
+  });
+
+  it('no elimina trabajos con pagos registrados', async () => {
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Trabajo pagado' });
+    jest.spyOn(job, 'destroy');
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    jest.spyOn(LedgerEntry, 'count').mockResolvedValue(2);
+
+    const res = await request(app).delete(`/api/admin/jobs/${job.id}`).set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No se puede eliminar un trabajo con pagos registrados');
+    expect(job.destroy).not.toHaveBeenCalled();
+    expect(audit).not.toHaveBeenCalled();
+  });
+
+  it('responde 404 si el contenido no existe', async () => {
+    jest.spyOn(Comment, 'findByPk').mockResolvedValue(null);
+
+    const res = await request(app).post(`/api/admin/comments/${crypto.randomUUID()}/hide`).set('Authorization', authAs());
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Comentario no encontrado');
+  });
+
+  it('rechaza identificadores de contenido que no son UUID', async () => {
+    const findComment = jest.spyOn(Comment, 'findByPk');
+
+    const res = await request(app).delete('/api/admin/comments/123').set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'contentId', location: 'params' });
+    expect(findComment).not.toHaveBeenCalled();
+  });
+});
+
+describe('denuncias', () => {
+  it('lista las denuncias pendientes con su objetivo', async () => {
+    const jobId = crypto.randomUUID();
+    const report = Report.build({ id: crypto.randomUUID(), targetType: 'job', targetId: jobId, reason: 'spam', status: 'pending' });
+    const findReports = jest.spyOn(Report, 'findAndCountAll').mockResolvedValue({ count: 1, rows: [report] });
+    const findJobs = jest.spyOn(Job, 'findAll').mockResolvedValue([Job.build({ id: jobId, title: 'Trabajo denunciado' })]);
+
+    const res = await request(app).get('/api/admin/reports').set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(findReports.mock.calls[0][0].where).toEqual({ status: 'pending' });
+    expect(findJobs.mock.calls[0][0].where).toEqual({ id: [jobId] });
+    expect(res.body.reports[0].target).toMatchObject({ id: jobId, title: 'Trabajo denunciado' });
+    expect(res.body.total).toBe(1);
+  });
+
+  it('rechaza estados y tipos de contenido desconocidos al listar denuncias', async () => {
+    const findReports = jest.spyOn(Report, 'findAndCountAll');
+
+    const byStatus = await request(app).get('/api/admin/reports?status=open').set('Authorization', authAs());
+    const byType = await request(app).get('/api/admin/reports?targetType=review').set('Authorization', authAs());
+
+    expect(byStatus.status).toBe(400);
+    expect(byStatus.body.errors[0]).toMatchObject({ field: 'status', location: 'query' });
+    expect(byType.status).toBe(400);
+    expect(byType.body.errors).toEqual([{ field: 'targetType', location: 'query', message: 'Tipo de contenido no válido' }]);
+    expect(findReports).not.toHaveBeenCalled();
+  });
+
+  it('lista las denuncias de cualquier estado con status=all', async () => {
+    const findReports = jest.spyOn(Report, 'findAndCountAll').mockResolvedValue({ count: 0, rows: [] });
+
+    const res = await request(app).get('/api/admin/reports?status=all&targetType=comment').set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(findReports.mock.calls[0][0].where).toEqual({ targetType: 'comment' });
+  });
+
+  it('cierra la denuncia junto con las demás pendientes del mismo objetivo', async () => {
+    const report = Report.build({ id: crypto.randomUUID(), targetType: 'comment', targetId: crypto.randomUUID(), reason: 'spam' });
+    jest.spyOn(report, 'reload').mockResolvedValue(report);
+    jest.spyOn(Report, 'findByPk').mockResolvedValue(report);
+    const close = jest.spyOn(Report, 'update').mockResolvedValue([3]);
+
+    const res = await request(app).put(`/api/admin/reports/${report.id}`).set('Authorization', authAs()).send({ status: 'resolved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ closed: 3, unhidden: false });
+    expect(close).toHaveBeenCalledWith(
+      expect.objectContaining({ status: 'resolved', resolvedById: adminId }),
+      { where: { targetType: 'comment', targetId: report.targetId, status: 'pending' } }
+    );
+    expect(audit.mock.calls[0][0]).toMatchObject({
+      action: 'report.resolve',
+      targetType: 'report',
+      targetId: report.id,
+      metadata: { targetType: 'comment', targetId: report.targetId, closed: 3, unhidden: false }
+    });
+  });
+
+  it('rechaza estados de cierre no válidos', async () => {
+    const res = await request(app).put(`/api/admin/reports/${crypto.randomUUID()}`).set('Authorization', authAs()).send({ status: 'pending' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Estado no válido. Usa resolved o dismissed');
+  });
+});
+
+describe('GET /api/admin/audit-logs', () => {
+  it('filtra el log de auditoría', async () => {
+    const findLogs = jest.spyOn(AuditLog, 'findAndCountAll').mockResolvedValue({ count: 0, rows: [] });
+
+    const res = await request(app).get(`/api/admin/audit-logs?action=user.ban&actorId=${adminId}&limit=500`).set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(findLogs.mock.calls[0][0]).toMatchObject({ where: { action: 'user.ban', actorId: adminId }, limit: 100, offset: 0 });
+  });
+
+  it('rechaza identificadores de filtro que no son UUID', async () => {
+    const findLogs = jest.spyOn(AuditLog, 'findAndCountAll');
+
+    const res = await request(app).get('/api/admin/audit-logs?targetId=123').set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'targetId', location: 'query', message: 'El objetivo no es válido' }]);
+    expect(findLogs).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,214 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const sharp = require('sharp');
+
+// Los archivos se guardan en un directorio temporal (el driver local lo lee al crearse)
+const storageDir = fs.mkdtempSync(path.join(os.tmpdir(), 'attachments-'));
+process.env.STORAGE_LOCAL_DIR = storageDir;
+process.env.JWT_SECRET = 'test-secret';
+
+const { User, Session, Chat, Message, ChatParticipant, Attachment, sequelize } = require('../src/models');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+const emitted = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+});
+
+const userId = crypto.randomUUID();
+const chatId = crypto.randomUUID();
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Archivos guardados en el almacenamiento, relativos al directorio base
+const storedFiles = (dir = storageDir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry =>
+  (entry.isDirectory() ? storedFiles(path.join(dir, entry.name)) : [path.relative(storageDir, path.join(dir, entry.name))]));
+
+let png;
+let transaction;
+let attachments;
+
+beforeAll(async () => {
+  png = await sharp({ create: { width: 800, height: 600, channels: 3, background: '#3366ff' } }).png().toBuffer();
+});
+
+beforeEach(() => {
+  emitted.length = 0;
+  attachments = [];
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+
+  transaction = {
+    LOCK: { UPDATE: 'UPDATE' },
+    commit: jest.fn(async () => { transaction.finished = 'commit'; }),
+    rollback: jest.fn(async () => { transaction.finished = 'rollback'; })
+  };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  // Las consultas de estado de lectura no afectan a estas pruebas
+  jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+
+  jest.spyOn(ChatParticipant, 'findOne').mockImplementation(async ({ where }) =>
+    (where.chatId === chatId && where.userId === userId ? ChatParticipant.build(where) : null));
+  jest.spyOn(Message, 'create').mockImplementation(async (values) => Message.build({ id: crypto.randomUUID(), ...values }));
+  jest.spyOn(Message, 'findByPk').mockImplementation(async (id) => Message.build({ id, content: '', chatId, userId }));
+  jest.spyOn(Chat, 'update').mockResolvedValue([1]);
+  jest.spyOn(Attachment, 'create').mockImplementation(async (values) => {
+    const attachment = Attachment.build(values);
+    attachments.push(attachment);
+    return attachment;
+  });
+  jest.spyOn(Attachment, 'findOne').mockImplementation(async ({ where }) =>
+    attachments.find(attachment => attachment.id === where.id && attachment.chatId === where.chatId) || null);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  fs.rmSync(storageDir, { recursive: true, force: true });
+  fs.mkdirSync(storageDir);
+});
+
+afterAll(() => {
+  fs.rmSync(storageDir, { recursive: true, force: true });
+});
+
+const upload = (files, targetChatId = chatId) => {
+  const req = request(app).post(`/api/chats/${targetChatId}/attachments`).set('Authorization', token()).field('content', 'Te paso los archivos');
+  for (const [buffer, name, contentType] of files) {
+    req.attach('files', buffer, { filename: name, contentType });
+  }
+  return req;
+};
+
+describe('POST /api/chats/:chatId/attachments', () => {
+  it('guarda los archivos, genera la miniatura de las imágenes y avisa al chat', async () => {
+    const res = await upload([
+      [png, 'Propuesta.PNG', 'image/png'],
+      [Buffer.from('presupuesto'), 'presupuesto.txt', 'text/plain']
+    ]);
+
+    expect(res.status).toBe(201);
+    const [image, text] = res.body.chatMessage.attachments;
+    expect(image).toMatchObject({ fileName: 'Propuesta.PNG', mimeType: 'image/png', width: 800, height: 600 });
+    expect(image.url).toBe(`/api/chats/${chatId}/attachments/${image.id}`);
+    expect(image.thumbnailUrl).toBe(`/api/chats/${chatId}/attachments/${image.id}/thumbnail`);
+    expect(text).toMatchObject({ fileName: 'presupuesto.txt', size: 11, thumbnailUrl: null });
+
+    expect(storedFiles().sort()).toEqual([
+      `attachments/${chatId}/${image.id}.png`,
+      `attachments/${chatId}/${text.id}.txt`,
+      `attachments/${chatId}/thumbnails/${image.id}.webp`
+    ].sort());
+    const thumbnail = await sharp(path.join(storageDir, `attachments/${chatId}/thumbnails/${image.id}.webp`)).metadata();
+    expect(Math.max(thumbnail.width, thumbnail.height)).toBe(320);
+
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(emitted).toEqual([{ room: `chat:${chatId}`, event: 'new_message', payload: res.body.chatMessage }]);
+  });
+
+  it('rechaza tipos de archivo no permitidos', async () => {
+    const res = await upload([[Buffer.from('MZ'), 'instalador.exe', 'application/x-msdownload']]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Tipo de archivo no permitido');
+  });
+
+  it('exige al menos un archivo', async () => {
+    const res = await request(app).post(`/api/chats/${chatId}/attachments`).set('Authorization', token());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No se ha subido ningún archivo');
+  });
+
+  it('solo los participantes suben archivos al chat', async () => {
+    const res = await upload([[png, 'propuesta.png', 'image/png']], crypto.randomUUID());
+
+    expect(res.status).toBe(403);
+    expect(storedFiles()).toEqual([]);
+  });
+
+  it('elimina los archivos guardados si falla la transacción', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Chat, 'update').mockRejectedValue(new Error('conexión perdida'));
+
+    const res = await upload([[png, 'propuesta.png', 'image/png']]);
+
+    expect(res.status).toBe(500);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(storedFiles()).toEqual([]);
+  });
+
+  it('elimina el archivo y la miniatura de un adjunto que no se llega a registrar', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    // El primer adjunto se registra; el segundo falla después de guardar sus archivos
+    jest.spyOn(Attachment, 'create')
+      .mockImplementationOnce(async (values) => Attachment.build(values))
+      .mockRejectedValueOnce(new Error('conexión perdida'));
+
+    const res = await upload([
+      [Buffer.from('%PDF-1.4'), 'presupuesto.pdf', 'application/pdf'],
+      [png, 'propuesta.png', 'image/png']
+    ]);
+
+    expect(res.status).toBe(500);
+    expect(transaction.rollback).toHaveBeenCalled();
+    expect(storedFiles()).toEqual([]);
+  });
+});
+
+describe('GET /api/chats/:chatId/attachments/:attachmentId', () => {
+  it('descarga el archivo original y su miniatura', async () => {
+    const uploaded = await upload([[png, 'propuesta.png', 'image/png']]);
+    const [{ url, thumbnailUrl }] = uploaded.body.chatMessage.attachments;
+
+    const original = await request(app).get(url).set('Authorization', token()).buffer(true).parse((res, done) => {
+      const chunks = [];
+      res.on('data', chunk => chunks.push(chunk));
+      res.on('end', () => done(null, Buffer.concat(chunks)));
+    });
+    const thumbnail = await request(app).get(thumbnailUrl).set('Authorization', token());
+
+    expect(original.status).toBe(200);
+    expect(original.headers['content-type']).toBe('image/png');
+    expect(original.headers['content-disposition']).toContain('attachment');
+    expect(original.headers['x-content-type-options']).toBe('nosniff');
+    expect(Buffer.compare(original.body, png)).toBe(0);
+    expect(thumbnail.status).toBe(200);
+    expect(thumbnail.headers['content-type']).toBe('image/webp');
+  });
+
+  it('no da acceso a quien no participa en el chat', async () => {
+    const uploaded = await upload([[png, 'propuesta.png', 'image/png']]);
+    const [{ id }] = uploaded.body.chatMessage.attachments;
+
+    const res = await request(app).get(`/api/chats/${crypto.randomUUID()}/attachments/${id}`).set('Authorization', token());
+
+    expect(res.status).toBe(403);
+  });
+
+  it('responde 404 si el adjunto no tiene miniatura', async () => {
+    const uploaded = await upload([[Buffer.from('presupuesto'), 'presupuesto.txt', 'text/plain']]);
+    const [{ id }] = uploaded.body.chatMessage.attachments;
+
+    const res = await request(app).get(`/api/chats/${chatId}/attachments/${id}/thumbnail`).set('Authorization', token());
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Archivo no encontrado');
+  });
+});
@@ -0,0 +1,141 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, sequelize } = require('../src/models');
+const { decodeCursor } = require('../src/utils/cursor');
+const { getPresence, usePresenceStore } = require('../src/services/presence.service');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+
+const userId = crypto.randomUUID();
+const friendId = crypto.randomUUID();
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Fila de chat tal como la devuelve la consulta de la bandeja (con nest: true)
+const chatRow = (minute, { isGroup = false, withMessage = true } = {}) => {
+  const id = crypto.randomUUID();
+  const timestamp = `2026-10-19T10:${String(minute).padStart(2, '0')}:00.000001Z`;
+  return {
+    id,
+    name: isGroup ? 'Equipo' : null,
+    isGroup,
+    lastMessageAt: timestamp,
+    cursorTs: timestamp,
+    lastMessage: withMessage
+      ? { id: crypto.randomUUID(), content: `Hola ${minute}`, senderId: friendId, user: { id: friendId, name: 'Luis' } }
+      : { id: null, content: null, senderId: null, user: { id: null, name: null } }
+  };
+};
+
+/**
+ * Responder a las consultas de la bandeja: chats, participantes y mensajes sin leer
+ * Devuelve el spy para comprobar el SQL y los parámetros de cada consulta.
+ */
+const mockInboxQueries = ({ chats = [], participants = [], unread = [] }) => jest.spyOn(sequelize, 'query')
+  .mockImplementation(async (sql) => {
+    if (sql.includes('LEFT JOIN LATERAL')) return chats;
+    if (sql.includes('COUNT(m.id)')) return unread;
+    if (sql.includes('cp."chatId" IN (:chatIds)')) return participants;
+    return [];
+  });
+
+const getChats = (query = '') => request(app).get(`/api/chats${query}`).set('Authorization', token());
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  usePresenceStore(null);
+});
+
+describe('GET /api/chats', () => {
+  it('devuelve los chats con su último mensaje, participantes y mensajes sin leer', async () => {
+    const privateChat = chatRow(5);
+    const groupChat = chatRow(4, { isGroup: true, withMessage: false });
+    const query = mockInboxQueries({
+      chats: [privateChat, groupChat],
+      participants: [
+        { chatId: privateChat.id, id: userId, name: 'Usuario' },
+        // isOnline de la tabla está desfasado: manda la presencia
+        { chatId: privateChat.id, id: friendId, name: 'Luis', isOnline: false },
+        { chatId: groupChat.id, id: userId, name: 'Usuario' }
+      ],
+      unread: [{ chatId: privateChat.id, unreadCount: 2 }]
+    });
+    await getPresence().addSocket(friendId, 'socket-1');
+
+    const res = await getChats();
+
+    expect(res.status).toBe(200);
+    const [first, second] = res.body.chats;
+    expect(first).toMatchObject({ id: privateChat.id, unreadCount: 2, lastMessage: { content: 'Hola 5' } });
+    expect(first.participants.map(participant => participant.id)).toEqual([userId, friendId]);
+    expect(first.otherParticipant).toEqual({ id: friendId, name: 'Luis', isOnline: true });
+    expect(first.cursorTs).toBeUndefined();
+    expect(second).toMatchObject({ id: groupChat.id, lastMessage: null, otherParticipant: null, unreadCount: 0 });
+    expect(res.body).toMatchObject({ nextCursor: null, hasMore: false, limit: 20 });
+
+    // Solo los chats en los que participa el usuario
+    const [inboxSql, inboxOptions] = query.mock.calls[0];
+    expect(inboxSql).toContain('WHERE me."userId" = :userId');
+    expect(inboxOptions.replacements).toMatchObject({ userId, limit: 21 });
+  });
+
+  it('pagina con un cursor a partir del último chat de la página', async () => {
+    const chats = [chatRow(9), chatRow(8), chatRow(7)];
+    const query = mockInboxQueries({ chats });
+
+    const res = await getChats('?limit=2');
+
+    expect(res.body.chats.map(chat => chat.id)).toEqual([chats[0].id, chats[1].id]);
+    expect(res.body.hasMore).toBe(true);
+    expect(decodeCursor(res.body.nextCursor)).toEqual({ v: chats[1].cursorTs, id: chats[1].id });
+
+    await getChats(`?limit=2&cursor=${res.body.nextCursor}`);
+
+    const [nextSql, nextOptions] = query.mock.calls.filter(([sql]) => sql.includes('LEFT JOIN LATERAL'))[1];
+    expect(nextSql).toContain('< (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))');
+    expect(nextOptions.replacements).toMatchObject({ cursorTs: chats[1].cursorTs, cursorId: chats[1].id });
+  });
+
+  it('rechaza un cursor no válido', async () => {
+    const query = mockInboxQueries({});
+
+    const tampered = Buffer.from(JSON.stringify({ v: '2026-10-19T10:00:00Z', id: "x' OR 1=1" })).toString('base64url');
+
+    const res = await getChats('?cursor=roto');
+    const tamperedRes = await getChats(`?cursor=${tampered}`);
+
+    expect(res.status).toBe(400);
+    expect(tamperedRes.status).toBe(400);
+    expect(res.body.message).toBe('Cursor de paginación no válido');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('no consulta participantes si no hay chats', async () => {
+    const query = mockInboxQueries({});
+
+    const res = await getChats();
+
+    expect(res.body.chats).toEqual([]);
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,90 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Message, Attachment, sequelize } = require('../src/models');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Salas de las que se han sacado sockets durante cada prueba
+const leaves = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', {
+  to: () => ({ emit: () => {} }),
+  in: (room) => ({ socketsLeave: (target) => leaves.push({ room, target }) })
+});
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+const chatId = crypto.randomUUID();
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Ana', email: 'ana@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+/**
+ * Responder a las consultas SQL de leaveChat; `remaining` es el número de participantes
+ * que quedan tras abandonar el chat
+ */
+const mockChatQueries = ({ isParticipant = true, remaining = 2 } = {}) => jest.spyOn(sequelize, 'query')
+  .mockImplementation(async (sql) => {
+    if (sql.includes('COUNT(*)')) return [{ count: String(remaining) }];
+    if (sql.includes('SELECT * FROM "Chats"')) return [{ id: chatId, name: 'Equipo', isGroup: true }];
+    if (sql.includes('SELECT 1 FROM "ChatParticipants"')) return isParticipant ? [{ '?column?': 1 }] : [];
+    return [];
+  });
+
+const leave = () => request(app).delete(`/api/chats/${chatId}/leave`).set('Authorization', token());
+
+beforeEach(() => {
+  leaves.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue({ LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('DELETE /api/chats/:chatId/leave', () => {
+  it('saca los sockets del usuario de la sala del chat', async () => {
+    mockChatQueries();
+    const create = jest.spyOn(Message, 'create').mockResolvedValue({ id: crypto.randomUUID() });
+
+    const res = await leave();
+
+    expect(res.status).toBe(200);
+    expect(leaves).toEqual([{ room: `user:${userId}`, target: `chat:${chatId}` }]);
+    expect(create).toHaveBeenCalledWith(
+      expect.objectContaining({ chatId, userId, systemKey: 'participant_left' }),
+      expect.anything()
+    );
+  });
+
+  it('también los saca cuando el chat se elimina por quedar vacío', async () => {
+    mockChatQueries({ remaining: 0 });
+    jest.spyOn(Attachment, 'findAll').mockResolvedValue([]);
+
+    const res = await leave();
+
+    expect(res.status).toBe(200);
+    expect(leaves).toEqual([{ room: `user:${userId}`, target: `chat:${chatId}` }]);
+  });
+
+  it('no toca las salas si el usuario no es participante', async () => {
+    mockChatQueries({ isParticipant: false });
+
+    const res = await leave();
+
+    expect(res.status).toBe(400);
+    expect(leaves).toHaveLength(0);
+  });
+});
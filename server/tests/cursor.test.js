@@ -0,0 +1,43 @@
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+
+const ID = '3f1c2b7e-9a4d-4e6f-8b21-5c0d9e8f7a61';
+const TIMESTAMP = '2026-10-19T12:34:56.123456Z';
+
+describe('cursores de paginación', () => {
+  it('decodifica el cursor que genera encodeCursor', () => {
+    expect(decodeCursor(encodeCursor(TIMESTAMP, ID))).toEqual({ v: TIMESTAMP, id: ID });
+    expect(decodeCursor(encodeCursor(42.5, ID), 'number')).toEqual({ v: 42.5, id: ID });
+  });
+
+  it('conserva la precisión de microsegundos del timestamp', () => {
+    expect(decodeCursor(encodeCursor(TIMESTAMP, ID)).v).toBe(TIMESTAMP);
+  });
+
+  it('rechaza textos que no son un cursor', () => {
+    expect(decodeCursor(undefined)).toBeNull();
+    expect(decodeCursor(123)).toBeNull();
+    expect(decodeCursor('no-es-un-cursor')).toBeNull();
+    expect(decodeCursor(Buffer.from('"texto"').toString('base64url'))).toBeNull();
+  });
+
+  it('rechaza cursores sin valor o sin id', () => {
+    expect(decodeCursor(Buffer.from(JSON.stringify({ v: null, id: ID })).toString('base64url'))).toBeNull();
+    expect(decodeCursor(Buffer.from(JSON.stringify({ v: TIMESTAMP })).toString('base64url'))).toBeNull();
+  });
+
+  it('rechaza ids que no son UUID', () => {
+    expect(decodeCursor(encodeCursor(TIMESTAMP, '1; DROP TABLE "Jobs"'))).toBeNull();
+    expect(decodeCursor(encodeCursor(TIMESTAMP, 42))).toBeNull();
+  });
+
+  it.each([
+    ['timestamp', 42],
+    ['timestamp', '19/10/2026'],
+    ['timestamp', '2026-13-45T10:00:00Z'],
+    ['number', '500'],
+    ['number', null],
+    ['desconocido', 500]
+  ])('rechaza un valor que no es de tipo %s: %p', (valueType, value) => {
+    expect(decodeCursor(encodeCursor(value, ID), valueType)).toBeNull();
+  });
+});
@@ -0,0 +1,167 @@
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { verifyToken } = require('../src/middleware/auth');
+const { notFoundHandler, errorHandler } = require('../src/middleware/error-handler');
+const {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  TooManyRequestsError,
+  fromServiceError,
+  toErrorResponse,
+  emitSocketError
+} = require('../src/utils/errors');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.get('/api/test/bad-request', (req, res, next) => next(new BadRequestError('Falta el título')));
+app.get('/api/test/crash', () => {
+  throw new Error('fallo inesperado');
+});
+app.post('/api/test/echo', (req, res) => res.json({ success: true }));
+app.get('/api/test/private', verifyToken, (req, res) => res.json({ success: true }));
+app.use('/api', notFoundHandler);
+app.use(errorHandler);
+
+const nodeEnv = process.env.NODE_ENV;
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  process.env.NODE_ENV = nodeEnv;
+});
+
+describe('fromServiceError', () => {
+  it.each([
+    [400, 'BadRequestError', 'BAD_REQUEST'],
+    [401, 'UnauthorizedError', 'UNAUTHORIZED'],
+    [403, 'ForbiddenError', 'FORBIDDEN'],
+    [404, 'NotFoundError', 'NOT_FOUND'],
+    [409, 'ConflictError', 'CONFLICT'],
+    [429, 'TooManyRequestsError', 'TOO_MANY_REQUESTS']
+  ])('convierte el estado %i en %s', (status, name, code) => {
+    const error = fromServiceError({ status, message: 'Trabajo no encontrado' });
+
+    expect(error).toBeInstanceOf(AppError);
+    expect(error).toMatchObject({ name, status, code, message: 'Trabajo no encontrado' });
+  });
+
+  it('conserva el código del servicio', () => {
+    expect(fromServiceError({ status: 403, code: 'ACCOUNT_BANNED', message: 'Tu cuenta ha sido bloqueada' }).code)
+      .toBe('ACCOUNT_BANNED');
+  });
+
+  it('usa un AppError genérico para estados sin clase propia', () => {
+    const error = fromServiceError({ status: 503, message: 'Servicio no disponible' });
+
+    expect(error.constructor).toBe(AppError);
+    expect(error).toMatchObject({ status: 503, code: 'INTERNAL_ERROR' });
+  });
+});
+
+describe('toErrorResponse', () => {
+  it('incluye los detalles del error en el cuerpo', () => {
+    const error = new ValidationError(undefined, [{ field: 'title', location: 'body', message: 'Se requiere el título' }]);
+
+    expect(toErrorResponse(error)).toEqual({
+      status: 400,
+      body: {
+        success: false,
+        code: 'VALIDATION_ERROR',
+        message: 'Datos de la petición no válidos',
+        errors: [{ field: 'title', location: 'body', message: 'Se requiere el título' }]
+      }
+    });
+  });
+
+  it.each([
+    [{ type: 'entity.parse.failed' }, 400, 'INVALID_JSON'],
+    [{ type: 'entity.too.large' }, 413, 'PAYLOAD_TOO_LARGE'],
+    [Object.assign(new Error('File too large'), { name: 'MulterError' }), 400, 'UPLOAD_ERROR']
+  ])('reconoce errores de Express y Multer (%#)', (error, status, code) => {
+    const response = toErrorResponse(error);
+
+    expect(response.status).toBe(status);
+    expect(response.body.code).toBe(code);
+  });
+
+  it('oculta el detalle de los errores internos salvo en desarrollo', () => {
+    const error = new Error('relation "Jobs" does not exist');
+
+    process.env.NODE_ENV = 'production';
+    expect(toErrorResponse(error)).toEqual({
+      status: 500,
+      body: { success: false, code: 'INTERNAL_ERROR', message: 'Error interno del servidor' }
+    });
+
+    process.env.NODE_ENV = 'development';
+    const { body } = toErrorResponse(error);
+    expect(body.error).toBe('relation "Jobs" does not exist');
+    expect(body.stack).toBeDefined();
+  });
+});
+
+describe('emitSocketError', () => {
+  it('emite el error sin success y con el evento que lo provocó', () => {
+    const socket = { data: { locale: 'es' }, emit: jest.fn() };
+
+    emitSocketError(socket, new TooManyRequestsError(), 'send_message');
+
+    expect(socket.emit).toHaveBeenCalledWith('error', {
+      event: 'send_message',
+      code: 'TOO_MANY_REQUESTS',
+      message: 'Demasiadas peticiones, inténtalo más tarde'
+    });
+  });
+});
+
+describe('middleware de errores', () => {
+  it('responde con el estado, el código y el mensaje del error', async () => {
+    const res = await request(app).get('/api/test/bad-request');
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({ success: false, code: 'BAD_REQUEST', message: 'Falta el título' });
+  });
+
+  it('responde 500 sin detalles ante un error inesperado', async () => {
+    process.env.NODE_ENV = 'production';
+    const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const res = await request(app).get('/api/test/crash');
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({ success: false, code: 'INTERNAL_ERROR', message: 'Error interno del servidor' });
+    expect(log).toHaveBeenCalled();
+  });
+
+  it('responde 400 INVALID_JSON con un cuerpo mal formado', async () => {
+    const res = await request(app)
+      .post('/api/test/echo')
+      .set('Content-Type', 'application/json')
+      .send('{"title":');
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe('INVALID_JSON');
+  });
+
+  it('responde 404 ROUTE_NOT_FOUND en rutas inexistentes', async () => {
+    const res = await request(app).get('/api/no-existe');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, code: 'ROUTE_NOT_FOUND', message: 'Ruta no encontrada: GET /api/no-existe' });
+  });
+
+  it.each([
+    [undefined, 'TOKEN_MISSING'],
+    ['Bearer no-es-un-jwt', 'TOKEN_INVALID'],
+    [`Bearer ${jwt.sign({ id: 'usuario', exp: Math.floor(Date.now() / 1000) - 60 }, 'test-secret')}`, 'TOKEN_EXPIRED']
+  ])('distingue los errores de autenticación (%#)', async (authorization, code) => {
+    const req = request(app).get('/api/test/private');
+    const res = await (authorization ? req.set('Authorization', authorization) : req);
+
+    expect(res.status).toBe(401);
+    expect(res.body.code).toBe(code);
+  });
+});
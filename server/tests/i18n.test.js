@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job } = require('../src/models');
+const en = require('../src/locales/en');
+const pt = require('../src/locales/pt');
+const { message, translate, negotiateLocale, resolveLocale } = require('../src/utils/i18n');
+const { buildSystemMessage, localizeMessage } = require('../src/services/message.service');
+const { localize } = require('../src/middleware/locale');
+const jobRoutes = require('../src/routes/job.routes');
+const userRoutes = require('../src/routes/user.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use(localize);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+const buildUser = (values = {}) => {
+  const user = User.build({ id: userId, name: 'Ana', email: 'ana@example.com', role: 'client', emailVerified: true, ...values });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Token de acceso de una sesión activa de `user`
+const authAs = (user) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: user.id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Parámetros de un texto sin distinguir {campo} de {Campo}
+const placeholders = (text) => (text.match(/\{\w+\}/g) || []).map(name => name.toLowerCase()).sort();
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('catálogos', () => {
+  it.each([['en', en], ['pt', pt]])('%s traduce los mismos textos con los mismos parámetros', (locale, catalog) => {
+    expect(Object.keys(catalog).sort()).toEqual(Object.keys(en).sort());
+
+    for (const [text, translation] of Object.entries(catalog)) {
+      expect({ text, params: placeholders(translation) }).toEqual({ text, params: placeholders(text) });
+    }
+  });
+});
+
+describe('translate', () => {
+  it('devuelve el texto en español si no hay traducción', () => {
+    expect(translate('es', 'Trabajo no encontrado')).toBe('Trabajo no encontrado');
+    expect(translate('fr', 'Trabajo no encontrado')).toBe('Trabajo no encontrado');
+    expect(translate('en', 'Texto sin traducir')).toBe('Texto sin traducir');
+  });
+
+  it('sustituye los parámetros y deja los que faltan', () => {
+    expect(translate('es', "No se puede pasar de '{from}' a '{to}'", { from: 'open', to: 'completed' }))
+      .toBe("No se puede pasar de 'open' a 'completed'");
+    expect(translate('es', "No se puede pasar de '{from}' a '{to}'", { from: 'open' }))
+      .toBe("No se puede pasar de 'open' a '{to}'");
+  });
+
+  it('traduce los parámetros que son mensajes respetando la mayúscula inicial', () => {
+    expect(translate('en', message('Se requiere {label}', { label: message('El título') }))).toBe('The title is required');
+    expect(translate('pt', message('Se requiere {label}', { label: message('El título') }))).toBe('Informe o título');
+    expect(translate('es', message('{Label} debe ser un texto', { label: message('El título') })))
+      .toBe('El título debe ser un texto');
+  });
+});
+
+describe('negotiateLocale', () => {
+  it.each([
+    [undefined, 'es'],
+    ['', 'es'],
+    ['en', 'en'],
+    ['pt-BR,pt;q=0.9', 'pt'],
+    ['fr-FR,en;q=0.8,pt;q=0.9', 'pt'],
+    ['de,fr', 'es'],
+    ['en;q=0,pt;q=0.1', 'pt'],
+    ['*', 'es']
+  ])('%p → %s', (header, locale) => {
+    expect(negotiateLocale(header)).toBe(locale);
+  });
+});
+
+describe('resolveLocale', () => {
+  it('prefiere el idioma guardado del usuario si es admitido', () => {
+    expect(resolveLocale({ locale: 'pt' }, 'en')).toBe('pt');
+    expect(resolveLocale({ locale: null }, 'en')).toBe('en');
+    expect(resolveLocale({ locale: 'fr' }, 'en')).toBe('en');
+    expect(resolveLocale(null)).toBe('es');
+  });
+});
+
+describe('mensajes del sistema', () => {
+  it('se guardan en español con su clave y se muestran en el idioma de quien los lee', () => {
+    const stored = { id: crypto.randomUUID(), ...buildSystemMessage('participant_left') };
+
+    expect(stored).toMatchObject({ content: 'Un usuario ha abandonado el chat', systemKey: 'participant_left', systemParams: {} });
+    expect(localizeMessage(stored, 'en').content).toBe('A user has left the chat');
+    expect(localizeMessage(stored, 'pt').content).toBe('Um usuário saiu do chat');
+  });
+
+  it('no cambian los mensajes de los usuarios ni los ocultos', () => {
+    const own = { id: crypto.randomUUID(), content: 'Un usuario ha abandonado el chat', systemKey: null };
+    const hidden = { ...buildSystemMessage('participant_left'), content: '', hiddenAt: new Date() };
+
+    expect(localizeMessage(own, 'en')).toBe(own);
+    expect(localizeMessage(hidden, 'en')).toBe(hidden);
+  });
+});
+
+describe('respuestas de la API', () => {
+  it('traducen los errores según Accept-Language', async () => {
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/jobs/${crypto.randomUUID()}`).set('Accept-Language', 'en-US,en;q=0.9');
+
+    expect(res.status).toBe(404);
+    expect(res.body).toEqual({ success: false, code: 'NOT_FOUND', message: 'Job not found' });
+    expect(res.headers['content-language']).toBe('en');
+    expect(res.headers.vary).toContain('Accept-Language');
+  });
+
+  it('traducen los errores de validación de cada campo', async () => {
+    const res = await request(app).get('/api/jobs/123').set('Accept-Language', 'pt-BR');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Dados da requisição inválidos');
+    expect(res.body.errors[0].message).toBe('Identificador inválido');
+  });
+
+  it('usan el idioma guardado del usuario antes que Accept-Language', async () => {
+    const user = buildUser({ locale: 'pt' });
+
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', authAs(user))
+      .set('Accept-Language', 'en')
+      .send({ bio: 'Desarrolladora' });
+
+    expect(res.body.message).toBe('Perfil atualizado com sucesso');
+    expect(res.headers['content-language']).toBe('pt');
+  });
+
+  it('responden en el nuevo idioma al cambiar la preferencia', async () => {
+    const user = buildUser({ locale: 'pt' });
+
+    const changed = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', authAs(user))
+      .send({ locale: 'en' });
+    const removed = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', authAs(user))
+      .set('Accept-Language', 'es')
+      .send({ locale: null });
+
+    expect(changed.body.message).toBe('Profile updated successfully');
+    expect(removed.body.message).toBe('Perfil actualizado correctamente');
+    expect(user.locale).toBeNull();
+  });
+
+  it('rechaza idiomas no admitidos', async () => {
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', authAs(buildUser()))
+      .send({ locale: 'fr' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'locale', location: 'body', message: 'Idioma no válido. Idiomas disponibles: es, en, pt' }]);
+  });
+});
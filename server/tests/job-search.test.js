@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const express = require('express');
+const request = require('supertest');
+const { Job, sequelize } = require('../src/models');
+const { parseSearchParams, searchJobs } = require('../src/services/job-search.service');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const ids = [crypto.randomUUID(), crypto.randomUUID(), crypto.randomUUID()];
+
+// Consulta de la página de resultados entre las registradas por el spy
+const pageQuery = (query) => query.mock.calls.find(([sql]) => sql.includes('LIMIT :limit'));
+
+const cursorFor = (value, id) => Buffer.from(JSON.stringify({ v: value, id })).toString('base64url');
+
+// Categorías y habilidades con sus alias (slugs)
+const taxonomy = {
+  Categories: [{ id: 1, name: 'Desarrollo Web', slug: 'desarrollo-web', aliases: ['web'] }],
+  Skills: [
+    { id: 1, name: 'React', slug: 'react', aliases: ['reactjs'] },
+    { id: 2, name: 'Node.js', slug: 'node-js', aliases: ['node'] }
+  ]
+};
+
+/**
+ * Responder a las consultas de la búsqueda: la taxonomía, la página de resultados, el total y las facetas
+ * Devuelve el spy para comprobar el SQL y los parámetros de cada consulta.
+ */
+const mockSearchQueries = (rows) => jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options) => {
+  const table = Object.keys(taxonomy).find(name => sql.includes(`FROM "${name}"`));
+  if (table) {
+    const keys = options.replacements.keys;
+    return taxonomy[table].filter(row => [row.slug, ...row.aliases].some(slug => keys.includes(slug.replace(/-/g, ''))));
+  }
+  if (sql.includes('LIMIT :limit')) return rows;
+  if (sql.includes('COUNT(*)::int AS total')) return [{ total: rows.length }];
+  if (sql.includes('GROUP BY j.category')) return [{ value: 'Desarrollo Web', count: rows.length }];
+  if (sql.includes('GROUP BY j.status')) return [{ value: 'open', count: rows.length }];
+  return [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('parseSearchParams', () => {
+  it('ordena por relevancia si hay texto y por fecha si no', () => {
+    expect(parseSearchParams({ search: ' react ' })).toMatchObject({ search: 'react', sort: 'relevance' });
+    expect(parseSearchParams({})).toMatchObject({ search: '', sort: 'newest' });
+    expect(parseSearchParams({ sort: 'relevance' }).sort).toBe('newest');
+    expect(parseSearchParams({ sort: 'desconocido' }).sort).toBe('newest');
+  });
+
+  it('normaliza las listas de habilidades', () => {
+    expect(parseSearchParams({ skills: 'React, node,react' }).skillsAny).toEqual(['react', 'node']);
+    expect(parseSearchParams({ skillsAll: ['SQL', ' Docker '] }).skillsAll).toEqual(['sql', 'docker']);
+  });
+
+  it('ignora estados y presupuestos no válidos y limita el tamaño de página', () => {
+    expect(parseSearchParams({ status: 'archivado', budgetMin: 'mucho', limit: '500' })).toMatchObject({
+      status: null,
+      budgetMin: null,
+      limit: 100
+    });
+    expect(parseSearchParams({ status: 'open', budgetMax: '300' })).toMatchObject({ status: 'open', budgetMax: 300 });
+  });
+
+  it('decodifica el cursor según la ordenación y descarta los que no lo son', () => {
+    const createdAt = '2026-10-19T10:00:00.123456Z';
+
+    expect(parseSearchParams({ sort: 'budget_asc', cursor: cursorFor(500, ids[0]) }).cursor).toEqual({ v: 500, id: ids[0] });
+    expect(parseSearchParams({ cursor: cursorFor(createdAt, ids[0]) }).cursor).toEqual({ v: createdAt, id: ids[0] });
+    // Un presupuesto no vale como cursor de fecha ni una fecha como cursor de presupuesto
+    expect(parseSearchParams({ cursor: cursorFor(500, ids[0]) }).cursor).toBeNull();
+    expect(parseSearchParams({ sort: 'budget_asc', cursor: cursorFor(createdAt, ids[0]) }).cursor).toBeNull();
+    expect(parseSearchParams({ cursor: 'no-es-un-cursor' }).cursor).toBeNull();
+  });
+});
+
+describe('searchJobs', () => {
+  it('aplica los filtros en la página, el total y las facetas', async () => {
+    const query = mockSearchQueries([]);
+
+    await searchJobs(parseSearchParams({ search: 'tienda', category: 'Desarrollo Web', status: 'open', skills: 'react', budgetMin: '100' }));
+
+    const [pageSql, { replacements }] = pageQuery(query);
+    expect(pageSql).toContain('j."searchVector" @@ websearch_to_tsquery');
+    // Los trabajos ocultos por moderación nunca aparecen
+    expect(pageSql).toContain('j."hiddenAt" IS NULL');
+    expect(pageSql).toContain('j.category = :category');
+    expect(pageSql).toContain('j.budget >= :budgetMin');
+    expect(replacements).toMatchObject({ search: 'tienda', category: 'Desarrollo Web', status: 'open', skillsAny: ['react'], budgetMin: 100 });
+
+    // Cada faceta ignora el filtro de su propio campo
+    const categoryFacetSql = query.mock.calls.find(([sql]) => sql.includes('GROUP BY j.category'))[0];
+    expect(categoryFacetSql).not.toContain('j.category = :category');
+    expect(categoryFacetSql).toContain('j.status = :status');
+  });
+
+  it('busca por el nombre canónico cuando la categoría o las habilidades son alias', async () => {
+    const query = mockSearchQueries([]);
+
+    await searchJobs(parseSearchParams({ category: 'WEB', skillsAny: 'ReactJS,node', skillsAll: 'react.js,React,Docker' }));
+
+    const [, { replacements }] = pageQuery(query);
+    expect(replacements).toMatchObject({
+      category: 'Desarrollo Web',
+      skillsAny: ['react', 'node.js'],
+      // Las desconocidas se buscan tal cual y los duplicados cuentan una vez
+      skillsAll: ['react', 'docker'],
+      skillsAllCount: 2
+    });
+  });
+
+  it('deja tal cual una categoría desconocida', async () => {
+    const query = mockSearchQueries([]);
+
+    await searchJobs(parseSearchParams({ category: 'Jardinería' }));
+
+    expect(pageQuery(query)[1].replacements.category).toBe('Jardinería');
+  });
+
+  it('devuelve el cursor de la página siguiente solo si hay más resultados', async () => {
+    const createdAtCursor = '2026-10-19T10:00:00.123456Z';
+    mockSearchQueries(ids.map(id => ({ id, createdAtCursor, budget: 100, rank: 0 })));
+
+    const page = await searchJobs(parseSearchParams({ limit: '2' }));
+
+    expect(page.ids).toEqual(ids.slice(0, 2));
+    expect(JSON.parse(Buffer.from(page.nextCursor, 'base64url').toString('utf8'))).toEqual({ v: createdAtCursor, id: ids[1] });
+    expect(page.total).toBe(3);
+    expect(page.facets.category).toEqual([{ value: 'Desarrollo Web', count: 3 }]);
+
+    mockSearchQueries(ids.slice(0, 2).map(id => ({ id, createdAtCursor, budget: 100, rank: 0 })));
+    expect((await searchJobs(parseSearchParams({ limit: '2' }))).nextCursor).toBeNull();
+  });
+
+  it('continúa a partir del cursor en el sentido de la ordenación', async () => {
+    const query = mockSearchQueries([]);
+
+    await searchJobs(parseSearchParams({ sort: 'budget_asc', cursor: cursorFor(500, ids[0]) }));
+
+    const [pageSql, { replacements }] = query.mock.calls[0];
+    expect(pageSql).toContain('WHERE (j.budget, id) > (CAST(:cursorValue AS double precision), CAST(:cursorId AS uuid))');
+    expect(replacements).toMatchObject({ cursorValue: 500, cursorId: ids[0] });
+  });
+});
+
+describe('GET /api/jobs', () => {
+  it('rechaza un cursor no válido', async () => {
+    const res = await request(app).get('/api/jobs?cursor=no-es-un-cursor');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cursor de paginación no válido');
+  });
+
+  it('rechaza más habilidades de las permitidas', async () => {
+    const query = mockSearchQueries([]);
+    const skills = Array.from({ length: 31 }, (_, index) => `habilidad-${index}`).join(',');
+
+    const res = await request(app).get(`/api/jobs?skills=${skills}`);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('No se pueden indicar más de 30 habilidades');
+    expect(pageQuery(query)).toBeUndefined();
+  });
+
+  it('mantiene el orden de la búsqueda e incluye la relevancia', async () => {
+    mockSearchQueries(ids.map((id, index) => ({ id, rank: 1 - index / 10 })));
+    // La base de datos devuelve los trabajos sin ningún orden concreto
+    jest.spyOn(Job, 'findAll').mockResolvedValue([...ids].reverse().map(id => Job.build({ id, title: 'Trabajo' })));
+
+    const res = await request(app).get('/api/jobs?search=tienda');
+
+    expect(res.status).toBe(200);
+    expect(res.body.jobs.map(job => [job.id, job.relevance])).toEqual([[ids[0], 1], [ids[1], 0.9], [ids[2], 0.8]]);
+    expect(res.body).toMatchObject({ total: 3, nextCursor: null });
+  });
+});
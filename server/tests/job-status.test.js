@@ -0,0 +1,215 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, JobStatusHistory, Milestone, Proposal, sequelize } = require('../src/models');
+const { getAllowedTransitions, validateTransition } = require('../src/services/job-status.service');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const freelancerId = crypto.randomUUID();
+const strangerId = crypto.randomUUID();
+
+// Rol de cada usuario de las pruebas (el resto son clientes)
+const roles = { [freelancerId]: 'freelancer' };
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const authAs = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: roles[userId] || 'client' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+const buildJob = (values = {}) => Job.build({
+  id: crypto.randomUUID(),
+  title: 'Tienda online',
+  description: 'Tienda con pasarela de pago',
+  budget: 1000,
+  category: 'Desarrollo Web',
+  userId: clientId,
+  assignedFreelancerId: freelancerId,
+  status: 'assigned',
+  ...values
+});
+
+const mockJob = (values) => {
+  const job = buildJob(values);
+  jest.spyOn(job, 'save').mockResolvedValue(job);
+  jest.spyOn(Job, 'findByPk').mockImplementation(async (id) => (id === job.id ? job : null));
+  return job;
+};
+
+const transition = (job, userId, body) => request(app)
+  .post(`/api/jobs/${job.id}/transitions`)
+  .set('Authorization', authAs(userId))
+  .send(body);
+
+let transaction;
+let history;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  history = jest.spyOn(JobStatusHistory, 'create').mockImplementation(async (values) => JobStatusHistory.build(values));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('máquina de estados de un trabajo', () => {
+  const users = { client: clientId, freelancer: freelancerId, stranger: strangerId };
+
+  it.each([
+    ['open', 'client', ['assigned', 'cancelled']],
+    ['assigned', 'client', ['open', 'cancelled']],
+    ['assigned', 'freelancer', ['in-progress', 'open']],
+    ['in-progress', 'client', ['completed', 'cancelled']],
+    ['in-progress', 'freelancer', []],
+    ['completed', 'client', []],
+    ['cancelled', 'client', []],
+    ['assigned', 'stranger', []]
+  ])('en %s, %s puede pasar a %p', (status, user, expected) => {
+    expect(getAllowedTransitions(buildJob({ status }), users[user])).toEqual(expected);
+  });
+
+  it('rechaza estados desconocidos, usuarios ajenos y saltos no permitidos', () => {
+    const job = buildJob({ status: 'open', assignedFreelancerId: null });
+
+    expect(validateTransition(job, 'archived', clientId)).toEqual({ status: 400, message: 'Estado no válido' });
+    expect(validateTransition(job, 'cancelled', strangerId)).toMatchObject({ status: 403 });
+    expect(validateTransition(job, 'completed', clientId)).toEqual({
+      status: 400,
+      message: "No se puede pasar de '{from}' a '{to}'",
+      params: { from: 'open', to: 'completed' }
+    });
+  });
+
+  it('no deja al cliente hacer cambios que corresponden al freelancer', () => {
+    const job = buildJob({ status: 'assigned' });
+
+    expect(validateTransition(job, 'in-progress', clientId)).toMatchObject({ status: 403 });
+    expect(validateTransition(job, 'in-progress', freelancerId)).toBeNull();
+  });
+
+  it('exige un freelancer para asignar el trabajo', () => {
+    const job = buildJob({ status: 'open', assignedFreelancerId: null });
+
+    expect(validateTransition(job, 'assigned', clientId)).toEqual({
+      status: 400,
+      message: 'Acepta una propuesta para asignar el trabajo'
+    });
+  });
+});
+
+describe('GET /api/jobs/:jobId/transitions', () => {
+  it('devuelve el estado actual y los cambios disponibles para el usuario', async () => {
+    const job = mockJob({ status: 'assigned' });
+
+    const res = await request(app).get(`/api/jobs/${job.id}/transitions`).set('Authorization', authAs(freelancerId));
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ status: 'assigned', transitions: ['in-progress', 'open'] });
+  });
+});
+
+describe('POST /api/jobs/:jobId/transitions', () => {
+  it('aplica el cambio y lo registra en el historial', async () => {
+    const job = mockJob({ status: 'assigned' });
+
+    const res = await transition(job, freelancerId, { status: 'in-progress', reason: 'Empiezo hoy' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.job.status).toBe('in-progress');
+    expect(history).toHaveBeenCalledWith({
+      jobId: job.id,
+      fromStatus: 'assigned',
+      toStatus: 'in-progress',
+      changedById: freelancerId,
+      reason: 'Empiezo hoy'
+    }, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('rechaza un salto de estado no permitido sin guardar nada', async () => {
+    const job = mockJob({ status: 'open', assignedFreelancerId: null });
+
+    const res = await transition(job, clientId, { status: 'completed' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe("No se puede pasar de 'open' a 'completed'");
+    expect(job.status).toBe('open');
+    expect(history).not.toHaveBeenCalled();
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('rechaza a usuarios que no son parte del trabajo', async () => {
+    const job = mockJob({ status: 'open', assignedFreelancerId: null });
+
+    const res = await transition(job, strangerId, { status: 'cancelled' });
+
+    expect(res.status).toBe(403);
+    expect(job.status).toBe('open');
+  });
+
+  it('exige el nuevo estado', async () => {
+    const job = mockJob();
+
+    const res = await transition(job, clientId, {});
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'status', location: 'body' });
+  });
+
+  it('responde 404 si el trabajo no existe', async () => {
+    mockJob();
+
+    const res = await transition(buildJob(), clientId, { status: 'cancelled' });
+
+    expect(res.status).toBe(404);
+  });
+
+  it('al reabrir libera al freelancer asignado y retira su propuesta aceptada', async () => {
+    const job = mockJob({ status: 'assigned' });
+    const withdraw = jest.spyOn(Proposal, 'update').mockResolvedValue([1]);
+    // Sin hitos en depósito que liquidar
+    jest.spyOn(Milestone, 'findAll').mockResolvedValue([]);
+    jest.spyOn(Milestone, 'count').mockResolvedValue(0);
+
+    const res = await transition(job, freelancerId, { status: 'open' });
+
+    expect(res.status).toBe(200);
+    expect(job.status).toBe('open');
+    expect(job.assignedFreelancerId).toBeNull();
+    expect(withdraw).toHaveBeenCalledWith(
+      { status: 'withdrawn' },
+      { where: { jobId: job.id, status: 'accepted' }, transaction }
+    );
+  });
+});
+
+describe('PUT /api/jobs/:jobId', () => {
+  it('los cambios de estado pasan por la máquina de estados', async () => {
+    const job = mockJob({ status: 'open', assignedFreelancerId: null });
+
+    const res = await request(app)
+      .put(`/api/jobs/${job.id}`)
+      .set('Authorization', authAs(clientId))
+      .send({ status: 'completed' });
+
+    expect(res.status).toBe(400);
+    expect(job.status).toBe('open');
+    expect(job.save).not.toHaveBeenCalled();
+  });
+});
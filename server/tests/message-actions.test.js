@@ -0,0 +1,246 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Message, MessageEdit, MessageReaction, ChatParticipant, Attachment, sequelize } = require('../src/models');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Eventos emitidos por Socket.io durante cada prueba
+const emitted = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+});
+
+const authorId = crypto.randomUUID();
+const otherId = crypto.randomUUID();
+const chatId = crypto.randomUUID();
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const token = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Mensaje de un chat en el que participan el autor y otro usuario
+const mockMessage = (values = {}) => {
+  const message = Message.build({
+    id: crypto.randomUUID(),
+    content: 'Hola, ¿empezamos mañana?',
+    chatId,
+    userId: authorId,
+    ...values
+  });
+  jest.spyOn(message, 'save').mockResolvedValue(message);
+  jest.spyOn(ChatParticipant, 'findOne').mockImplementation(async ({ where }) =>
+    ([authorId, otherId].includes(where.userId) ? ChatParticipant.build(where) : null));
+  jest.spyOn(Message, 'findOne').mockImplementation(async ({ where }) => (where.id === message.id ? message : null));
+  return message;
+};
+
+const messagePath = (message, suffix = '') => `/api/chats/${chatId}/messages/${message.id}${suffix}`;
+
+let transaction;
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('editar mensajes', () => {
+  const edit = (message, userId, content) => request(app)
+    .put(messagePath(message))
+    .set('Authorization', token(userId))
+    .send({ content });
+
+  it('guarda el contenido anterior y avisa al chat', async () => {
+    const message = mockMessage();
+    const createEdit = jest.spyOn(MessageEdit, 'create').mockResolvedValue({});
+
+    const res = await edit(message, authorId, 'Mejor pasado mañana');
+
+    expect(res.status).toBe(200);
+    expect(createEdit).toHaveBeenCalledWith({ messageId: message.id, previousContent: 'Hola, ¿empezamos mañana?' }, { transaction });
+    expect(message.content).toBe('Mejor pasado mañana');
+    expect(message.editedAt).toBeInstanceOf(Date);
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(emitted).toEqual([{
+      room: `chat:${chatId}`,
+      event: 'message_edited',
+      payload: { chatId, messageId: message.id, content: 'Mejor pasado mañana', editedAt: message.editedAt }
+    }]);
+  });
+
+  it('no registra una edición si el contenido no cambia', async () => {
+    const message = mockMessage();
+    const createEdit = jest.spyOn(MessageEdit, 'create');
+
+    const res = await edit(message, authorId, 'Hola, ¿empezamos mañana?');
+
+    expect(res.status).toBe(200);
+    expect(createEdit).not.toHaveBeenCalled();
+    expect(message.editedAt).toBeFalsy();
+  });
+
+  it('solo el autor edita y nunca un mensaje eliminado', async () => {
+    const message = mockMessage();
+
+    const byOther = await edit(message, otherId, 'Cambiado');
+    message.deletedAt = new Date();
+    const deleted = await edit(message, authorId, 'Cambiado');
+
+    expect(byOther.status).toBe(403);
+    expect(byOther.body.message).toBe('Solo puedes editar tus propios mensajes');
+    expect(deleted.status).toBe(400);
+    expect(deleted.body.message).toBe('No se puede editar un mensaje eliminado');
+    expect(transaction.rollback).toHaveBeenCalledTimes(2);
+  });
+
+  it('rechaza el contenido vacío y a quien no participa en el chat', async () => {
+    const message = mockMessage();
+
+    const empty = await edit(message, authorId, '   ');
+    const outsider = await edit(message, crypto.randomUUID(), 'Cambiado');
+
+    expect(empty.status).toBe(400);
+    expect(outsider.status).toBe(403);
+    expect(outsider.body.message).toBe('No tienes acceso a este chat');
+  });
+});
+
+describe('eliminar mensajes', () => {
+  it('vacía el contenido, marca la fecha de borrado y avisa al chat', async () => {
+    const message = mockMessage();
+    jest.spyOn(Attachment, 'findAll').mockResolvedValue([]);
+
+    const res = await request(app).delete(messagePath(message)).set('Authorization', token(authorId));
+
+    expect(res.status).toBe(200);
+    expect(message.content).toBe('');
+    expect(message.deletedAt).toBeInstanceOf(Date);
+    expect(emitted.map(({ event, payload }) => [event, payload.messageId])).toEqual([['message_deleted', message.id]]);
+  });
+
+  it('elimina también los adjuntos del mensaje', async () => {
+    const message = mockMessage();
+    jest.spyOn(Attachment, 'findAll').mockResolvedValue([Attachment.build({ storageKey: `attachments/${chatId}/no-existe.pdf` })]);
+    const destroy = jest.spyOn(Attachment, 'destroy').mockResolvedValue(1);
+
+    await request(app).delete(messagePath(message)).set('Authorization', token(authorId)).expect(200);
+
+    expect(destroy).toHaveBeenCalledWith({ where: { messageId: message.id } });
+  });
+
+  it('no cambia la fecha al eliminar dos veces', async () => {
+    const deletedAt = new Date('2026-10-19T10:00:00Z');
+    const message = mockMessage({ content: '', deletedAt });
+
+    await request(app).delete(messagePath(message)).set('Authorization', token(authorId)).expect(200);
+
+    expect(message.deletedAt).toEqual(deletedAt);
+    expect(message.save).not.toHaveBeenCalled();
+  });
+
+  it('solo el autor elimina el mensaje', async () => {
+    const message = mockMessage();
+
+    const res = await request(app).delete(messagePath(message)).set('Authorization', token(otherId));
+
+    expect(res.status).toBe(403);
+    expect(message.deletedAt).toBeFalsy();
+  });
+});
+
+describe('reacciones', () => {
+  const react = (message, userId, emoji) => request(app)
+    .post(messagePath(message, '/reactions'))
+    .set('Authorization', token(userId))
+    .send({ emoji });
+
+  it('añade la reacción y devuelve el resumen por emoji', async () => {
+    const message = mockMessage();
+    jest.spyOn(MessageReaction, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(MessageReaction, 'create').mockResolvedValue({});
+    jest.spyOn(MessageReaction, 'findAll').mockResolvedValue([
+      { emoji: '👍', userId: authorId },
+      { emoji: '🎉', userId: authorId },
+      { emoji: '👍', userId: otherId }
+    ]);
+
+    const res = await react(message, otherId, '👍');
+
+    expect(res.status).toBe(200);
+    expect(create).toHaveBeenCalledWith({ messageId: message.id, userId: otherId, emoji: '👍' });
+    expect(res.body).toEqual({
+      success: true,
+      added: true,
+      reactions: [
+        { emoji: '👍', count: 2, userIds: [authorId, otherId] },
+        { emoji: '🎉', count: 1, userIds: [authorId] }
+      ]
+    });
+    // La sincronización recoge el cambio a través de updatedAt
+    expect(message.save).toHaveBeenCalled();
+    expect(emitted[0]).toMatchObject({ event: 'message_reaction', payload: { messageId: message.id, added: true } });
+  });
+
+  it('la misma reacción otra vez la quita', async () => {
+    const message = mockMessage();
+    const existing = { destroy: jest.fn() };
+    jest.spyOn(MessageReaction, 'findOne').mockResolvedValue(existing);
+    jest.spyOn(MessageReaction, 'findAll').mockResolvedValue([]);
+
+    const res = await react(message, otherId, '👍');
+
+    expect(res.body).toMatchObject({ added: false, reactions: [] });
+    expect(existing.destroy).toHaveBeenCalled();
+  });
+
+  it('rechaza reacciones no válidas y a mensajes eliminados', async () => {
+    const message = mockMessage({ deletedAt: new Date() });
+
+    const invalid = await react(message, otherId, 'x'.repeat(33));
+    const deleted = await react(message, otherId, '👍');
+
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.errors).toEqual([{ field: 'emoji', location: 'body', message: 'Emoji no válido' }]);
+    expect(deleted.status).toBe(400);
+    expect(deleted.body.message).toBe('No se puede reaccionar a un mensaje eliminado');
+  });
+});
+
+describe('GET /api/chats/:chatId/messages/:messageId/edits', () => {
+  it('devuelve el historial solo a los participantes y nunca de mensajes eliminados u ocultos', async () => {
+    const messageId = crypto.randomUUID();
+    const edits = [{ id: crypto.randomUUID(), previousContent: 'Hola', editedAt: '2026-10-19T10:00:00.000Z' }];
+    const query = jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([{ '?column?': 1 }])
+      .mockResolvedValueOnce(edits)
+      .mockResolvedValueOnce([]);
+
+    const res = await request(app).get(`/api/chats/${chatId}/messages/${messageId}/edits`).set('Authorization', token(otherId));
+    const outsider = await request(app).get(`/api/chats/${chatId}/messages/${messageId}/edits`).set('Authorization', token(otherId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.edits).toEqual(edits);
+    expect(query.mock.calls[1][0]).toContain('m."deletedAt" IS NULL');
+    expect(query.mock.calls[1][0]).toContain('m."hiddenAt" IS NULL');
+    expect(outsider.status).toBe(403);
+  });
+});
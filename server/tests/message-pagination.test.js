@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, sequelize } = require('../src/models');
+const { encodeCursor, decodeCursor } = require('../src/utils/cursor');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+
+const userId = crypto.randomUUID();
+const chatId = crypto.randomUUID();
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Fila de mensaje tal como la devuelve la consulta, con el timestamp del cursor
+const messageRow = (second) => ({
+  id: crypto.randomUUID(),
+  content: `Mensaje ${second}`,
+  senderId: userId,
+  cursorTs: `2026-10-19T10:00:${String(second).padStart(2, '0')}.000001Z`
+});
+
+/**
+ * Responder a la comprobación de participante y a la consulta de mensajes
+ * Devuelve el spy para comprobar el SQL y los parámetros de cada consulta.
+ */
+const mockMessageQueries = (rows, { isParticipant = true } = {}) => jest.spyOn(sequelize, 'query')
+  .mockImplementation(async (sql) => {
+    if (sql.includes('FROM "ChatParticipants"') && !sql.includes('JOIN')) return isParticipant ? [{ '?column?': 1 }] : [];
+    if (sql.includes('LIMIT :limit')) return rows;
+    return [];
+  });
+
+const getMessages = (query = '') => request(app)
+  .get(`/api/chats/${chatId}/messages${query}`)
+  .set('Authorization', token());
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/chats/:chatId/messages', () => {
+  it('devuelve la última página en orden cronológico con sus cursores', async () => {
+    // La consulta recorre hacia atrás y pide un mensaje más de los que devuelve
+    const rows = [messageRow(3), messageRow(2), messageRow(1)];
+    const query = mockMessageQueries(rows);
+
+    const res = await getMessages('?limit=2');
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages.map(message => message.content)).toEqual(['Mensaje 2', 'Mensaje 3']);
+    expect(res.body.messages[0].cursorTs).toBeUndefined();
+    expect(res.body).toMatchObject({ hasMoreBefore: true, hasMoreAfter: false, limit: 2 });
+    expect(decodeCursor(res.body.prevCursor)).toEqual({ v: rows[1].cursorTs, id: rows[1].id });
+    expect(decodeCursor(res.body.nextCursor)).toEqual({ v: rows[0].cursorTs, id: rows[0].id });
+
+    const [sql, { replacements }] = query.mock.calls[1];
+    expect(sql).toContain('ORDER BY m."createdAt" DESC, m.id DESC');
+    expect(replacements.limit).toBe(3);
+
+    // El chat queda leído hasta el mensaje más reciente devuelto
+    const readCall = query.mock.calls.find(([readSql]) => readSql.includes('AND m.id = :messageId'));
+    expect(readCall[1].replacements).toEqual({ chatId, messageId: rows[0].id });
+  });
+
+  it('con before carga los mensajes anteriores al cursor', async () => {
+    const cursor = encodeCursor('2026-10-19T10:00:05.000001Z', crypto.randomUUID());
+    const query = mockMessageQueries([messageRow(4)]);
+
+    const res = await getMessages(`?before=${cursor}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ hasMoreBefore: false, hasMoreAfter: null });
+    const [sql, { replacements }] = query.mock.calls[1];
+    expect(sql).toContain('AND (m."createdAt", m.id) < (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))');
+    expect(replacements.cursorTs).toBe('2026-10-19T10:00:05.000001Z');
+
+    // Cargar mensajes antiguos no cambia el estado de lectura
+    expect(query.mock.calls.some(([readSql]) => readSql.includes('AND m.id = :messageId'))).toBe(false);
+  });
+
+  it('con after carga los posteriores en orden ascendente y conserva el cursor si no hay nuevos', async () => {
+    const cursor = encodeCursor('2026-10-19T10:00:05.000001Z', crypto.randomUUID());
+    const query = mockMessageQueries([]);
+
+    const res = await getMessages(`?after=${cursor}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ messages: [], hasMoreBefore: null, hasMoreAfter: false, nextCursor: cursor });
+    expect(query.mock.calls[1][0]).toContain('ORDER BY m."createdAt" ASC, m.id ASC');
+  });
+
+  it('rechaza before y after a la vez y los cursores no válidos', async () => {
+    const cursor = encodeCursor('2026-10-19T10:00:05.000001Z', crypto.randomUUID());
+
+    const both = await getMessages(`?before=${cursor}&after=${cursor}`);
+    const invalid = await getMessages('?before=no-es-un-cursor');
+
+    expect(both.status).toBe(400);
+    expect(both.body.message).toBe('Usa before o after, no ambos');
+    expect(invalid.status).toBe(400);
+    expect(invalid.body.message).toBe('Cursor de paginación no válido');
+  });
+
+  it('solo los participantes leen los mensajes', async () => {
+    mockMessageQueries([], { isParticipant: false });
+
+    const res = await getMessages();
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/chats/sync', () => {
+  const sync = (query = '') => request(app).get(`/api/chats/sync${query}`).set('Authorization', token());
+
+  it('sin cursor devuelve solo la posición actual', async () => {
+    const latest = messageRow(9);
+    jest.spyOn(sequelize, 'query').mockResolvedValue([latest]);
+
+    const res = await sync();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ messages: [], hasMore: false });
+    expect(decodeCursor(res.body.cursor)).toEqual({ v: latest.cursorTs, id: latest.id });
+  });
+
+  it('devuelve los cambios posteriores al cursor y el cursor del último', async () => {
+    const changes = [messageRow(6), messageRow(7)];
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue(changes);
+    const since = encodeCursor('2026-10-19T10:00:05.000001Z', crypto.randomUUID());
+
+    const res = await sync(`?since=${since}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.messages).toHaveLength(2);
+    expect(res.body.hasMore).toBe(false);
+    expect(decodeCursor(res.body.cursor)).toEqual({ v: changes[1].cursorTs, id: changes[1].id });
+    expect(query.mock.calls[0][0]).toContain('WHERE (m."updatedAt", m.id) > (CAST(:cursorTs AS timestamptz), CAST(:cursorId AS uuid))');
+  });
+
+  it('mantiene el cursor recibido si no hay cambios', async () => {
+    jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+    const since = encodeCursor('2026-10-19T10:00:05.000001Z', crypto.randomUUID());
+
+    const res = await sync(`?since=${since}`);
+
+    expect(res.body.cursor).toBe(since);
+  });
+
+  it('rechaza un cursor de sincronización no válido', async () => {
+    const res = await sync('?since=no-es-un-cursor');
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cursor de sincronización no válido');
+  });
+});
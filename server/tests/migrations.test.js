@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { Sequelize } = require('sequelize');
+const { sequelize } = require('../src/models');
+const { MIGRATIONS_DIR, getMigrationStatus, migrateUp, migrateDown } = require('../src/services/migration.service');
+
+const migrationFiles = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.js')).sort();
+
+/**
+ * QueryInterface falso que registra las operaciones de una migración
+ * `existing` son las tablas que ya existen con sus columnas.
+ */
+const createFakeQueryInterface = (existing = {}) => {
+  const calls = { createTable: {}, addColumn: [], addIndex: [], queries: [] };
+
+  const queryInterface = {
+    sequelize: {
+      transaction: async (callback) => callback('transaction'),
+      query: async (sql) => {
+        calls.queries.push(sql);
+        return [];
+      }
+    },
+    showAllTables: async () => Object.keys(existing),
+    describeTable: async (table) => existing[table] || calls.createTable[table],
+    showIndex: async () => [],
+    createTable: async (table, columns) => {
+      calls.createTable[table] = columns;
+    },
+    addColumn: async (table, column, definition) => {
+      calls.addColumn.push(`${table}.${column}`);
+      if (calls.createTable[table]) calls.createTable[table][column] = definition;
+    },
+    removeColumn: async () => {},
+    addIndex: async (table, { name, fields }) => {
+      calls.addIndex.push(`${table}.${name || fields.join('_')}`);
+    },
+    removeIndex: async () => {}
+  };
+
+  return { queryInterface, calls };
+};
+
+// Ejecutar todas las migraciones sobre una base de datos vacía
+const runAllMigrations = async (queryInterface) => {
+  for (const file of migrationFiles) {
+    await require(path.join(MIGRATIONS_DIR, file)).up(queryInterface, Sequelize);
+  }
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('migraciones', () => {
+  it('crean todas las tablas y columnas de los modelos', async () => {
+    const { queryInterface, calls } = createFakeQueryInterface();
+
+    await runAllMigrations(queryInterface);
+
+    for (const model of Object.values(sequelize.models)) {
+      const columns = calls.createTable[model.getTableName()];
+      expect({ table: model.getTableName(), created: Boolean(columns) }).toEqual({ table: model.getTableName(), created: true });
+
+      const missing = Object.values(model.rawAttributes)
+        .map(attribute => attribute.field)
+        .filter(field => !columns[field]);
+      expect({ table: model.getTableName(), missing }).toEqual({ table: model.getTableName(), missing: [] });
+    }
+  });
+
+  it('en una base de datos creada con sync solo añaden las columnas que faltan', async () => {
+    const userColumns = Object.fromEntries(Object.keys(sequelize.models.User.rawAttributes)
+      .filter(field => !['emailVerified', 'emailVerifiedAt'].includes(field))
+      .map(field => [field, {}]));
+    const { queryInterface, calls } = createFakeQueryInterface({ Users: userColumns });
+
+    await require(path.join(MIGRATIONS_DIR, '20261019000100-create-schema.js')).up(queryInterface, Sequelize);
+
+    expect(calls.createTable.Users).toBeUndefined();
+    expect(calls.addColumn).toEqual(['Users.emailVerified', 'Users.emailVerifiedAt']);
+    // Las cuentas existentes se dan por verificadas
+    expect(calls.queries).toContain('UPDATE "Users" SET "emailVerified" = true, "emailVerifiedAt" = "createdAt"');
+  });
+
+  it('asignan a los hitos ya fondeados el freelancer actual de su trabajo', async () => {
+    const { queryInterface, calls } = createFakeQueryInterface({ Milestones: { id: {}, status: {}, jobId: {} } });
+
+    await require(path.join(MIGRATIONS_DIR, '20261019000600-add-milestone-payee.js')).up(queryInterface, Sequelize);
+
+    expect(calls.addColumn).toEqual(['Milestones.freelancerId']);
+    expect(calls.queries.find(sql => sql.includes('UPDATE "Milestones"'))).toMatch(/SET "freelancerId" = j\."assignedFreelancerId"[\s\S]*m\.status <> 'pending'/);
+  });
+});
+
+describe('migration.service', () => {
+  // Simular la tabla SequelizeMeta con las migraciones ya ejecutadas
+  const mockMeta = (executed) => jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options = {}) => {
+    if (sql.startsWith('SELECT name')) return executed.map(name => ({ name }));
+    if (sql.startsWith('INSERT')) executed.push(options.replacements.name);
+    if (sql.startsWith('DELETE')) executed.splice(executed.indexOf(options.replacements.name), 1);
+    return [];
+  });
+
+  // Sustituir up/down de cada migración por funciones espía
+  const spyMigrations = () => Object.fromEntries(migrationFiles.map(file => {
+    const migration = require(path.join(MIGRATIONS_DIR, file));
+    return [file, {
+      up: jest.spyOn(migration, 'up').mockResolvedValue(),
+      down: jest.spyOn(migration, 'down').mockResolvedValue()
+    }];
+  }));
+
+  it('distingue las migraciones ejecutadas de las pendientes', async () => {
+    mockMeta([migrationFiles[0]]);
+
+    const status = await getMigrationStatus();
+
+    expect(status).toEqual({ executed: [migrationFiles[0]], pending: migrationFiles.slice(1) });
+  });
+
+  it('ejecuta las pendientes en orden y las registra', async () => {
+    const executed = [migrationFiles[0]];
+    mockMeta(executed);
+    const migrations = spyMigrations();
+
+    const ran = await migrateUp({ log: () => {} });
+
+    expect(ran).toEqual(migrationFiles.slice(1));
+    expect(executed).toEqual(migrationFiles);
+    expect(migrations[migrationFiles[0]].up).not.toHaveBeenCalled();
+  });
+
+  it('se detiene en la primera migración que falla', async () => {
+    const executed = [];
+    mockMeta(executed);
+    const migrations = spyMigrations();
+    migrations[migrationFiles[1]].up.mockRejectedValue(new Error('columna duplicada'));
+
+    await expect(migrateUp({ log: () => {} })).rejects.toThrow('columna duplicada');
+
+    expect(executed).toEqual([migrationFiles[0]]);
+    expect(migrations[migrationFiles[2]].up).not.toHaveBeenCalled();
+  });
+
+  it('revierte las últimas migraciones en orden inverso', async () => {
+    const executed = [...migrationFiles];
+    mockMeta(executed);
+    const migrations = spyMigrations();
+
+    const reverted = await migrateDown({ steps: 2, log: () => {} });
+
+    expect(reverted).toEqual(migrationFiles.slice(-2).reverse());
+    expect(executed).toEqual(migrationFiles.slice(0, -2));
+    expect(migrations[migrationFiles[0]].down).not.toHaveBeenCalled();
+  });
+
+  it('no revierte una migración cuyo archivo no existe', async () => {
+    mockMeta([...migrationFiles, '20991231000000-desconocida.js']);
+
+    await expect(migrateDown({ log: () => {} })).rejects.toThrow('No se encuentra el archivo de la migración 20991231000000-desconocida.js');
+  });
+});
@@ -0,0 +1,432 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session, Job, JobStatusHistory, Milestone, LedgerEntry, Proposal, sequelize } = require('../src/models');
+const { getPaymentProvider } = require('../src/services/payment.service');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const freelancerId = crypto.randomUUID();
+const otherFreelancerId = crypto.randomUUID();
+
+// Rol de cada usuario de las pruebas (el resto son clientes)
+const roles = { [freelancerId]: 'freelancer', [otherFreelancerId]: 'freelancer' };
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const authAs = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: roles[userId] || 'client' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+/**
+ * Sustituir las consultas del trabajo y sus hitos por datos en memoria
+ * Devuelve los apuntes contables registrados.
+ */
+const mockJobData = (jobValues = {}, milestoneValues = []) => {
+  const job = Job.build({
+    id: crypto.randomUUID(),
+    title: 'Tienda online',
+    description: 'Tienda con pasarela de pago',
+    budget: 1000,
+    category: 'Desarrollo Web',
+    userId: clientId,
+    assignedFreelancerId: freelancerId,
+    status: 'in-progress',
+    ...jobValues
+  });
+  const track = (milestone) => {
+    jest.spyOn(milestone, 'save').mockResolvedValue(milestone);
+    return milestone;
+  };
+  // Los hitos ya fondeados lo están para el freelancer asignado salvo que se indique otro
+  const milestones = milestoneValues.map(values => track(Milestone.build({
+    id: crypto.randomUUID(),
+    jobId: job.id,
+    title: 'Diseño de la tienda',
+    amount: 100,
+    status: 'pending',
+    freelancerId: values.status && values.status !== 'pending' ? job.assignedFreelancerId : null,
+    ...values
+  })));
+  const ledger = [];
+
+  jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+  jest.spyOn(Milestone, 'findOne').mockImplementation(async ({ where }) =>
+    milestones.find(milestone => milestone.id === where.id) || null);
+  jest.spyOn(Milestone, 'sum').mockImplementation(async () =>
+    milestones.reduce((sum, milestone) => sum + milestone.amount, 0));
+  // Consultas de hitos por estado ({ status: { [Op.in]: [...] } })
+  const byStatus = ({ where }) => milestones.filter(milestone => where.status[Op.in].includes(milestone.status));
+  jest.spyOn(Milestone, 'findAll').mockImplementation(async (options) => byStatus(options));
+  jest.spyOn(Milestone, 'count').mockImplementation(async (options) => byStatus(options).length);
+  jest.spyOn(Milestone, 'create').mockImplementation(async (values) => {
+    const milestone = track(Milestone.build({ id: crypto.randomUUID(), ...values }));
+    milestones.push(milestone);
+    return milestone;
+  });
+  jest.spyOn(LedgerEntry, 'bulkCreate').mockImplementation(async (entries) => {
+    ledger.push(...entries);
+    return entries;
+  });
+
+  return { job, milestones, ledger };
+};
+
+const milestoneAction = (job, milestone, action, userId) => request(app)
+  .post(`/api/jobs/${job.id}/milestones/${milestone.id}/${action}`)
+  .set('Authorization', authAs(userId));
+
+let transaction;
+
+beforeEach(() => {
+  // El proveedor de pagos simulado registra cada operación por consola
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  // Admite transacciones manuales y gestionadas (con callback)
+  jest.spyOn(sequelize, 'transaction').mockImplementation(async (callback) => (callback ? callback(transaction) : transaction));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/jobs/:jobId/milestones', () => {
+  const create = (job, body) => request(app)
+    .post(`/api/jobs/${job.id}/milestones`)
+    .set('Authorization', authAs(clientId))
+    .send(body);
+
+  it('crea el hito mientras la suma no supere el presupuesto', async () => {
+    const { job, milestones } = mockJobData({}, [{ amount: 600 }]);
+
+    const res = await create(job, { title: 'Pasarela de pago', amount: 400 });
+
+    expect(res.status).toBe(201);
+    expect(res.body.milestone).toMatchObject({ title: 'Pasarela de pago', amount: 400, status: 'pending' });
+    expect(milestones).toHaveLength(2);
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('rechaza el hito que haría superar el presupuesto', async () => {
+    const { job, milestones } = mockJobData({}, [{ amount: 600 }]);
+
+    const res = await create(job, { title: 'Pasarela de pago', amount: 401 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('La suma de los hitos (1001) supera el presupuesto del trabajo (1000)');
+    expect(milestones).toHaveLength(1);
+  });
+
+  it('rechaza hitos en trabajos sin freelancer asignado', async () => {
+    const { job } = mockJobData({ status: 'open', assignedFreelancerId: null });
+
+    const res = await create(job, { title: 'Pasarela de pago', amount: 100 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo se pueden crear hitos en trabajos asignados');
+  });
+
+  it('rechaza importes no positivos', async () => {
+    const { job } = mockJobData();
+
+    const res = await create(job, { title: 'Pasarela de pago', amount: -5 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'amount', location: 'body', message: 'El monto del hito debe ser un número mayor que cero' }]);
+  });
+
+  it('solo el cliente crea hitos', async () => {
+    const { job } = mockJobData();
+
+    const res = await request(app)
+      .post(`/api/jobs/${job.id}/milestones`)
+      .set('Authorization', authAs(freelancerId))
+      .send({ title: 'Pasarela de pago', amount: 100 });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('ciclo de un hito', () => {
+  it('fondear, entregar y aprobar mueve el importe del cliente al freelancer', async () => {
+    const { job, milestones: [milestone], ledger } = mockJobData({}, [{ amount: 250 }]);
+
+    const funded = await milestoneAction(job, milestone, 'fund', clientId);
+    expect(funded.status).toBe(200);
+    expect(milestone.status).toBe('funded');
+    expect(milestone.fundedAt).toBeInstanceOf(Date);
+    expect(milestone.freelancerId).toBe(freelancerId);
+
+    const submitted = await milestoneAction(job, milestone, 'submit', freelancerId);
+    expect(submitted.status).toBe(200);
+    expect(milestone.status).toBe('submitted');
+
+    const approved = await milestoneAction(job, milestone, 'approve', clientId);
+    expect(approved.status).toBe(200);
+    expect(milestone.status).toBe('released');
+    expect(milestone.releasedAt).toBeInstanceOf(Date);
+
+    expect(ledger.map(entry => [entry.account, entry.userId, entry.direction, entry.amount])).toEqual([
+      ['escrow', clientId, 'debit', 250],
+      ['client_payments', clientId, 'credit', 250],
+      ['freelancer_earnings', freelancerId, 'debit', 250],
+      ['escrow', clientId, 'credit', 250]
+    ]);
+    // El débito y el crédito de cada movimiento comparten transactionId
+    expect(ledger[0].transactionId).toBe(ledger[1].transactionId);
+    expect(ledger[2].transactionId).toBe(ledger[3].transactionId);
+  });
+
+  it('no fondea dos veces el mismo hito', async () => {
+    const { job, milestones: [milestone], ledger } = mockJobData({}, [{ status: 'funded' }]);
+    const charge = jest.spyOn(getPaymentProvider(), 'charge');
+
+    const res = await milestoneAction(job, milestone, 'fund', clientId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('El hito ya ha sido fondeado');
+    expect(charge).not.toHaveBeenCalled();
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('solo el freelancer asignado entrega y solo hitos fondeados', async () => {
+    const { job, milestones: [pending, funded] } = mockJobData({}, [{ status: 'pending' }, { status: 'funded' }]);
+
+    const byOtherFreelancer = await milestoneAction(job, funded, 'submit', crypto.randomUUID());
+    const notFunded = await milestoneAction(job, pending, 'submit', freelancerId);
+
+    expect(byOtherFreelancer.status).toBe(403);
+    expect(notFunded.status).toBe(400);
+    expect(notFunded.body.message).toBe('Solo se pueden entregar hitos fondeados');
+    expect(funded.status).toBe('funded');
+  });
+
+  it('solo se aprueban hitos entregados', async () => {
+    const { job, milestones: [funded], ledger } = mockJobData({}, [{ status: 'funded' }]);
+
+    const res = await milestoneAction(job, funded, 'approve', clientId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo se pueden aprobar hitos entregados');
+    expect(ledger).toHaveLength(0);
+  });
+
+  it('no gestiona hitos de trabajos cerrados ni cobra en ese caso', async () => {
+    const { job, milestones: [pending, submitted] } = mockJobData({ status: 'completed' }, [{}, { status: 'submitted' }]);
+    const charge = jest.spyOn(getPaymentProvider(), 'charge');
+
+    const fund = await milestoneAction(job, pending, 'fund', clientId);
+    const approve = await milestoneAction(job, submitted, 'approve', clientId);
+
+    expect(fund.status).toBe(400);
+    expect(fund.body.message).toBe("No se pueden gestionar hitos de un trabajo en estado 'completed'");
+    expect(approve.status).toBe(400);
+    expect(charge).not.toHaveBeenCalled();
+    expect(submitted.status).toBe('submitted');
+  });
+
+  it('cobra y paga con claves de idempotencia por hito', async () => {
+    const { job, milestones: [pending, submitted] } = mockJobData({}, [{}, { status: 'submitted' }]);
+    const charge = jest.spyOn(getPaymentProvider(), 'charge');
+    const payout = jest.spyOn(getPaymentProvider(), 'payout');
+
+    await milestoneAction(job, pending, 'fund', clientId).expect(200);
+    await milestoneAction(job, submitted, 'approve', clientId).expect(200);
+
+    expect(charge.mock.calls[0][0]).toMatchObject({ userId: clientId, idempotencyKey: `milestone:${pending.id}:fund` });
+    expect(payout.mock.calls[0][0]).toMatchObject({ userId: freelancerId, idempotencyKey: `milestone:${submitted.id}:release` });
+  });
+
+  it('si el pago falla el hito queda aprobado y se puede reintentar', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const { job, milestones: [milestone], ledger } = mockJobData({}, [{ status: 'submitted', amount: 250 }]);
+    const payout = jest.spyOn(getPaymentProvider(), 'payout').mockRejectedValueOnce(new Error('proveedor caído'));
+
+    const failed = await milestoneAction(job, milestone, 'approve', clientId);
+
+    expect(failed.status).toBe(500);
+    expect(milestone.status).toBe('approved');
+    expect(milestone.approvedAt).toBeInstanceOf(Date);
+    expect(ledger).toHaveLength(0);
+
+    const retried = await milestoneAction(job, milestone, 'approve', clientId);
+
+    expect(retried.status).toBe(200);
+    expect(milestone.status).toBe('released');
+    expect(payout).toHaveBeenCalledTimes(2);
+    expect(ledger).toHaveLength(2);
+  });
+
+  it('no entrega ni libera hitos fondeados para otro freelancer si el trabajo se ha reasignado', async () => {
+    const { job, milestones: [funded, submitted], ledger } = mockJobData({ assignedFreelancerId: otherFreelancerId }, [
+      { status: 'funded', freelancerId },
+      { status: 'submitted', freelancerId }
+    ]);
+    const payout = jest.spyOn(getPaymentProvider(), 'payout');
+
+    const submit = await milestoneAction(job, funded, 'submit', otherFreelancerId);
+    const approve = await milestoneAction(job, submitted, 'approve', clientId);
+
+    for (const res of [submit, approve]) {
+      expect(res.status).toBe(409);
+      expect(res.body.message).toBe('El trabajo se ha reasignado desde que se fondeó el hito');
+    }
+    expect(funded.status).toBe('funded');
+    expect(submitted.status).toBe('submitted');
+    expect(payout).not.toHaveBeenCalled();
+    expect(ledger).toHaveLength(0);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('responde 404 si el hito no es del trabajo', async () => {
+    const { job } = mockJobData();
+
+    const res = await milestoneAction(job, { id: crypto.randomUUID() }, 'fund', clientId);
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Hito no encontrado');
+  });
+});
+
+describe('GET /api/jobs/:jobId/milestones', () => {
+  it('solo el cliente y el freelancer asignado ven los hitos', async () => {
+    const { job } = mockJobData({}, [{ amount: 300 }, { amount: 200 }]);
+    jest.spyOn(Milestone, 'findAll').mockResolvedValue([Milestone.build({ amount: 300 }), Milestone.build({ amount: 200 })]);
+
+    const own = await request(app).get(`/api/jobs/${job.id}/milestones`).set('Authorization', authAs(freelancerId));
+    const other = await request(app).get(`/api/jobs/${job.id}/milestones`).set('Authorization', authAs(crypto.randomUUID()));
+
+    expect(own.status).toBe(200);
+    expect(own.body).toMatchObject({ budget: 1000, totalAmount: 500 });
+    expect(other.status).toBe(403);
+  });
+});
+
+describe('PUT /api/jobs/:jobId', () => {
+  it('no deja el presupuesto por debajo de la suma de los hitos', async () => {
+    const { job } = mockJobData({}, [{ amount: 600.1 }, { amount: 0.2 }]);
+    const save = jest.spyOn(job, 'save');
+
+    const res = await request(app).put(`/api/jobs/${job.id}`).set('Authorization', authAs(clientId)).send({ budget: 600 });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('La suma de los hitos (600.3) supera el presupuesto del trabajo (600)');
+    expect(save).not.toHaveBeenCalled();
+  });
+});
+
+describe('reabrir o cancelar un trabajo con hitos', () => {
+  it('paga los hitos aprobados y reembolsa los fondeados antes de cancelar', async () => {
+    const { job, milestones, ledger } = mockJobData({}, [
+      { status: 'approved', amount: 300 },
+      { status: 'funded', amount: 200 },
+      { status: 'submitted', amount: 100 },
+      { status: 'pending', amount: 50 }
+    ]);
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(JobStatusHistory, 'create').mockImplementation(async (values) => JobStatusHistory.build(values));
+    const refund = jest.spyOn(getPaymentProvider(), 'refund');
+
+    const res = await request(app)
+      .post(`/api/jobs/${job.id}/transitions`)
+      .set('Authorization', authAs(clientId))
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(200);
+    expect(job.status).toBe('cancelled');
+    expect(milestones.map(milestone => milestone.status)).toEqual(['released', 'refunded', 'refunded', 'pending']);
+    expect(refund.mock.calls.map(([payment]) => [payment.userId, payment.amount])).toEqual([[clientId, 200], [clientId, 100]]);
+    expect(ledger.filter(entry => entry.direction === 'debit').map(entry => [entry.account, entry.amount])).toEqual([
+      ['freelancer_earnings', 300],
+      ['client_payments', 200],
+      ['client_payments', 100]
+    ]);
+  });
+
+  it('paga los hitos aprobados al freelancer para el que se fondearon', async () => {
+    const { job, milestones, ledger } = mockJobData({}, [{ status: 'approved', amount: 300, freelancerId: otherFreelancerId }]);
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(JobStatusHistory, 'create').mockImplementation(async (values) => JobStatusHistory.build(values));
+    const payout = jest.spyOn(getPaymentProvider(), 'payout');
+
+    const res = await request(app)
+      .post(`/api/jobs/${job.id}/transitions`)
+      .set('Authorization', authAs(clientId))
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(200);
+    expect(milestones[0].status).toBe('released');
+    expect(payout.mock.calls[0][0]).toMatchObject({ userId: otherFreelancerId, amount: 300 });
+    expect(ledger.find(entry => entry.account === 'freelancer_earnings').userId).toBe(otherFreelancerId);
+  });
+
+  it('no cancela si siguen quedando fondos en depósito', async () => {
+    const { job } = mockJobData();
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    // Un hito se fondea mientras se liquidan los demás
+    jest.spyOn(Milestone, 'count').mockResolvedValue(1);
+
+    const res = await request(app)
+      .post(`/api/jobs/${job.id}/transitions`)
+      .set('Authorization', authAs(clientId))
+      .send({ status: 'cancelled' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.message).toBe('El trabajo tiene hitos con fondos en depósito; inténtalo de nuevo');
+    expect(job.status).toBe('in-progress');
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('liquida los hitos en depósito antes de reabrir el trabajo', async () => {
+    const { job, milestones } = mockJobData({ status: 'assigned' }, [
+      { status: 'approved', amount: 300 },
+      { status: 'funded', amount: 200 }
+    ]);
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(JobStatusHistory, 'create').mockImplementation(async (values) => JobStatusHistory.build(values));
+    jest.spyOn(Proposal, 'update').mockResolvedValue([1]);
+    const payout = jest.spyOn(getPaymentProvider(), 'payout');
+    const refund = jest.spyOn(getPaymentProvider(), 'refund');
+
+    const res = await request(app)
+      .post(`/api/jobs/${job.id}/transitions`)
+      .set('Authorization', authAs(freelancerId))
+      .send({ status: 'open' });
+
+    expect(res.status).toBe(200);
+    expect(job.status).toBe('open');
+    expect(job.assignedFreelancerId).toBeNull();
+    expect(milestones.map(milestone => milestone.status)).toEqual(['released', 'refunded']);
+    expect(payout.mock.calls.map(([payment]) => [payment.userId, payment.amount])).toEqual([[freelancerId, 300]]);
+    expect(refund.mock.calls.map(([payment]) => [payment.userId, payment.amount])).toEqual([[clientId, 200]]);
+  });
+
+  it('no reabre si siguen quedando fondos en depósito', async () => {
+    const { job } = mockJobData({ status: 'assigned' });
+    jest.spyOn(job, 'save').mockResolvedValue(job);
+    jest.spyOn(Milestone, 'count').mockResolvedValue(1);
+
+    const res = await request(app)
+      .put(`/api/jobs/${job.id}`)
+      .set('Authorization', authAs(clientId))
+      .send({ status: 'open' });
+
+    expect(res.status).toBe(409);
+    expect(job.status).toBe('assigned');
+    expect(job.assignedFreelancerId).toBe(freelancerId);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,245 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, Notification } = require('../src/models');
+const { notify, getPreferences } = require('../src/services/notification.service');
+const notificationRoutes = require('../src/routes/notification.routes');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Eventos emitidos por Socket.io durante cada prueba
+const emitted = [];
+
+// Cada sala tiene un único socket conectado en español
+const io = {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+  in: (room) => ({
+    fetchSockets: async () => [{ data: { locale: 'es' }, emit: (event, payload) => emitted.push({ room, event, payload }) }]
+  })
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/notifications', notificationRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+app.set('io', io);
+
+const userId = crypto.randomUUID();
+const actorId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+const buildUser = (values = {}) => {
+  const user = User.build({ id: userId, name: 'Ana', email: 'ana@example.com', role: 'client', emailVerified: true, ...values });
+  jest.spyOn(user, 'save').mockResolvedValue(user);
+  return user;
+};
+
+// Token de acceso de una sesión activa de `user`
+const authAs = (user = buildUser()) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: user.id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Notificación guardada con el actor incluido
+const buildNotification = (values = {}) => Notification.build({
+  id: crypto.randomUUID(),
+  userId,
+  actorId,
+  type: 'job_like',
+  data: { jobId: crypto.randomUUID(), jobTitle: 'Tienda online' },
+  actor: { id: actorId, name: 'Luis' },
+  ...values
+}, { include: [{ model: User, as: 'actor' }] });
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('notify', () => {
+  it('guarda la notificación y la envía a la sala del usuario', async () => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue(buildUser());
+    const create = jest.spyOn(Notification, 'create').mockImplementation(async (values) => Notification.build(values));
+    jest.spyOn(Notification, 'findByPk').mockImplementation(async () => buildNotification(create.mock.calls[0][0]));
+
+    const result = await notify(io, { userId, actorId, type: 'job_like', data: { jobTitle: 'Tienda online' } });
+
+    expect(create).toHaveBeenCalledWith({ userId, actorId, type: 'job_like', data: { jobTitle: 'Tienda online' } });
+    expect(result.message).toBe('A Luis le gusta tu trabajo "Tienda online"');
+    expect(emitted).toEqual([{ room: `user:${userId}`, event: 'notification', payload: result }]);
+  });
+
+  it('envía a cada socket el texto en su idioma y devuelve el del usuario', async () => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue(buildUser({ locale: 'pt' }));
+    const create = jest.spyOn(Notification, 'create').mockImplementation(async (values) => Notification.build(values));
+    jest.spyOn(Notification, 'findByPk').mockImplementation(async () => buildNotification(create.mock.calls[0][0]));
+    const received = {};
+    const socketIn = (locale) => ({ data: { locale }, emit: (event, payload) => { received[locale] = payload.message; } });
+    const multiLocaleIo = { in: () => ({ fetchSockets: async () => [socketIn('es'), socketIn('en')] }) };
+
+    const result = await notify(multiLocaleIo, { userId, actorId, type: 'job_like', data: { jobTitle: 'Tienda online' } });
+
+    expect(received).toEqual({
+      es: 'A Luis le gusta tu trabajo "Tienda online"',
+      en: 'Luis likes your job "Tienda online"'
+    });
+    expect(result.message).toBe('Luis curtiu seu trabalho "Tienda online"');
+  });
+
+  it('no notifica las acciones propias ni los tipos desactivados', async () => {
+    jest.spyOn(User, 'findByPk').mockResolvedValue(buildUser({ notificationPreferences: { job_like: false } }));
+    const create = jest.spyOn(Notification, 'create');
+
+    const own = await notify(io, { userId, actorId: userId, type: 'job_comment' });
+    const disabled = await notify(io, { userId, actorId, type: 'job_like' });
+
+    expect(own).toBeNull();
+    expect(disabled).toBeNull();
+    expect(create).not.toHaveBeenCalled();
+    expect(emitted).toEqual([]);
+  });
+
+  it('un error al notificar no se propaga', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(User, 'findByPk').mockRejectedValue(new Error('conexión perdida'));
+
+    await expect(notify(io, { userId, actorId, type: 'job_like' })).resolves.toBeNull();
+  });
+
+  it('completa las preferencias con los valores por defecto', () => {
+    expect(getPreferences(buildUser({ notificationPreferences: { chat_added: false } }))).toEqual({
+      job_comment: true,
+      comment_reply: true,
+      job_like: true,
+      chat_added: false,
+      saved_search_match: true,
+      saved_search_digest: true
+    });
+  });
+});
+
+describe('GET /api/notifications', () => {
+  it('devuelve las notificaciones con su texto y el número sin leer', async () => {
+    const findAll = jest.spyOn(Notification, 'findAndCountAll').mockResolvedValue({ count: 1, rows: [buildNotification()] });
+    jest.spyOn(Notification, 'count').mockResolvedValue(1);
+
+    const res = await request(app)
+      .get('/api/notifications?unreadOnly=true&page=2&limit=500')
+      .set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(res.body.notifications[0].message).toBe('A Luis le gusta tu trabajo "Tienda online"');
+    expect(res.body.unreadCount).toBe(1);
+    expect(findAll.mock.calls[0][0]).toMatchObject({ where: { userId, readAt: null }, limit: 100, offset: 100 });
+  });
+});
+
+describe('marcar como leídas', () => {
+  it('marca una notificación y envía el nuevo número sin leer', async () => {
+    const notification = buildNotification();
+    jest.spyOn(notification, 'save').mockResolvedValue(notification);
+    const findOne = jest.spyOn(Notification, 'findOne').mockResolvedValue(notification);
+    jest.spyOn(Notification, 'count').mockResolvedValue(0);
+
+    const res = await request(app)
+      .post(`/api/notifications/${notification.id}/read`)
+      .set('Authorization', authAs());
+
+    expect(res.status).toBe(200);
+    expect(notification.readAt).toBeInstanceOf(Date);
+    expect(findOne.mock.calls[0][0].where).toEqual({ id: notification.id, userId });
+    // Se carga con el actor, como en el listado, para que el texto lleve su nombre
+    expect(findOne.mock.calls[0][0].include).toEqual([{ model: User, as: 'actor', attributes: ['id', 'name', 'photoURL'] }]);
+    expect(res.body.notification).toMatchObject({ actor: { id: actorId, name: 'Luis' }, message: 'A Luis le gusta tu trabajo "Tienda online"' });
+    expect(emitted).toEqual([{ room: `user:${userId}`, event: 'notifications_unread', payload: { unreadCount: 0 } }]);
+  });
+
+  it('no encuentra las notificaciones de otro usuario', async () => {
+    jest.spyOn(Notification, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app)
+      .post(`/api/notifications/${crypto.randomUUID()}/read`)
+      .set('Authorization', authAs());
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Notificación no encontrada');
+  });
+
+  it('rechaza identificadores que no son UUID sin consultar la base de datos', async () => {
+    const findOne = jest.spyOn(Notification, 'findOne');
+
+    const res = await request(app)
+      .post('/api/notifications/123/read')
+      .set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'notificationId', location: 'params' });
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('marca todas las pendientes de una vez', async () => {
+    const update = jest.spyOn(Notification, 'update').mockResolvedValue([3]);
+    jest.spyOn(Notification, 'count').mockResolvedValue(0);
+
+    const res = await request(app).post('/api/notifications/read-all').set('Authorization', authAs());
+
+    expect(res.body.updated).toBe(3);
+    expect(update.mock.calls[0][1]).toEqual({ where: { userId, readAt: null } });
+    expect(emitted.map(({ event }) => event)).toEqual(['notifications_unread']);
+  });
+});
+
+describe('preferencias', () => {
+  it('guarda los cambios sobre las preferencias existentes', async () => {
+    const user = buildUser({ notificationPreferences: { job_like: false } });
+
+    const res = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', authAs(user))
+      .send({ preferences: { chat_added: false } });
+
+    expect(res.status).toBe(200);
+    expect(user.notificationPreferences).toEqual({ job_like: false, chat_added: false });
+    expect(res.body.preferences).toMatchObject({ job_like: false, chat_added: false, job_comment: true });
+  });
+
+  it('rechaza tipos desconocidos y valores no booleanos', async () => {
+    const user = buildUser();
+
+    const res = await request(app)
+      .put('/api/notifications/preferences')
+      .set('Authorization', authAs(user))
+      .send({ preferences: { job_like: 'no', newsletter: true } });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toMatch(/^Preferencias no válidas: job_like, newsletter/);
+    expect(user.save).not.toHaveBeenCalled();
+  });
+});
+
+describe('avisos de la actividad en trabajos', () => {
+  it('notifica al propietario cuando le dan like a su trabajo', async () => {
+    const token = authAs(buildUser({ id: actorId, name: 'Luis' }));
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Tienda online', userId });
+    jest.spyOn(job, 'getLikedBy').mockResolvedValue([]);
+    jest.spyOn(job, 'addLikedBy').mockResolvedValue();
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    const create = jest.spyOn(Notification, 'create').mockImplementation(async (values) => Notification.build(values));
+    jest.spyOn(Notification, 'findByPk').mockImplementation(async () => buildNotification(create.mock.calls[0][0]));
+
+    const res = await request(app).post(`/api/jobs/${job.id}/like`).set('Authorization', token);
+
+    expect(res.status).toBe(200);
+    expect(create).toHaveBeenCalledWith({ userId, actorId, type: 'job_like', data: { jobId: job.id, jobTitle: 'Tienda online' } });
+    expect(emitted.map(({ room, event }) => [room, event])).toEqual([[`user:${userId}`, 'notification']]);
+  });
+});
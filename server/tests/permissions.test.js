@@ -0,0 +1,176 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, AuditLog } = require('../src/models');
+const { ROLES, SELF_ASSIGNABLE_ROLES, PERMISSIONS, hasPermission } = require('../src/config/permissions');
+const { requirePermission, requireRole } = require('../src/middleware/auth');
+const authRoutes = require('../src/routes/auth.routes');
+const jobRoutes = require('../src/routes/job.routes');
+const userRoutes = require('../src/routes/user.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un usuario verificado con el rol indicado
+const authAs = (role, id = crypto.randomUUID()) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValueOnce(User.build({ id, name: 'Usuario', email: 'usuario@example.com', role, emailVerified: true }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+  delete process.env.ADMIN_INVITE_CODE;
+});
+
+describe('matriz de permisos', () => {
+  it('solo contiene roles conocidos', () => {
+    for (const roles of Object.values(PERMISSIONS)) {
+      expect(roles.length).toBeGreaterThan(0);
+      roles.forEach(role => expect(ROLES).toContain(role));
+    }
+  });
+
+  it('no permite elegir el rol de administrador al registrarse', () => {
+    expect(SELF_ASSIGNABLE_ROLES).toEqual(['client', 'freelancer']);
+  });
+
+  it.each([
+    ['client', 'jobs:create', true],
+    ['freelancer', 'jobs:create', false],
+    ['admin', 'jobs:create', false],
+    ['freelancer', 'proposals:submit', true],
+    ['client', 'proposals:submit', false],
+    ['client', 'proposals:decide', true],
+    ['freelancer', 'proposals:decide', false],
+    ['client', 'milestones:manage', true],
+    ['freelancer', 'milestones:manage', false],
+    ['freelancer', 'milestones:submit', true],
+    ['client', 'milestones:submit', false],
+    ['admin', 'users:manage', true],
+    ['client', 'users:manage', false],
+    ['freelancer', 'chats:use', true],
+    [undefined, 'chats:use', false]
+  ])('%s → %s: %s', (role, permission, expected) => {
+    expect(hasPermission(role, permission)).toBe(expected);
+  });
+
+  it('falla con un permiso desconocido', () => {
+    expect(() => hasPermission('client', 'jobs:fly')).toThrow('Permiso desconocido: jobs:fly');
+    expect(() => requirePermission('jobs:fly')).toThrow('Permiso desconocido: jobs:fly');
+  });
+});
+
+describe('requirePermission en las rutas', () => {
+  it('rechaza con 403 a un rol sin el permiso', async () => {
+    const create = jest.spyOn(Job, 'create');
+
+    const res = await request(app).post('/api/jobs').set('Authorization', authAs('freelancer')).send({});
+
+    expect(res.status).toBe(403);
+    expect(res.body).toEqual({ success: false, code: 'FORBIDDEN', message: 'No tienes permiso para realizar esta acción' });
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('deja pasar a un rol con el permiso hasta el controlador', async () => {
+    const res = await request(app).post('/api/jobs').set('Authorization', authAs('client')).send({});
+
+    expect(res.status).toBe(400);
+  });
+
+  it('rechaza a un freelancer en las rutas de gestión de un trabajo', async () => {
+    const res = await request(app).delete(`/api/jobs/${crypto.randomUUID()}`).set('Authorization', authAs('freelancer'));
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('requireRole', () => {
+  it('solo deja pasar a los roles indicados', () => {
+    const next = jest.fn();
+
+    requireRole('admin')({ user: { role: 'admin' } }, {}, next);
+    requireRole('admin')({ user: { role: 'client' } }, {}, next);
+
+    expect(next).toHaveBeenNthCalledWith(1);
+    expect(next.mock.calls[1][0]).toMatchObject({ status: 403, code: 'FORBIDDEN' });
+  });
+});
+
+describe('rol al registrarse', () => {
+  const registration = { name: 'Ana', email: 'ana@example.com', password: 'secreto123' };
+
+  it('no permite registrarse como administrador sin el código de invitación correcto', async () => {
+    const create = jest.spyOn(User, 'create');
+
+    const withoutCode = await request(app).post('/api/auth/register').send({ ...registration, role: 'admin' });
+    process.env.ADMIN_INVITE_CODE = 'invitacion';
+    const wrongCode = await request(app).post('/api/auth/register').send({ ...registration, role: 'admin', adminInviteCode: 'otra' });
+
+    for (const res of [withoutCode, wrongCode]) {
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('No puedes registrarte como administrador');
+    }
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('rechaza un rol desconocido', async () => {
+    const res = await request(app).post('/api/auth/register').send({ ...registration, role: 'superuser' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors[0]).toMatchObject({ field: 'role', message: 'Rol no válido. Roles disponibles: client, freelancer, admin' });
+  });
+});
+
+describe('PUT /api/users/:userId/role', () => {
+  it('un administrador cambia el rol de otro usuario', async () => {
+    const token = authAs('admin');
+    const target = User.build({ id: crypto.randomUUID(), name: 'Luis', email: 'luis@example.com', role: 'client' });
+    jest.spyOn(target, 'save').mockResolvedValue(target);
+    jest.spyOn(User, 'findByPk').mockResolvedValueOnce(target);
+    const audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+
+    const res = await request(app).put(`/api/users/${target.id}/role`).set('Authorization', token).send({ role: 'freelancer' });
+
+    expect(res.status).toBe(200);
+    expect(target.role).toBe('freelancer');
+    expect(target.save).toHaveBeenCalled();
+    expect(audit.mock.calls[0][0]).toMatchObject({
+      action: 'user.role_change',
+      targetType: 'user',
+      targetId: target.id,
+      metadata: { previousRole: 'client', role: 'freelancer' }
+    });
+  });
+
+  it('no permite cambiar el propio rol ni asignar roles desconocidos', async () => {
+    const adminId = crypto.randomUUID();
+
+    const own = await request(app).put(`/api/users/${adminId}/role`).set('Authorization', authAs('admin', adminId)).send({ role: 'client' });
+    const unknown = await request(app).put(`/api/users/${crypto.randomUUID()}/role`).set('Authorization', authAs('admin')).send({ role: 'superuser' });
+
+    expect(own.status).toBe(400);
+    expect(own.body.message).toBe('No puedes cambiar tu propio rol');
+    expect(unknown.status).toBe(400);
+  });
+
+  it('solo los administradores gestionan roles', async () => {
+    const res = await request(app).put(`/api/users/${crypto.randomUUID()}/role`).set('Authorization', authAs('client')).send({ role: 'admin' });
+
+    expect(res.status).toBe(403);
+  });
+});
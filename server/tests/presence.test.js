@@ -0,0 +1,198 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Message, sequelize } = require('../src/models');
+const { NODE_ID, usePresenceStore, applyPresence } = require('../src/services/presence.service');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Eventos emitidos por Socket.io durante cada prueba
+const emitted = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+
+/**
+ * Cliente de Redis en memoria con los comandos de conjuntos que usa la presencia
+ * multi() encadena los comandos y exec() devuelve sus resultados en orden.
+ */
+const createFakeRedis = () => {
+  const sets = new Map();
+  const keys = new Map();
+  const set = (key) => {
+    if (!sets.has(key)) sets.set(key, new Set());
+    return sets.get(key);
+  };
+
+  const commands = {
+    set: async (key, value) => { keys.set(key, value); return 'OK'; },
+    del: async (key) => Number(sets.delete(key) || keys.delete(key)),
+    exists: async (key) => Number(keys.has(key) || sets.has(key)),
+    sAdd: async (key, member) => {
+      const size = set(key).size;
+      return set(key).add(member).size - size;
+    },
+    sRem: async (key, member) => {
+      const removed = Number(set(key).delete(member));
+      if (set(key).size === 0) sets.delete(key);
+      return removed;
+    },
+    sCard: async (key) => (sets.has(key) ? sets.get(key).size : 0),
+    sMembers: async (key) => [...(sets.get(key) || [])]
+  };
+
+  return {
+    ...commands,
+    sets,
+    keys,
+    multi() {
+      const queued = [];
+      const chain = {
+        exec: () => Promise.all(queued.map(([name, args]) => commands[name](...args)))
+      };
+      for (const name of Object.keys(commands)) {
+        chain[name] = (...args) => {
+          queued.push([name, args]);
+          return chain;
+        };
+      }
+      return chain;
+    }
+  };
+};
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(async () => {
+  jest.restoreAllMocks();
+  usePresenceStore(null);
+});
+
+describe('presencia en memoria', () => {
+  it('cuenta los sockets abiertos de cada usuario', async () => {
+    const presence = usePresenceStore(null);
+
+    expect(await presence.addSocket('ana', 's1')).toBe(1);
+    expect(await presence.addSocket('ana', 's2')).toBe(2);
+    expect(await presence.removeSocket('ana', 's1')).toBe(1);
+    expect(await presence.isOnline('ana')).toBe(true);
+    expect(await presence.removeSocket('ana', 's2')).toBe(0);
+    expect(await presence.isOnline('ana')).toBe(false);
+    expect(await presence.removeSocket('luis', 's3')).toBe(0);
+  });
+});
+
+describe('presencia en Redis', () => {
+  let redis;
+  let presence;
+
+  beforeEach(() => {
+    redis = createFakeRedis();
+    presence = usePresenceStore(redis);
+  });
+
+  afterEach(async () => {
+    await presence.stop();
+  });
+
+  it('registra la instancia con un heartbeat', async () => {
+    await new Promise(setImmediate);
+
+    expect(redis.keys.has(`presence:heartbeat:${NODE_ID}`)).toBe(true);
+    expect(redis.sets.get('presence:nodes').has(NODE_ID)).toBe(true);
+  });
+
+  it('comparte los sockets de un usuario entre instancias', async () => {
+    // Otra instancia viva ya tiene abierto un socket del usuario
+    await redis.set('presence:heartbeat:otro-nodo', '1');
+    await redis.sAdd('presence:nodes', 'otro-nodo');
+    await redis.sAdd('presence:user:ana', 'otro-nodo:s9');
+
+    expect(await presence.addSocket('ana', 's1')).toBe(2);
+    expect(redis.sets.get(`presence:node:${NODE_ID}`)).toEqual(new Set(['ana:s1']));
+    expect(await presence.removeSocket('ana', 's1')).toBe(1);
+    expect(await presence.isOnline('ana')).toBe(true);
+  });
+
+  it('elimina los sockets de las instancias caídas y devuelve quién queda desconectado', async () => {
+    // La instancia caída tenía sockets de dos usuarios; uno sigue conectado aquí
+    await redis.sAdd('presence:nodes', 'nodo-caido');
+    await redis.sAdd('presence:node:nodo-caido', 'ana:s1');
+    await redis.sAdd('presence:node:nodo-caido', 'luis:s2');
+    await redis.sAdd('presence:user:ana', 'nodo-caido:s1');
+    await redis.sAdd('presence:user:luis', 'nodo-caido:s2');
+    await presence.addSocket('luis', 's3');
+
+    expect(await presence.sweepDeadNodes()).toEqual(['ana']);
+    expect(await presence.isOnline('ana')).toBe(false);
+    expect(await presence.isOnline('luis')).toBe(true);
+    expect(redis.sets.has('presence:node:nodo-caido')).toBe(false);
+    expect(redis.sets.get('presence:nodes').has('nodo-caido')).toBe(false);
+  });
+
+  it('no toca las instancias con el heartbeat vigente', async () => {
+    await redis.set('presence:heartbeat:otro-nodo', '1');
+    await redis.sAdd('presence:nodes', 'otro-nodo');
+    await redis.sAdd('presence:user:ana', 'otro-nodo:s1');
+
+    expect(await presence.sweepDeadNodes()).toEqual([]);
+    expect(await presence.isOnline('ana')).toBe(true);
+  });
+
+  it('al parar elimina su heartbeat y su registro', async () => {
+    await new Promise(setImmediate);
+
+    await presence.stop();
+
+    expect(redis.keys.has(`presence:heartbeat:${NODE_ID}`)).toBe(false);
+    expect(redis.sets.has('presence:nodes')).toBe(false);
+  });
+});
+
+describe('applyPresence', () => {
+  it('sustituye isOnline de la tabla por el estado de la presencia', async () => {
+    const presence = usePresenceStore(createFakeRedis());
+    await presence.addSocket('ana', 's1');
+    const users = [{ id: 'ana', isOnline: false }, { id: 'luis', isOnline: true }];
+
+    await applyPresence(users);
+
+    expect(users).toEqual([{ id: 'ana', isOnline: true }, { id: 'luis', isOnline: false }]);
+  });
+});
+
+describe('POST /api/chats/:chatId/messages', () => {
+  it('emite new_message a la sala del chat como al enviarlo por Socket.io', async () => {
+    const userId = crypto.randomUUID();
+    const sessionId = crypto.randomUUID();
+    const chatId = crypto.randomUUID();
+    const messageId = crypto.randomUUID();
+    jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Ana', email: 'ana@example.com' }));
+    jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO "Messages"')) return [[{ id: messageId }], 1];
+      if (sql.includes('WHERE m.id = :messageId')) return [{ id: messageId, content: 'Hola', senderId: userId }];
+      if (sql.includes('SELECT 1')) return [{ '?column?': 1 }];
+      return [];
+    });
+    const message = Message.build({ id: messageId, content: 'Hola', chatId, userId });
+    jest.spyOn(Message, 'findByPk').mockResolvedValue(message);
+
+    const res = await request(app)
+      .post(`/api/chats/${chatId}/messages`)
+      .set('Authorization', `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`)
+      .send({ content: 'Hola' });
+
+    expect(res.status).toBe(201);
+    expect(emitted).toEqual([{ room: `chat:${chatId}`, event: 'new_message', payload: message }]);
+  });
+});
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session, Job, Proposal, JobStatusHistory, sequelize } = require('../src/models');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const freelancerId = crypto.randomUUID();
+const otherFreelancerId = crypto.randomUUID();
+
+// Rol de cada usuario de las pruebas (el resto son clientes)
+const roles = { [freelancerId]: 'freelancer', [otherFreelancerId]: 'freelancer' };
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un usuario que verifyToken encontrará
+const authAs = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: roles[userId] || 'client', emailVerified: true }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Trabajo guardado que devuelve Job.findByPk
+const mockJob = (values = {}) => {
+  const job = Job.build({
+    id: crypto.randomUUID(),
+    title: 'Tienda online',
+    description: 'Tienda con pasarela de pago',
+    budget: 1000,
+    category: 'Desarrollo Web',
+    userId: clientId,
+    status: 'open',
+    ...values
+  });
+  jest.spyOn(job, 'save').mockResolvedValue(job);
+  jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+  return job;
+};
+
+// Propuesta guardada que devuelve Proposal.findOne
+const mockProposal = (job, values = {}) => {
+  const proposal = Proposal.build({
+    id: crypto.randomUUID(),
+    jobId: job.id,
+    userId: freelancerId,
+    coverLetter: 'Tengo experiencia con tiendas online',
+    amount: 900,
+    deliveryDays: 20,
+    status: 'pending',
+    ...values
+  });
+  jest.spyOn(proposal, 'save').mockResolvedValue(proposal);
+  jest.spyOn(Proposal, 'findOne').mockResolvedValue(proposal);
+  return proposal;
+};
+
+const proposalAction = (job, proposal, action, userId) => request(app)
+  .post(`/api/jobs/${job.id}/proposals/${proposal.id}/${action}`)
+  .set('Authorization', authAs(userId));
+
+let transaction;
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/jobs/:jobId/proposals', () => {
+  const submit = (job, body = { coverLetter: 'Tengo experiencia con tiendas online', amount: 900, deliveryDays: 20 }) =>
+    request(app)
+      .post(`/api/jobs/${job.id}/proposals`)
+      .set('Authorization', authAs(freelancerId))
+      .send(body);
+
+  it('crea una propuesta pendiente en un trabajo abierto', async () => {
+    const job = mockJob();
+    jest.spyOn(Proposal, 'findOne').mockResolvedValue(null);
+    const create = jest.spyOn(Proposal, 'create').mockImplementation(async (values) => Proposal.build(values));
+    jest.spyOn(Proposal, 'findByPk').mockImplementation(async () => Proposal.build(create.mock.calls[0][0]));
+
+    const res = await submit(job);
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith({
+      coverLetter: 'Tengo experiencia con tiendas online',
+      amount: 900,
+      deliveryDays: 20,
+      jobId: job.id,
+      userId: freelancerId
+    });
+    expect(res.body.proposal.status).toBe('pending');
+  });
+
+  it('exige carta de presentación, importe y plazo', async () => {
+    const job = mockJob();
+
+    const res = await submit(job, { coverLetter: 'Tengo experiencia con tiendas online' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Datos de la petición no válidos');
+    expect(res.body.errors.map(error => error.field)).toEqual(['amount', 'deliveryDays']);
+  });
+
+  it('solo admite una propuesta activa por freelancer', async () => {
+    const job = mockJob();
+    const findOne = jest.spyOn(Proposal, 'findOne').mockResolvedValue(Proposal.build({ status: 'pending' }));
+
+    const res = await submit(job);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Ya has enviado una propuesta para este trabajo');
+    expect(findOne.mock.calls[0][0].where.status).toEqual({ [Op.in]: ['pending', 'accepted'] });
+  });
+
+  it('rechaza propuestas a trabajos que no están abiertos', async () => {
+    const job = mockJob({ status: 'assigned', assignedFreelancerId: otherFreelancerId });
+
+    const res = await submit(job);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('El trabajo no está abierto a propuestas');
+  });
+
+  it('el propietario no puede postularse a su propio trabajo', async () => {
+    const job = mockJob({ userId: freelancerId });
+
+    const res = await submit(job);
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe('GET /api/jobs/:jobId/proposals', () => {
+  it('el freelancer solo ve sus propias propuestas', async () => {
+    const job = mockJob();
+    const findAll = jest.spyOn(Proposal, 'findAll').mockResolvedValue([]);
+
+    await request(app).get(`/api/jobs/${job.id}/proposals`).set('Authorization', authAs(freelancerId)).expect(200);
+    await request(app).get(`/api/jobs/${job.id}/proposals`).set('Authorization', authAs(clientId)).expect(200);
+
+    expect(findAll.mock.calls[0][0].where).toEqual({ jobId: job.id, userId: freelancerId });
+    expect(findAll.mock.calls[1][0].where).toEqual({ jobId: job.id });
+  });
+});
+
+describe('aceptar una propuesta', () => {
+  it('asigna el trabajo, rechaza el resto de pendientes y registra el cambio de estado', async () => {
+    const job = mockJob();
+    const proposal = mockProposal(job);
+    const update = jest.spyOn(Proposal, 'update').mockResolvedValue([1]);
+    const history = jest.spyOn(JobStatusHistory, 'create').mockResolvedValue({});
+
+    const res = await proposalAction(job, proposal, 'accept', clientId);
+
+    expect(res.status).toBe(200);
+    expect(proposal.status).toBe('accepted');
+    expect(job.status).toBe('assigned');
+    expect(job.assignedFreelancerId).toBe(freelancerId);
+    expect(update).toHaveBeenCalledWith(
+      { status: 'rejected' },
+      { where: { jobId: job.id, id: { [Op.ne]: proposal.id }, status: 'pending' }, transaction }
+    );
+    expect(history).toHaveBeenCalledWith({
+      jobId: job.id,
+      fromStatus: 'open',
+      toStatus: 'assigned',
+      changedById: clientId,
+      reason: 'Propuesta aceptada'
+    }, { transaction });
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('no acepta propuestas de un trabajo ya asignado', async () => {
+    const job = mockJob({ status: 'assigned', assignedFreelancerId: otherFreelancerId });
+    const proposal = mockProposal(job);
+
+    const res = await proposalAction(job, proposal, 'accept', clientId);
+
+    expect(res.status).toBe(400);
+    expect(proposal.status).toBe('pending');
+    expect(job.assignedFreelancerId).toBe(otherFreelancerId);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it.each(['accepted', 'rejected', 'withdrawn'])('no acepta una propuesta %s', async (status) => {
+    const job = mockJob();
+    const proposal = mockProposal(job, { status });
+
+    const res = await proposalAction(job, proposal, 'accept', clientId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo se pueden aceptar propuestas pendientes');
+    expect(job.status).toBe('open');
+  });
+
+  it('solo el cliente propietario decide', async () => {
+    const job = mockJob({ userId: crypto.randomUUID() });
+    const proposal = mockProposal(job);
+
+    const res = await proposalAction(job, proposal, 'accept', clientId);
+
+    expect(res.status).toBe(403);
+    expect(proposal.status).toBe('pending');
+  });
+});
+
+describe('rechazar y retirar propuestas', () => {
+  it('el cliente rechaza una propuesta pendiente', async () => {
+    const job = mockJob();
+    const proposal = mockProposal(job);
+
+    const res = await proposalAction(job, proposal, 'reject', clientId);
+
+    expect(res.status).toBe(200);
+    expect(proposal.status).toBe('rejected');
+  });
+
+  it('el freelancer retira su propuesta pendiente', async () => {
+    const job = mockJob();
+    const proposal = mockProposal(job);
+
+    const res = await proposalAction(job, proposal, 'withdraw', freelancerId);
+
+    expect(res.status).toBe(200);
+    expect(proposal.status).toBe('withdrawn');
+  });
+
+  it('no se puede retirar la propuesta de otro freelancer', async () => {
+    const job = mockJob();
+    const proposal = mockProposal(job);
+
+    const res = await proposalAction(job, proposal, 'withdraw', otherFreelancerId);
+
+    expect(res.status).toBe(403);
+    expect(proposal.status).toBe('pending');
+  });
+
+  it('no se puede retirar una propuesta ya aceptada', async () => {
+    const job = mockJob({ status: 'assigned', assignedFreelancerId: freelancerId });
+    const proposal = mockProposal(job, { status: 'accepted' });
+
+    const res = await proposalAction(job, proposal, 'withdraw', freelancerId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo se pueden retirar propuestas pendientes');
+  });
+});
@@ -0,0 +1,309 @@
+// Límites pequeños para las pruebas (se leen al cargar src/config/rate-limits.js)
+process.env.RATE_LIMIT_ENABLED = 'true';
+process.env.RATE_LIMIT_SEARCH_WINDOW = '60';
+process.env.RATE_LIMIT_SEARCH_IP = '4';
+process.env.RATE_LIMIT_SEARCH_USER = '2';
+process.env.LOGIN_MAX_ATTEMPTS = '3';
+process.env.LOGIN_ATTEMPT_WINDOW = '600';
+process.env.LOGIN_LOCKOUT_DURATION = '900';
+
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session } = require('../src/models');
+const { verifyToken } = require('../src/middleware/auth');
+const { rateLimit } = require('../src/middleware/rate-limit');
+const authRoutes = require('../src/routes/auth.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+const {
+  useRateLimitStore,
+  consume,
+  getLoginLock,
+  recordLoginFailure,
+  clearLoginFailures
+} = require('../src/services/rate-limit.service');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const buildUser = (values = {}) => User.build({
+  id: crypto.randomUUID(),
+  name: 'Ana',
+  email: 'ana@example.com',
+  role: 'client',
+  emailVerified: true,
+  ...values
+});
+
+// Token de acceso de una sesión activa de `user`
+const authAs = (user) => {
+  const sessionId = crypto.randomUUID();
+  jest.spyOn(User, 'findByPk').mockResolvedValue(user);
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: user.id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: user.id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+/**
+ * Cliente de Redis de prueba con los comandos que usa el almacén de Redis
+ */
+const createFakeRedis = () => {
+  const values = new Map();
+  const expirations = new Map();
+
+  const pTTL = (key) => {
+    if (!values.has(key)) return -2;
+    return expirations.has(key) ? expirations.get(key) - Date.now() : -1;
+  };
+
+  const client = {
+    values,
+    multi: () => {
+      const commands = [];
+      const chain = {
+        incr: (key) => {
+          commands.push(() => {
+            values.set(key, String(parseInt(values.get(key) || '0', 10) + 1));
+            return parseInt(values.get(key), 10);
+          });
+          return chain;
+        },
+        get: (key) => {
+          commands.push(() => (values.has(key) ? values.get(key) : null));
+          return chain;
+        },
+        pTTL: (key) => {
+          commands.push(() => pTTL(key));
+          return chain;
+        },
+        exec: async () => commands.map(command => command())
+      };
+      return chain;
+    },
+    pExpire: async (key, ms) => {
+      expirations.set(key, Date.now() + ms);
+    },
+    del: async (key) => {
+      values.delete(key);
+      expirations.delete(key);
+    }
+  };
+  return client;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // Contadores nuevos en cada prueba
+  useRateLimitStore(null);
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+describe('consume', () => {
+  it('permite hasta el máximo por IP y después indica cuánto esperar', async () => {
+    for (let i = 0; i < 4; i++) {
+      expect(await consume('search', { ip: '10.0.0.1' })).toBeNull();
+    }
+
+    const limited = await consume('search', { ip: '10.0.0.1' });
+    expect(limited.retryAfter).toBeGreaterThan(0);
+    expect(limited.retryAfter).toBeLessThanOrEqual(60);
+
+    // Otra IP tiene su propio contador
+    expect(await consume('search', { ip: '10.0.0.2' })).toBeNull();
+  });
+
+  it('cuenta también por usuario aunque cambie la IP', async () => {
+    expect(await consume('search', { ip: '10.0.0.1', userId: 'u1' })).toBeNull();
+    expect(await consume('search', { ip: '10.0.0.2', userId: 'u1' })).toBeNull();
+    expect(await consume('search', { ip: '10.0.0.3', userId: 'u1' })).toEqual({ retryAfter: expect.any(Number) });
+  });
+
+  it('vuelve a permitir al empezar la siguiente ventana', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+
+    await consume('search', { userId: 'u1' });
+    await consume('search', { userId: 'u1' });
+    expect(await consume('search', { userId: 'u1' })).toEqual({ retryAfter: 60 });
+
+    jest.setSystemTime(new Date('2026-10-19T10:00:45Z'));
+    expect(await consume('search', { userId: 'u1' })).toEqual({ retryAfter: 15 });
+
+    jest.setSystemTime(new Date('2026-10-19T10:01:00Z'));
+    expect(await consume('search', { userId: 'u1' })).toBeNull();
+  });
+
+  it('no limita con RATE_LIMIT_ENABLED=false ni con límites desconocidos', async () => {
+    expect(await consume('desconocido', { ip: '10.0.0.1' })).toBeNull();
+
+    process.env.RATE_LIMIT_ENABLED = 'false';
+    try {
+      for (let i = 0; i < 10; i++) {
+        expect(await consume('search', { ip: '10.0.0.1' })).toBeNull();
+      }
+    } finally {
+      process.env.RATE_LIMIT_ENABLED = 'true';
+    }
+  });
+
+  it('permite la petición si el almacén falla', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const client = createFakeRedis();
+    client.multi = () => {
+      throw new Error('Redis no disponible');
+    };
+    useRateLimitStore(client);
+
+    expect(await consume('search', { ip: '10.0.0.1' })).toBeNull();
+    expect(console.error).toHaveBeenCalled();
+  });
+});
+
+describe('almacén de Redis', () => {
+  it('comparte el contador y fija la caducidad al empezar la ventana', async () => {
+    const client = createFakeRedis();
+    useRateLimitStore(client);
+
+    for (let i = 0; i < 4; i++) {
+      expect(await consume('search', { ip: '10.0.0.1' })).toBeNull();
+    }
+    expect(await consume('search', { ip: '10.0.0.1' })).toEqual({ retryAfter: 60 });
+    expect(client.values.get('ratelimit:search:ip:10.0.0.1')).toBe('5');
+  });
+
+  it('bloquea el inicio de sesión con claves de Redis', async () => {
+    useRateLimitStore(createFakeRedis());
+
+    await recordLoginFailure('ana@example.com');
+    await recordLoginFailure('ana@example.com');
+    expect(await recordLoginFailure('ana@example.com')).toEqual({ retryAfter: 900 });
+    expect(await getLoginLock('ANA@example.com ')).toEqual({ retryAfter: 900 });
+  });
+});
+
+describe('bloqueo de inicio de sesión', () => {
+  it('bloquea el email al llegar al máximo de intentos fallidos', async () => {
+    expect(await recordLoginFailure('ana@example.com')).toBeNull();
+    expect(await recordLoginFailure('ana@example.com')).toBeNull();
+    expect(await getLoginLock('ana@example.com')).toBeNull();
+
+    expect(await recordLoginFailure('ana@example.com')).toEqual({ retryAfter: 900 });
+    expect(await getLoginLock('ana@example.com')).toEqual({ retryAfter: 900 });
+    expect(await getLoginLock('otra@example.com')).toBeNull();
+  });
+
+  it('ignora mayúsculas y espacios del email', async () => {
+    await recordLoginFailure('Ana@Example.com');
+    await recordLoginFailure(' ana@example.com');
+    await recordLoginFailure('ANA@EXAMPLE.COM');
+
+    expect(await getLoginLock('ana@example.com')).not.toBeNull();
+  });
+
+  it('olvida los intentos fallidos tras un inicio de sesión correcto', async () => {
+    await recordLoginFailure('ana@example.com');
+    await recordLoginFailure('ana@example.com');
+    await clearLoginFailures('ana@example.com');
+
+    expect(await recordLoginFailure('ana@example.com')).toBeNull();
+  });
+
+  it('levanta el bloqueo cuando termina su duración', async () => {
+    jest.useFakeTimers({ now: new Date('2026-10-19T10:00:00Z') });
+    for (let i = 0; i < 3; i++) {
+      await recordLoginFailure('ana@example.com');
+    }
+
+    jest.setSystemTime(new Date('2026-10-19T10:14:00Z'));
+    expect(await getLoginLock('ana@example.com')).toEqual({ retryAfter: 60 });
+
+    jest.setSystemTime(new Date('2026-10-19T10:15:00Z'));
+    expect(await getLoginLock('ana@example.com')).toBeNull();
+  });
+});
+
+describe('middleware rateLimit', () => {
+  const app = express();
+  app.get('/api/test/public', rateLimit('search'), (req, res) => res.json({ success: true }));
+  app.get('/api/test/private', verifyToken, rateLimit('search'), (req, res) => res.json({ success: true }));
+  app.use(errorHandler);
+
+  it('responde 429 con Retry-After al superar el límite por IP', async () => {
+    for (let i = 0; i < 4; i++) {
+      await request(app).get('/api/test/public').expect(200);
+    }
+
+    const res = await request(app).get('/api/test/public');
+
+    expect(res.status).toBe(429);
+    expect(res.body).toMatchObject({ success: false, code: 'TOO_MANY_REQUESTS', retryAfter: expect.any(Number) });
+    expect(res.headers['retry-after']).toBe(String(res.body.retryAfter));
+  });
+
+  it('aplica el límite por usuario después de verifyToken', async () => {
+    const token = authAs(buildUser());
+
+    await request(app).get('/api/test/private').set('Authorization', token).expect(200);
+    await request(app).get('/api/test/private').set('Authorization', token).expect(200);
+    const res = await request(app).get('/api/test/private').set('Authorization', token);
+
+    expect(res.status).toBe(429);
+  });
+});
+
+describe('POST /api/auth/login', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/auth', authRoutes);
+  app.use(errorHandler);
+  const credentials = { email: 'ana@example.com', password: 'secreto123' };
+
+  const mockUser = () => {
+    const user = buildUser({ email: credentials.email });
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    jest.spyOn(user, 'comparePassword').mockImplementation(async (password) => password === credentials.password);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(Session, 'create').mockImplementation(async (values) => Session.build(values));
+    return user;
+  };
+
+  it('bloquea la cuenta tras varios intentos fallidos aunque después acierte la contraseña', async () => {
+    mockUser();
+    const wrong = { ...credentials, password: 'incorrecta' };
+
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+    const locked = await request(app).post('/api/auth/login').send(wrong);
+
+    expect(locked.status).toBe(429);
+    expect(locked.body).toMatchObject({ code: 'ACCOUNT_LOCKED', retryAfter: 900 });
+    expect(locked.body.message).toBe('Demasiados intentos fallidos. Inténtalo de nuevo en 15 minutos');
+    expect(locked.headers['retry-after']).toBe('900');
+
+    const res = await request(app).post('/api/auth/login').send(credentials);
+    expect(res.status).toBe(429);
+    expect(res.body.code).toBe('ACCOUNT_LOCKED');
+  });
+
+  it('cuenta los intentos con emails que no existen', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(null);
+    const unknown = { email: 'nadie@example.com', password: 'secreto123' };
+
+    await request(app).post('/api/auth/login').send(unknown).expect(401);
+    await request(app).post('/api/auth/login').send(unknown).expect(401);
+    await request(app).post('/api/auth/login').send(unknown).expect(429);
+  });
+
+  it('reinicia los intentos tras un inicio de sesión correcto', async () => {
+    mockUser();
+    const wrong = { ...credentials, password: 'incorrecta' };
+
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+    await request(app).post('/api/auth/login').send(credentials).expect(200);
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+    await request(app).post('/api/auth/login').send(wrong).expect(401);
+  });
+});
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, sequelize } = require('../src/models');
+const { markChatRead, getUnreadCounts, emitMessagesRead } = require('../src/services/read-receipt.service');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Eventos emitidos por Socket.io durante cada prueba
+const emitted = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', { to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }) });
+
+const chatId = crypto.randomUUID();
+const userId = crypto.randomUUID();
+const messageId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('markChatRead', () => {
+  it('avanza el estado de lectura hasta el mensaje indicado', async () => {
+    const readState = { chatId, userId, lastReadMessageId: messageId, lastReadAt: new Date() };
+    const query = jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([{ id: messageId }])
+      .mockResolvedValueOnce([readState]);
+
+    expect(await markChatRead(chatId, userId, messageId)).toBe(readState);
+
+    const [targetSql, targetOptions] = query.mock.calls[0];
+    expect(targetSql).toContain('AND m.id = :messageId');
+    expect(targetOptions.replacements).toEqual({ chatId, messageId });
+
+    // El estado solo avanza: no se sobrescribe un mensaje leído posterior
+    const [updateSql, updateOptions] = query.mock.calls[1];
+    expect(updateSql).toContain('AND NOT EXISTS');
+    expect(updateOptions.replacements).toEqual({ chatId, userId, messageId });
+  });
+
+  it('sin mensaje marca hasta el último del chat', async () => {
+    const latestId = crypto.randomUUID();
+    const query = jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([{ id: latestId }])
+      .mockResolvedValueOnce([]);
+
+    expect(await markChatRead(chatId, userId)).toBeNull();
+
+    expect(query.mock.calls[0][0]).not.toContain('AND m.id = :messageId');
+    expect(query.mock.calls[1][1].replacements.messageId).toBe(latestId);
+  });
+
+  it('no hace nada si el mensaje no es del chat', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValueOnce([]);
+
+    expect(await markChatRead(chatId, userId, messageId)).toBeNull();
+    expect(query).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('getUnreadCounts', () => {
+  it('devuelve los mensajes sin leer de cada chat', async () => {
+    const otherChatId = crypto.randomUUID();
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([
+      { chatId, unreadCount: 3 },
+      { chatId: otherChatId, unreadCount: 0 }
+    ]);
+
+    expect(await getUnreadCounts(userId, [chatId, otherChatId])).toEqual({ [chatId]: 3, [otherChatId]: 0 });
+    expect(query.mock.calls[0][0]).toContain('AND cp."chatId" IN (:chatIds)');
+  });
+
+  it('no consulta nada con una lista de chats vacía', async () => {
+    const query = jest.spyOn(sequelize, 'query');
+
+    expect(await getUnreadCounts(userId, [])).toEqual({});
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('emitMessagesRead', () => {
+  it('emite a la sala del chat hasta qué mensaje ha leído el usuario', () => {
+    const emit = jest.fn();
+    const io = { to: jest.fn(() => ({ emit })) };
+    const lastReadAt = new Date();
+
+    emitMessagesRead(io, { chatId, userId, lastReadMessageId: messageId, lastReadAt });
+
+    expect(io.to).toHaveBeenCalledWith(`chat:${chatId}`);
+    expect(emit).toHaveBeenCalledWith('messages_read', { chatId, userId, lastReadMessageId: messageId, lastReadAt });
+  });
+
+  it('no emite si el estado no ha cambiado', () => {
+    const io = { to: jest.fn() };
+
+    emitMessagesRead(io, null);
+
+    expect(io.to).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/chats/:chatId', () => {
+  it('devuelve todos los participantes con su estado de lectura y todos los mensajes', async () => {
+    const friendId = crypto.randomUUID();
+    const newerId = crypto.randomUUID();
+    const readState = { chatId, userId, lastReadMessageId: newerId, lastReadAt: new Date().toISOString() };
+    const participants = [
+      { id: userId, name: 'Usuario', lastReadMessageId: messageId },
+      { id: friendId, name: 'Luis', lastReadMessageId: newerId }
+    ];
+    // Los mensajes llegan del más reciente al más antiguo
+    const messages = [
+      { id: newerId, content: 'Hasta mañana', senderId: friendId, user: { id: friendId, name: 'Luis' } },
+      { id: messageId, content: 'Hola', senderId: userId, user: { id: userId, name: 'Usuario' } }
+    ];
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('SELECT 1 FROM "ChatParticipants"')) return [{ '?column?': 1 }];
+      if (sql.includes('SELECT * FROM "Chats"')) return [{ id: chatId, name: null, isGroup: false }];
+      if (sql.includes('JOIN "ChatParticipants" AS cp ON u.id = cp."userId"')) return participants;
+      if (sql.includes('LIMIT 50')) return [...messages];
+      if (sql.includes('SELECT m.id')) return [{ id: newerId }];
+      if (sql.includes('UPDATE "ChatParticipants"')) return [readState];
+      return [];
+    });
+
+    const res = await request(app).get(`/api/chats/${chatId}`).set('Authorization', token());
+
+    expect(res.status).toBe(200);
+    expect(res.body.chat.participants).toEqual(participants);
+    expect(res.body.chat.messages.map(message => message.id)).toEqual([messageId, newerId]);
+    expect(emitted).toEqual([{ room: `chat:${chatId}`, event: 'messages_read', payload: readState }]);
+  });
+});
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, sequelize } = require('../src/models');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const freelancerId = crypto.randomUUID();
+
+// Rol de cada usuario de las pruebas (el resto son clientes)
+const roles = { [freelancerId]: 'freelancer' };
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un usuario que verifyToken encontrará
+const authAs = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: roles[userId] || 'client' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/jobs/recommended', () => {
+  it('devuelve los trabajos en el orden de la puntuación con el detalle de cada criterio', async () => {
+    const first = Job.build({ id: crypto.randomUUID(), title: 'Tienda en React', userId: clientId });
+    const second = Job.build({ id: crypto.randomUUID(), title: 'Blog', userId: clientId });
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([
+      { jobId: first.id, score: 0.81234, skillScore: 1, interestScore: 0.5, rateScore: 0.6666, recencyScore: 0.9 },
+      { jobId: second.id, score: 0.4, skillScore: 0.5, interestScore: 0, rateScore: 0.5, recencyScore: 0.3 }
+    ]);
+    const findAll = jest.spyOn(Job, 'findAll').mockResolvedValue([second, first]);
+
+    const res = await request(app)
+      .get('/api/jobs/recommended?page=2&limit=500')
+      .set('Authorization', authAs(freelancerId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.jobs.map(job => job.id)).toEqual([first.id, second.id]);
+    expect(res.body.jobs[0].recommendation).toEqual({
+      score: 0.812,
+      scores: { skills: 1, interests: 0.5, rate: 0.667, recency: 0.9 }
+    });
+    expect(query.mock.calls[0][1].replacements).toMatchObject({ userId: freelancerId, limit: 50, offset: 50 });
+    expect(findAll.mock.calls[0][0].where).toEqual({ id: [first.id, second.id] });
+  });
+
+  it('no recomienda trabajos ocultos, propios o con una propuesta del freelancer', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([]);
+    jest.spyOn(Job, 'findAll').mockResolvedValue([]);
+
+    await request(app).get('/api/jobs/recommended').set('Authorization', authAs(freelancerId)).expect(200);
+
+    const [sql] = query.mock.calls[0];
+    expect(sql).toContain(`j.status = 'open'`);
+    expect(sql).toContain('j."hiddenAt" IS NULL');
+    expect(sql).toContain('j."userId" <> :userId');
+    expect(sql).toContain('p."jobId" = j.id AND p."userId" = :userId');
+  });
+
+  it('solo está disponible para freelancers', async () => {
+    const query = jest.spyOn(sequelize, 'query');
+
+    const res = await request(app).get('/api/jobs/recommended').set('Authorization', authAs(clientId));
+
+    expect(res.status).toBe(403);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('GET /api/jobs/:jobId/suggested-freelancers', () => {
+  const mockJob = (values = {}) => {
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Tienda en React', userId: clientId, skills: ['React'], ...values });
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    return job;
+  };
+
+  it('el dueño del trabajo recibe los freelancers puntuados', async () => {
+    const job = mockJob();
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([{
+      id: freelancerId,
+      name: 'Luis',
+      matchedSkills: ['react'],
+      jobSkillCount: 1,
+      averageRating: 4.66666,
+      reviewCount: 3,
+      hasProposal: false,
+      skillScore: 1,
+      ratingScore: 0.84,
+      score: 0.952
+    }]);
+
+    const res = await request(app)
+      .get(`/api/jobs/${job.id}/suggested-freelancers`)
+      .set('Authorization', authAs(clientId));
+
+    expect(res.status).toBe(200);
+    expect(res.body.freelancers).toEqual([{
+      id: freelancerId,
+      name: 'Luis',
+      matchedSkills: ['react'],
+      averageRating: 4.667,
+      reviewCount: 3,
+      hasProposal: false,
+      score: 0.952,
+      scores: { skills: 1, rating: 0.84 }
+    }]);
+    expect(query.mock.calls[0][1].replacements).toMatchObject({ jobId: job.id, ownerId: clientId, limit: 20, offset: 0 });
+    expect(query.mock.calls[0][0]).toContain(`u.status = 'active'`);
+  });
+
+  it('solo el dueño ve las sugerencias de su trabajo', async () => {
+    const job = mockJob({ userId: crypto.randomUUID() });
+    const query = jest.spyOn(sequelize, 'query');
+
+    const res = await request(app)
+      .get(`/api/jobs/${job.id}/suggested-freelancers`)
+      .set('Authorization', authAs(clientId));
+
+    expect(res.status).toBe(403);
+    expect(res.body.message).toBe('No tienes permiso para ver sugerencias de este trabajo');
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('devuelve 404 si el trabajo no existe', async () => {
+    const token = authAs(clientId);
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/jobs/${crypto.randomUUID()}/suggested-freelancers`).set('Authorization', token);
+
+    expect(res.status).toBe(404);
+  });
+});
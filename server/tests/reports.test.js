@@ -0,0 +1,298 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, Message, Attachment, ChatParticipant, Report, AuditLog, sequelize } = require('../src/models');
+const reportRoutes = require('../src/routes/report.routes');
+const adminRoutes = require('../src/routes/admin.routes');
+const chatRoutes = require('../src/routes/chat.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Eventos emitidos por Socket.io durante cada prueba
+const emitted = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/reports', reportRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/chats', chatRoutes);
+app.use(errorHandler);
+app.set('io', {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) })
+});
+
+const reporterId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+const chatId = crypto.randomUUID();
+
+const authAs = (id = reporterId, role = 'client') => {
+  jest.spyOn(User, 'findByPk').mockResolvedValueOnce(User.build({ id, name: 'Usuario', email: 'usuario@example.com', role, emailVerified: true }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Trabajo de otro usuario que devuelve Job.findByPk
+const mockJob = (values = {}) => {
+  const job = Job.build({ id: crypto.randomUUID(), title: 'Trabajo', userId: crypto.randomUUID(), ...values });
+  jest.spyOn(job, 'save').mockResolvedValue(job);
+  jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+  return job;
+};
+
+/**
+ * Simular el estado de las denuncias: las recientes del denunciante, si ya denunció
+ * el objetivo y cuántas quedan pendientes tras crear la nueva
+ */
+const mockReports = ({ recent = 0, existing = null, pending = 1 } = {}) => {
+  jest.spyOn(Report, 'count').mockImplementation(async ({ where }) => (where.reporterId ? recent : pending));
+  jest.spyOn(Report, 'findOne').mockResolvedValue(existing);
+  return jest.spyOn(Report, 'create').mockImplementation(async (values) => Report.build({ id: crypto.randomUUID(), status: 'pending', ...values }));
+};
+
+const report = (body) => request(app).post('/api/reports').set('Authorization', authAs()).send(body);
+
+let transaction;
+let audit;
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+  audit = jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/reports', () => {
+  it('crea una denuncia pendiente', async () => {
+    const job = mockJob();
+    const create = mockReports();
+
+    const res = await report({ targetType: 'job', targetId: job.id, reason: 'scam', details: 'Pide pagos por adelantado' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.report).toMatchObject({ targetType: 'job', targetId: job.id, reason: 'scam', status: 'pending' });
+    expect(create).toHaveBeenCalledWith({
+      reporterId,
+      targetType: 'job',
+      targetId: job.id,
+      reason: 'scam',
+      details: 'Pide pagos por adelantado'
+    }, { transaction });
+    expect(job.hiddenAt).toBeFalsy();
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('oculta el contenido al alcanzar el umbral de denuncias pendientes', async () => {
+    const job = mockJob();
+    mockReports({ pending: 3 });
+
+    const res = await report({ targetType: 'job', targetId: job.id, reason: 'spam' });
+
+    expect(res.status).toBe(201);
+    expect(job.hiddenAt).toBeInstanceOf(Date);
+    expect(job.hiddenReason).toBe('Oculto automáticamente por denuncias pendientes de revisión');
+    expect(job.save).toHaveBeenCalledWith({ transaction });
+    expect(audit).toHaveBeenCalledWith(expect.objectContaining({
+      actorId: null,
+      action: 'job.auto_hide',
+      metadata: { pendingReports: 3 }
+    }), { transaction });
+  });
+
+  it('avisa al chat cuando se oculta automáticamente un mensaje', async () => {
+    const message = Message.build({ id: crypto.randomUUID(), chatId, userId: crypto.randomUUID(), content: 'Compra aquí' });
+    jest.spyOn(message, 'save').mockResolvedValue(message);
+    jest.spyOn(Message, 'findByPk').mockResolvedValue(message);
+    jest.spyOn(ChatParticipant, 'findOne').mockResolvedValue(ChatParticipant.build({ chatId, userId: reporterId }));
+    mockReports({ pending: 3 });
+
+    const res = await report({ targetType: 'message', targetId: message.id, reason: 'spam' });
+
+    expect(res.status).toBe(201);
+    expect(emitted).toEqual([{
+      room: `chat:${chatId}`,
+      event: 'message_hidden',
+      payload: { chatId, messageId: message.id, hiddenAt: message.hiddenAt }
+    }]);
+  });
+
+  it('solo los participantes del chat denuncian sus mensajes', async () => {
+    const message = Message.build({ id: crypto.randomUUID(), chatId, userId: crypto.randomUUID() });
+    jest.spyOn(Message, 'findByPk').mockResolvedValue(message);
+    jest.spyOn(ChatParticipant, 'findOne').mockResolvedValue(null);
+    const create = mockReports();
+
+    const res = await report({ targetType: 'message', targetId: message.id, reason: 'harassment' });
+
+    expect(res.status).toBe(403);
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('no permite denunciar el propio contenido ni dos veces lo mismo', async () => {
+    mockReports({ existing: Report.build({ reporterId }) });
+
+    mockJob({ userId: reporterId });
+    const own = await report({ targetType: 'job', targetId: crypto.randomUUID(), reason: 'spam' });
+    const job = mockJob();
+    const repeated = await report({ targetType: 'job', targetId: job.id, reason: 'spam' });
+
+    expect(own.status).toBe(400);
+    expect(own.body.message).toBe('No puedes denunciar tu propio contenido');
+    expect(repeated.status).toBe(409);
+    expect(repeated.body.message).toBe('Ya has denunciado este contenido');
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('trata la restricción única como una denuncia repetida', async () => {
+    const job = mockJob();
+    mockReports();
+    const uniqueError = Object.assign(new Error('duplicate key'), { name: 'SequelizeUniqueConstraintError' });
+    jest.spyOn(Report, 'create').mockRejectedValue(uniqueError);
+
+    const res = await report({ targetType: 'job', targetId: job.id, reason: 'spam' });
+
+    expect(res.status).toBe(409);
+    expect(transaction.rollback).toHaveBeenCalled();
+  });
+
+  it('limita las denuncias por usuario', async () => {
+    const job = mockJob();
+    const create = mockReports({ recent: 10 });
+
+    const res = await report({ targetType: 'job', targetId: job.id, reason: 'spam' });
+
+    expect(res.status).toBe(429);
+    expect(res.body.message).toBe('Has enviado demasiadas denuncias. Inténtalo más tarde');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('valida el motivo, el tipo de contenido y el objetivo', async () => {
+    mockReports();
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(null);
+
+    const reason = await report({ targetType: 'job', targetId: crypto.randomUUID(), reason: 'aburrido' });
+    const type = await report({ targetType: 'chat', targetId: crypto.randomUUID(), reason: 'spam' });
+    const missing = await report({ targetType: 'job', targetId: crypto.randomUUID(), reason: 'spam' });
+    const malformed = await report({ targetType: 'job', targetId: 'no-es-un-uuid', reason: 'spam' });
+
+    expect(reason.status).toBe(400);
+    expect(reason.body.message).toMatch(/^Motivo no válido. Motivos disponibles: spam, scam/);
+    expect(type.status).toBe(400);
+    expect(type.body.message).toBe('Tipo de contenido no válido');
+    expect(missing.status).toBe(404);
+    expect(missing.body.message).toBe('Trabajo no encontrado');
+    expect(malformed.status).toBe(404);
+    expect(Job.findByPk).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/reports/reasons', () => {
+  it('devuelve los motivos sin necesidad de autenticación', async () => {
+    const res = await request(app).get('/api/reports/reasons');
+
+    expect(res.status).toBe(200);
+    expect(res.body.reasons).toEqual(Report.REASONS);
+  });
+});
+
+describe('revisión de denuncias', () => {
+  it('al descartarlas vuelve a mostrar el contenido ocultado automáticamente', async () => {
+    const job = mockJob({ hiddenAt: new Date(), hiddenReason: 'Oculto automáticamente por denuncias pendientes de revisión' });
+    const pending = Report.build({ id: crypto.randomUUID(), targetType: 'job', targetId: job.id, reason: 'spam' });
+    jest.spyOn(pending, 'reload').mockResolvedValue(pending);
+    jest.spyOn(Report, 'findByPk').mockResolvedValue(pending);
+    jest.spyOn(Report, 'update').mockResolvedValue([3]);
+
+    const res = await request(app)
+      .put(`/api/admin/reports/${pending.id}`)
+      .set('Authorization', authAs(crypto.randomUUID(), 'admin'))
+      .send({ status: 'dismissed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ closed: 3, unhidden: true });
+    expect(job.hiddenAt).toBeNull();
+  });
+
+  it('no muestra el contenido que un administrador ocultó a mano', async () => {
+    const job = mockJob({ hiddenAt: new Date(), hiddenReason: 'Estafa confirmada' });
+    const pending = Report.build({ id: crypto.randomUUID(), targetType: 'job', targetId: job.id, reason: 'scam' });
+    jest.spyOn(pending, 'reload').mockResolvedValue(pending);
+    jest.spyOn(Report, 'findByPk').mockResolvedValue(pending);
+    jest.spyOn(Report, 'update').mockResolvedValue([1]);
+
+    const res = await request(app)
+      .put(`/api/admin/reports/${pending.id}`)
+      .set('Authorization', authAs(crypto.randomUUID(), 'admin'))
+      .send({ status: 'dismissed' });
+
+    expect(res.body.unhidden).toBe(false);
+    expect(job.hiddenAt).toBeInstanceOf(Date);
+  });
+
+  it('rechaza identificadores de denuncia o de contenido que no son UUID', async () => {
+    const findReport = jest.spyOn(Report, 'findByPk');
+    const findJob = jest.spyOn(Job, 'findByPk');
+
+    const resolved = await request(app)
+      .put('/api/admin/reports/123')
+      .set('Authorization', authAs(crypto.randomUUID(), 'admin'))
+      .send({ status: 'dismissed' });
+    const hidden = await request(app)
+      .post('/api/admin/jobs/123/hide')
+      .set('Authorization', authAs(crypto.randomUUID(), 'admin'))
+      .send({ reason: 'Spam' });
+
+    expect(resolved.status).toBe(400);
+    expect(resolved.body.errors[0]).toMatchObject({ field: 'reportId', location: 'params' });
+    expect(hidden.status).toBe(400);
+    expect(hidden.body.errors[0]).toMatchObject({ field: 'contentId', location: 'params' });
+    expect(findReport).not.toHaveBeenCalled();
+    expect(findJob).not.toHaveBeenCalled();
+  });
+});
+
+describe('mensajes ocultos', () => {
+  it('los mensajes se devuelven sin contenido ni adjuntos mientras están ocultos', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockImplementation(async (sql) =>
+      (sql.includes('FROM "ChatParticipants"') && !sql.includes('JOIN') ? [{ '?column?': 1 }] : []));
+
+    await request(app).get(`/api/chats/${chatId}/messages`).set('Authorization', authAs()).expect(200);
+
+    const pageSql = query.mock.calls.find(([sql]) => sql.includes('LIMIT :limit'))[0];
+    expect(pageSql).toContain(`CASE WHEN m."hiddenAt" IS NULL THEN m.content ELSE '' END AS content`);
+    expect(pageSql).toContain('WHERE a."messageId" = m.id AND m."hiddenAt" IS NULL');
+  });
+
+  it('no se pueden descargar los adjuntos de un mensaje oculto', async () => {
+    jest.spyOn(ChatParticipant, 'findOne').mockResolvedValue(ChatParticipant.build({ chatId, userId: reporterId }));
+    const attachment = Attachment.build({ id: crypto.randomUUID(), chatId, storageKey: 'attachments/x.pdf' });
+    attachment.message = Message.build({ hiddenAt: new Date() });
+    jest.spyOn(Attachment, 'findOne').mockResolvedValue(attachment);
+
+    const res = await request(app).get(`/api/chats/${chatId}/attachments/${attachment.id}`).set('Authorization', authAs());
+
+    expect(res.status).toBe(404);
+    expect(res.body.message).toBe('Archivo no encontrado');
+  });
+
+  it('un administrador oculta un mensaje y avisa al chat', async () => {
+    const message = Message.build({ id: crypto.randomUUID(), chatId, userId: crypto.randomUUID(), content: 'Insulto' });
+    jest.spyOn(message, 'save').mockResolvedValue(message);
+    jest.spyOn(Message, 'findByPk').mockResolvedValue(message);
+
+    const res = await request(app)
+      .post(`/api/admin/messages/${message.id}/hide`)
+      .set('Authorization', authAs(crypto.randomUUID(), 'admin'))
+      .send({ reason: 'Acoso' });
+
+    expect(res.status).toBe(200);
+    expect(emitted.map(({ event, payload }) => [event, payload.messageId])).toEqual([['message_hidden', message.id]]);
+    expect(audit.mock.calls[0][0].action).toBe('message.hide');
+  });
+});
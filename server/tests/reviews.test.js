@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, Review } = require('../src/models');
+const jobRoutes = require('../src/routes/job.routes');
+const userRoutes = require('../src/routes/user.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const freelancerId = crypto.randomUUID();
+
+// Rol de cada usuario de las pruebas (el resto son clientes)
+const roles = { [freelancerId]: 'freelancer' };
+
+// Sesión activa a la que pertenecen los tokens de acceso
+const sessionId = crypto.randomUUID();
+
+const authAs = (userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: roles[userId] || 'client' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+const mockJob = (values = {}) => {
+  const job = Job.build({
+    id: crypto.randomUUID(),
+    title: 'Tienda online',
+    description: 'Tienda con pasarela de pago',
+    budget: 1000,
+    category: 'Desarrollo Web',
+    userId: clientId,
+    assignedFreelancerId: freelancerId,
+    status: 'completed',
+    ...values
+  });
+  jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+  return job;
+};
+
+const review = (job, userId, body = { rating: 5, comment: 'Muy buen trabajo' }) => request(app)
+  .post(`/api/jobs/${job.id}/reviews`)
+  .set('Authorization', authAs(userId))
+  .send(body);
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/jobs/:jobId/reviews', () => {
+  const mockCreate = () => {
+    const create = jest.spyOn(Review, 'create').mockImplementation(async (values) => Review.build({ id: crypto.randomUUID(), ...values }));
+    jest.spyOn(Review, 'findByPk').mockImplementation(async () => Review.build(create.mock.calls[0][0]));
+    return create;
+  };
+
+  it.each([
+    ['el cliente', clientId, freelancerId],
+    ['el freelancer', freelancerId, clientId]
+  ])('%s valora al otro participante', async (who, reviewerId, revieweeId) => {
+    const job = mockJob();
+    jest.spyOn(Review, 'findOne').mockResolvedValue(null);
+    const create = mockCreate();
+
+    const res = await review(job, reviewerId);
+
+    expect(res.status).toBe(201);
+    expect(create).toHaveBeenCalledWith({
+      rating: 5,
+      comment: 'Muy buen trabajo',
+      jobId: job.id,
+      reviewerId,
+      revieweeId
+    });
+  });
+
+  it.each([0, 6, 'excelente'])('rechaza la valoración %p', async (rating) => {
+    const job = mockJob();
+
+    const res = await review(job, clientId, { rating });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'rating', location: 'body', message: 'La valoración debe ser un número entre 1 y 5' }]);
+  });
+
+  it('solo se valoran trabajos completados', async () => {
+    const job = mockJob({ status: 'in-progress' });
+
+    const res = await review(job, clientId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo se pueden valorar trabajos completados');
+  });
+
+  it('solo valoran el cliente y el freelancer asignado', async () => {
+    const job = mockJob();
+
+    const res = await review(job, crypto.randomUUID());
+
+    expect(res.status).toBe(403);
+  });
+
+  it('cada participante valora una sola vez', async () => {
+    const job = mockJob();
+    jest.spyOn(Review, 'findOne').mockResolvedValue(Review.build({ jobId: job.id, reviewerId: clientId }));
+    const create = mockCreate();
+
+    const res = await review(job, clientId);
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Ya has valorado este trabajo');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
+
+describe('valoraciones de un usuario', () => {
+  it('el perfil incluye la valoración media y el número de valoraciones', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(User.build({ id: freelancerId, name: 'Ana', email: 'ana@example.com' }));
+    jest.spyOn(Review, 'findAll')
+      .mockResolvedValueOnce([{ averageRating: '4.3333333', reviewCount: '3' }])
+      .mockResolvedValueOnce([]);
+
+    const res = await request(app).get(`/api/users/${freelancerId}`);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({ id: freelancerId, averageRating: 4.33, reviewCount: 3, recentReviews: [] });
+  });
+
+  it('sin valoraciones la media es 0', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(User.build({ id: freelancerId, name: 'Ana', email: 'ana@example.com' }));
+    jest.spyOn(Review, 'findAll')
+      .mockResolvedValueOnce([{ averageRating: null, reviewCount: '0' }])
+      .mockResolvedValueOnce([]);
+
+    const res = await request(app).get(`/api/users/${freelancerId}`);
+
+    expect(res.body.user).toMatchObject({ averageRating: 0, reviewCount: 0 });
+  });
+
+  it('el perfil público solo incluye los campos públicos y no muestra perfiles ocultos', async () => {
+    const findUser = jest.spyOn(User, 'findOne').mockResolvedValue(null);
+
+    const res = await request(app).get(`/api/users/${freelancerId}`);
+
+    expect(res.status).toBe(404);
+    const [options] = findUser.mock.calls[0];
+    expect(options.where).toEqual({ id: freelancerId, hiddenAt: null });
+    expect(options.attributes).toEqual(User.PUBLIC_ATTRIBUTES);
+    for (const field of ['password', 'status', 'moderationReason', 'hiddenReason', 'notificationPreferences', 'emailVerified']) {
+      expect(options.attributes).not.toContain(field);
+    }
+  });
+
+  it('pagina las valoraciones recibidas', async () => {
+    const findAndCountAll = jest.spyOn(Review, 'findAndCountAll').mockResolvedValue({ count: 45, rows: [] });
+
+    const res = await request(app).get(`/api/users/${freelancerId}/reviews?page=3&limit=20`);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ total: 45, page: 3, limit: 20 });
+    expect(findAndCountAll.mock.calls[0][0]).toMatchObject({ where: { revieweeId: freelancerId }, limit: 20, offset: 40 });
+  });
+});
@@ -0,0 +1,277 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, SavedSearch, SavedSearchMatch, Notification, sequelize } = require('../src/models');
+const { normalizeSavedSearch, matchJob, sendDigests } = require('../src/services/saved-search.service');
+const { translate } = require('../src/utils/i18n');
+const savedSearchRoutes = require('../src/routes/saved-search.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Notificaciones emitidas por Socket.io durante cada prueba
+const emitted = [];
+
+// Cada sala tiene un único socket conectado en español
+const io = {
+  to: (room) => ({ emit: (event, payload) => emitted.push({ room, event, payload }) }),
+  in: (room) => ({
+    fetchSockets: async () => [{ data: { locale: 'es' }, emit: (event, payload) => emitted.push({ room, event, payload }) }]
+  })
+};
+
+const app = express();
+app.use(express.json());
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use(errorHandler);
+app.set('io', io);
+
+const userId = crypto.randomUUID();
+const clientId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un usuario que verifyToken encontrará
+const authAs = (id = userId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id, name: 'Usuario', email: 'usuario@example.com', role: 'freelancer' }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: id, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+// Búsqueda guardada del usuario que devuelve SavedSearch.findOne
+const mockSavedSearch = (values = {}) => {
+  const savedSearch = SavedSearch.build({
+    id: crypto.randomUUID(),
+    userId,
+    name: 'React',
+    search: '',
+    skills: ['react'],
+    alertFrequency: 'instant',
+    ...values
+  });
+  jest.spyOn(savedSearch, 'save').mockResolvedValue(savedSearch);
+  jest.spyOn(SavedSearch, 'findOne').mockResolvedValue(savedSearch);
+  return savedSearch;
+};
+
+// Categorías y habilidades canónicas que devuelve la consulta de taxonomía
+const mockTaxonomy = (rows = []) => jest.spyOn(sequelize, 'query').mockResolvedValue(rows);
+
+// Guardar las notificaciones creadas por notify sin base de datos
+const mockNotifications = () => {
+  const created = new Map();
+  jest.spyOn(Notification, 'findByPk').mockImplementation(async (id) => created.get(id));
+  return jest.spyOn(Notification, 'create').mockImplementation(async (values) => {
+    const notification = Notification.build({ id: crypto.randomUUID(), ...values });
+    created.set(notification.id, notification);
+    return notification;
+  });
+};
+
+beforeEach(() => {
+  emitted.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('normalizeSavedSearch', () => {
+  it('normaliza los filtros y genera el nombre', async () => {
+    mockTaxonomy([
+      { name: 'React', slug: 'react', aliases: ['react-js'] },
+      { name: 'Node.js', slug: 'node-js', aliases: ['node'] }
+    ]);
+
+    const { values } = await normalizeSavedSearch({ skills: 'ReactJS, Node ,react', budgetMin: '500' });
+
+    expect(values).toEqual({
+      search: '',
+      category: null,
+      skills: ['react', 'node.js'],
+      budgetMin: 500,
+      budgetMax: null,
+      alertFrequency: 'instant',
+      name: 'react, node.js'
+    });
+  });
+
+  it('convierte la categoría a su nombre canónico', async () => {
+    mockTaxonomy([{ name: 'Desarrollo Web', slug: 'desarrollo-web', aliases: ['web-development'] }]);
+
+    const { values } = await normalizeSavedSearch({ category: 'Web development' });
+    const { error } = await normalizeSavedSearch({ category: 'Astrología' });
+
+    expect(values.category).toBe('Desarrollo Web');
+    expect(error).toEqual({ status: 400, message: 'Categoría no válida. Consulta GET /api/taxonomy/categories' });
+  });
+
+  it.each([
+    [{}, 'La búsqueda debe tener al menos un filtro'],
+    [{ search: 'tienda', budgetMin: 'mucho' }, 'El rango de presupuesto debe ser numérico'],
+    [{ search: 'tienda', budgetMin: 900, budgetMax: 100 }, 'El presupuesto mínimo no puede ser mayor que el máximo'],
+    [{ search: 'tienda', alertFrequency: 'weekly' }, 'Frecuencia no válida. Usa instant, daily, off']
+  ])('rechaza %j', async (body, message) => {
+    const { error } = await normalizeSavedSearch(body);
+
+    expect(error.status).toBe(400);
+    expect(translate('es', error.message, error.params)).toBe(message);
+  });
+
+  it('al editar conserva los valores que no cambian', async () => {
+    mockTaxonomy([{ name: 'Shopify', slug: 'shopify', aliases: [] }]);
+
+    const { values } = await normalizeSavedSearch({ alertFrequency: 'daily' }, { name: 'Tiendas', search: 'tienda', skills: ['shopify'] });
+
+    expect(values).toMatchObject({ name: 'Tiendas', search: 'tienda', skills: ['shopify'], alertFrequency: 'daily' });
+  });
+});
+
+describe('/api/saved-searches', () => {
+  it('guarda una búsqueda del usuario', async () => {
+    jest.spyOn(SavedSearch, 'count').mockResolvedValue(0);
+    const create = jest.spyOn(SavedSearch, 'create').mockImplementation(async (values) => SavedSearch.build(values));
+
+    const res = await request(app)
+      .post('/api/saved-searches')
+      .set('Authorization', authAs())
+      .send({ search: 'tienda online', alertFrequency: 'daily' });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({ userId, search: 'tienda online', name: 'tienda online', alertFrequency: 'daily' });
+  });
+
+  it('limita el número de búsquedas guardadas', async () => {
+    jest.spyOn(SavedSearch, 'count').mockResolvedValue(20);
+    const create = jest.spyOn(SavedSearch, 'create');
+
+    const res = await request(app).post('/api/saved-searches').set('Authorization', authAs()).send({ search: 'tienda' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Solo puedes guardar 20 búsquedas');
+    expect(create).not.toHaveBeenCalled();
+  });
+
+  it('solo se editan las búsquedas propias', async () => {
+    const findOne = jest.spyOn(SavedSearch, 'findOne').mockResolvedValue(null);
+    const id = crypto.randomUUID();
+
+    const res = await request(app).put(`/api/saved-searches/${id}`).set('Authorization', authAs()).send({ alertFrequency: 'off' });
+
+    expect(res.status).toBe(404);
+    expect(findOne.mock.calls[0][0].where).toEqual({ id, userId });
+  });
+
+  it('actualiza la frecuencia de alertas', async () => {
+    const savedSearch = mockSavedSearch();
+    mockTaxonomy([{ name: 'React', slug: 'react', aliases: [] }]);
+
+    const res = await request(app)
+      .put(`/api/saved-searches/${savedSearch.id}`)
+      .set('Authorization', authAs())
+      .send({ alertFrequency: 'off' });
+
+    expect(res.status).toBe(200);
+    expect(savedSearch.alertFrequency).toBe('off');
+    expect(savedSearch.skills).toEqual(['react']);
+  });
+
+  it('rechaza un cursor no válido al ejecutar la búsqueda', async () => {
+    const savedSearch = mockSavedSearch();
+
+    const res = await request(app)
+      .get(`/api/saved-searches/${savedSearch.id}/jobs?cursor=roto`)
+      .set('Authorization', authAs());
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Cursor de paginación no válido');
+  });
+
+  it('rechaza identificadores que no son UUID sin consultar la base de datos', async () => {
+    const findOne = jest.spyOn(SavedSearch, 'findOne');
+
+    const updated = await request(app).put('/api/saved-searches/123').set('Authorization', authAs()).send({ alertFrequency: 'off' });
+    const removed = await request(app).delete('/api/saved-searches/123').set('Authorization', authAs());
+    const run = await request(app).get('/api/saved-searches/123/jobs').set('Authorization', authAs());
+
+    for (const res of [updated, removed, run]) {
+      expect(res.status).toBe(400);
+      expect(res.body.errors[0]).toMatchObject({ field: 'savedSearchId', location: 'params' });
+    }
+    expect(findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe('matchJob', () => {
+  const openJob = (values = {}) => {
+    const job = Job.build({ id: crypto.randomUUID(), title: 'Tienda en React', userId: clientId, status: 'open', ...values });
+    jest.spyOn(Job, 'findByPk').mockResolvedValue(job);
+    return job;
+  };
+
+  it('registra las coincidencias y envía las alertas inmediatas', async () => {
+    const job = openJob();
+    const instant = SavedSearch.build({ id: crypto.randomUUID(), userId, name: 'React', alertFrequency: 'instant' });
+    const daily = SavedSearch.build({ id: crypto.randomUUID(), userId: crypto.randomUUID(), alertFrequency: 'daily' });
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([{ savedSearchId: instant.id }, { savedSearchId: daily.id }]);
+    const findSearches = jest.spyOn(SavedSearch, 'findAll').mockResolvedValue([instant]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId }));
+    const create = mockNotifications();
+    const markNotified = jest.spyOn(SavedSearchMatch, 'update').mockResolvedValue([1]);
+
+    const result = await matchJob(io, job.id);
+
+    expect(result).toEqual({ matched: 2, notified: 1 });
+    const [sql, options] = query.mock.calls[0];
+    expect(sql).toContain('ON CONFLICT ("savedSearchId", "jobId") DO NOTHING');
+    expect(sql).toContain('s."userId" <> j."userId"');
+    expect(options.replacements).toEqual({ jobId: job.id });
+    expect(findSearches.mock.calls[0][0].where).toEqual({ id: [instant.id, daily.id], alertFrequency: 'instant' });
+    expect(create).toHaveBeenCalledWith({
+      userId,
+      actorId: clientId,
+      type: 'saved_search_match',
+      data: { savedSearchId: instant.id, searchName: 'React', jobId: job.id, jobTitle: 'Tienda en React' }
+    });
+    expect(emitted.map(({ room }) => room)).toEqual([`user:${userId}`]);
+    expect(markNotified.mock.calls[0][1]).toEqual({ where: { jobId: job.id, savedSearchId: [instant.id] } });
+  });
+
+  it.each([
+    ['oculto', { hiddenAt: new Date() }],
+    ['cerrado', { status: 'cancelled' }]
+  ])('no busca coincidencias para un trabajo %s', async (_, values) => {
+    const job = openJob(values);
+    const query = jest.spyOn(sequelize, 'query');
+
+    expect(await matchJob(io, job.id)).toEqual({ matched: 0, notified: 0 });
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('sendDigests', () => {
+  it('envía un resumen por búsqueda reclamada y marca sus coincidencias', async () => {
+    const claimedId = crypto.randomUUID();
+    const lostId = crypto.randomUUID();
+    const jobs = Array.from({ length: 12 }, (_, index) => ({ id: crypto.randomUUID(), jobId: `job-${index}`, title: `Trabajo ${index}` }));
+    jest.spyOn(sequelize, 'query')
+      .mockResolvedValueOnce([{ id: claimedId }, { id: lostId }])
+      .mockResolvedValueOnce([{ id: claimedId, name: 'React', userId }])
+      .mockResolvedValueOnce(jobs)
+      .mockResolvedValueOnce([]);
+    jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId }));
+    const create = mockNotifications();
+    const markNotified = jest.spyOn(SavedSearchMatch, 'update').mockResolvedValue([12]);
+
+    const sent = await sendDigests(io);
+
+    expect(sent).toBe(1);
+    expect(create.mock.calls[0][0]).toMatchObject({ userId, type: 'saved_search_digest', data: { searchName: 'React', count: 12 } });
+    expect(create.mock.calls[0][0].data.jobs).toHaveLength(10);
+    expect(emitted[0].payload.message).toBe('12 trabajos nuevos para tu búsqueda "React"');
+    // La búsqueda reclamada por otra instancia no se procesa
+    expect(markNotified).toHaveBeenCalledTimes(1);
+    expect(markNotified.mock.calls[0][1]).toEqual({ where: { savedSearchId: claimedId, notifiedAt: null } });
+  });
+});
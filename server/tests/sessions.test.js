@@ -0,0 +1,258 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { Op } = require('sequelize');
+const { User, Session, sequelize } = require('../src/models');
+const authRoutes = require('../src/routes/auth.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+// Salas cuyos sockets se han desconectado durante cada prueba
+const disconnected = [];
+
+const app = express();
+app.use(express.json());
+app.use('/api/auth', authRoutes);
+app.use(errorHandler);
+app.set('io', {
+  in: (rooms) => ({ disconnectSockets: () => disconnected.push(rooms) })
+});
+
+const userId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Sesión guardada cuyo token de actualización vigente es `refreshToken`
+const buildSession = (refreshToken, values = {}) => {
+  const session = Session.build({
+    id: sessionId,
+    userId,
+    refreshTokenHash: hashToken(refreshToken),
+    lastUsedAt: new Date(),
+    expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+    ...values
+  });
+  jest.spyOn(session, 'save').mockResolvedValue(session);
+  return session;
+};
+
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+let transaction;
+
+beforeEach(() => {
+  disconnected.length = 0;
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  transaction = { LOCK: { UPDATE: 'UPDATE' }, commit: jest.fn(), rollback: jest.fn() };
+  jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/auth/login', () => {
+  it('crea una sesión y devuelve el token de acceso y el de actualización', async () => {
+    const user = User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com' });
+    jest.spyOn(user, 'comparePassword').mockResolvedValue(true);
+    jest.spyOn(user, 'save').mockResolvedValue(user);
+    jest.spyOn(User, 'findOne').mockResolvedValue(user);
+    const create = jest.spyOn(Session, 'create').mockImplementation(async (values) => Session.build(values));
+
+    const res = await request(app)
+      .post('/api/auth/login')
+      .set('User-Agent', 'Navegador de pruebas')
+      .send({ email: 'usuario@example.com', password: 'secreto' });
+
+    expect(res.status).toBe(200);
+    const [values] = create.mock.calls[0];
+    expect(res.body.sessionId).toBe(values.id);
+    expect(res.body.refreshToken.startsWith(`${values.id}.`)).toBe(true);
+    // Solo se guarda el hash del token de actualización
+    expect(values.refreshTokenHash).toBe(hashToken(res.body.refreshToken));
+    expect(values.userAgent).toBe('Navegador de pruebas');
+    expect(jwt.verify(res.body.token, process.env.JWT_SECRET)).toMatchObject({ id: userId, sid: values.id });
+  });
+});
+
+describe('POST /api/auth/refresh', () => {
+  const refreshToken = `${sessionId}.secreto-actual`;
+
+  it('rota el token de actualización y devuelve un token de acceso de la misma sesión', async () => {
+    const session = buildSession(refreshToken);
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionId).toBe(sessionId);
+    expect(res.body.refreshToken).not.toBe(refreshToken);
+    expect(res.body.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+    expect(jwt.verify(res.body.token, process.env.JWT_SECRET)).toMatchObject({ id: userId, sid: sessionId });
+    expect(session.refreshTokenHash).toBe(hashToken(res.body.refreshToken));
+    expect(transaction.commit).toHaveBeenCalled();
+  });
+
+  it('revoca la sesión y desconecta sus sockets si se reutiliza un token ya rotado', async () => {
+    const session = buildSession(`${sessionId}.secreto-nuevo`);
+    jest.spyOn(Session, 'findOne').mockResolvedValue(session);
+
+    const res = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('Se ha reutilizado un token de actualización; la sesión ha sido revocada');
+    expect(session.revokedAt).toBeInstanceOf(Date);
+    expect(session.revokedReason).toBe('refresh_token_reuse');
+    expect(transaction.commit).toHaveBeenCalled();
+    expect(disconnected).toEqual([[`session:${sessionId}`]]);
+  });
+
+  it('rechaza el token de una sesión revocada o caducada', async () => {
+    jest.spyOn(Session, 'findOne')
+      .mockResolvedValueOnce(buildSession(refreshToken, { revokedAt: new Date() }))
+      .mockResolvedValueOnce(buildSession(refreshToken, { expiresAt: new Date(Date.now() - 1000) }));
+
+    const revoked = await request(app).post('/api/auth/refresh').send({ refreshToken });
+    const expired = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    for (const res of [revoked, expired]) {
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('La sesión ha sido revocada o ha expirado');
+    }
+    expect(transaction.rollback).toHaveBeenCalledTimes(2);
+  });
+
+  it('rechaza los tokens mal formados y los de sesiones inexistentes', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+    const malformed = await request(app).post('/api/auth/refresh').send({ refreshToken: 'sin-separador' });
+    const unknown = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+    for (const res of [malformed, unknown]) {
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Token de actualización inválido');
+    }
+  });
+
+  it('no consulta la base de datos si el identificador de la sesión no es un UUID', async () => {
+    const findSession = jest.spyOn(Session, 'findOne').mockResolvedValue(null);
+
+    const responses = [
+      await request(app).post('/api/auth/refresh').send({ refreshToken: 'no-es-uuid.secreto' }),
+      await request(app).post('/api/auth/refresh').send({ refreshToken: `${sessionId}.` })
+    ];
+
+    for (const res of responses) {
+      expect(res.status).toBe(401);
+      expect(res.body.message).toBe('Token de actualización inválido');
+    }
+    expect(findSession).not.toHaveBeenCalled();
+  });
+});
+
+describe('verifyToken con sesiones', () => {
+  it('acepta el token de acceso de una sesión activa', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(buildSession('x'));
+
+    const res = await request(app).get('/api/auth/verify').set('Authorization', token());
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ user: { id: userId }, sessionId });
+  });
+
+  it('rechaza el token de acceso de una sesión revocada', async () => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(buildSession('x', { revokedAt: new Date() }));
+
+    const res = await request(app).get('/api/auth/verify').set('Authorization', token());
+
+    expect(res.status).toBe(401);
+    expect(res.body.message).toBe('La sesión ha sido revocada o ha expirado');
+  });
+
+  it('rechaza un token de acceso sin sesión', async () => {
+    const findOne = jest.spyOn(Session, 'findOne');
+    const legacy = jwt.sign({ id: userId }, process.env.JWT_SECRET);
+
+    const res = await request(app).get('/api/auth/verify').set('Authorization', `Bearer ${legacy}`);
+
+    expect(res.status).toBe(401);
+    expect(findOne).not.toHaveBeenCalled();
+  });
+
+  it('actualiza lastUsedAt como mucho una vez por minuto', async () => {
+    const update = jest.spyOn(Session, 'update').mockResolvedValue([1]);
+    jest.spyOn(Session, 'findOne')
+      .mockResolvedValueOnce(buildSession('x'))
+      .mockResolvedValueOnce(buildSession('x', { lastUsedAt: new Date(Date.now() - 2 * 60 * 1000) }));
+
+    await request(app).get('/api/auth/verify').set('Authorization', token()).expect(200);
+    await request(app).get('/api/auth/verify').set('Authorization', token()).expect(200);
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(update.mock.calls[0][1]).toEqual({ where: { id: sessionId } });
+  });
+});
+
+describe('gestión de sesiones', () => {
+  beforeEach(() => {
+    jest.spyOn(Session, 'findOne').mockResolvedValue(buildSession('x'));
+  });
+
+  it('al cerrar sesión revoca solo la sesión actual y desconecta sus sockets', async () => {
+    const findAll = jest.spyOn(Session, 'findAll').mockResolvedValue([{ id: sessionId }]);
+    const update = jest.spyOn(Session, 'update').mockResolvedValue([1]);
+    jest.spyOn(User, 'update').mockResolvedValue([1]);
+
+    const res = await request(app).post('/api/auth/logout').set('Authorization', token());
+
+    expect(res.status).toBe(200);
+    expect(findAll.mock.calls[0][0].where).toEqual({ userId, id: [sessionId], revokedAt: null });
+    expect(update).toHaveBeenCalledWith(expect.objectContaining({ revokedReason: 'logout' }), { where: { id: [sessionId] } });
+    expect(disconnected).toEqual([[`session:${sessionId}`]]);
+  });
+
+  it('lista las sesiones activas marcando la actual', async () => {
+    const otherId = crypto.randomUUID();
+    jest.spyOn(Session, 'findAll').mockResolvedValue([
+      Session.build({ id: otherId, userAgent: 'Móvil' }),
+      Session.build({ id: sessionId, userAgent: 'Navegador' })
+    ]);
+
+    const res = await request(app).get('/api/auth/sessions').set('Authorization', token());
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessions.map(session => [session.id, session.current])).toEqual([[otherId, false], [sessionId, true]]);
+  });
+
+  it('revoca una sesión concreta del usuario o responde 404', async () => {
+    const otherId = crypto.randomUUID();
+    jest.spyOn(Session, 'findAll').mockResolvedValueOnce([{ id: otherId }]).mockResolvedValueOnce([]);
+    jest.spyOn(Session, 'update').mockResolvedValue([1]);
+
+    const revoked = await request(app).delete(`/api/auth/sessions/${otherId}`).set('Authorization', token());
+    const missing = await request(app).delete(`/api/auth/sessions/${crypto.randomUUID()}`).set('Authorization', token());
+
+    expect(revoked.status).toBe(200);
+    expect(disconnected).toEqual([[`session:${otherId}`]]);
+    expect(missing.status).toBe(404);
+    expect(missing.body.message).toBe('Sesión no encontrada');
+  });
+
+  it('revoca todas las demás sesiones', async () => {
+    const otherIds = [crypto.randomUUID(), crypto.randomUUID()];
+    const findAll = jest.spyOn(Session, 'findAll').mockResolvedValue(otherIds.map(id => ({ id })));
+    jest.spyOn(Session, 'update').mockResolvedValue([2]);
+
+    const res = await request(app).delete('/api/auth/sessions').set('Authorization', token());
+
+    expect(res.body.revoked).toBe(2);
+    expect(findAll.mock.calls[0][0].where.id).toEqual({ [Op.ne]: sessionId });
+    expect(disconnected).toEqual([otherIds.map(id => `session:${id}`)]);
+  });
+});
@@ -0,0 +1,173 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, Category, Skill, sequelize } = require('../src/models');
+const { slugify, toKey, normalizeSkills, normalizeCategory, syncDefaultTaxonomy } = require('../src/services/taxonomy.service');
+const taxonomyRoutes = require('../src/routes/taxonomy.routes');
+const jobRoutes = require('../src/routes/job.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/taxonomy', taxonomyRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un cliente verificado
+const authAs = (userId = clientId) => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: userId, name: 'Usuario', email: 'usuario@example.com', role: 'client', emailVerified: true }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+const categories = [
+  { id: crypto.randomUUID(), name: 'Desarrollo Web', slug: 'desarrollo-web', aliases: ['web', 'web-development'] }
+];
+
+const skills = [
+  { id: crypto.randomUUID(), name: 'React', slug: 'react', aliases: ['react-js'] },
+  { id: crypto.randomUUID(), name: 'Node.js', slug: 'node-js', aliases: ['node'] },
+  // Alias que coincide con el slug de otra habilidad: gana la habilidad canónica
+  { id: crypto.randomUUID(), name: 'Preact', slug: 'preact', aliases: ['react'] }
+];
+
+/**
+ * Simular las consultas de taxonomía: devuelve las entradas de la tabla consultada cuyo
+ * slug o alias coincide con alguna de las claves (el resto de consultas no devuelven nada)
+ */
+const mockTaxonomy = () => jest.spyOn(sequelize, 'query').mockImplementation(async (sql, { replacements }) => {
+  const table = sql.includes('FROM "Categories"') ? categories : sql.includes('FROM "Skills"') ? skills : null;
+  if (!table || !replacements.keys) return [];
+  const keyOf = (slug) => slug.replace(/-/g, '');
+  return table.filter(entry => [entry.slug, ...entry.aliases].some(slug => replacements.keys.includes(keyOf(slug))));
+});
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('slugify y toKey', () => {
+  it.each([
+    ['Diseño Gráfico', 'diseno-grafico', 'disenografico'],
+    ['C#', 'c-sharp', 'csharp'],
+    ['C++', 'c-plus-plus', 'cplusplus'],
+    ['React.js', 'react-js', 'reactjs'],
+    ['  ReactJS ', 'reactjs', 'reactjs']
+  ])('%s → %s', (value, slug, key) => {
+    expect(slugify(value)).toBe(slug);
+    expect(toKey(value)).toBe(key);
+  });
+});
+
+describe('normalizeSkills', () => {
+  it('convierte alias y variantes a los nombres canónicos sin duplicados', async () => {
+    mockTaxonomy();
+
+    const result = await normalizeSkills('ReactJS, react, Node, React.js');
+
+    expect(result).toEqual({ skills: ['React', 'Node.js'] });
+  });
+
+  it('crea las habilidades desconocidas salvo con create: false', async () => {
+    mockTaxonomy();
+    const create = jest.spyOn(Skill, 'findOrCreate').mockImplementation(async ({ defaults }) => [defaults, true]);
+
+    const created = await normalizeSkills(['React', 'Svelte Kit']);
+    const kept = await normalizeSkills(['Svelte Kit'], { create: false });
+
+    expect(created.skills).toEqual(['React', 'Svelte Kit']);
+    expect(create).toHaveBeenCalledTimes(1);
+    expect(create.mock.calls[0][0]).toMatchObject({ where: { slug: 'svelte-kit' }, defaults: { name: 'Svelte Kit' } });
+    expect(kept.skills).toEqual(['Svelte Kit']);
+  });
+
+  it('limita el número y la longitud de las habilidades', async () => {
+    const query = mockTaxonomy();
+
+    const tooMany = await normalizeSkills(Array.from({ length: 31 }, (_, index) => `Habilidad ${index}`));
+    const tooLong = await normalizeSkills(['x'.repeat(51)]);
+
+    expect(tooMany.error).toEqual({ status: 400, message: 'No se pueden indicar más de {max} habilidades', params: { max: 30 } });
+    expect(tooLong.error.status).toBe(400);
+    expect(query).not.toHaveBeenCalled();
+  });
+});
+
+describe('normalizeCategory', () => {
+  it('solo admite categorías existentes', async () => {
+    mockTaxonomy();
+
+    expect(await normalizeCategory('Web Development')).toEqual({ category: 'Desarrollo Web' });
+    expect((await normalizeCategory('Astrología')).error.status).toBe(400);
+    expect((await normalizeCategory(['Web'])).error.status).toBe(400);
+  });
+});
+
+describe('syncDefaultTaxonomy', () => {
+  it('añade los alias nuevos a las entradas existentes', async () => {
+    const existing = Skill.build({ name: 'React', slug: 'react', aliases: ['reactjs-old'] });
+    jest.spyOn(existing, 'save').mockResolvedValue(existing);
+    jest.spyOn(Category, 'findOrCreate').mockImplementation(async ({ defaults }) => [Category.build(defaults), true]);
+    jest.spyOn(Skill, 'findOrCreate').mockImplementation(async ({ where, defaults }) =>
+      (where.slug === 'react' ? [existing, false] : [Skill.build(defaults), true]));
+
+    await syncDefaultTaxonomy();
+
+    expect(existing.aliases).toEqual(['reactjs-old', 'react-js']);
+    expect(existing.save).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('GET /api/taxonomy', () => {
+  it('autocompleta habilidades con un límite máximo', async () => {
+    const query = jest.spyOn(sequelize, 'query').mockResolvedValue([{ name: 'React' }]);
+
+    const res = await request(app).get('/api/taxonomy/skills?query=Rea&limit=500');
+
+    expect(res.status).toBe(200);
+    expect(res.body.skills).toEqual([{ name: 'React' }]);
+    expect(query.mock.calls[0][0]).toContain('FROM "Skills"');
+    expect(query.mock.calls[0][1].replacements).toEqual({ key: 'rea', prefix: 'rea%', contains: '%rea%', limit: 50 });
+  });
+});
+
+describe('POST /api/jobs', () => {
+  const body = { title: 'Tienda online', description: 'Tienda con pasarela de pago', budget: 1000 };
+
+  it('guarda la categoría y las habilidades con sus nombres canónicos', async () => {
+    const token = authAs();
+    mockTaxonomy();
+    const create = jest.spyOn(Job, 'create').mockImplementation(async (values) => Job.build({ id: crypto.randomUUID(), ...values }));
+    jest.spyOn(Job, 'findByPk').mockImplementation(async () => Job.build(create.mock.calls[0][0]));
+
+    const res = await request(app)
+      .post('/api/jobs')
+      .set('Authorization', token)
+      .send({ ...body, category: 'web', skills: ['reactjs', 'Node'] });
+
+    expect(res.status).toBe(201);
+    expect(create.mock.calls[0][0]).toMatchObject({ category: 'Desarrollo Web', skills: ['React', 'Node.js'] });
+  });
+
+  it('rechaza una categoría desconocida', async () => {
+    const token = authAs();
+    mockTaxonomy();
+    const create = jest.spyOn(Job, 'create');
+
+    const res = await request(app).post('/api/jobs').set('Authorization', token).send({ ...body, category: 'Astrología' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toBe('Categoría no válida. Consulta GET /api/taxonomy/categories');
+    expect(create).not.toHaveBeenCalled();
+  });
+});
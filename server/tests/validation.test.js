@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const express = require('express');
+const jwt = require('jsonwebtoken');
+const request = require('supertest');
+const { User, Session, Job, sequelize } = require('../src/models');
+const { validate, validatePayload } = require('../src/middleware/validate');
+const { socket: socketPayloads } = require('../src/validators/chat.validators');
+const jobValidators = require('../src/validators/job.validators');
+const jobRoutes = require('../src/routes/job.routes');
+const userRoutes = require('../src/routes/user.routes');
+const { errorHandler } = require('../src/middleware/error-handler');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const app = express();
+app.use(express.json());
+app.use('/api/jobs', jobRoutes);
+app.use('/api/users', userRoutes);
+app.use(errorHandler);
+
+const clientId = crypto.randomUUID();
+const sessionId = crypto.randomUUID();
+
+// Token de acceso de un cliente verificado
+const token = () => {
+  jest.spyOn(User, 'findByPk').mockResolvedValue(User.build({ id: clientId, name: 'Usuario', email: 'usuario@example.com', role: 'client', emailVerified: true }));
+  jest.spyOn(Session, 'findOne').mockResolvedValue(Session.build({ id: sessionId, userId: clientId, lastUsedAt: new Date(), expiresAt: new Date(Date.now() + 60 * 60 * 1000) }));
+  return `Bearer ${jwt.sign({ id: clientId, sid: sessionId }, process.env.JWT_SECRET)}`;
+};
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('validate', () => {
+  // Aplicación mínima que devuelve el cuerpo ya saneado
+  const echo = express();
+  echo.use(express.json());
+  echo.post('/jobs', validate(jobValidators.createJob), (req, res) => res.json(req.body));
+  echo.use(errorHandler);
+
+  it('sanea los campos antes de llegar al controlador', async () => {
+    const res = await request(echo)
+      .post('/jobs')
+      .send({ title: '  Tienda online ', description: 'Tienda con pasarela', budget: '1500.5', category: 'Web' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ title: 'Tienda online', description: 'Tienda con pasarela', budget: 1500.5, category: 'Web' });
+  });
+
+  it('devuelve el primer error de cada campo', async () => {
+    const res = await request(echo)
+      .post('/jobs')
+      .send({ title: '   ', description: 42, budget: 0, category: 'Web', skills: [1, 2] });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toEqual({
+      success: false,
+      code: 'VALIDATION_ERROR',
+      message: 'Datos de la petición no válidos',
+      errors: [
+        { field: 'title', location: 'body', message: 'Se requiere el título' },
+        { field: 'description', location: 'body', message: 'La descripción debe ser un texto' },
+        { field: 'budget', location: 'body', message: 'El presupuesto debe ser un número mayor que cero' },
+        { field: 'skills', location: 'body', message: 'Las habilidades deben ser una lista de textos' }
+      ]
+    });
+  });
+});
+
+describe('validación en las rutas', () => {
+  it('rechaza identificadores que no son UUID sin consultar la base de datos', async () => {
+    const findJob = jest.spyOn(Job, 'findByPk');
+
+    const res = await request(app).get('/api/jobs/123');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([{ field: 'jobId', location: 'params', message: 'Identificador no válido' }]);
+    expect(findJob).not.toHaveBeenCalled();
+  });
+
+  it('valida los filtros de la búsqueda de trabajos', async () => {
+    const query = jest.spyOn(sequelize, 'query');
+
+    const res = await request(app).get('/api/jobs?sort=popular&budgetMin=-1&status=paused');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors.map(error => error.field)).toEqual(['status', 'budgetMin', 'sort']);
+    expect(query).not.toHaveBeenCalled();
+  });
+
+  it('valida la actualización del perfil después de autenticar', async () => {
+    const res = await request(app)
+      .put('/api/users/profile')
+      .set('Authorization', token())
+      .send({ hourlyRate: 'mucho', bio: 'x'.repeat(2001) });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errors).toEqual([
+      { field: 'bio', location: 'body', message: 'La biografía no puede superar los 2000 caracteres' },
+      { field: 'hourlyRate', location: 'body', message: 'La tarifa por hora debe ser un número mayor o igual que cero' }
+    ]);
+  });
+
+  it('comprueba la autenticación antes que los datos', async () => {
+    const res = await request(app).post('/api/jobs').send({});
+
+    expect(res.status).toBe(401);
+  });
+});
+
+describe('validatePayload', () => {
+  const chatId = crypto.randomUUID();
+
+  it('devuelve el payload saneado de un evento', async () => {
+    const result = await validatePayload(socketPayloads.send_message, { chatId, content: '  Hola  ' });
+
+    expect(result).toEqual({ values: { chatId, content: 'Hola' } });
+  });
+
+  it('devuelve los errores con el mismo formato que las respuestas 400', async () => {
+    const result = await validatePayload(socketPayloads.edit_message, { chatId: 'sala-1', content: '' });
+
+    expect(result.error.message).toBe('Datos de la petición no válidos');
+    expect(result.error.details.errors.map(error => error.field)).toEqual(['chatId', 'messageId', 'content']);
+  });
+
+  it.each([null, 'texto', ['lista']])('trata un payload %p como vacío', async (payload) => {
+    const result = await validatePayload(socketPayloads.typing, payload);
+
+    expect(result.error.details.errors[0].field).toBe('chatId');
+  });
+
+  it('permite marcar como leído sin indicar el mensaje', async () => {
+    const result = await validatePayload(socketPayloads.mark_read, { chatId, messageId: null });
+
+    expect(result.values).toEqual({ chatId, messageId: null });
+  });
+});
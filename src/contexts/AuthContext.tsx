@@ -15,6 +15,7 @@ import { apiRequest } from "@/lib/api";
 import { UserType } from "@/contexts/DataContext";
 import { 
   saveToken, 
+  saveRefreshToken,
   getToken, 
   removeToken, 
   saveUserData, 
@@ -86,10 +87,11 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
     setLoading(true);
     try {
       const response = await apiRequest('/auth/login', 'POST', { email, password });
-      const { user, token } = response;
+      const { user, token, refreshToken } = response;
       
-      // Guardar token y datos de usuario
+      // Guardar tokens y datos de usuario
       saveToken(token);
+      saveRefreshToken(refreshToken);
       saveUserData(user);
       setCurrentUser(user);
       
@@ -123,10 +125,11 @@ export const AuthProvider: React.FC<AuthProviderProps> = ({ children }) => {
         role 
       });
       
-      const { user, token } = response;
+      const { user, token, refreshToken } = response;
       
-      // Guardar token y datos de usuario
+      // Guardar tokens y datos de usuario
       saveToken(token);
+      saveRefreshToken(refreshToken);
       saveUserData(user);
       setCurrentUser(user);
       
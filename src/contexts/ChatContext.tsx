@@ -10,7 +10,7 @@
  * - Persistencia en base de datos
  */
 
-import React, { createContext, useState, useContext, useEffect, ReactNode } from 'react';
+import React, { createContext, useState, useContext, useEffect, useCallback, ReactNode } from 'react';
 import { useAuth } from './AuthContext';
 import { toast } from '@/components/ui/use-toast';
 import { getSocket, initializeSocket, sendSocketMessage, joinChatRoom } from '@/lib/socket';
@@ -46,6 +46,8 @@ export interface ChatType {
   isGroup: boolean;     // Indica si es un chat grupal o privado
   lastMessage?: MessageType; // Último mensaje enviado (para mostrar vistas previas)
   lastMessageAt?: Date; // Fecha del último mensaje
+  unreadCount?: number; // Mensajes sin leer del usuario actual
+  otherParticipant?: ChatParticipant | null; // En chats privados, el otro participante
 };
 
 // Interfaz del contexto de chat definiendo funciones y estado disponibles
@@ -290,6 +292,36 @@ export const ChatProvider: React.FC<ChatProviderProps> = ({ children }) => {
     }
   };
 
+  /**
+   * Cargar los mensajes del chat activo
+   * La bandeja de entrada solo incluye el último mensaje de cada chat
+   */
+  const loadChatMessages = useCallback(async (chatId: string) => {
+    try {
+      const response = await apiRequest(`/api/chats/${chatId}/messages`);
+      if (!response || !Array.isArray(response.messages)) return;
+
+      // El servidor los devuelve en orden cronológico; el contexto guarda el más reciente primero
+      const messages = [...response.messages].reverse();
+      setChats(prevChats => prevChats.map(chat =>
+        chat.id === chatId ? { ...chat, messages, unreadCount: 0 } : chat
+      ));
+      setActiveChat(prevChat =>
+        prevChat && prevChat.id === chatId ? { ...prevChat, messages, unreadCount: 0 } : prevChat
+      );
+    } catch (error) {
+      console.error("Error al cargar mensajes:", error);
+    }
+  }, []);
+
+  // Recargar los mensajes solo al cambiar de chat, no en cada actualización del chat activo
+  const activeChatId = activeChat?.id;
+  useEffect(() => {
+    if (activeChatId) {
+      loadChatMessages(activeChatId);
+    }
+  }, [activeChatId, loadChatMessages]);
+
   // Cargar chats iniciales cuando cambia el usuario
   useEffect(() => {
     if (currentUser) {
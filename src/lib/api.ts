@@ -1,8 +1,44 @@
 
-import { getToken } from './authService';
+import { getToken, getRefreshToken, saveToken, saveRefreshToken } from './authService';
 
 const API_URL = 'http://localhost:5000/api';
 
+// Endpoints en los que un 401 no se debe a un token caducado
+const NO_REFRESH_ENDPOINTS = ['/auth/login', '/auth/register', '/auth/refresh'];
+
+// Renovación en curso, compartida por las peticiones que fallen a la vez
+let refreshPromise: Promise<boolean> | null = null;
+
+/**
+ * Renueva el token de acceso con el token de actualización
+ * @returns true si se ha obtenido un token nuevo
+ */
+async function refreshAccessToken(): Promise<boolean> {
+  const refreshToken = getRefreshToken();
+  if (!refreshToken) return false;
+  
+  if (!refreshPromise) {
+    refreshPromise = fetch(`${API_URL}/auth/refresh`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    })
+      .then(async (response) => {
+        if (!response.ok) return false;
+        const data = await response.json();
+        saveToken(data.token);
+        saveRefreshToken(data.refreshToken);
+        return true;
+      })
+      .catch(() => false)
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  
+  return refreshPromise;
+}
+
 /**
  * Función para realizar peticiones HTTP a la API
  * @param endpoint - Ruta del endpoint (sin la base URL)
@@ -13,7 +49,8 @@ const API_URL = 'http://localhost:5000/api';
 export async function apiRequest(
   endpoint: string,
   method: 'GET' | 'POST' | 'PUT' | 'DELETE' = 'GET',
-  body?: any
+  body?: any,
+  retry = true
 ) {
   const token = getToken();
   
@@ -42,6 +79,11 @@ export async function apiRequest(
     const response = await fetch(`${API_URL}${endpoint}`, options);
     const contentType = response.headers.get('content-type');
     
+    // Si el token de acceso ha caducado, renovarlo y repetir la petición una vez
+    if (response.status === 401 && retry && !NO_REFRESH_ENDPOINTS.includes(endpoint) && await refreshAccessToken()) {
+      return apiRequest(endpoint, method, body, false);
+    }
+    
     // Verificar si la respuesta es exitosa
     if (!response.ok) {
       let errorData;
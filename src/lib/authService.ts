@@ -10,6 +10,7 @@ import { UserType } from "@/contexts/DataContext";
 
 const SESSION_STORAGE_KEY = 'workflowconnect_token';
 const USER_STORAGE_KEY = 'workflowconnect_user';
+const REFRESH_STORAGE_KEY = 'workflowconnect_refresh_token';
 
 /**
  * Obtiene el token JWT almacenado
@@ -32,6 +33,27 @@ export const removeToken = (): void => {
   localStorage.removeItem(SESSION_STORAGE_KEY);
 };
 
+/**
+ * Obtiene el token de actualización almacenado
+ */
+export const getRefreshToken = (): string | null => {
+  return localStorage.getItem(REFRESH_STORAGE_KEY);
+};
+
+/**
+ * Guarda el token de actualización
+ */
+export const saveRefreshToken = (refreshToken: string): void => {
+  localStorage.setItem(REFRESH_STORAGE_KEY, refreshToken);
+};
+
+/**
+ * Elimina el token de actualización
+ */
+export const removeRefreshToken = (): void => {
+  localStorage.removeItem(REFRESH_STORAGE_KEY);
+};
+
 /**
  * Guarda la información del usuario en localStorage
  */
@@ -73,5 +95,6 @@ export const loadSession = (): UserType | null => {
  */
 export const clearSession = (): void => {
   removeToken();
+  removeRefreshToken();
   removeUserData();
 };
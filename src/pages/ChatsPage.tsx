@@ -175,8 +175,8 @@ const ChatsPage: React.FC = () => {
                       )}
                     </div>
                     <p className="text-sm text-muted-foreground truncate">
-                      {chat.messages && chat.messages.length > 0 
-                        ? `${chat.messages[0].senderId || 'Usuario'}: ${chat.messages[0].content}` 
+                      {chat.lastMessage
+                        ? `${chat.lastMessage.user?.name || 'Usuario'}: ${chat.lastMessage.content}`
                         : 'No hay mensajes aún'}
                     </p>
                   </li>